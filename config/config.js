@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const path = require('path');
 
 module.exports = {
@@ -35,16 +36,65 @@ module.exports = {
 
     // Multi-Signature Configuration
     MULTISIG_CONFIG: {
-        MIN_SIGNERS: 2,
-        MAX_SIGNERS: 5,
+        MIN_SIGNERS: 1, // Single-approver documents are prepared with one signer and threshold 1
+        MAX_SIGNERS: 10,
         DEFAULT_THRESHOLD: 2, // Minimum signatures required
+        SIGNING_PAYLOAD_TTL_MS: 10 * 60 * 1000, // Client-side signing challenges expire after 10 minutes
+        SESSION_TTL_MS: 7 * 24 * 60 * 60 * 1000, // Unfinished sessions expire after 7 days
+        COMMENT_MAX_LENGTH: 2000, // Rejection reasons and comments on a session
         ROLES: {
             DOSEN: 'dosen',
             KAPRODI: 'kaprodi', 
             DEKAN: 'dekan',
             REKTOR: 'rektor',
             ADMIN: 'admin'
-        }
+        },
+        // Signing order of an ordered workflow ({ ordered: true }) without explicit stages
+        ROLE_HIERARCHY: ['dosen', 'kaprodi', 'dekan', 'rektor']
+    },
+
+    // Key Management Configuration
+    KEY_CONFIG: {
+        // Private keys stay on the server unless export is explicitly enabled
+        ALLOW_PRIVATE_KEY_EXPORT: process.env.ALLOW_PRIVATE_KEY_EXPORT === 'true',
+        // Days a rotated key stays valid alongside its replacement
+        ROTATION_OVERLAP_DAYS: parseInt(process.env.KEY_ROTATION_OVERLAP_DAYS) || 30,
+        MAX_ROTATION_OVERLAP_DAYS: 365
+    },
+
+    // Key Vault Configuration (encryption of private keys at rest)
+    KEY_VAULT_CONFIG: {
+        SCRYPT_N: 2 ** 15,
+        SCRYPT_R: 8,
+        SCRYPT_P: 1,
+        PASSPHRASE_MIN_LENGTH: 12
+    },
+
+    // System signing key (audit checkpoints and other server-issued signatures)
+    SYSTEM_KEY_CONFIG: {
+        // Without a passphrase the key is generated per process and never persisted
+        PASSPHRASE: process.env.SYSTEM_KEY_PASSPHRASE
+    },
+
+    // Trusted timestamping of signatures
+    TIMESTAMP_CONFIG: {
+        // local (system key TSA) | rfc3161 (external TSA at TSA_URL) | none
+        PROVIDER: process.env.TSA_PROVIDER || 'local',
+        TSA_URL: process.env.TSA_URL,
+        // PEM file with the TSA certificate or its issuing CA
+        TSA_CA_CERT: process.env.TSA_CA_CERT,
+        HASH_ALGORITHM: 'sha256',
+        TIMEOUT_MS: 10000,
+        // Reject signing when no timestamp can be obtained
+        REQUIRED: process.env.TSA_REQUIRED === 'true'
+    },
+
+    // Audit Log Configuration
+    AUDIT_CONFIG: {
+        // Sign the chain head every N entries
+        CHECKPOINT_INTERVAL: parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL) || 100,
+        DEFAULT_PAGE_SIZE: 50,
+        MAX_PAGE_SIZE: 500
     },
 
     // QR Code Configuration
@@ -57,7 +107,82 @@ module.exports = {
             DARK: '#000000',
             LIGHT: '#FFFFFF'
         },
-        WIDTH: 256
+        WIDTH: 256,
+        // Prefix of QR codes carrying a base64url COSE_Sign structure
+        COSE_PREFIX: 'COSE:',
+        // Compact payloads (CBOR + zlib + base45) start with this prefix, the format version and ':'
+        COMPACT_PREFIX: 'DS',
+        // Alphanumeric capacity of a version 40 QR code at error correction level M
+        COMPACT_MAX_LENGTH: 3391,
+        // Accept JSON QR payloads without an institution signature (printed before signing)
+        ALLOW_UNSIGNED_PAYLOADS: process.env.QR_ALLOW_UNSIGNED === 'true'
+    },
+
+    // Signed PDF output (signature dictionary + verification QR stamp)
+    PDF_SIGNATURE_CONFIG: {
+        FILTER: 'EdDSA.Multisig',
+        SUB_FILTER: 'EdDSA.sealed.v1',
+        FIELD_NAME: 'EdDSASignature',
+        REASON: 'Tanda tangan digital EdDSA',
+        // Stamped QR size and distance from the page edge, in points (1/72 inch)
+        QR_SIZE: 96,
+        QR_MARGIN: 36,
+        POSITIONS: ['bottom-right', 'bottom-left', 'top-right', 'top-left'],
+        DEFAULT_POSITION: 'bottom-right'
+    },
+
+    // Verifiable Credentials export (W3C VC Data Model 2.0)
+    CREDENTIAL_CONFIG: {
+        ISSUER_ID: process.env.VC_ISSUER_ID || 'https://unismuh.ac.id',
+        CRYPTOSUITE: 'eddsa-jcs-2022',
+        // Credential type per document type; others use DEFAULT_TYPE
+        TYPES: {
+            ijazah: 'DiplomaCredential',
+            transkrip: 'TranscriptCredential'
+        },
+        DEFAULT_TYPE: 'AcademicDocumentCredential',
+        // Client-created proofs must be submitted within this window of their `created` time
+        PROOF_MAX_AGE_MS: 10 * 60 * 1000,
+        // Public URL of GET /api/verification/status-list, referenced by credentialStatus
+        STATUS_LIST_URL: process.env.VC_STATUS_LIST_URL || 'https://unismuh.ac.id/api/verification/status-list'
+    },
+
+    // Revocation of signed documents (plagiarism, clerical errors)
+    REVOCATION_CONFIG: {
+        // Roles whose approval counts towards a revocation
+        APPROVER_ROLES: ['admin', 'dekan', 'rektor'],
+        // Distinct approvers needed before a revocation takes effect
+        REQUIRED_APPROVALS: parseInt(process.env.DOCUMENT_REVOCATION_APPROVALS) || 2,
+        // Bits in the published status list; the W3C minimum of 16KB keeps documents in a large crowd
+        STATUS_LIST_LENGTH: 131072,
+        // Verifiers treat the status list as stale after this long
+        STATUS_LIST_VALIDITY_MS: (parseInt(process.env.STATUS_LIST_VALIDITY_HOURS) || 24) * 60 * 60 * 1000
+    },
+
+    // Stored payloads behind verification_url QR codes
+    VERIFICATION_RECORD_CONFIG: {
+        // Lifetime of new records; 0 keeps them until invalidated, as QR codes printed on diplomas must keep working
+        TTL_MS: (parseInt(process.env.VERIFICATION_RECORD_TTL_DAYS) || 0) * 24 * 60 * 60 * 1000,
+        // How often expired records are deleted
+        SWEEP_INTERVAL_MS: (parseInt(process.env.VERIFICATION_SWEEP_INTERVAL_MINUTES) || 60) * 60 * 1000,
+        DEFAULT_PAGE_SIZE: 50,
+        MAX_PAGE_SIZE: 500
+    },
+
+    // Signing mandates of acting officials (Plh/Plt)
+    DELEGATION_CONFIG: {
+        // Longest period a single mandate may cover
+        MAX_DURATION_MS: (parseInt(process.env.DELEGATION_MAX_DAYS) || 180) * 24 * 60 * 60 * 1000,
+        // Client-signed mandates must be submitted within this window of their issuedAt
+        MANDATE_MAX_AGE_MS: 10 * 60 * 1000,
+        MAX_DOCUMENT_TYPES: 10,
+        REASON_MAX_LENGTH: 500
+    },
+
+    // Signed list of signer keys for offline verifiers (verifier/)
+    TRUST_LIST_CONFIG: {
+        // Verifiers treat the list as stale after this long and should fetch a new one
+        VALIDITY_MS: (parseInt(process.env.TRUST_LIST_VALIDITY_HOURS) || 24 * 7) * 60 * 60 * 1000
     },
 
     // Document Configuration
@@ -78,6 +203,16 @@ module.exports = {
             SURAT_KETERANGAN: 'surat_keterangan',
             SERTIFIKAT: 'sertifikat',
             SK: 'surat_keputusan'
+        },
+        // Documents in any other status wait on a signing session, are signed or are revoked
+        SIGNABLE_STATUSES: ['draft', 'rejected'],
+        // Roles whose key may sign a document of each type alone; other types need a multi-signature session
+        SINGLE_SIGNER_ROLES: {
+            ijazah: ['rektor', 'dekan'],
+            transkrip: ['dekan', 'kaprodi'],
+            surat_keterangan: ['kaprodi', 'dekan', 'rektor'],
+            sertifikat: ['kaprodi', 'dekan', 'rektor'],
+            surat_keputusan: ['dekan', 'rektor']
         }
     },
 
@@ -88,20 +223,37 @@ module.exports = {
         MESSAGE: 'Terlalu banyak request dari IP ini, coba lagi setelah 15 menit.'
     },
 
-    // JWT Configuration (for future authentication)
+    // JWT Configuration
     JWT_CONFIG: {
-        SECRET: process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production',
+        // Required outside tests (server.js refuses to start without it); tests get a per-process secret
+        SECRET: process.env.JWT_SECRET || (process.env.NODE_ENV === 'test' ? crypto.randomBytes(32).toString('hex') : null),
         EXPIRES_IN: '24h',
         ALGORITHM: 'HS256'
     },
 
-    // Database Configuration (for future use)
+    // Authentication Configuration
+    AUTH_CONFIG: {
+        BCRYPT_ROUNDS: 10,
+        PASSWORD_MIN_LENGTH: 8,
+        // Created on startup when no user accounts exist yet
+        BOOTSTRAP_ADMIN: {
+            USERNAME: process.env.ADMIN_USERNAME || 'admin',
+            PASSWORD: process.env.ADMIN_PASSWORD || null,
+            NAME: process.env.ADMIN_NAME || 'Administrator'
+        }
+    },
+
+    // Database Configuration
+    // DRIVER: 'postgres' for persistent storage, 'memory' for tests
     DATABASE: {
+        DRIVER: process.env.DB_DRIVER || (process.env.NODE_ENV === 'test' ? 'memory' : 'postgres'),
         HOST: process.env.DB_HOST || 'localhost',
         PORT: process.env.DB_PORT || 5432,
         NAME: process.env.DB_NAME || 'eddsa_multisig_db',
         USERNAME: process.env.DB_USERNAME || 'postgres',
-        PASSWORD: process.env.DB_PASSWORD || 'password'
+        PASSWORD: process.env.DB_PASSWORD || 'password',
+        SSL: process.env.DB_SSL === 'true',
+        POOL_MAX: 10
     },
 
     // Logging Configuration
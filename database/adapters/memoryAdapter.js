@@ -0,0 +1,150 @@
+/**
+ * In-memory storage adapter. Intended for tests and local experiments:
+ * data is lost when the process exits.
+ */
+class MemoryAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.collections = new Map();
+        this.appliedMigrations = [];
+        this.locks = new Map();
+    }
+
+    async connect() {
+        return this;
+    }
+
+    /**
+     * Apply pending migrations (creates the declared collections)
+     * @param {Array} migrations - Ordered migration definitions
+     * @returns {Array} IDs of the migrations applied by this call
+     */
+    async migrate(migrations) {
+        const applied = [];
+
+        for (const migration of migrations) {
+            if (this.appliedMigrations.includes(migration.id)) {
+                continue;
+            }
+
+            for (const collection of migration.collections || []) {
+                if (!this.collections.has(collection)) {
+                    this.collections.set(collection, new Map());
+                }
+            }
+
+            this.appliedMigrations.push(migration.id);
+            applied.push(migration.id);
+        }
+
+        return applied;
+    }
+
+    async get(collection, id) {
+        const value = this._collection(collection).get(id);
+        return value === undefined ? null : this._clone(value);
+    }
+
+    async set(collection, id, value) {
+        this._collection(collection).set(id, this._clone(value));
+        return value;
+    }
+
+    async insert(collection, id, value) {
+        const store = this._collection(collection);
+        if (store.has(id)) {
+            const error = new Error(`Record '${id}' already exists in '${collection}'`);
+            error.code = 'DUPLICATE_ID';
+            throw error;
+        }
+        store.set(id, this._clone(value));
+        return value;
+    }
+
+    async update(collection, id, mutate) {
+        return this._withLock(collection, id, async () => {
+            const store = this._collection(collection);
+            const current = store.has(id) ? this._clone(store.get(id)) : null;
+            const updated = await mutate(current);
+            if (!updated) {
+                return current;
+            }
+            store.set(id, this._clone(updated));
+            return updated;
+        });
+    }
+
+    async deleteIf(collection, id, predicate) {
+        return this._withLock(collection, id, async () => {
+            const store = this._collection(collection);
+            if (!store.has(id) || !predicate(this._clone(store.get(id)))) {
+                return false;
+            }
+            return store.delete(id);
+        });
+    }
+
+    async delete(collection, id) {
+        return this._collection(collection).delete(id);
+    }
+
+    async list(collection) {
+        return Array.from(this._collection(collection).values()).map(value => this._clone(value));
+    }
+
+    async findBy(collection, field, value) {
+        const items = await this.list(collection);
+        return items.filter(item => item[field] !== undefined && String(item[field]) === String(value));
+    }
+
+    async close() {
+        this.collections.clear();
+        this.appliedMigrations = [];
+        this.locks.clear();
+    }
+
+    _collection(collection) {
+        const store = this.collections.get(collection);
+        if (!store) {
+            throw new Error(`Unknown collection '${collection}'`);
+        }
+        return store;
+    }
+
+    /**
+     * Run fn once earlier locked calls on the same record have finished,
+     * standing in for the row lock of the database adapters
+     * @private
+     */
+    async _withLock(collection, id, fn) {
+        const key = `${collection}\u0000${id}`;
+        const previous = this.locks.get(key) || Promise.resolve();
+        let release;
+        const done = new Promise(resolve => {
+            release = resolve;
+        });
+        const current = previous.then(() => done);
+        this.locks.set(key, current);
+
+        await previous;
+        try {
+            return await fn();
+        } finally {
+            release();
+            if (this.locks.get(key) === current) {
+                this.locks.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Copy values on the way in and out so callers cannot mutate stored
+     * records without calling set(), matching the database adapters.
+     * @private
+     */
+    _clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+}
+
+module.exports = MemoryAdapter;
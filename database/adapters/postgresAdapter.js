@@ -0,0 +1,209 @@
+const { Pool } = require('pg');
+
+/**
+ * PostgreSQL storage adapter. Each collection is a table of
+ * (id TEXT, data JSONB) rows created by the migrations.
+ */
+class PostgresAdapter {
+    /**
+     * @param {Object} dbConfig - config.DATABASE block
+     */
+    constructor(dbConfig) {
+        this.name = 'postgres';
+        this.collections = new Set();
+        this.pool = new Pool({
+            host: dbConfig.HOST,
+            port: Number(dbConfig.PORT),
+            database: dbConfig.NAME,
+            user: dbConfig.USERNAME,
+            password: dbConfig.PASSWORD,
+            ssl: dbConfig.SSL ? { rejectUnauthorized: false } : false,
+            max: dbConfig.POOL_MAX
+        });
+    }
+
+    async connect() {
+        const client = await this.pool.connect();
+        client.release();
+        return this;
+    }
+
+    /**
+     * Apply pending migrations, each inside its own transaction
+     * @param {Array} migrations - Ordered migration definitions
+     * @returns {Array} IDs of the migrations applied by this call
+     */
+    async migrate(migrations) {
+        const client = await this.pool.connect();
+        const applied = [];
+
+        try {
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS schema_migrations (
+                    id TEXT PRIMARY KEY,
+                    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+                )
+            `);
+
+            for (const migration of migrations) {
+                await client.query('BEGIN');
+                try {
+                    // Serialize concurrent instances migrating the same database
+                    await client.query('SELECT pg_advisory_xact_lock(hashtext(\'schema_migrations\'))');
+
+                    const { rowCount } = await client.query(
+                        'SELECT 1 FROM schema_migrations WHERE id = $1',
+                        [migration.id]
+                    );
+
+                    if (rowCount === 0) {
+                        await migration.up(client);
+                        await client.query('INSERT INTO schema_migrations (id) VALUES ($1)', [migration.id]);
+                        applied.push(migration.id);
+                    }
+
+                    await client.query('COMMIT');
+                } catch (error) {
+                    await client.query('ROLLBACK');
+                    throw new Error(`Migration ${migration.id} failed: ${error.message}`);
+                }
+
+                (migration.collections || []).forEach(collection => this.collections.add(collection));
+            }
+        } finally {
+            client.release();
+        }
+
+        return applied;
+    }
+
+    async get(collection, id) {
+        const { rows } = await this.pool.query(
+            `SELECT data FROM ${this._table(collection)} WHERE id = $1`,
+            [id]
+        );
+        return rows.length > 0 ? rows[0].data : null;
+    }
+
+    async set(collection, id, value) {
+        await this.pool.query(
+            `INSERT INTO ${this._table(collection)} (id, data) VALUES ($1, $2)
+             ON CONFLICT (id) DO UPDATE SET data = EXCLUDED.data, updated_at = NOW()`,
+            [id, JSON.stringify(value)]
+        );
+        return value;
+    }
+
+    async insert(collection, id, value) {
+        try {
+            await this.pool.query(
+                `INSERT INTO ${this._table(collection)} (id, data) VALUES ($1, $2)`,
+                [id, JSON.stringify(value)]
+            );
+        } catch (error) {
+            // 23505 = unique_violation
+            if (error.code === '23505') {
+                const duplicate = new Error(`Record '${id}' already exists in '${collection}'`);
+                duplicate.code = 'DUPLICATE_ID';
+                throw duplicate;
+            }
+            throw error;
+        }
+        return value;
+    }
+
+    async update(collection, id, mutate) {
+        return this._withRowLock(collection, id, async (client, current) => {
+            const updated = await mutate(current);
+            if (!updated) {
+                return current;
+            }
+            await client.query(
+                `INSERT INTO ${this._table(collection)} (id, data) VALUES ($1, $2)
+                 ON CONFLICT (id) DO UPDATE SET data = EXCLUDED.data, updated_at = NOW()`,
+                [id, JSON.stringify(updated)]
+            );
+            return updated;
+        });
+    }
+
+    async deleteIf(collection, id, predicate) {
+        return this._withRowLock(collection, id, async (client, current) => {
+            if (!current || !predicate(current)) {
+                return false;
+            }
+            const { rowCount } = await client.query(
+                `DELETE FROM ${this._table(collection)} WHERE id = $1`,
+                [id]
+            );
+            return rowCount > 0;
+        });
+    }
+
+    async delete(collection, id) {
+        const { rowCount } = await this.pool.query(
+            `DELETE FROM ${this._table(collection)} WHERE id = $1`,
+            [id]
+        );
+        return rowCount > 0;
+    }
+
+    async list(collection) {
+        const { rows } = await this.pool.query(
+            `SELECT data FROM ${this._table(collection)} ORDER BY created_at, id`
+        );
+        return rows.map(row => row.data);
+    }
+
+    async findBy(collection, field, value) {
+        const { rows } = await this.pool.query(
+            `SELECT data FROM ${this._table(collection)} WHERE data->>$1 = $2 ORDER BY created_at, id`,
+            [field, String(value)]
+        );
+        return rows.map(row => row.data);
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+
+    /**
+     * Run fn(client, record) in a transaction that holds the row lock
+     * (SELECT ... FOR UPDATE) of one record until fn returns
+     * @private
+     */
+    async _withRowLock(collection, id, fn) {
+        const table = this._table(collection);
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+            const { rows } = await client.query(
+                `SELECT data FROM ${table} WHERE id = $1 FOR UPDATE`,
+                [id]
+            );
+            const result = await fn(client, rows.length > 0 ? rows[0].data : null);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Table names cannot be bound as query parameters, so only names
+     * declared by a migration are ever interpolated.
+     * @private
+     */
+    _table(collection) {
+        if (!this.collections.has(collection)) {
+            throw new Error(`Unknown collection '${collection}'`);
+        }
+        return collection;
+    }
+}
+
+module.exports = PostgresAdapter;
@@ -0,0 +1,61 @@
+const config = require('../config/config');
+const Repository = require('./repository');
+const MemoryAdapter = require('./adapters/memoryAdapter');
+const migrations = require('./migrations');
+
+/**
+ * Create the storage adapter selected by config.DATABASE.DRIVER
+ * @param {Object} dbConfig - config.DATABASE block
+ * @returns {Object} Storage adapter
+ */
+function createAdapter(dbConfig) {
+    switch (dbConfig.DRIVER) {
+        case 'memory':
+            return new MemoryAdapter();
+        case 'postgres': {
+            // Required lazily so the memory driver works without pg installed
+            const PostgresAdapter = require('./adapters/postgresAdapter');
+            return new PostgresAdapter(dbConfig);
+        }
+        default:
+            throw new Error(`Unsupported database driver '${dbConfig.DRIVER}'`);
+    }
+}
+
+class Database {
+    constructor(dbConfig) {
+        this.adapter = createAdapter(dbConfig);
+        this.driver = this.adapter.name;
+
+        this.documents = new Repository(this.adapter, 'documents');
+        this.multiSigSessions = new Repository(this.adapter, 'multisig_sessions');
+        this.signatures = new Repository(this.adapter, 'signatures');
+        this.keys = new Repository(this.adapter, 'keys');
+        this.verifications = new Repository(this.adapter, 'verifications');
+        this.users = new Repository(this.adapter, 'users');
+        this.auditLog = new Repository(this.adapter, 'audit_log');
+        this.auditCheckpoints = new Repository(this.adapter, 'audit_checkpoints');
+        this.systemKeys = new Repository(this.adapter, 'system_keys');
+        this.credentials = new Repository(this.adapter, 'credentials');
+        this.statusListEntries = new Repository(this.adapter, 'status_list_entries');
+        this.delegations = new Repository(this.adapter, 'delegations');
+    }
+
+    /**
+     * Connect to the backing store and apply pending migrations
+     * @returns {Promise<Array>} IDs of the migrations applied
+     */
+    async connect() {
+        await this.adapter.connect();
+        return this.adapter.migrate(migrations);
+    }
+
+    /**
+     * Release connections held by the adapter
+     */
+    async close() {
+        await this.adapter.close();
+    }
+}
+
+module.exports = new Database(config.DATABASE);
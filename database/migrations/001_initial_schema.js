@@ -0,0 +1,32 @@
+/**
+ * Initial schema: one JSONB-backed table per store that previously lived
+ * in the global.*Store Maps.
+ */
+const COLLECTIONS = [
+    'documents',
+    'multisig_sessions',
+    'signatures',
+    'keys',
+    'verifications'
+];
+
+module.exports = {
+    id: '001_initial_schema',
+    collections: COLLECTIONS,
+
+    async up(client) {
+        for (const table of COLLECTIONS) {
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS ${table} (
+                    id TEXT PRIMARY KEY,
+                    data JSONB NOT NULL,
+                    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+                )
+            `);
+        }
+
+        await client.query('CREATE INDEX IF NOT EXISTS documents_hash_idx ON documents ((data->>\'hash\'))');
+        await client.query('CREATE INDEX IF NOT EXISTS keys_public_key_idx ON keys ((data->>\'publicKey\'))');
+    }
+};
@@ -0,0 +1,21 @@
+/**
+ * User accounts for authentication and role-based authorization.
+ */
+module.exports = {
+    id: '002_users',
+    collections: ['users'],
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS users (
+                id TEXT PRIMARY KEY,
+                data JSONB NOT NULL,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+
+        await client.query('CREATE UNIQUE INDEX IF NOT EXISTS users_username_idx ON users ((data->>\'username\'))');
+        await client.query('CREATE INDEX IF NOT EXISTS keys_owner_idx ON keys ((data->>\'ownerId\'))');
+    }
+};
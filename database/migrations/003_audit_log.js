@@ -0,0 +1,46 @@
+/**
+ * Append-only audit log, its signed checkpoints and the system signing keys
+ * used to sign them.
+ */
+const COLLECTIONS = [
+    'audit_log',
+    'audit_checkpoints',
+    'system_keys'
+];
+
+module.exports = {
+    id: '003_audit_log',
+    collections: COLLECTIONS,
+
+    async up(client) {
+        for (const table of COLLECTIONS) {
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS ${table} (
+                    id TEXT PRIMARY KEY,
+                    data JSONB NOT NULL,
+                    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+                )
+            `);
+        }
+
+        await client.query('CREATE INDEX IF NOT EXISTS audit_log_type_idx ON audit_log ((data->>\'type\'))');
+        await client.query('CREATE INDEX IF NOT EXISTS audit_log_actor_idx ON audit_log ((data->>\'actorId\'))');
+        await client.query('CREATE INDEX IF NOT EXISTS audit_log_subject_idx ON audit_log ((data->>\'subjectId\'))');
+
+        // Entries are never updated or removed once written
+        await client.query(`
+            CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+            BEGIN
+                RAISE EXCEPTION 'audit_log is append-only';
+            END;
+            $$ LANGUAGE plpgsql
+        `);
+        await client.query('DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log');
+        await client.query(`
+            CREATE TRIGGER audit_log_append_only
+            BEFORE UPDATE OR DELETE ON audit_log
+            FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()
+        `);
+    }
+};
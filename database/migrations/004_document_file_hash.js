@@ -0,0 +1,19 @@
+/**
+ * Lookup of documents by the SHA-256 of their uploaded file, for
+ * verification of a copy of the file itself.
+ */
+module.exports = {
+    id: '004_document_file_hash',
+    collections: [],
+
+    async up(client) {
+        // Backfill documents uploaded before fileHash was recorded; content holds the file as base64
+        await client.query(`
+            UPDATE documents
+            SET data = jsonb_set(data, '{fileHash}', to_jsonb(encode(sha256(decode(data->>'content', 'base64')), 'hex')))
+            WHERE jsonb_typeof(data->'file') = 'object' AND NOT data ? 'fileHash'
+        `);
+
+        await client.query('CREATE INDEX IF NOT EXISTS documents_file_hash_idx ON documents ((data->>\'fileHash\'))');
+    }
+};
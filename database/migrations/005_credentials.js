@@ -0,0 +1,19 @@
+/**
+ * Verifiable Credentials issued for signed documents, keyed by document ID,
+ * with the proofs added by their signers.
+ */
+module.exports = {
+    id: '005_credentials',
+    collections: ['credentials'],
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS credentials (
+                id TEXT PRIMARY KEY,
+                data JSONB NOT NULL,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+    }
+};
@@ -0,0 +1,25 @@
+/**
+ * Verification records behind verification_url QR codes: lookup by
+ * document and by expiry for the sweeper. Records were created with a fixed
+ * 30-day expiry; those still live are kept indefinitely, like new records
+ * under the default VERIFICATION_RECORD_CONFIG.TTL_MS.
+ */
+module.exports = {
+    id: '006_verification_records',
+    collections: [],
+
+    async up(client) {
+        await client.query(`
+            UPDATE verifications
+            SET data = data || jsonb_build_object(
+                'documentId', data->'data'->'documentId',
+                'status', 'active',
+                'expiresAt', NULL
+            )
+            WHERE NOT data ? 'status' AND (data->>'expiresAt')::timestamptz > NOW()
+        `);
+
+        await client.query('CREATE INDEX IF NOT EXISTS verifications_document_id_idx ON verifications ((data->>\'documentId\'))');
+        await client.query('CREATE INDEX IF NOT EXISTS verifications_expires_at_idx ON verifications ((data->>\'expiresAt\'))');
+    }
+};
@@ -0,0 +1,21 @@
+/**
+ * Revocation of signed documents: status list indexes claimed by documents
+ * (one row per allocated bit) and lookup of revoked documents.
+ */
+module.exports = {
+    id: '007_document_revocation',
+    collections: ['status_list_entries'],
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS status_list_entries (
+                id TEXT PRIMARY KEY,
+                data JSONB NOT NULL,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+
+        await client.query('CREATE INDEX IF NOT EXISTS documents_status_idx ON documents ((data->>\'status\'))');
+    }
+};
@@ -0,0 +1,22 @@
+/**
+ * Signing mandates of acting officials (Plh/Plt), keyed by delegation ID,
+ * with lookup by delegator and delegate key.
+ */
+module.exports = {
+    id: '008_signing_delegations',
+    collections: ['delegations'],
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS delegations (
+                id TEXT PRIMARY KEY,
+                data JSONB NOT NULL,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+
+        await client.query('CREATE INDEX IF NOT EXISTS delegations_delegator_idx ON delegations ((data->>\'delegatorKeyId\'))');
+        await client.query('CREATE INDEX IF NOT EXISTS delegations_delegate_idx ON delegations ((data->>\'delegateKeyId\'))');
+    }
+};
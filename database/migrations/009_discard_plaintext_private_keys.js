@@ -0,0 +1,25 @@
+/**
+ * Key records created before the key vault held their private key in
+ * plaintext. The server never has the signer's passphrase to encrypt them,
+ * so the plaintext is removed; such keys keep verifying past signatures but
+ * must be rotated before their owner can sign again.
+ */
+module.exports = {
+    id: '009_discard_plaintext_private_keys',
+    collections: [],
+
+    async up(client) {
+        await client.query(`
+            UPDATE keys
+            SET data = (data - 'privateKey') || jsonb_build_object('privateKeyDiscardedAt', to_jsonb(NOW()))
+            WHERE data ? 'privateKey' AND NOT data ? 'encryptedPrivateKey'
+        `);
+
+        // Records already encrypted on first use may still carry the plaintext copy
+        await client.query(`
+            UPDATE keys
+            SET data = data - 'privateKey'
+            WHERE data ? 'privateKey'
+        `);
+    }
+};
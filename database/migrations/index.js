@@ -0,0 +1,15 @@
+/**
+ * Ordered list of schema migrations. Append new migrations at the end;
+ * never reorder or edit one that has already been released.
+ */
+module.exports = [
+    require('./001_initial_schema'),
+    require('./002_users'),
+    require('./003_audit_log'),
+    require('./004_document_file_hash'),
+    require('./005_credentials'),
+    require('./006_verification_records'),
+    require('./007_document_revocation'),
+    require('./008_signing_delegations'),
+    require('./009_discard_plaintext_private_keys')
+];
@@ -0,0 +1,107 @@
+/**
+ * Map-like, promise-based view over one collection of the active adapter.
+ * Routes and services talk to repositories, never to adapters directly.
+ */
+class Repository {
+    /**
+     * @param {Object} adapter - Storage adapter (memory or postgres)
+     * @param {string} collection - Collection/table name
+     */
+    constructor(adapter, collection) {
+        this.adapter = adapter;
+        this.collection = collection;
+    }
+
+    /**
+     * Get a record by ID
+     * @param {string} id - Record ID
+     * @returns {Promise<Object|null>} Stored record or null if not found
+     */
+    get(id) {
+        return this.adapter.get(this.collection, id);
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {string} id - Record ID
+     * @param {Object} value - Record to store
+     * @returns {Promise<Object>} Stored record
+     */
+    set(id, value) {
+        return this.adapter.set(this.collection, id, value);
+    }
+
+    /**
+     * Read, change and write back a record as one step. Updates of the same
+     * record wait for each other, so each one sees the previous one's result.
+     * Keep mutate short and free of other updates: the record stays locked
+     * until it returns.
+     * @param {string} id - Record ID
+     * @param {Function} mutate - Receives the stored record (null if not found) and returns
+     *                            the record to store, or null to leave it unchanged; may be async.
+     *                            Errors it throws abort the update.
+     * @returns {Promise<Object|null>} Record as stored after the update
+     */
+    update(id, mutate) {
+        return this.adapter.update(this.collection, id, mutate);
+    }
+
+    /**
+     * Insert a record that must not exist yet
+     * @param {string} id - Record ID
+     * @param {Object} value - Record to store
+     * @returns {Promise<Object>} Stored record
+     * @throws {Error} With code 'DUPLICATE_ID' when the ID is already taken
+     */
+    insert(id, value) {
+        return this.adapter.insert(this.collection, id, value);
+    }
+
+    /**
+     * Check whether a record exists
+     * @param {string} id - Record ID
+     * @returns {Promise<boolean>} True if the record exists
+     */
+    async has(id) {
+        return (await this.get(id)) !== null;
+    }
+
+    /**
+     * Delete a record
+     * @param {string} id - Record ID
+     * @returns {Promise<boolean>} True if a record was deleted
+     */
+    delete(id) {
+        return this.adapter.delete(this.collection, id);
+    }
+
+    /**
+     * Delete a record if it still matches a condition, checked while the record is locked
+     * @param {string} id - Record ID
+     * @param {Function} predicate - Receives the stored record and returns true to delete it
+     * @returns {Promise<boolean>} True if a record was deleted
+     */
+    deleteIf(id, predicate) {
+        return this.adapter.deleteIf(this.collection, id, predicate);
+    }
+
+    /**
+     * List all records in insertion order
+     * @returns {Promise<Array>} Stored records
+     */
+    list() {
+        return this.adapter.list(this.collection);
+    }
+
+    /**
+     * Find records whose top-level field equals a value
+     * @param {string} field - Top-level field name
+     * @param {string} value - Value to match
+     * @returns {Promise<Array>} Matching records
+     */
+    findBy(field, value) {
+        return this.adapter.findBy(this.collection, field, value);
+    }
+}
+
+module.exports = Repository;
@@ -0,0 +1,49 @@
+const AuthService = require('../services/authService');
+
+const authService = new AuthService();
+
+// Require a valid Bearer token and attach the user to req.user
+const authenticate = async (req, res, next) => {
+    try {
+        const header = req.headers.authorization || '';
+        const [scheme, token] = header.split(' ');
+
+        if (scheme !== 'Bearer' || !token) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        const user = await authService.verifyToken(token);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'User account not found or inactive'
+            });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        // JsonWebTokenError / TokenExpiredError are mapped by errorHandler
+        next(error);
+    }
+};
+
+// Restrict a route to users with one of the given roles (use after authenticate)
+const authorize = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({
+            success: false,
+            message: `Access denied. Required role: ${roles.join(' or ')}`
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    authenticate,
+    authorize
+};
@@ -0,0 +1,136 @@
+const express = require('express');
+
+const AuditService = require('../services/auditService');
+const SystemKeyService = require('../services/systemKeyService');
+const { authenticate, authorize } = require('../middleware/auth');
+const config = require('../config/config');
+
+const router = express.Router();
+const auditService = new AuditService();
+const systemKeyService = new SystemKeyService();
+const { ROLES } = config.MULTISIG_CONFIG;
+
+// The audit trail is for registrar/accreditation use only
+router.use(authenticate, authorize(ROLES.ADMIN));
+
+/**
+ * GET /api/audit
+ * List audit entries. Filters: type, actorId, subjectType, subjectId,
+ * from, to (ISO timestamps), limit, offset
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { type, actorId, subjectType, subjectId, from, to, limit, offset } = req.query;
+
+        if (type && !Object.values(AuditService.EVENTS).includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid event type. Valid types: ${Object.values(AuditService.EVENTS).join(', ')}`
+            });
+        }
+
+        for (const [name, value] of Object.entries({ from, to })) {
+            if (value && isNaN(new Date(value).getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid date for '${name}'`
+                });
+            }
+        }
+
+        const { entries, total } = await auditService.query({
+            type, actorId, subjectType, subjectId, from, to, limit, offset
+        });
+
+        res.json({
+            success: true,
+            message: 'Audit entries retrieved successfully',
+            data: entries,
+            total: total
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve audit entries',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/audit/verify
+ * Recompute the hash chain and check all signed checkpoints
+ */
+router.get('/verify', async (req, res) => {
+    try {
+        const report = await auditService.verifyChain();
+
+        res.json({
+            success: true,
+            message: report.valid ? 'Audit chain is intact' : 'Audit chain integrity check failed',
+            data: report
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify audit chain',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/audit/checkpoints
+ * List signed checkpoints and the system keys that signed them
+ */
+router.get('/checkpoints', async (req, res) => {
+    try {
+        const checkpoints = await auditService.listCheckpoints();
+
+        res.json({
+            success: true,
+            message: 'Audit checkpoints retrieved successfully',
+            data: {
+                checkpoints: checkpoints,
+                systemKeys: await systemKeyService.listPublicKeys()
+            },
+            total: checkpoints.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve audit checkpoints',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/audit/checkpoints
+ * Sign the current chain head now instead of waiting for the next interval
+ */
+router.post('/checkpoints', async (req, res) => {
+    try {
+        const checkpoint = await auditService.createCheckpoint();
+        if (!checkpoint) {
+            return res.status(400).json({
+                success: false,
+                message: 'Audit log is empty'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Audit checkpoint created successfully',
+            data: checkpoint
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create audit checkpoint',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
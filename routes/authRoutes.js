@@ -0,0 +1,134 @@
+const express = require('express');
+
+const AuthService = require('../services/authService');
+const { authenticate, authorize } = require('../middleware/auth');
+const rateLimiter = require('../middleware/rateLimiter');
+const db = require('../database');
+const config = require('../config/config');
+
+const router = express.Router();
+const authService = new AuthService();
+const { ROLES } = config.MULTISIG_CONFIG;
+
+/**
+ * POST /api/auth/login
+ * Exchange username and password for an access token
+ */
+router.post('/login', rateLimiter.strict, async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        if (!username || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: username, password'
+            });
+        }
+
+        const session = await authService.login(username, password);
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid username or password'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            data: session
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log in',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the authenticated user and the keys bound to them
+ */
+router.get('/me', authenticate, async (req, res) => {
+    try {
+        const keys = (await db.keys.findBy('ownerId', req.user.id)).map(keyData => ({
+            keyId: keyData.keyId,
+            publicKey: keyData.publicKey,
+            role: keyData.signer.role,
+            status: keyData.status
+        }));
+
+        res.json({
+            success: true,
+            message: 'User retrieved successfully',
+            data: {
+                ...req.user,
+                keys: keys
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve user',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/auth/users
+ * Create a user account (admin only)
+ */
+router.post('/users', authenticate, authorize(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { username, password, name, email, role } = req.body;
+
+        if (!username || !password || !role) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: username, password, role'
+            });
+        }
+
+        const user = await authService.createUser({ username, password, name, email, role });
+
+        res.status(201).json({
+            success: true,
+            message: 'User created successfully',
+            data: user
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: 'Failed to create user',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/auth/users
+ * List user accounts (admin only)
+ */
+router.get('/users', authenticate, authorize(ROLES.ADMIN), async (req, res) => {
+    try {
+        const users = (await db.users.list()).map(user => authService.toPublicUser(user));
+
+        res.json({
+            success: true,
+            message: 'Users retrieved successfully',
+            data: users,
+            total: users.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve users',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -7,12 +7,36 @@ const fs = require('fs').promises;
 const EdDSAService = require('../services/eddsaService');
 const MultiSignatureService = require('../services/multiSignatureService');
 const QRCodeService = require('../services/qrCodeService');
+const AuditService = require('../services/auditService');
+const PdfSignatureService = require('../services/pdfSignatureService');
+const CredentialService = require('../services/credentialService');
+const KeyManagementService = require('../services/keyManagementService');
+const SignatureEncodingService = require('../services/signatureEncodingService');
+const RevocationService = require('../services/revocationService');
+const StatusListService = require('../services/statusListService');
+const { authenticate, authorize } = require('../middleware/auth');
+const db = require('../database');
+const { digestFile } = require('../utils/fileDigest');
 const config = require('../config/config');
 
 const router = express.Router();
 const eddsaService = new EdDSAService();
 const multiSigService = new MultiSignatureService();
 const qrCodeService = new QRCodeService();
+const auditService = new AuditService();
+const pdfSignatureService = new PdfSignatureService();
+const credentialService = new CredentialService();
+const keyService = new KeyManagementService();
+const encodingService = new SignatureEncodingService();
+const revocationService = new RevocationService();
+const statusListService = new StatusListService();
+const { ROLES } = config.MULTISIG_CONFIG;
+
+// Approvals the document refuses are the approver's error (400) or already recorded (409)
+const REVOCATION_REFUSAL_STATUS = {
+    [RevocationService.REFUSALS.INVALID]: 400,
+    [RevocationService.REFUSALS.CONFLICT]: 409
+};
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -39,29 +63,66 @@ const upload = multer({
     }
 });
 
+// Original bytes of a document's file; documents uploaded before file digests keep them as base64 content
+const readDocumentFile = async (document) => (eddsaService.pickFileDigest(document) ?
+    fs.readFile(document.file.path) :
+    Buffer.from(document.content, 'base64'));
+
+// Signature data of a signed document: its single signature or the aggregated multi-signature
+const getSignatureData = async (document) => {
+    if (document.multiSigSessionId) {
+        const session = await db.multiSigSessions.get(document.multiSigSessionId);
+        return session ? multiSigService.createAggregatedSignature(session) : null;
+    }
+    return document.signature || null;
+};
+
+// Verifiable Credential record of a signed document, issued on first request
+const getCredentialRecord = async (document) => {
+    const signatureData = await getSignatureData(document);
+    if (!signatureData) {
+        return null;
+    }
+
+    // New credentials reference the document's bit in the revocation status list
+    await statusListService.ensureIndex(document);
+    return credentialService.getOrCreateRecord(document, signatureData);
+};
+
+// Remove an uploaded file that no document refers to
+const removeFile = async (filePath) => {
+    try {
+        await fs.unlink(filePath);
+    } catch (fileError) {
+        console.warn('Failed to delete file:', fileError.message);
+    }
+};
+
 /**
  * GET /api/documents
- * Get all documents (placeholder for database integration)
+ * Get all documents
  */
-router.get('/', async (req, res) => {
+router.get('/', authenticate, async (req, res) => {
     try {
-        // In a real implementation, this would fetch from database
-        const documents = [
-            {
-                id: 'doc-001',
-                title: 'Transkrip Nilai Ahmad Fauzi Saifuddin',
-                type: 'transkrip',
-                status: 'signed',
-                createdAt: '2025-07-15T10:00:00Z'
-            },
-            {
-                id: 'doc-002', 
-                title: 'Surat Keterangan Lulus',
-                type: 'surat_keterangan',
-                status: 'pending',
-                createdAt: '2025-07-16T14:30:00Z'
-            }
-        ];
+        const { type, status } = req.query;
+
+        let documents = (await db.documents.list()).map(document => ({
+            id: document.id,
+            title: document.title,
+            type: document.type,
+            status: document.status,
+            createdAt: document.createdAt
+        }));
+
+        // Filter by type if specified
+        if (type) {
+            documents = documents.filter(document => document.type === type);
+        }
+
+        // Filter by status if specified
+        if (status) {
+            documents = documents.filter(document => document.status === status);
+        }
 
         res.json({
             success: true,
@@ -82,7 +143,7 @@ router.get('/', async (req, res) => {
  * POST /api/documents
  * Create new document
  */
-router.post('/', upload.single('file'), async (req, res) => {
+router.post('/', authenticate, authorize(ROLES.ADMIN), upload.single('file'), async (req, res) => {
     try {
         const { title, type, recipient, issuer, metadata } = req.body;
 
@@ -97,20 +158,18 @@ router.post('/', upload.single('file'), async (req, res) => {
         // Generate document ID
         const documentId = crypto.randomUUID();
 
-        let content = null;
         let fileInfo = null;
 
-        // Handle file upload
+        // Handle file upload; the file stays on disk and only its digests are kept
         if (req.file) {
-            const fileContent = await fs.readFile(req.file.path);
             fileInfo = {
                 originalName: req.file.originalname,
                 filename: req.file.filename,
                 path: req.file.path,
                 size: req.file.size,
-                mimetype: req.file.mimetype
+                mimetype: req.file.mimetype,
+                digest: await digestFile(req.file.path)
             };
-            content = fileContent.toString('base64');
         }
 
         // Create document object
@@ -120,7 +179,8 @@ router.post('/', upload.single('file'), async (req, res) => {
             type: type,
             recipient: recipient,
             issuer: issuer || 'Universitas Muhammadiyah Makassar',
-            content: content || req.body.content || '',
+            // Documents with a file are bound through its digest instead of inline content
+            content: fileInfo ? null : (req.body.content || ''),
             metadata: {
                 ...JSON.parse(metadata || '{}'),
                 documentNumber: `DOC-${Date.now()}`,
@@ -128,24 +188,25 @@ router.post('/', upload.single('file'), async (req, res) => {
                 version: '1.0'
             },
             file: fileInfo,
+            // SHA-256 of the uploaded bytes, to find the document from a copy of the file
+            fileHash: fileInfo ? fileInfo.digest.sha256 : null,
             status: 'draft',
+            createdBy: req.user.id,
             createdAt: new Date().toISOString(),
             hash: null // Will be calculated during signing
         };
 
-        // Calculate document hash
-        document.hash = eddsaService.hashDocument(JSON.stringify({
-            id: document.id,
-            title: document.title,
-            content: document.content,
-            metadata: document.metadata
-        }));
+        // Metadata hash; the file is covered by fileInfo.digest
+        document.hash = eddsaService.computeMetadataHash(document);
 
-        // Store document (in real implementation, save to database)
-        if (!global.documentStore) {
-            global.documentStore = new Map();
-        }
-        global.documentStore.set(documentId, document);
+        // Store document
+        await db.documents.set(documentId, document);
+
+        await auditService.record(AuditService.EVENTS.DOCUMENT_CREATED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'document', id: documentId },
+            data: { title: document.title, type: document.type, hash: document.hash }
+        });
 
         res.status(201).json({
             success: true,
@@ -156,6 +217,7 @@ router.post('/', upload.single('file'), async (req, res) => {
                 type: document.type,
                 status: document.status,
                 hash: document.hash,
+                fileDigest: fileInfo ? fileInfo.digest : null,
                 createdAt: document.createdAt
             }
         });
@@ -172,20 +234,19 @@ router.post('/', upload.single('file'), async (req, res) => {
  * GET /api/documents/:id
  * Get specific document by ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', authenticate, async (req, res) => {
     try {
         const { id } = req.params;
 
         // Get document from store
-        if (!global.documentStore || !global.documentStore.has(id)) {
+        const document = await db.documents.get(id);
+        if (!document) {
             return res.status(404).json({
                 success: false,
                 message: 'Document not found'
             });
         }
 
-        const document = global.documentStore.get(id);
-
         res.json({
             success: true,
             message: 'Document retrieved successfully',
@@ -204,64 +265,73 @@ router.get('/:id', async (req, res) => {
  * PUT /api/documents/:id
  * Update document
  */
-router.put('/:id', upload.single('file'), async (req, res) => {
+router.put('/:id', authenticate, authorize(ROLES.ADMIN), upload.single('file'), async (req, res) => {
     try {
         const { id } = req.params;
         const { title, type, recipient, metadata } = req.body;
 
-        // Get existing document
-        if (!global.documentStore || !global.documentStore.has(id)) {
-            return res.status(404).json({
-                success: false,
-                message: 'Document not found'
-            });
-        }
+        // Handle file update
+        const file = req.file ? {
+            originalName: req.file.originalname,
+            filename: req.file.filename,
+            path: req.file.path,
+            size: req.file.size,
+            mimetype: req.file.mimetype,
+            digest: await digestFile(req.file.path)
+        } : null;
 
-        const document = global.documentStore.get(id);
+        // Change the latest stored document, so a signing session prepared meanwhile is not overwritten
+        let previous = null;
+        let accepted = false;
+        const document = await db.documents.update(id, current => {
+            previous = current;
+            accepted = Boolean(current) && config.DOCUMENT_CONFIG.SIGNABLE_STATUSES.includes(current.status);
+            if (!accepted) {
+                return null;
+            }
 
-        // Check if document is already signed
-        if (document.status === 'signed') {
-            return res.status(400).json({
-                success: false,
-                message: 'Cannot update signed document'
-            });
-        }
+            // Update document fields
+            const updated = { ...current };
+            if (title) updated.title = title;
+            if (type) updated.type = type;
+            if (recipient) updated.recipient = recipient;
+            if (metadata) {
+                updated.metadata = {
+                    ...current.metadata,
+                    ...JSON.parse(metadata)
+                };
+            }
+            if (file) {
+                updated.file = file;
+                updated.content = null;
+                updated.fileHash = file.digest.sha256;
+            }
 
-        // Update document fields
-        if (title) document.title = title;
-        if (type) document.type = type;
-        if (recipient) document.recipient = recipient;
-        if (metadata) {
-            document.metadata = {
-                ...document.metadata,
-                ...JSON.parse(metadata)
-            };
-        }
+            // Update timestamp and recalculate hash
+            updated.updatedAt = new Date().toISOString();
+            updated.hash = eddsaService.computeMetadataHash(updated);
+            return updated;
+        });
 
-        // Handle file update
-        if (req.file) {
-            const fileContent = await fs.readFile(req.file.path);
-            document.file = {
-                originalName: req.file.originalname,
-                filename: req.file.filename,
-                path: req.file.path,
-                size: req.file.size,
-                mimetype: req.file.mimetype
-            };
-            document.content = fileContent.toString('base64');
+        if (!accepted) {
+            if (file) {
+                await removeFile(file.path);
+            }
+            return document ?
+                res.status(400).json({
+                    success: false,
+                    message: `Cannot update ${document.status} document`
+                }) :
+                res.status(404).json({
+                    success: false,
+                    message: 'Document not found'
+                });
         }
 
-        // Update timestamp and recalculate hash
-        document.updatedAt = new Date().toISOString();
-        document.hash = eddsaService.hashDocument(JSON.stringify({
-            id: document.id,
-            title: document.title,
-            content: document.content,
-            metadata: document.metadata
-        }));
-
-        // Update in store
-        global.documentStore.set(id, document);
+        // The replaced file belongs to no document any more
+        if (file && previous.file && previous.file.path) {
+            await removeFile(previous.file.path);
+        }
 
         res.json({
             success: true,
@@ -288,48 +358,126 @@ router.put('/:id', upload.single('file'), async (req, res) => {
  * DELETE /api/documents/:id
  * Delete document
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticate, authorize(ROLES.ADMIN), async (req, res) => {
     try {
         const { id } = req.params;
 
-        // Get document from store
-        if (!global.documentStore || !global.documentStore.has(id)) {
-            return res.status(404).json({
+        // Signed and revoked documents stay on record, documents being signed until the session closes
+        let document = null;
+        const deleted = await db.documents.deleteIf(id, current => {
+            document = current;
+            return config.DOCUMENT_CONFIG.SIGNABLE_STATUSES.includes(current.status);
+        });
+        if (!deleted) {
+            return document ?
+                res.status(400).json({
+                    success: false,
+                    message: `Cannot delete ${document.status} document`
+                }) :
+                res.status(404).json({
+                    success: false,
+                    message: 'Document not found'
+                });
+        }
+
+        // Delete file if exists
+        if (document.file && document.file.path) {
+            await removeFile(document.file.path);
+        }
+
+        await auditService.record(AuditService.EVENTS.DOCUMENT_DELETED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'document', id: id },
+            data: { title: document.title, hash: document.hash, status: document.status }
+        });
+
+        res.json({
+            success: true,
+            message: 'Document deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete document',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/documents/:id/revoke
+ * Request the revocation of a signed document (body: reason) or approve the
+ * pending request. Takes effect once REVOCATION_CONFIG.REQUIRED_APPROVALS
+ * distinct users with one of REVOCATION_CONFIG.APPROVER_ROLES have approved
+ */
+router.post('/:id/revoke', authenticate, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        if (!revocationService.canApprove(req.user)) {
+            return res.status(403).json({
                 success: false,
-                message: 'Document not found'
+                message: `Only ${config.REVOCATION_CONFIG.APPROVER_ROLES.join(', ')} can approve revocations`
             });
         }
 
-        const document = global.documentStore.get(id);
-
-        // Check if document is signed
-        if (document.status === 'signed') {
-            return res.status(400).json({
+        if (!(await db.documents.has(id))) {
+            return res.status(404).json({
                 success: false,
-                message: 'Cannot delete signed document'
+                message: 'Document not found'
             });
         }
 
-        // Delete file if exists
-        if (document.file && document.file.path) {
-            try {
-                await fs.unlink(document.file.path);
-            } catch (fileError) {
-                console.warn('Failed to delete file:', fileError.message);
+        let approval;
+        try {
+            approval = await revocationService.approve(id, reason, req.user);
+        } catch (error) {
+            const status = REVOCATION_REFUSAL_STATUS[error.code];
+            if (!status) {
+                throw error;
             }
+            return res.status(status).json({
+                success: false,
+                message: error.message
+            });
         }
+        const { document: updated, revoked, remainingApprovals } = approval;
 
-        // Remove from store
-        global.documentStore.delete(id);
+        await auditService.record(AuditService.EVENTS.DOCUMENT_REVOCATION_APPROVED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'document', id: id },
+            data: { reason: updated.revocation.reason, approvals: updated.revocation.approvals.length }
+        });
+
+        if (revoked) {
+            await auditService.record(AuditService.EVENTS.DOCUMENT_REVOKED, {
+                ...auditService.requestContext(req),
+                subject: { type: 'document', id: id },
+                data: {
+                    reason: updated.revocation.reason,
+                    approvedBy: updated.revocation.approvals.map(approval => approval.userId),
+                    statusListIndex: updated.statusListIndex
+                }
+            });
+        }
 
         res.json({
             success: true,
-            message: 'Document deleted successfully'
+            message: revoked ?
+                'Document revoked successfully' :
+                `Revocation approval recorded; ${remainingApprovals} more approval(s) required`,
+            data: {
+                documentId: id,
+                status: updated.status,
+                revocation: updated.revocation,
+                remainingApprovals: remainingApprovals
+            }
         });
     } catch (error) {
         res.status(500).json({
             success: false,
-            message: 'Failed to delete document',
+            message: 'Failed to revoke document',
             error: error.message
         });
     }
@@ -339,23 +487,29 @@ router.delete('/:id', async (req, res) => {
  * POST /api/documents/:id/prepare-signing
  * Prepare document for multi-signature
  */
-router.post('/:id/prepare-signing', async (req, res) => {
+router.post('/:id/prepare-signing', authenticate, authorize(ROLES.ADMIN), async (req, res) => {
     try {
         const { id } = req.params;
-        const { signers, threshold } = req.body;
+        const { signers, threshold, workflow, policy } = req.body;
 
         // Get document
-        if (!global.documentStore || !global.documentStore.has(id)) {
+        const document = await db.documents.get(id);
+        if (!document) {
             return res.status(404).json({
                 success: false,
                 message: 'Document not found'
             });
         }
 
-        const document = global.documentStore.get(id);
+        if (!config.DOCUMENT_CONFIG.SIGNABLE_STATUSES.includes(document.status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot prepare a ${document.status} document for signing`
+            });
+        }
 
         // Validate multi-signature configuration
-        const validation = multiSigService.validateMultiSigConfig(signers, threshold);
+        const validation = multiSigService.validateMultiSigConfig(signers, threshold, workflow, policy);
         if (!validation.valid) {
             return res.status(400).json({
                 success: false,
@@ -368,20 +522,45 @@ router.post('/:id/prepare-signing', async (req, res) => {
         const session = multiSigService.initializeMultiSigSession(
             document,
             signers,
-            threshold
+            threshold,
+            workflow,
+            policy
         );
+        multiSigService.recordEvent(session, 'prepared', { actor: req.user });
 
-        // Store session
-        if (!global.multiSigStore) {
-            global.multiSigStore = new Map();
+        // Update document status, unless another request prepared or signed it meanwhile
+        const prepared = await db.documents.update(id, current => {
+            if (!config.DOCUMENT_CONFIG.SIGNABLE_STATUSES.includes(current.status)) {
+                return null;
+            }
+            current.status = 'pending_signatures';
+            current.multiSigSessionId = session.sessionId;
+            current.preparedBy = req.user.id;
+            current.updatedAt = new Date().toISOString();
+            return current;
+        });
+        if (prepared.multiSigSessionId !== session.sessionId) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot prepare a ${prepared.status} document for signing`
+            });
         }
-        global.multiSigStore.set(session.sessionId, session);
 
-        // Update document status
-        document.status = 'pending_signatures';
-        document.multiSigSessionId = session.sessionId;
-        document.updatedAt = new Date().toISOString();
-        global.documentStore.set(id, document);
+        // Store session
+        await db.multiSigSessions.set(session.sessionId, session);
+
+        await auditService.record(AuditService.EVENTS.SESSION_PREPARED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'document', id: id },
+            data: {
+                sessionId: session.sessionId,
+                documentHash: session.documentHash,
+                signers: session.requiredSigners.map(signer => signer.role),
+                threshold: session.threshold,
+                policy: session.policy,
+                workflow: session.workflow
+            }
+        });
 
         res.json({
             success: true,
@@ -391,6 +570,8 @@ router.post('/:id/prepare-signing', async (req, res) => {
                 documentId: document.id,
                 signers: session.requiredSigners,
                 threshold: session.threshold,
+                policy: session.policy,
+                workflow: session.workflow,
                 progress: multiSigService.getSigningProgress(session)
             }
         });
@@ -404,23 +585,32 @@ router.post('/:id/prepare-signing', async (req, res) => {
 });
 
 /**
- * GET /api/documents/:id/qr-code
- * Generate QR code for document
+ * GET /api/documents/:id/qr-code?format=json|compact|cose
+ * Generate QR code for document; `compact` packs the signatures as CBOR +
+ * zlib + base45 (used for `json` too once the JSON payload is too large),
+ * `cose` embeds them as COSE_Sign
  */
-router.get('/:id/qr-code', async (req, res) => {
+router.get('/:id/qr-code', authenticate, async (req, res) => {
     try {
         const { id } = req.params;
+        const format = req.query.format || 'json';
+
+        if (!['json', 'compact', 'cose'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid format. Valid formats: json, compact, cose'
+            });
+        }
 
         // Get document
-        if (!global.documentStore || !global.documentStore.has(id)) {
+        const document = await db.documents.get(id);
+        if (!document) {
             return res.status(404).json({
                 success: false,
                 message: 'Document not found'
             });
         }
 
-        const document = global.documentStore.get(id);
-
         // Check if document has signatures
         if (document.status !== 'signed') {
             return res.status(400).json({
@@ -430,16 +620,7 @@ router.get('/:id/qr-code', async (req, res) => {
         }
 
         // Get signature data
-        let signatureData;
-        if (document.multiSigSessionId) {
-            const session = global.multiSigStore?.get(document.multiSigSessionId);
-            if (session) {
-                signatureData = multiSigService.createAggregatedSignature(session);
-            }
-        } else if (document.signature) {
-            signatureData = document.signature;
-        }
-
+        const signatureData = await getSignatureData(document);
         if (!signatureData) {
             return res.status(400).json({
                 success: false,
@@ -447,6 +628,20 @@ router.get('/:id/qr-code', async (req, res) => {
             });
         }
 
+        if (format === 'cose' && !encodingService.canEncode(signatureData)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Signatures were made before JWS/COSE encodings were available'
+            });
+        }
+
+        if (format === 'compact' && !qrCodeService.encodeCompact(signatureData)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Signatures predate signing envelopes or do not fit in a compact QR code'
+            });
+        }
+
         // Generate QR code
         const qrResult = await qrCodeService.generateDocumentQR(signatureData, {
             id: document.id,
@@ -455,7 +650,7 @@ router.get('/:id/qr-code', async (req, res) => {
             issuer: document.issuer,
             recipient: document.recipient,
             issueDate: document.metadata.issueDate
-        });
+        }, { format: format });
 
         res.json({
             success: true,
@@ -463,6 +658,7 @@ router.get('/:id/qr-code', async (req, res) => {
             data: {
                 qrImage: qrResult.qrImage,
                 qrData: qrResult.qrData,
+                format: qrResult.format,
                 compressed: qrResult.compressed,
                 size: qrResult.size
             }
@@ -476,4 +672,371 @@ router.get('/:id/qr-code', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/documents/:id/signed-pdf
+ * Download the document PDF with its signatures embedded and the verification
+ * QR stamped on a page. Query: page (1-based, default 1), position
+ */
+router.get('/:id/signed-pdf', authenticate, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { PDF_SIGNATURE_CONFIG } = config;
+        const page = req.query.page === undefined ? 1 : Number(req.query.page);
+        const position = req.query.position || PDF_SIGNATURE_CONFIG.DEFAULT_POSITION;
+
+        if (!Number.isInteger(page) || page < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid page number'
+            });
+        }
+
+        if (!PDF_SIGNATURE_CONFIG.POSITIONS.includes(position)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid position. Valid positions: ${PDF_SIGNATURE_CONFIG.POSITIONS.join(', ')}`
+            });
+        }
+
+        // Get document
+        const document = await db.documents.get(id);
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: 'Document not found'
+            });
+        }
+
+        if (!document.file || document.file.mimetype !== 'application/pdf') {
+            return res.status(400).json({
+                success: false,
+                message: 'Document has no PDF file'
+            });
+        }
+
+        if (document.status !== 'signed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Document must be signed before generating a signed PDF'
+            });
+        }
+
+        const signatureData = await getSignatureData(document);
+        if (!signatureData) {
+            return res.status(400).json({
+                success: false,
+                message: 'No signature data found'
+            });
+        }
+
+        const qrResult = await qrCodeService.generateDocumentQR(signatureData, {
+            id: document.id,
+            title: document.title,
+            type: document.type,
+            issuer: document.issuer,
+            recipient: document.recipient,
+            issueDate: document.metadata.issueDate
+        });
+
+        // The signed content is the PDF as uploaded; the signatures cover these bytes
+        const result = await pdfSignatureService.signPdf(await readDocumentFile(document), signatureData, {
+            documentId: document.id,
+            qrData: qrResult.qrData,
+            page: page,
+            position: position
+        });
+        if (!result.pdf) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        const filename = path.basename(document.file.originalName, path.extname(document.file.originalName));
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}-signed.pdf"`
+        });
+        res.send(result.pdf);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate signed PDF',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/documents/:id/credential
+ * Export the signed document as a W3C Verifiable Credential (VC 2.0) with
+ * the eddsa-jcs-2022 proofs its signers have added so far
+ */
+router.get('/:id/credential', authenticate, async (req, res) => {
+    try {
+        const document = await db.documents.get(req.params.id);
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: 'Document not found'
+            });
+        }
+
+        if (document.status !== 'signed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Document must be signed before exporting a credential'
+            });
+        }
+
+        const record = await getCredentialRecord(document);
+        if (!record) {
+            return res.status(400).json({
+                success: false,
+                message: 'No signature data found'
+            });
+        }
+
+        const signers = credentialService.listSigners(record);
+
+        res.json({
+            success: true,
+            message: 'Credential exported successfully',
+            data: {
+                credential: credentialService.securedCredential(record),
+                signers: signers,
+                complete: signers.every(signer => signer.proved)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export credential',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/documents/:id/credential/proof-payload?keyId=...
+ * Proof options and hash data for adding a proof client-side. The signer
+ * signs the base64-decoded `hashData` with tweetnacl (nacl.sign.detached) and
+ * POSTs the proof options with `proofValue` ('z' + base58btc signature).
+ */
+router.get('/:id/credential/proof-payload', authenticate, async (req, res) => {
+    try {
+        const { keyId } = req.query;
+
+        if (!keyId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required query parameter: keyId'
+            });
+        }
+
+        const document = await db.documents.get(req.params.id);
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: 'Document not found'
+            });
+        }
+
+        if (document.status !== 'signed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Document must be signed before exporting a credential'
+            });
+        }
+
+        const { keyData, status, message } = await keyService.resolveSignerKey(keyId, req.user);
+        if (!keyData) {
+            return res.status(status).json({
+                success: false,
+                message: message
+            });
+        }
+
+        const record = await getCredentialRecord(document);
+        if (!record) {
+            return res.status(400).json({
+                success: false,
+                message: 'No signature data found'
+            });
+        }
+
+        const signer = credentialService.listSigners(record).find(s => s.publicKey === keyData.publicKey);
+        if (!signer) {
+            return res.status(403).json({
+                success: false,
+                message: 'Key did not sign this document'
+            });
+        }
+
+        const created = new Date();
+        const payload = credentialService.createProofPayload(record.credential, keyData.publicKey, created.toISOString());
+
+        res.json({
+            success: true,
+            message: 'Proof payload created successfully',
+            data: {
+                ...payload,
+                expiresAt: new Date(created.getTime() + config.CREDENTIAL_CONFIG.PROOF_MAX_AGE_MS).toISOString()
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create proof payload',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/documents/:id/credential/proofs
+ * Add the caller's proof to the document credential. Either:
+ *  - client-side: { keyId, proof } with the proof options from proof-payload
+ *    and its proofValue, or
+ *  - custodial: { keyId, passphrase } and the server creates the proof
+ */
+router.post('/:id/credential/proofs', authenticate, async (req, res) => {
+    try {
+        const { keyId, passphrase, proof } = req.body;
+
+        if (!keyId || (!passphrase && !proof)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: keyId and either passphrase or proof'
+            });
+        }
+
+        const document = await db.documents.get(req.params.id);
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: 'Document not found'
+            });
+        }
+
+        if (document.status !== 'signed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Document must be signed before exporting a credential'
+            });
+        }
+
+        const resolved = proof ?
+            await keyService.resolveSignerKey(keyId, req.user) :
+            await keyService.resolveSigningKey(keyId, req.user, passphrase);
+        if (!resolved.keyData) {
+            return res.status(resolved.status).json({
+                success: false,
+                message: resolved.message
+            });
+        }
+        const { keyData } = resolved;
+
+        const record = await getCredentialRecord(document);
+        if (!record) {
+            return res.status(400).json({
+                success: false,
+                message: 'No signature data found'
+            });
+        }
+
+        const signer = credentialService.listSigners(record).find(s => s.publicKey === keyData.publicKey);
+        if (!signer) {
+            return res.status(403).json({
+                success: false,
+                message: 'Key did not sign this document'
+            });
+        }
+
+        if (signer.proved) {
+            return res.status(409).json({
+                success: false,
+                message: 'Key has already added a proof to this credential'
+            });
+        }
+
+        let newProof;
+        if (proof) {
+            if (proof.verificationMethod !== signer.verificationMethod) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Proof verification method does not match the key'
+                });
+            }
+
+            const age = Math.abs(Date.now() - Date.parse(proof.created));
+            if (!(age <= config.CREDENTIAL_CONFIG.PROOF_MAX_AGE_MS)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Proof creation time is missing or outside the accepted window; request a new proof payload'
+                });
+            }
+
+            const proofCheck = await credentialService.verifyProof(record.credential, proof);
+            if (!proofCheck.valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: proofCheck.reason
+                });
+            }
+            newProof = proof;
+        } else {
+            newProof = credentialService.createProof(record.credential, resolved.privateKey);
+        }
+
+        // Add to the latest stored record, so a key proving twice at the same time adds one proof
+        let duplicate = false;
+        const updated = await db.credentials.update(record.id, current => {
+            duplicate = current.proofs.some(existing => existing.verificationMethod === newProof.verificationMethod);
+            if (duplicate) {
+                return null;
+            }
+            current.proofs.push(newProof);
+            current.updatedAt = new Date().toISOString();
+            return current;
+        });
+        if (duplicate) {
+            return res.status(409).json({
+                success: false,
+                message: 'Key has already added a proof to this credential'
+            });
+        }
+
+        await auditService.record(AuditService.EVENTS.CREDENTIAL_PROOF_ADDED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'document', id: document.id },
+            data: {
+                mode: proof ? 'client' : 'custodial',
+                keyId: keyData.keyId,
+                role: keyData.signer.role,
+                verificationMethod: newProof.verificationMethod,
+                created: newProof.created
+            }
+        });
+
+        const signers = credentialService.listSigners(updated);
+
+        res.json({
+            success: true,
+            message: 'Credential proof added successfully',
+            data: {
+                proof: newProof,
+                signers: signers,
+                complete: signers.every(s => s.proved)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add credential proof',
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
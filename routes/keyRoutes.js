@@ -2,18 +2,30 @@ const express = require('express');
 const crypto = require('crypto');
 
 const EdDSAService = require('../services/eddsaService');
+const KeyManagementService = require('../services/keyManagementService');
+const AuditService = require('../services/auditService');
+const DelegationService = require('../services/delegationService');
+const { authenticate } = require('../middleware/auth');
+const rateLimiter = require('../middleware/rateLimiter');
+const db = require('../database');
 const config = require('../config/config');
 
 const router = express.Router();
 const eddsaService = new EdDSAService();
+const keyService = new KeyManagementService();
+const auditService = new AuditService();
+const delegationService = new DelegationService();
+const { ROLES } = config.MULTISIG_CONFIG;
 
 /**
  * POST /api/keys/generate
- * Generate new EdDSA key pair
+ * Generate new EdDSA key pair bound to a user account. The private key is
+ * encrypted with the given passphrase before it is stored.
+ * Admins may generate keys for another user by passing userId.
  */
-router.post('/generate', async (req, res) => {
+router.post('/generate', authenticate, async (req, res) => {
     try {
-        const { signerInfo } = req.body;
+        const { signerInfo, userId, exportable, passphrase } = req.body;
 
         if (!signerInfo || !signerInfo.role || !signerInfo.name) {
             return res.status(400).json({
@@ -31,6 +43,48 @@ router.post('/generate', async (req, res) => {
             });
         }
 
+        try {
+            keyService.keyVault.validatePassphrase(passphrase);
+        } catch (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError.message
+            });
+        }
+
+        if (exportable && !config.KEY_CONFIG.ALLOW_PRIVATE_KEY_EXPORT) {
+            return res.status(400).json({
+                success: false,
+                message: 'Exportable keys are disabled by policy'
+            });
+        }
+
+        // Resolve the user the key will be bound to
+        let owner = req.user;
+        if (userId && userId !== req.user.id) {
+            if (req.user.role !== ROLES.ADMIN) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only admin can generate keys for another user'
+                });
+            }
+
+            owner = await db.users.get(userId);
+            if (!owner) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+        }
+
+        if (owner.role !== signerInfo.role) {
+            return res.status(403).json({
+                success: false,
+                message: `Key role '${signerInfo.role}' does not match user role '${owner.role}'`
+            });
+        }
+
         // Generate key pair
         const keyPair = eddsaService.generateSignerKeyPair(
             signerInfo.role,
@@ -38,16 +92,14 @@ router.post('/generate', async (req, res) => {
             signerInfo.email || ''
         );
 
-        // Store key pair (in production, store securely in database)
-        if (!global.keyStore) {
-            global.keyStore = new Map();
-        }
-        
-        const keyId = keyPair.signer.id;
-        global.keyStore.set(keyId, {
-            ...keyPair,
-            createdAt: new Date().toISOString(),
-            status: 'active'
+        // Store key pair with the private key encrypted at rest
+        const keyData = await keyService.storeKeyPair(keyPair, owner, { passphrase, exportable });
+        const keyId = keyData.keyId;
+
+        await auditService.record(AuditService.EVENTS.KEY_GENERATED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'key', id: keyId },
+            data: { ownerId: owner.id, role: keyData.signer.role, publicKey: keyData.publicKey }
         });
 
         res.status(201).json({
@@ -57,9 +109,11 @@ router.post('/generate', async (req, res) => {
                 keyId: keyId,
                 publicKey: keyPair.publicKey,
                 signer: keyPair.signer,
+                ownerId: owner.id,
                 metadata: keyPair.metadata,
+                exportable: Boolean(exportable),
                 // Note: privateKey is not returned for security
-                warning: 'Private key is stored securely and not returned in response'
+                warning: 'Private key is stored encrypted on the server; sign by referencing keyId with your passphrase'
             }
         });
     } catch (error) {
@@ -79,27 +133,19 @@ router.get('/:keyId', async (req, res) => {
     try {
         const { keyId } = req.params;
 
-        if (!global.keyStore || !global.keyStore.has(keyId)) {
+        const keyData = await db.keys.get(keyId);
+        if (!keyData) {
             return res.status(404).json({
                 success: false,
                 message: 'Key not found'
             });
         }
 
-        const keyData = global.keyStore.get(keyId);
-
         // Return only public information
         res.json({
             success: true,
             message: 'Key information retrieved successfully',
-            data: {
-                keyId: keyId,
-                publicKey: keyData.publicKey,
-                signer: keyData.signer,
-                metadata: keyData.metadata,
-                status: keyData.status,
-                createdAt: keyData.createdAt
-            }
+            data: keyService.toPublicKey(keyData)
         });
     } catch (error) {
         res.status(500).json({
@@ -116,31 +162,20 @@ router.get('/:keyId', async (req, res) => {
  */
 router.get('/', async (req, res) => {
     try {
-        const { role, status } = req.query;
+        const { role, status, signerId } = req.query;
 
-        if (!global.keyStore) {
-            return res.json({
-                success: true,
-                message: 'No keys found',
-                data: [],
-                total: 0
-            });
-        }
-
-        let keys = Array.from(global.keyStore.entries()).map(([keyId, keyData]) => ({
-            keyId: keyId,
-            publicKey: keyData.publicKey,
-            signer: keyData.signer,
-            metadata: keyData.metadata,
-            status: keyData.status,
-            createdAt: keyData.createdAt
-        }));
+        let keys = (await db.keys.list()).map(keyData => keyService.toPublicKey(keyData));
 
         // Filter by role if specified
         if (role) {
             keys = keys.filter(key => key.signer.role === role);
         }
 
+        // Filter by signer identity (all keys of a signer across rotations)
+        if (signerId) {
+            keys = keys.filter(key => key.signer.id === signerId);
+        }
+
         // Filter by status if specified
         if (status) {
             keys = keys.filter(key => key.status === status);
@@ -199,44 +234,62 @@ router.post('/validate', async (req, res) => {
 
 /**
  * POST /api/keys/:keyId/revoke
- * Revoke a key (mark as inactive)
+ * Revoke a key (mark as inactive). Allowed for the key owner and admins.
  */
-router.post('/:keyId/revoke', async (req, res) => {
+router.post('/:keyId/revoke', authenticate, async (req, res) => {
     try {
         const { keyId } = req.params;
         const { reason } = req.body;
 
-        if (!global.keyStore || !global.keyStore.has(keyId)) {
+        const keyData = await db.keys.get(keyId);
+        if (!keyData) {
             return res.status(404).json({
                 success: false,
                 message: 'Key not found'
             });
         }
 
-        const keyData = global.keyStore.get(keyId);
+        if (keyData.ownerId !== req.user.id && req.user.role !== ROLES.ADMIN) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the key owner or admin can revoke this key'
+            });
+        }
 
-        if (keyData.status === 'revoked') {
+        // Update key status on the latest stored key, so a rotation made meanwhile is kept
+        let revoked = false;
+        const updated = await db.keys.update(keyId, current => {
+            revoked = current.status !== 'revoked';
+            if (!revoked) {
+                return null;
+            }
+            current.status = 'revoked';
+            current.revokedAt = new Date().toISOString();
+            current.revocationReason = reason || 'No reason provided';
+            current.revokedBy = req.user.id;
+            return current;
+        });
+        if (!revoked) {
             return res.status(400).json({
                 success: false,
                 message: 'Key is already revoked'
             });
         }
 
-        // Update key status
-        keyData.status = 'revoked';
-        keyData.revokedAt = new Date().toISOString();
-        keyData.revocationReason = reason || 'No reason provided';
-
-        global.keyStore.set(keyId, keyData);
+        await auditService.record(AuditService.EVENTS.KEY_REVOKED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'key', id: keyId },
+            data: { ownerId: updated.ownerId, reason: updated.revocationReason }
+        });
 
         res.json({
             success: true,
             message: 'Key revoked successfully',
             data: {
                 keyId: keyId,
-                status: keyData.status,
-                revokedAt: keyData.revokedAt,
-                reason: keyData.revocationReason
+                status: updated.status,
+                revokedAt: updated.revokedAt,
+                reason: updated.revocationReason
             }
         });
     } catch (error) {
@@ -249,44 +302,224 @@ router.post('/:keyId/revoke', async (req, res) => {
 });
 
 /**
- * GET /api/keys/:keyId/private
- * Get private key (for authorized users only - in production, implement proper authentication)
+ * POST /api/keys/:keyId/rotate
+ * Replace a key with a new key pair for the same signer identity. The old key
+ * stays valid for overlapDays (default KEY_CONFIG.ROTATION_OVERLAP_DAYS) and
+ * documents it signed while valid keep verifying. Allowed for the key owner
+ * and admins; admins may bind the new key to another user (e.g. a new kaprodi).
  */
-router.get('/:keyId/private', async (req, res) => {
+router.post('/:keyId/rotate', authenticate, rateLimiter.strict, async (req, res) => {
     try {
         const { keyId } = req.params;
-        const { authToken } = req.headers;
+        const { passphrase, userId, exportable, overlapDays, reason, signerInfo = {} } = req.body;
+
+        const oldKey = await db.keys.get(keyId);
+        if (!oldKey) {
+            return res.status(404).json({
+                success: false,
+                message: 'Key not found'
+            });
+        }
+
+        if (oldKey.ownerId !== req.user.id && req.user.role !== ROLES.ADMIN) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the key owner or admin can rotate this key'
+            });
+        }
+
+        try {
+            keyService.keyVault.validatePassphrase(passphrase);
+        } catch (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError.message
+            });
+        }
 
-        // In production, implement proper authentication and authorization
-        if (!authToken) {
-            return res.status(401).json({
+        if (exportable && !config.KEY_CONFIG.ALLOW_PRIVATE_KEY_EXPORT) {
+            return res.status(400).json({
                 success: false,
-                message: 'Authentication required to access private key'
+                message: 'Exportable keys are disabled by policy'
             });
         }
 
-        if (!global.keyStore || !global.keyStore.has(keyId)) {
+        // The new key stays with the current owner unless an admin hands it over
+        let owner = await db.users.get(oldKey.ownerId);
+        if (userId && userId !== oldKey.ownerId) {
+            if (req.user.role !== ROLES.ADMIN) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only admin can rotate a key to another user'
+                });
+            }
+
+            owner = await db.users.get(userId);
+        }
+
+        if (!owner) {
             return res.status(404).json({
                 success: false,
-                message: 'Key not found'
+                message: 'User not found'
+            });
+        }
+
+        if (owner.role !== oldKey.signer.role) {
+            return res.status(403).json({
+                success: false,
+                message: `Key role '${oldKey.signer.role}' does not match user role '${owner.role}'`
+            });
+        }
+
+        const keyPair = eddsaService.generateSignerKeyPair(
+            oldKey.signer.role,
+            signerInfo.name || (owner.id === oldKey.ownerId ? oldKey.signer.name : owner.name),
+            signerInfo.email || (owner.id === oldKey.ownerId ? oldKey.signer.email : owner.email) || ''
+        );
+
+        const result = await keyService.rotateKey(oldKey, keyPair, owner, {
+            passphrase,
+            exportable,
+            overlapDays,
+            reason,
+            rotatedBy: req.user.id
+        });
+        if (!result.keyData) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
             });
         }
 
-        const keyData = global.keyStore.get(keyId);
+        await auditService.record(AuditService.EVENTS.KEY_ROTATED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'key', id: keyId },
+            data: {
+                newKeyId: result.keyData.keyId,
+                ownerId: owner.id,
+                previousOwnerId: oldKey.ownerId,
+                validUntil: result.previousKey.validUntil,
+                reason: result.previousKey.rotationReason
+            }
+        });
 
-        if (keyData.status !== 'active') {
+        res.status(201).json({
+            success: true,
+            message: 'Key rotated successfully',
+            data: {
+                key: keyService.toPublicKey(result.keyData),
+                previousKey: keyService.toPublicKey(result.previousKey)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to rotate key',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/keys/:keyId/passphrase
+ * Change the passphrase protecting a key (key owner only)
+ */
+router.post('/:keyId/passphrase', authenticate, rateLimiter.strict, async (req, res) => {
+    try {
+        const { keyId } = req.params;
+        const { currentPassphrase, newPassphrase } = req.body;
+
+        if (!currentPassphrase || !newPassphrase) {
             return res.status(400).json({
                 success: false,
-                message: 'Key is not active'
+                message: 'Missing required fields: currentPassphrase, newPassphrase'
+            });
+        }
+
+        const keyData = await db.keys.get(keyId);
+        if (!keyData) {
+            return res.status(404).json({
+                success: false,
+                message: 'Key not found'
+            });
+        }
+
+        if (keyData.ownerId !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the key owner can change the passphrase'
+            });
+        }
+
+        const result = await keyService.changePassphrase(keyData, currentPassphrase, newPassphrase);
+        if (!result.keyData) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
             });
         }
 
+        res.json({
+            success: true,
+            message: 'Key passphrase changed successfully',
+            data: {
+                keyId: keyId,
+                passphraseChangedAt: result.keyData.passphraseChangedAt
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to change key passphrase',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/keys/:keyId/private
+ * Export private key. Only allowed when KEY_CONFIG.ALLOW_PRIVATE_KEY_EXPORT
+ * is enabled, the key was generated as exportable and the caller owns it
+ * and supplies its passphrase.
+ */
+router.post('/:keyId/private', authenticate, rateLimiter.strict, async (req, res) => {
+    try {
+        const { keyId } = req.params;
+        const { passphrase } = req.body;
+
+        const keyData = await db.keys.get(keyId);
+        if (!keyData) {
+            return res.status(404).json({
+                success: false,
+                message: 'Key not found'
+            });
+        }
+
+        const policy = keyService.checkExportPolicy(keyData, req.user);
+        if (!policy.allowed) {
+            return res.status(policy.status).json({
+                success: false,
+                message: policy.message
+            });
+        }
+
+        const { privateKey, status, message } = await keyService.unlockPrivateKey(keyData, passphrase);
+        if (!privateKey) {
+            return res.status(status).json({
+                success: false,
+                message: message
+            });
+        }
+
+        keyData.exportedAt = new Date().toISOString();
+        await db.keys.set(keyId, keyData);
+
         res.json({
             success: true,
             message: 'Private key retrieved successfully',
             data: {
                 keyId: keyId,
-                privateKey: keyData.privateKey,
+                privateKey: privateKey,
                 publicKey: keyData.publicKey,
                 signer: keyData.signer,
                 warning: 'Keep private key secure and never share it'
@@ -301,6 +534,247 @@ router.get('/:keyId/private', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/keys/delegations/:delegationId
+ * Get a signing mandate with its signature and status (for verification purposes)
+ */
+router.get('/delegations/:delegationId', async (req, res) => {
+    try {
+        const delegation = await db.delegations.get(req.params.delegationId);
+        if (!delegation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delegation not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Delegation retrieved successfully',
+            data: delegationService.describe(delegation)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve delegation',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/keys/delegations/:delegationId/revoke
+ * Revoke a signing mandate. Signatures made under it before the revocation
+ * stay valid. Allowed for the delegator's key owner and admins.
+ */
+router.post('/delegations/:delegationId/revoke', authenticate, async (req, res) => {
+    try {
+        const { delegationId } = req.params;
+        const { reason } = req.body;
+
+        const delegation = await db.delegations.get(delegationId);
+        if (!delegation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delegation not found'
+            });
+        }
+
+        const delegatorKey = await db.keys.get(delegation.delegatorKeyId);
+        if ((!delegatorKey || delegatorKey.ownerId !== req.user.id) && req.user.role !== ROLES.ADMIN) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the delegator or admin can revoke this delegation'
+            });
+        }
+
+        try {
+            await delegationService.revoke(delegation, reason, req.user);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        await auditService.record(AuditService.EVENTS.DELEGATION_REVOKED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'key', id: delegation.delegatorKeyId },
+            data: {
+                delegationId: delegationId,
+                delegateKeyId: delegation.delegateKeyId,
+                reason: delegation.revocationReason
+            }
+        });
+
+        res.json({
+            success: true,
+            message: 'Delegation revoked successfully',
+            data: delegationService.describe(delegation)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke delegation',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/keys/:keyId/delegations
+ * Signing mandates a key has issued and received
+ */
+router.get('/:keyId/delegations', async (req, res) => {
+    try {
+        const { keyId } = req.params;
+
+        if (!(await db.keys.has(keyId))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Key not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Delegations retrieved successfully',
+            data: await delegationService.listForKey(keyId)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve delegations',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/keys/:keyId/delegations/payload
+ * Draft a signing mandate for client-side signing. Body: { delegateKeyId,
+ * documentTypes, validFrom, validUntil, reason }. The delegator signs the
+ * returned message (utf8) with tweetnacl and POSTs { mandate, signature }
+ * to /api/keys/:keyId/delegations before expiresAt.
+ */
+router.post('/:keyId/delegations/payload', authenticate, async (req, res) => {
+    try {
+        const { keyData, status, message } = await keyService.resolveSignerKey(req.params.keyId, req.user);
+        if (!keyData) {
+            return res.status(status).json({
+                success: false,
+                message: message
+            });
+        }
+
+        let draft;
+        try {
+            draft = await delegationService.draftMandate(keyData, req.body);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Mandate payload created successfully',
+            data: {
+                ...draft,
+                encoding: 'utf8',
+                algorithm: 'Ed25519',
+                expiresAt: new Date(Date.parse(draft.mandate.issuedAt) + config.DELEGATION_CONFIG.MANDATE_MAX_AGE_MS).toISOString()
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create mandate payload',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/keys/:keyId/delegations
+ * Delegate the key's role to another key (Plh/Plt) for some document types
+ * and a limited period. The mandate is signed with this key, so only its
+ * owner can issue it. Either:
+ *  - client-side: { mandate, signature } with the mandate from
+ *    delegations/payload and a detached base64 signature over its message, or
+ *  - custodial: { passphrase, delegateKeyId, documentTypes, validFrom,
+ *    validUntil, reason } and the server signs with the stored key
+ */
+router.post('/:keyId/delegations', authenticate, async (req, res) => {
+    try {
+        const { keyId } = req.params;
+        const { passphrase, mandate, signature } = req.body;
+
+        if (!passphrase && !(mandate && signature)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: either mandate + signature or passphrase'
+            });
+        }
+
+        const resolved = signature ?
+            await keyService.resolveSignerKey(keyId, req.user) :
+            await keyService.resolveSigningKey(keyId, req.user, passphrase);
+        if (!resolved.keyData) {
+            return res.status(resolved.status).json({
+                success: false,
+                message: resolved.message
+            });
+        }
+        const { keyData } = resolved;
+
+        let delegation;
+        try {
+            let signed = { mandate, signature };
+            if (!signature) {
+                const draft = await delegationService.draftMandate(keyData, req.body);
+                signed = {
+                    mandate: draft.mandate,
+                    signature: delegationService.signMandate(draft.mandate, resolved.privateKey)
+                };
+            }
+            delegation = await delegationService.register(keyData, signed.mandate, signed.signature);
+        } catch (error) {
+            return res.status(error.code === 'DUPLICATE_ID' ? 409 : 400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        await auditService.record(AuditService.EVENTS.DELEGATION_CREATED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'key', id: keyId },
+            data: {
+                mode: signature ? 'client' : 'custodial',
+                delegationId: delegation.delegationId,
+                delegateKeyId: delegation.delegateKeyId,
+                roles: delegation.mandate.roles,
+                documentTypes: delegation.mandate.documentTypes,
+                validFrom: delegation.mandate.validFrom,
+                validUntil: delegation.mandate.validUntil
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Delegation created successfully',
+            data: delegationService.describe(delegation)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create delegation',
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/keys/algorithm/info
  * Get algorithm information
@@ -4,54 +4,273 @@ const crypto = require('crypto');
 const EdDSAService = require('../services/eddsaService');
 const MultiSignatureService = require('../services/multiSignatureService');
 const QRCodeService = require('../services/qrCodeService');
+const KeyManagementService = require('../services/keyManagementService');
+const AuditService = require('../services/auditService');
+const TimestampService = require('../services/timestampService');
+const SignatureEncodingService = require('../services/signatureEncodingService');
+const RevocationService = require('../services/revocationService');
+const DelegationService = require('../services/delegationService');
+const { authenticate, authorize } = require('../middleware/auth');
+const db = require('../database');
 const config = require('../config/config');
 
 const router = express.Router();
 const eddsaService = new EdDSAService();
 const multiSigService = new MultiSignatureService();
 const qrCodeService = new QRCodeService();
+const keyService = new KeyManagementService();
+const auditService = new AuditService();
+const timestampService = new TimestampService();
+const encodingService = new SignatureEncodingService();
+const revocationService = new RevocationService();
+const delegationService = new DelegationService();
+const { ROLES } = config.MULTISIG_CONFIG;
+const SESSION_STATUS = MultiSignatureService.STATUS;
+
+// Signatures the session refuses are the signer's error (400) or lost to another signature (409)
+const REFUSAL_STATUS = {
+    [MultiSignatureService.REFUSALS.INVALID]: 400,
+    [MultiSignatureService.REFUSALS.CONFLICT]: 409
+};
+
+// Signers are addressed by signer ID; a role still works while a single signer holds it
+const signerNotFound = (session, signerId) => (session.requiredSigners.some(s => s.role === signerId) ?
+    `Several signers have role '${signerId}'; use the signer ID` :
+    `Signer '${signerId}' is not required for this document`);
+
+// Release the document of a closed session: rejected documents stay marked, the others go back to draft
+const releaseDocument = async (session) => {
+    const document = await db.documents.get(session.documentId);
+    if (document && document.multiSigSessionId === session.sessionId) {
+        document.status = session.status === SESSION_STATUS.REJECTED ? 'rejected' : 'draft';
+        document.multiSigSessionId = null;
+        document.updatedAt = new Date().toISOString();
+        await db.documents.set(session.documentId, document);
+    }
+};
+
+// Load a session, expiring it first when its signing deadline has passed
+const loadSession = async (sessionId) => {
+    const session = await db.multiSigSessions.get(sessionId);
+    if (!session || !multiSigService.expireIfDue(session)) {
+        return session;
+    }
+
+    // Another request may have completed or closed the session in the meantime
+    let expired = false;
+    const latest = await db.multiSigSessions.update(sessionId, current => {
+        expired = Boolean(current) && multiSigService.expireIfDue(current);
+        return expired ? current : null;
+    });
+    if (expired) {
+        await releaseDocument(latest);
+        await auditService.record(AuditService.EVENTS.SESSION_EXPIRED, {
+            subject: { type: 'document', id: latest.documentId },
+            data: { sessionId: sessionId, expiresAt: latest.expiresAt }
+        });
+    }
+    return latest;
+};
+
+// Apply a change to the latest stored session while it is locked; when the service refuses the
+// change, nothing is written and its error is returned as { error }
+const updateSession = async (sessionId, change) => {
+    let result = null;
+    let error = null;
+    const session = await db.multiSigSessions.update(sessionId, current => {
+        try {
+            result = change(current);
+            return current;
+        } catch (refusal) {
+            error = refusal;
+            return null;
+        }
+    });
+    return { session, result, error };
+};
+
+// Answer a signature the session refused; any other error is a failure and is rethrown
+const refuseSignature = (res, error) => {
+    const status = REFUSAL_STATUS[error.code];
+    if (!status) {
+        throw error;
+    }
+    return res.status(status).json({
+        success: false,
+        message: error.message
+    });
+};
+
+// The caller acts for a signer with their own key of the signer's role (the bound key, if any)
+const resolveActingSigner = async (req, session, signerId, keyId) => {
+    const requiredSigner = multiSigService.findSigner(session, signerId);
+    if (!requiredSigner) {
+        return { status: 400, message: signerNotFound(session, signerId) };
+    }
+
+    const { keyData, status, message } = await keyService.resolveSignerKey(keyId, req.user);
+    if (!keyData) {
+        return { status, message };
+    }
+
+    if (keyData.signer.role !== requiredSigner.role) {
+        return { status: 403, message: `Key is registered for role '${keyData.signer.role}', cannot act as '${requiredSigner.role}'` };
+    }
+
+    if (requiredSigner.keyId && requiredSigner.keyId !== keyData.keyId) {
+        return { status: 403, message: `Signer '${signerId}' is bound to key '${requiredSigner.keyId}'` };
+    }
+
+    return { requiredSigner, keyData };
+};
+
+// A key signs as its own role, or under a mandate of the role's holder (Plh/Plt); returns { onBehalfOf } or { status, message }
+const resolveSigningAuthority = async (session, signerId, keyData, delegationId) => {
+    const requiredSigner = multiSigService.findSigner(session, signerId);
+    const { role } = requiredSigner;
+
+    if (!delegationId) {
+        if (keyData.signer.role !== role) {
+            return { status: 403, message: `Key is registered for role '${keyData.signer.role}', cannot sign as '${role}'` };
+        }
+        if (requiredSigner.keyId && requiredSigner.keyId !== keyData.keyId) {
+            return { status: 403, message: `Signer '${signerId}' must sign with key '${requiredSigner.keyId}'` };
+        }
+        return { onBehalfOf: null };
+    }
+
+    const mandate = await delegationService.checkMandate(delegationId, {
+        keyId: keyData.keyId,
+        role: role,
+        documentType: session.documentMetadata ? session.documentMetadata.type : null,
+        signedAt: new Date().toISOString()
+    });
+    if (!mandate.valid) {
+        return { status: 403, message: mandate.reason };
+    }
+    if (requiredSigner.keyId && requiredSigner.keyId !== mandate.delegator.keyId) {
+        return { status: 403, message: `Signer '${signerId}' must sign with key '${requiredSigner.keyId}'` };
+    }
+
+    return {
+        onBehalfOf: {
+            delegationId: delegationId,
+            keyId: mandate.delegator.keyId,
+            name: mandate.delegator.name,
+            role: mandate.delegator.role
+        }
+    };
+};
 
 /**
  * POST /api/signatures/single
- * Create single signature for document
+ * Create single signature for document using the caller's custodial key, if
+ * its role may sign documents of that type alone (SINGLE_SIGNER_ROLES)
  */
-router.post('/single', async (req, res) => {
+router.post('/single', authenticate, async (req, res) => {
     try {
-        const { documentId, signerInfo, privateKey } = req.body;
+        const { documentId, keyId, passphrase } = req.body;
 
         // Validate required fields
-        if (!documentId || !signerInfo || !privateKey) {
+        if (!documentId || !keyId || !passphrase) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields: documentId, signerInfo, privateKey'
+                message: 'Missing required fields: documentId, keyId, passphrase'
             });
         }
 
         // Get document
-        if (!global.documentStore || !global.documentStore.has(documentId)) {
+        const document = await db.documents.get(documentId);
+        if (!document) {
             return res.status(404).json({
                 success: false,
                 message: 'Document not found'
             });
         }
 
-        const document = global.documentStore.get(documentId);
+        // Documents waiting on a signing session, signed or revoked cannot be signed again
+        if (!config.DOCUMENT_CONFIG.SIGNABLE_STATUSES.includes(document.status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot sign a ${document.status} document`
+            });
+        }
+
+        // Unlock the caller's key; the private key never leaves the server
+        const { keyData, privateKey, status, message } = await keyService.resolveSigningKey(keyId, req.user, passphrase);
+        if (!keyData) {
+            return res.status(status).json({
+                success: false,
+                message: message
+            });
+        }
+
+        // Signing alone is reserved to the roles configured for the document type
+        const singleSignerRoles = config.DOCUMENT_CONFIG.SINGLE_SIGNER_ROLES[document.type] || [];
+        if (!singleSignerRoles.includes(keyData.signer.role)) {
+            return res.status(403).json({
+                success: false,
+                message: `Role '${keyData.signer.role}' may not sign '${document.type}' documents alone; use a multi-signature session`
+            });
+        }
 
         // Create signature
-        const signature = eddsaService.signDocument(document, privateKey, signerInfo);
+        const signature = eddsaService.signDocument(document, privateKey, {
+            name: keyData.signer.name,
+            email: keyData.signer.email,
+            role: keyData.signer.role,
+            keyId: keyData.keyId,
+            userId: req.user.id
+        });
 
-        // Store signature
-        if (!global.signatureStore) {
-            global.signatureStore = new Map();
+        // Same signature in the standard JWS/COSE encodings
+        signature.encodings = encodingService.sign(encodingService.statementFor(signature), {
+            keyId: keyData.keyId,
+            role: keyData.signer.role,
+            signedAt: signature.envelope.signedAt
+        }, privateKey);
+
+        // Have a TSA attest the signing time
+        const { timestamp, error: timestampError } = await timestampService.timestampSignature(signature.signature);
+        signature.timestamp = timestamp;
+        if (timestampError) {
+            signature.timestampError = timestampError;
         }
-        global.signatureStore.set(signature.documentId, signature);
 
-        // Update document status
-        document.status = 'signed';
-        document.signature = signature;
-        document.signedAt = signature.metadata.signedAt;
-        document.updatedAt = new Date().toISOString();
-        global.documentStore.set(documentId, document);
+        // Update document status, unless another request prepared or signed it meanwhile
+        let accepted = false;
+        const latest = await db.documents.update(documentId, current => {
+            accepted = config.DOCUMENT_CONFIG.SIGNABLE_STATUSES.includes(current.status);
+            if (!accepted) {
+                return null;
+            }
+            current.status = 'signed';
+            current.signature = signature;
+            current.signedAt = signature.metadata.signedAt;
+            current.updatedAt = new Date().toISOString();
+            return current;
+        });
+        if (!accepted) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot sign a ${latest.status} document`
+            });
+        }
+
+        // Store signature
+        await db.signatures.set(signature.documentId, signature);
+
+        await auditService.record(AuditService.EVENTS.SIGNATURE_ADDED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'document', id: documentId },
+            data: {
+                mode: 'single',
+                keyId: keyData.keyId,
+                role: keyData.signer.role,
+                documentHash: signature.documentHash,
+                signedAt: signature.metadata.signedAt
+            }
+        });
 
         res.json({
             success: true,
@@ -61,6 +280,7 @@ router.post('/single', async (req, res) => {
                 documentId: documentId,
                 signer: signature.signer,
                 signedAt: signature.metadata.signedAt,
+                timestamp: signature.timestamp,
                 algorithm: signature.metadata.algorithm
             }
         });
@@ -74,54 +294,285 @@ router.post('/single', async (req, res) => {
 });
 
 /**
- * POST /api/signatures/multi/:sessionId/:role
- * Add signature to multi-signature session
+ * GET /api/signatures/multi/:sessionId/:signerId/payload?keyId=...&delegationId=...
+ * Get a signing payload for client-side signing. The signer signs `message`
+ * with tweetnacl (nacl.sign.detached) and POSTs only the signature. Acting
+ * officials pass the delegationId of a mandate for the signer's role.
  */
-router.post('/multi/:sessionId/:role', async (req, res) => {
+router.get('/multi/:sessionId/:signerId/payload', authenticate, async (req, res) => {
     try {
-        const { sessionId, role } = req.params;
-        const { signerInfo, privateKey } = req.body;
+        const { sessionId, signerId } = req.params;
+        const { keyId, delegationId } = req.query;
+
+        if (!keyId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required query parameter: keyId'
+            });
+        }
+
+        const session = await loadSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Multi-signature session not found'
+            });
+        }
+
+        // Closed sessions accept no more signatures
+        const closedReason = multiSigService.getClosedReason(session);
+        if (closedReason) {
+            return res.status(409).json({
+                success: false,
+                message: closedReason
+            });
+        }
+
+        const requiredSigner = multiSigService.findSigner(session, signerId);
+        if (!requiredSigner) {
+            return res.status(400).json({
+                success: false,
+                message: signerNotFound(session, signerId)
+            });
+        }
+        const { role } = requiredSigner;
+
+        // Earlier stages of an ordered workflow must be complete first
+        const order = multiSigService.checkWorkflowOrder(session, role);
+        if (!order.allowed) {
+            return res.status(409).json({
+                success: false,
+                message: order.reason
+            });
+        }
+
+        const { keyData, status, message } = await keyService.resolveSignerKey(keyId, req.user);
+        if (!keyData) {
+            return res.status(status).json({
+                success: false,
+                message: message
+            });
+        }
+
+        const authority = await resolveSigningAuthority(session, signerId, keyData, delegationId);
+        if (authority.status) {
+            return res.status(authority.status).json({
+                success: false,
+                message: authority.message
+            });
+        }
+        const { onBehalfOf } = authority;
+
+        // Record the issued challenge on the latest stored session so the signature can be matched to it
+        const { result: signingPayload, error: refused } = await updateSession(sessionId, current =>
+            multiSigService.createSigningPayload(current, signerId, keyId, onBehalfOf));
+        if (refused) {
+            return refuseSignature(res, refused);
+        }
+
+        // Inputs for the optional JWS/COSE signatures over the session statement
+        const statement = encodingService.statementForSession(session);
+        if (statement) {
+            signingPayload.encodings = encodingService.signingInputs(statement, {
+                keyId: keyId,
+                role: role,
+                signedAt: signingPayload.payload.signedAt,
+                delegationId: delegationId
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Signing payload created successfully',
+            data: signingPayload
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create signing payload',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/signatures/multi/:sessionId/:signerId
+ * Add signature to multi-signature session. Either:
+ *  - client-side: { keyId, payload, signature } where signature is a detached
+ *    base64 Ed25519 signature over the payload's message, optionally with
+ *    encodings: { jws, cose } signatures over the payload's encodings inputs, or
+ *  - custodial: { keyId, passphrase } and the server signs with the stored key
+ * Acting officials add the delegationId of a mandate for the signer's role
+ * (client-side: the one the payload was issued under).
+ */
+router.post('/multi/:sessionId/:signerId', authenticate, async (req, res) => {
+    try {
+        const { sessionId, signerId } = req.params;
+        const { keyId, passphrase, payload, signature, encodings, delegationId } = req.body;
 
         // Validate required fields
-        if (!signerInfo || !privateKey) {
+        if (!keyId || (!passphrase && !(payload && signature))) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields: signerInfo, privateKey'
+                message: 'Missing required fields: keyId and either payload + signature or passphrase'
             });
         }
 
         // Get multi-signature session
-        if (!global.multiSigStore || !global.multiSigStore.has(sessionId)) {
+        const session = await loadSession(sessionId);
+        if (!session) {
             return res.status(404).json({
                 success: false,
                 message: 'Multi-signature session not found'
             });
         }
 
-        const session = global.multiSigStore.get(sessionId);
+        // Closed sessions accept no more signatures
+        const closedReason = multiSigService.getClosedReason(session);
+        if (closedReason) {
+            return res.status(409).json({
+                success: false,
+                message: closedReason
+            });
+        }
+
+        const requiredSigner = multiSigService.findSigner(session, signerId);
+        if (!requiredSigner) {
+            return res.status(400).json({
+                success: false,
+                message: signerNotFound(session, signerId)
+            });
+        }
+        const { role } = requiredSigner;
+
+        // Earlier stages of an ordered workflow must be complete first
+        const order = multiSigService.checkWorkflowOrder(session, role);
+        if (!order.allowed) {
+            return res.status(409).json({
+                success: false,
+                message: order.reason
+            });
+        }
+
+        // Only the user bound to a key of this role may sign as this role
+        const resolved = signature ?
+            await keyService.resolveSignerKey(keyId, req.user) :
+            await keyService.resolveSigningKey(keyId, req.user, passphrase);
+        const { keyData } = resolved;
+        if (!keyData) {
+            return res.status(resolved.status).json({
+                success: false,
+                message: resolved.message
+            });
+        }
 
-        // Add signature to session
-        const updatedSession = multiSigService.addSignature(
-            session,
-            role,
-            privateKey,
-            signerInfo
-        );
+        const authority = await resolveSigningAuthority(session, signerId, keyData, delegationId);
+        if (authority.status) {
+            return res.status(authority.status).json({
+                success: false,
+                message: authority.message
+            });
+        }
+        const { onBehalfOf } = authority;
 
-        // Update session in store
-        global.multiSigStore.set(sessionId, updatedSession);
+        let signed = { payload, signature };
+        if (!signature) {
+            // Custodial mode: issue and sign the same payload a client would have signed
+            const { result: signingPayload, error: refused } = await updateSession(sessionId, current =>
+                multiSigService.createSigningPayload(current, signerId, keyId, onBehalfOf));
+            if (refused) {
+                return refuseSignature(res, refused);
+            }
+            signed = {
+                payload: signingPayload.payload,
+                signature: eddsaService.sign(signingPayload.message, resolved.privateKey).signature
+            };
+        }
+
+        // JWS/COSE signatures over the session statement, made with the same key
+        const statement = encodingService.statementForSession(session);
+        let signatureEncodings;
+        if (statement && (!signature || encodings)) {
+            const encodingSigner = {
+                keyId: keyData.keyId,
+                role: role,
+                signedAt: signed.payload.signedAt,
+                delegationId: delegationId
+            };
+            if (signature) {
+                const accepted = encodingService.acceptSignatures(statement, encodingSigner, encodings, keyData.publicKey);
+                if (!accepted.encodings) {
+                    return res.status(400).json({
+                        success: false,
+                        message: accepted.message
+                    });
+                }
+                signatureEncodings = accepted.encodings;
+            } else {
+                signatureEncodings = encodingService.sign(statement, encodingSigner, resolved.privateKey);
+            }
+        }
+
+        // Have a TSA attest the signing time of the new signature
+        const { timestamp, error: timestampError } = await timestampService.timestampSignature(signed.signature);
+
+        // Add signature to the latest stored session (verified against the registered public key),
+        // so signers signing at the same time do not overwrite each other
+        const { session: updatedSession, error: refused } = await updateSession(sessionId, current => {
+            multiSigService.addSignature(
+                current,
+                signerId,
+                signed,
+                {
+                    name: keyData.signer.name,
+                    email: keyData.signer.email,
+                    keyId: keyData.keyId,
+                    publicKey: keyData.publicKey,
+                    userId: req.user.id,
+                    onBehalfOf: onBehalfOf
+                }
+            );
+
+            const addedSignature = current.signatures[current.signatures.length - 1];
+            if (signatureEncodings) {
+                addedSignature.encodings = signatureEncodings;
+            }
+            addedSignature.timestamp = timestamp;
+            if (timestampError) {
+                addedSignature.timestampError = timestampError;
+            }
+        });
+        if (refused) {
+            return refuseSignature(res, refused);
+        }
 
         // If session is completed, update document status
         if (updatedSession.status === 'completed') {
-            const document = global.documentStore?.get(updatedSession.documentId);
+            const document = await db.documents.get(updatedSession.documentId);
             if (document) {
                 document.status = 'signed';
                 document.signedAt = updatedSession.completedAt;
                 document.updatedAt = new Date().toISOString();
-                global.documentStore.set(updatedSession.documentId, document);
+                await db.documents.set(updatedSession.documentId, document);
             }
         }
 
+        await auditService.record(AuditService.EVENTS.SIGNATURE_ADDED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'document', id: updatedSession.documentId },
+            data: {
+                mode: signature ? 'client' : 'custodial',
+                sessionId: sessionId,
+                keyId: keyData.keyId,
+                signerId: requiredSigner.signerId || null,
+                role: role,
+                delegationId: delegationId || null,
+                onBehalfOfKeyId: onBehalfOf ? onBehalfOf.keyId : null,
+                documentHash: updatedSession.documentHash,
+                sessionStatus: updatedSession.status
+            }
+        });
+
         // Get signing progress
         const progress = multiSigService.getSigningProgress(updatedSession);
 
@@ -130,7 +581,9 @@ router.post('/multi/:sessionId/:role', async (req, res) => {
             message: 'Signature added successfully',
             data: {
                 sessionId: sessionId,
+                signerId: requiredSigner.signerId || null,
                 signerRole: role,
+                onBehalfOf: onBehalfOf,
                 sessionStatus: updatedSession.status,
                 progress: progress,
                 signedAt: new Date().toISOString()
@@ -145,23 +598,268 @@ router.post('/multi/:sessionId/:role', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/signatures/multi/:sessionId/:signerId/reject
+ * Reject the document as a pending signer (body: keyId, reason). The session
+ * is closed with status 'rejected' and the document is marked rejected.
+ */
+router.post('/multi/:sessionId/:signerId/reject', authenticate, async (req, res) => {
+    try {
+        const { sessionId, signerId } = req.params;
+        const { keyId, reason } = req.body;
+
+        if (!keyId || !reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: keyId, reason'
+            });
+        }
+
+        const session = await loadSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Multi-signature session not found'
+            });
+        }
+
+        const acting = await resolveActingSigner(req, session, signerId, keyId);
+        if (!acting.requiredSigner) {
+            return res.status(acting.status).json({
+                success: false,
+                message: acting.message
+            });
+        }
+
+        const { session: rejected, error } = await updateSession(sessionId, current =>
+            multiSigService.rejectSession(current, signerId, reason, req.user));
+        if (error) {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+        await releaseDocument(rejected);
+
+        await auditService.record(AuditService.EVENTS.SESSION_REJECTED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'document', id: session.documentId },
+            data: {
+                sessionId: sessionId,
+                signerId: acting.requiredSigner.signerId || null,
+                role: acting.requiredSigner.role,
+                keyId: acting.keyData.keyId,
+                reason: rejected.statusReason
+            }
+        });
+
+        res.json({
+            success: true,
+            message: 'Document rejected',
+            data: {
+                sessionId: sessionId,
+                signerId: acting.requiredSigner.signerId || null,
+                status: rejected.status,
+                rejectedAt: rejected.rejectedAt,
+                reason: rejected.statusReason
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reject document',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/signatures/multi/:sessionId/:signerId/request-revision
+ * Send the document back for revision as a pending signer (body: keyId,
+ * reason). The signatures collected so far are invalidated, the session is
+ * closed with status 'revision_requested' and the document returns to draft
+ * so it can be edited and prepared for signing again.
+ */
+router.post('/multi/:sessionId/:signerId/request-revision', authenticate, async (req, res) => {
+    try {
+        const { sessionId, signerId } = req.params;
+        const { keyId, reason } = req.body;
+
+        if (!keyId || !reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: keyId, reason'
+            });
+        }
+
+        const session = await loadSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Multi-signature session not found'
+            });
+        }
+
+        const acting = await resolveActingSigner(req, session, signerId, keyId);
+        if (!acting.requiredSigner) {
+            return res.status(acting.status).json({
+                success: false,
+                message: acting.message
+            });
+        }
+
+        const { session: revised, error } = await updateSession(sessionId, current =>
+            multiSigService.requestRevision(current, signerId, reason, req.user));
+        if (error) {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+        await releaseDocument(revised);
+
+        await auditService.record(AuditService.EVENTS.SESSION_REVISION_REQUESTED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'document', id: session.documentId },
+            data: {
+                sessionId: sessionId,
+                signerId: acting.requiredSigner.signerId || null,
+                role: acting.requiredSigner.role,
+                keyId: acting.keyData.keyId,
+                reason: revised.statusReason,
+                signaturesInvalidated: revised.signatures.length
+            }
+        });
+
+        res.json({
+            success: true,
+            message: 'Revision requested; the document is back in draft',
+            data: {
+                sessionId: sessionId,
+                signerId: acting.requiredSigner.signerId || null,
+                status: revised.status,
+                revisionRequestedAt: revised.revisionRequestedAt,
+                reason: revised.statusReason,
+                signaturesInvalidated: revised.signatures.length
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to request revision',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/signatures/multi/:sessionId/:signerId/delegate
+ * Hand a pending signer over to another user's key of the same role (body:
+ * keyId, delegateKeyId, reason). Only the delegate key may sign for the
+ * signer afterwards.
+ */
+router.post('/multi/:sessionId/:signerId/delegate', authenticate, async (req, res) => {
+    try {
+        const { sessionId, signerId } = req.params;
+        const { keyId, delegateKeyId, reason } = req.body;
+
+        if (!keyId || !delegateKeyId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: keyId, delegateKeyId'
+            });
+        }
+
+        const session = await loadSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Multi-signature session not found'
+            });
+        }
+
+        const acting = await resolveActingSigner(req, session, signerId, keyId);
+        if (!acting.requiredSigner) {
+            return res.status(acting.status).json({
+                success: false,
+                message: acting.message
+            });
+        }
+
+        const delegateKey = await db.keys.get(delegateKeyId);
+        if (!delegateKey) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delegate key not found'
+            });
+        }
+
+        if (delegateKey.status !== 'active') {
+            return res.status(400).json({
+                success: false,
+                message: 'Delegate key is not active'
+            });
+        }
+
+        const { result: signer, error } = await updateSession(sessionId, current =>
+            multiSigService.delegateSigner(current, signerId, delegateKey, reason, req.user, acting.keyData.keyId));
+        if (error) {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        await auditService.record(AuditService.EVENTS.SESSION_SIGNER_DELEGATED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'document', id: session.documentId },
+            data: {
+                sessionId: sessionId,
+                signerId: signer.signerId || null,
+                role: signer.role,
+                fromKeyId: acting.keyData.keyId,
+                toKeyId: delegateKey.keyId,
+                reason: reason || null
+            }
+        });
+
+        res.json({
+            success: true,
+            message: 'Signer delegated successfully',
+            data: {
+                sessionId: sessionId,
+                signerId: signer.signerId || null,
+                role: signer.role,
+                keyId: signer.keyId,
+                delegatedFrom: signer.delegatedFrom
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delegate signer',
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/signatures/session/:sessionId
- * Get multi-signature session details
+ * Get multi-signature session details with its timeline
  */
-router.get('/session/:sessionId', async (req, res) => {
+router.get('/session/:sessionId', authenticate, async (req, res) => {
     try {
         const { sessionId } = req.params;
 
         // Get session
-        if (!global.multiSigStore || !global.multiSigStore.has(sessionId)) {
+        const session = await loadSession(sessionId);
+        if (!session) {
             return res.status(404).json({
                 success: false,
                 message: 'Multi-signature session not found'
             });
         }
 
-        const session = global.multiSigStore.get(sessionId);
         const progress = multiSigService.getSigningProgress(session);
 
         res.json({
@@ -175,7 +873,10 @@ router.get('/session/:sessionId', async (req, res) => {
                 createdAt: session.createdAt,
                 completedAt: session.completedAt,
                 expiresAt: session.expiresAt,
-                progress: progress
+                closedAt: progress.timeInfo.closedAt,
+                statusReason: session.statusReason || null,
+                progress: progress,
+                timeline: session.timeline || []
             }
         });
     } catch (error) {
@@ -188,41 +889,59 @@ router.get('/session/:sessionId', async (req, res) => {
 });
 
 /**
- * GET /api/signatures/session/:sessionId/qr/:role
+ * GET /api/signatures/session/:sessionId/qr/:signerId
  * Generate QR code for signing request
  */
-router.get('/session/:sessionId/qr/:role', async (req, res) => {
+router.get('/session/:sessionId/qr/:signerId', authenticate, async (req, res) => {
     try {
-        const { sessionId, role } = req.params;
+        const { sessionId, signerId } = req.params;
 
         // Check if session exists
-        if (!global.multiSigStore || !global.multiSigStore.has(sessionId)) {
+        const session = await loadSession(sessionId);
+        if (!session) {
             return res.status(404).json({
                 success: false,
                 message: 'Multi-signature session not found'
             });
         }
 
-        const session = global.multiSigStore.get(sessionId);
+        // Closed sessions accept no more signatures
+        const closedReason = multiSigService.getClosedReason(session);
+        if (closedReason) {
+            return res.status(409).json({
+                success: false,
+                message: closedReason
+            });
+        }
 
-        // Check if role is required and not yet signed
-        const requiredSigner = session.requiredSigners.find(s => s.role === role);
+        // Check if signer is required and not yet signed
+        const requiredSigner = multiSigService.findSigner(session, signerId);
         if (!requiredSigner) {
             return res.status(400).json({
                 success: false,
-                message: `Role '${role}' is not required for this document`
+                message: signerNotFound(session, signerId)
             });
         }
+        const { role } = requiredSigner;
 
         if (requiredSigner.status === 'signed') {
             return res.status(400).json({
                 success: false,
-                message: `Role '${role}' has already signed this document`
+                message: `Signer '${signerId}' has already signed this document`
+            });
+        }
+
+        // Earlier stages of an ordered workflow must be complete first
+        const order = multiSigService.checkWorkflowOrder(session, role);
+        if (!order.allowed) {
+            return res.status(409).json({
+                success: false,
+                message: order.reason
             });
         }
 
         // Generate signing QR code
-        const qrResult = await qrCodeService.generateSigningQR(sessionId, role);
+        const qrResult = await qrCodeService.generateSigningQR(sessionId, requiredSigner);
 
         res.json({
             success: true,
@@ -232,6 +951,7 @@ router.get('/session/:sessionId/qr/:role', async (req, res) => {
                 qrData: qrResult.qrData,
                 signingUrl: qrResult.signingUrl,
                 sessionId: sessionId,
+                signerId: requiredSigner.signerId || null,
                 signerRole: role
             }
         });
@@ -248,20 +968,19 @@ router.get('/session/:sessionId/qr/:role', async (req, res) => {
  * GET /api/signatures/:documentId
  * Get signature(s) for a document
  */
-router.get('/:documentId', async (req, res) => {
+router.get('/:documentId', authenticate, async (req, res) => {
     try {
         const { documentId } = req.params;
 
         // Get document
-        if (!global.documentStore || !global.documentStore.has(documentId)) {
+        const document = await db.documents.get(documentId);
+        if (!document) {
             return res.status(404).json({
                 success: false,
                 message: 'Document not found'
             });
         }
 
-        const document = global.documentStore.get(documentId);
-
         let signatureData = null;
 
         // Check for single signature
@@ -273,7 +992,7 @@ router.get('/:documentId', async (req, res) => {
         }
         // Check for multi-signature
         else if (document.multiSigSessionId) {
-            const session = global.multiSigStore?.get(document.multiSigSessionId);
+            const session = await db.multiSigSessions.get(document.multiSigSessionId);
             if (session) {
                 signatureData = {
                     type: 'multi',
@@ -304,9 +1023,84 @@ router.get('/:documentId', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/signatures/:documentId/export?format=jws|cose
+ * Export a signed document's signatures as a JWS (general JSON serialization,
+ * application/jose+json) or a COSE_Sign structure (base64url CBOR)
+ */
+router.get('/:documentId/export', authenticate, async (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const format = req.query.format || 'jws';
+
+        if (!['jws', 'cose'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid format. Valid formats: jws, cose'
+            });
+        }
+
+        const document = await db.documents.get(documentId);
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: 'Document not found'
+            });
+        }
+
+        let signatureData = document.signature || null;
+        if (document.multiSigSessionId) {
+            const session = await db.multiSigSessions.get(document.multiSigSessionId);
+            signatureData = session && session.status === 'completed' ?
+                multiSigService.createAggregatedSignature(session) :
+                null;
+        }
+
+        if (!signatureData) {
+            return res.status(404).json({
+                success: false,
+                message: 'No completed signatures found for this document'
+            });
+        }
+
+        if (!encodingService.canEncode(signatureData)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Signatures were made before JWS/COSE encodings were available'
+            });
+        }
+
+        const encoded = format === 'jws' ?
+            { mediaType: 'application/jose+json', jws: encodingService.toJws(signatureData) } :
+            { mediaType: 'application/cose; cose-type="cose-sign"', cose: encodingService.toCose(signatureData).toString('base64url') };
+
+        const signatures = signatureData.type === 'multi-signature' ? signatureData.signatures : [signatureData];
+
+        res.json({
+            success: true,
+            message: 'Signatures exported successfully',
+            data: {
+                documentId: documentId,
+                format: format,
+                ...encoded,
+                // Signers who signed client-side without producing the encodings are left out
+                includedSigners: signatures.filter(sig => sig.encodings).map(sig => sig.signer.role),
+                missingSigners: signatures.filter(sig => !sig.encodings).map(sig => sig.signer.role)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export signatures',
+            error: error.message
+        });
+    }
+});
+
 /**
  * POST /api/signatures/verify
- * Verify signature(s) for a document
+ * Verify signature(s) for a document. Multi-signatures are verified against
+ * the document's stored session.
  */
 router.post('/verify', async (req, res) => {
     try {
@@ -320,33 +1114,49 @@ router.post('/verify', async (req, res) => {
         }
 
         // Get document
-        if (!global.documentStore || !global.documentStore.has(documentId)) {
+        const document = await db.documents.get(documentId);
+        if (!document) {
             return res.status(404).json({
                 success: false,
                 message: 'Document not found'
             });
         }
-
-        const document = global.documentStore.get(documentId);
         let verificationResult;
 
         // Determine signature type and verify
         if (signatureData && signatureData.type === 'multi') {
-            // Verify multi-signature
-            verificationResult = multiSigService.verifyMultiSignature(
-                signatureData.session || signatureData,
-                document
-            );
+            // The signatures, threshold and policy are the stored session's, never the caller's
+            const session = document.multiSigSessionId ?
+                await db.multiSigSessions.get(document.multiSigSessionId) : null;
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Multi-signature session not found'
+                });
+            }
+
+            verificationResult = await multiSigService.verifyMultiSignature(session, document);
         } else if (document.signature || signatureData) {
             // Verify single signature
             const signature = signatureData || document.signature;
-            verificationResult = eddsaService.verifyDocumentSignature(signature, document);
+            verificationResult = await eddsaService.verifyDocumentSignature(signature, document);
         } else {
             return res.status(400).json({
                 success: false,
                 message: 'No signature data provided or found'
             });
         }
+        verificationResult = revocationService.applyStatus(document, verificationResult);
+
+        await auditService.record(AuditService.EVENTS.VERIFICATION_PERFORMED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'document', id: documentId },
+            data: {
+                method: 'signature',
+                valid: verificationResult.valid,
+                reason: verificationResult.reason
+            }
+        });
 
         res.json({
             success: true,
@@ -365,47 +1175,142 @@ router.post('/verify', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/signatures/session/:sessionId/comments
+ * Comment on a session. Admins comment as themselves; signers pass
+ * signerId and the keyId of their key for the signer.
+ */
+router.post('/session/:sessionId/comments', authenticate, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const { comment, signerId, keyId } = req.body;
+
+        if (!comment) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required field: comment'
+            });
+        }
+
+        const session = await loadSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Multi-signature session not found'
+            });
+        }
+
+        let requiredSigner = null;
+        if (req.user.role !== ROLES.ADMIN || signerId) {
+            if (!signerId || !keyId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Missing required fields: signerId, keyId'
+                });
+            }
+
+            const acting = await resolveActingSigner(req, session, signerId, keyId);
+            if (!acting.requiredSigner) {
+                return res.status(acting.status).json({
+                    success: false,
+                    message: acting.message
+                });
+            }
+            requiredSigner = acting.requiredSigner;
+        }
+
+        const { result: entry, error } = await updateSession(sessionId, current =>
+            multiSigService.addComment(current, comment, req.user, requiredSigner));
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        await auditService.record(AuditService.EVENTS.SESSION_COMMENTED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'document', id: session.documentId },
+            data: {
+                sessionId: sessionId,
+                signerId: entry.signerId,
+                role: entry.role
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Comment added successfully',
+            data: entry
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add comment',
+            error: error.message
+        });
+    }
+});
+
 /**
  * DELETE /api/signatures/session/:sessionId
- * Cancel multi-signature session
+ * Cancel a pending multi-signature session (body: reason, optional). The
+ * session is kept with status 'cancelled' and the document returns to draft.
  */
-router.delete('/session/:sessionId', async (req, res) => {
+router.delete('/session/:sessionId', authenticate, authorize(ROLES.ADMIN), async (req, res) => {
     try {
         const { sessionId } = req.params;
+        const { reason } = req.body || {};
 
         // Get session
-        if (!global.multiSigStore || !global.multiSigStore.has(sessionId)) {
+        const session = await loadSession(sessionId);
+        if (!session) {
             return res.status(404).json({
                 success: false,
                 message: 'Multi-signature session not found'
             });
         }
 
-        const session = global.multiSigStore.get(sessionId);
-
         // Check if session can be cancelled
-        if (session.status === 'completed') {
+        if (session.status !== SESSION_STATUS.PENDING) {
             return res.status(400).json({
                 success: false,
-                message: 'Cannot cancel completed session'
+                message: session.status === SESSION_STATUS.COMPLETED ?
+                    'Cannot cancel completed session' :
+                    multiSigService.getClosedReason(session)
             });
         }
 
-        // Update document status
-        const document = global.documentStore?.get(session.documentId);
-        if (document) {
-            document.status = 'draft';
-            document.multiSigSessionId = null;
-            document.updatedAt = new Date().toISOString();
-            global.documentStore.set(session.documentId, document);
+        // The session may have been completed or closed since it was loaded
+        const { session: cancelled, error } = await updateSession(sessionId, current =>
+            multiSigService.cancelSession(current, reason, req.user));
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
         }
+        await releaseDocument(cancelled);
 
-        // Remove session
-        global.multiSigStore.delete(sessionId);
+        await auditService.record(AuditService.EVENTS.SESSION_CANCELLED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'document', id: session.documentId },
+            data: {
+                sessionId: sessionId,
+                reason: cancelled.statusReason,
+                signaturesCollected: cancelled.signatures.length
+            }
+        });
 
         res.json({
             success: true,
-            message: 'Multi-signature session cancelled successfully'
+            message: 'Multi-signature session cancelled successfully',
+            data: {
+                sessionId: sessionId,
+                status: cancelled.status,
+                cancelledAt: cancelled.cancelledAt,
+                reason: cancelled.statusReason
+            }
         });
     } catch (error) {
         res.status(500).json({
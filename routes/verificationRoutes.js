@@ -1,19 +1,138 @@
 const express = require('express');
+const multer = require('multer');
 const crypto = require('crypto');
 
 const EdDSAService = require('../services/eddsaService');
 const MultiSignatureService = require('../services/multiSignatureService');
 const QRCodeService = require('../services/qrCodeService');
+const AuditService = require('../services/auditService');
+const PdfSignatureService = require('../services/pdfSignatureService');
+const CredentialService = require('../services/credentialService');
+const SignatureEncodingService = require('../services/signatureEncodingService');
+const TrustListService = require('../services/trustListService');
+const VerificationRecordService = require('../services/verificationRecordService');
+const RevocationService = require('../services/revocationService');
+const StatusListService = require('../services/statusListService');
+const { authenticate, authorize } = require('../middleware/auth');
+const db = require('../database');
 const config = require('../config/config');
 
 const router = express.Router();
 const eddsaService = new EdDSAService();
 const multiSigService = new MultiSignatureService();
 const qrCodeService = new QRCodeService();
+const auditService = new AuditService();
+const pdfSignatureService = new PdfSignatureService();
+const credentialService = new CredentialService();
+const encodingService = new SignatureEncodingService();
+const trustListService = new TrustListService();
+const verificationRecordService = new VerificationRecordService();
+const revocationService = new RevocationService();
+const statusListService = new StatusListService();
+const { ROLES } = config.MULTISIG_CONFIG;
+
+// Run the single/multi-signature checks of a signed document and fold in its revocation;
+// { verification } on success, otherwise { status, message } when it cannot be verified
+const verifySignedDocument = async (document) => {
+    // Revoked documents are verified and reported as REVOKED
+    if (document.status !== 'signed' && document.status !== 'revoked') {
+        return { status: 400, message: 'Document is not signed' };
+    }
+    if (document.multiSigSessionId) {
+        const session = await db.multiSigSessions.get(document.multiSigSessionId);
+        if (!session) {
+            return { status: 404, message: 'Multi-signature session not found' };
+        }
+        return {
+            verification: revocationService.applyStatus(document, await multiSigService.verifyMultiSignature(session, document))
+        };
+    }
+    if (document.signature) {
+        return {
+            verification: revocationService.applyStatus(document, await eddsaService.verifyDocumentSignature(document.signature, document))
+        };
+    }
+    return { status: 400, message: 'No signature found for document' };
+};
+
+// Fold the revocation status of the document a result names into the result
+const applyDocumentStatus = async (result) => {
+    const document = result.documentId ? await db.documents.get(result.documentId) : null;
+    return revocationService.applyStatus(document, result);
+};
+
+// Compact QR payloads name signers by key ID; check them against the registered keys
+const verifyCompactSignatures = async (signatureData, document) => {
+    const signers = signatureData.signatures ?
+        signatureData.signatures.map(sig => sig.signer) : [signatureData.signer];
+    for (const signer of signers) {
+        const keyData = await db.keys.get(signer.keyId);
+        if (!keyData) {
+            return { valid: false, reason: `Signer key '${signer.keyId}' is not registered` };
+        }
+        signer.publicKey = keyData.publicKey;
+    }
+
+    if (!signatureData.signatures) {
+        return eddsaService.verifyDocumentSignature(signatureData, document);
+    }
+
+    // The threshold and required roles are the session's, not whatever the QR code claims
+    const session = await db.multiSigSessions.get(signatureData.sessionId);
+    if (!session || session.documentId !== document.id) {
+        return { valid: false, reason: 'Multi-signature session not found' };
+    }
+    return multiSigService.verifyMultiSignature({
+        ...multiSigService.sessionFromAggregate(signatureData),
+        threshold: session.threshold,
+        policy: session.policy,
+        workflow: session.workflow
+    }, document);
+};
+
+// Uploaded files are only verified, never stored
+const fileUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: config.MAX_FILE_SIZE
+    },
+    fileFilter: function (req, file, cb) {
+        if (config.ALLOWED_FILE_TYPES.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('File type not allowed'), false);
+        }
+    }
+});
+
+const pdfUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: config.MAX_FILE_SIZE
+    },
+    fileFilter: function (req, file, cb) {
+        if (file.mimetype === 'application/pdf') {
+            cb(null, true);
+        } else {
+            cb(new Error('Only PDF files can be verified'), false);
+        }
+    }
+});
+
+// Record a verification outcome in the audit log
+const recordVerification = (req, documentId, method, result) => auditService.record(
+    AuditService.EVENTS.VERIFICATION_PERFORMED,
+    {
+        ...auditService.requestContext(req),
+        subject: { type: 'document', id: documentId },
+        data: { method: method, valid: result.valid, reason: result.reason }
+    }
+);
 
 /**
  * POST /api/verification/qr
- * Verify document using QR code data
+ * Verify document using QR code data. JSON payloads must carry the
+ * institution signature added by QRCodeService
  */
 router.post('/qr', async (req, res) => {
     try {
@@ -26,22 +145,31 @@ router.post('/qr', async (req, res) => {
             });
         }
 
-        // Parse QR code data
-        const parsedData = qrCodeService.parseQRData(qrData);
+        // Parse QR code data; unsigned, forged or unreadable payloads are rejected
+        let parsedData;
+        try {
+            parsedData = await qrCodeService.parseQRData(qrData);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid QR code',
+                error: error.message
+            });
+        }
 
         if (parsedData.type === 'url_verification') {
             // Handle URL-based verification
-            const storedData = qrCodeService.getStoredVerificationData(parsedData.verificationId);
+            const storedData = await qrCodeService.getStoredVerificationData(parsedData.verificationId);
             
             if (!storedData) {
                 return res.status(404).json({
                     success: false,
-                    message: 'Verification data not found or expired'
+                    message: 'Verification data not found, expired or invalidated'
                 });
             }
 
             // Get document from store
-            const document = global.documentStore?.get(parsedData.documentId);
+            const document = await db.documents.get(parsedData.documentId);
             if (!document) {
                 return res.status(404).json({
                     success: false,
@@ -53,9 +181,9 @@ router.post('/qr', async (req, res) => {
             let verificationResult;
             if (storedData.signature.algorithm === 'EdDSA-Multi') {
                 // Multi-signature verification
-                const session = global.multiSigStore?.get(storedData.sessionId);
+                const session = await db.multiSigSessions.get(storedData.signature.sessionId);
                 if (session) {
-                    verificationResult = multiSigService.verifyMultiSignature(session, document);
+                    verificationResult = await multiSigService.verifyMultiSignature(session, document);
                 } else {
                     return res.status(404).json({
                         success: false,
@@ -68,10 +196,14 @@ router.post('/qr', async (req, res) => {
                     documentId: document.id,
                     documentHash: storedData.documentHash,
                     signature: storedData.signature.data,
+                    envelope: storedData.signature.envelope,
                     signer: storedData.signature.signers[0]
                 };
-                verificationResult = eddsaService.verifyDocumentSignature(signature, document);
+                verificationResult = await eddsaService.verifyDocumentSignature(signature, document);
             }
+            verificationResult = revocationService.applyStatus(document, verificationResult);
+
+            await recordVerification(req, document.id, 'qr-url', verificationResult);
 
             return res.json({
                 success: true,
@@ -90,12 +222,55 @@ router.post('/qr', async (req, res) => {
                 }
             });
         } 
+        else if (parsedData.type === 'compact_verification') {
+            const document = await db.documents.get(parsedData.documentId);
+            if (!document) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Document not found'
+                });
+            }
+
+            const verificationResult = revocationService.applyStatus(
+                document,
+                await verifyCompactSignatures(parsedData.signatureData, document)
+            );
+
+            await recordVerification(req, document.id, 'qr-compact', verificationResult);
+
+            return res.json({
+                success: true,
+                message: 'Document verification completed',
+                data: {
+                    documentId: parsedData.documentId,
+                    payloadVersion: parsedData.version,
+                    document: parsedData.metadata,
+                    verification: verificationResult
+                }
+            });
+        }
+        else if (parsedData.type === 'cose_verification') {
+            const verificationResult = await applyDocumentStatus(await encodingService.verifyCose(parsedData.cose));
+
+            if (verificationResult.documentId && await db.documents.has(verificationResult.documentId)) {
+                await recordVerification(req, verificationResult.documentId, 'qr-cose', verificationResult);
+            }
+
+            return res.json({
+                success: true,
+                message: 'Document verification completed',
+                data: {
+                    documentId: verificationResult.documentId,
+                    verification: verificationResult
+                }
+            });
+        }
         else if (parsedData.type === 'embedded_verification') {
             // Handle embedded verification data
             const payload = parsedData.payload;
 
             // Get document from store
-            const document = global.documentStore?.get(payload.documentId);
+            const document = await db.documents.get(payload.documentId);
             if (!document) {
                 return res.status(404).json({
                     success: false,
@@ -106,23 +281,33 @@ router.post('/qr', async (req, res) => {
             // Verify based on signature type
             let verificationResult;
             if (payload.signatureType === 'multi-signature') {
-                // Create temporary session object for verification
-                const tempSession = {
-                    sessionId: payload.signature.sessionId || crypto.randomUUID(),
-                    documentId: payload.documentId,
-                    documentHash: payload.documentHash,
-                    threshold: payload.signature.threshold,
-                    signatures: payload.signature.data.map(sig => ({
-                        signatureId: crypto.randomUUID(),
-                        signature: sig.signature,
-                        signer: sig.signer,
-                        signedAt: sig.signedAt,
-                        documentHash: payload.documentHash
-                    })),
-                    status: 'completed'
-                };
+                // The QR code carries the signatures; the threshold and required roles are the stored session's
+                const session = payload.signature.sessionId ?
+                    await db.multiSigSessions.get(payload.signature.sessionId) : null;
+                if (!session || session.documentId !== document.id) {
+                    verificationResult = { valid: false, reason: 'Multi-signature session not found' };
+                } else {
+                    const tempSession = {
+                        sessionId: session.sessionId,
+                        version: session.version || '1.0',
+                        documentId: payload.documentId,
+                        documentHash: payload.documentHash,
+                        threshold: session.threshold,
+                        policy: session.policy,
+                        workflow: session.workflow,
+                        signatures: payload.signature.data.map(sig => ({
+                            signatureId: crypto.randomUUID(),
+                            signature: sig.signature,
+                            signer: sig.signer,
+                            payload: sig.payload,
+                            signedAt: sig.signedAt,
+                            documentHash: payload.documentHash
+                        })),
+                        status: 'completed'
+                    };
 
-                verificationResult = multiSigService.verifyMultiSignature(tempSession, document);
+                    verificationResult = await multiSigService.verifyMultiSignature(tempSession, document);
+                }
             } else {
                 // Single signature verification
                 const signerData = payload.signature.signers[0];
@@ -130,10 +315,14 @@ router.post('/qr', async (req, res) => {
                     documentId: payload.documentId,
                     documentHash: payload.documentHash,
                     signature: payload.signature.data,
+                    envelope: payload.signature.envelope,
                     signer: signerData
                 };
-                verificationResult = eddsaService.verifyDocumentSignature(signature, document);
+                verificationResult = await eddsaService.verifyDocumentSignature(signature, document);
             }
+            verificationResult = revocationService.applyStatus(document, verificationResult);
+
+            await recordVerification(req, document.id, 'qr-embedded', verificationResult);
 
             return res.json({
                 success: true,
@@ -161,6 +350,418 @@ router.post('/qr', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/verification/file
+ * Verify an uploaded copy of a document file (multipart field: file). The file
+ * is matched to registered documents by its SHA-256 and the signatures are
+ * checked against the uploaded bytes, not the stored copy
+ */
+router.post('/file', fileUpload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required file: file'
+            });
+        }
+
+        const fileHash = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+        const matches = await db.documents.findBy('fileHash', fileHash);
+
+        // A signed PDF from /api/documents/:id/signed-pdf differs from the upload; check its embedded signatures
+        if (matches.length === 0 && req.file.mimetype === 'application/pdf' &&
+            pdfSignatureService.extractSignatures(req.file.buffer).some(signature => signature.supported)) {
+            const verificationResult = await applyDocumentStatus(await pdfSignatureService.verifyPdf(req.file.buffer));
+
+            if (verificationResult.documentId) {
+                await recordVerification(req, verificationResult.documentId, 'file', verificationResult);
+            }
+
+            return res.json({
+                success: true,
+                message: 'File verification completed',
+                data: {
+                    fileHash: fileHash,
+                    filename: req.file.originalname,
+                    matched: Boolean(verificationResult.documentId),
+                    method: 'pdf-embedded',
+                    documentId: verificationResult.documentId,
+                    verification: verificationResult
+                }
+            });
+        }
+
+        const documents = [];
+        for (const stored of matches) {
+            // Verify the uploaded bytes rather than the stored file
+            const document = eddsaService.documentWithFile(stored, req.file.buffer);
+            const { verification, message } = await verifySignedDocument(document);
+            const verificationResult = verification || { valid: false, status: 'INVALID', reason: message };
+
+            await recordVerification(req, document.id, 'file', verificationResult);
+
+            documents.push({
+                documentId: document.id,
+                title: document.title,
+                type: document.type,
+                issuer: document.issuer,
+                recipient: document.recipient,
+                status: document.status,
+                signedAt: document.signedAt || null,
+                verification: verificationResult
+            });
+        }
+
+        const validMatch = documents.find(document => document.verification.valid);
+        let reason;
+        if (documents.length === 0) {
+            reason = 'File does not match any registered document; it is unknown or has been altered';
+        } else if (validMatch) {
+            reason = validMatch.verification.reason;
+        } else {
+            reason = documents[0].verification.reason;
+        }
+
+        res.json({
+            success: true,
+            message: 'File verification completed',
+            data: {
+                fileHash: fileHash,
+                filename: req.file.originalname,
+                matched: documents.length > 0,
+                method: 'file-hash',
+                documentId: validMatch ? validMatch.documentId : (documents[0] ? documents[0].documentId : null),
+                documents: documents,
+                verification: {
+                    valid: Boolean(validMatch),
+                    status: validMatch ? 'VALID' : (documents[0] ? documents[0].verification.status : 'INVALID'),
+                    reason: reason,
+                    verifiedAt: new Date().toISOString()
+                }
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify file',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/verification/pdf
+ * Verify the signatures embedded in an uploaded signed PDF (multipart field: file)
+ */
+router.post('/pdf', pdfUpload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required file: file'
+            });
+        }
+
+        const verificationResult = await applyDocumentStatus(await pdfSignatureService.verifyPdf(req.file.buffer));
+
+        if (verificationResult.documentId) {
+            await recordVerification(req, verificationResult.documentId, 'pdf', verificationResult);
+        }
+
+        res.json({
+            success: true,
+            message: 'PDF verification completed',
+            data: {
+                documentId: verificationResult.documentId,
+                filename: req.file.originalname,
+                verification: verificationResult
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify PDF',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/verification/signature
+ * Verify signatures in a standard encoding. Body: { jws } (general, flattened
+ * or compact serialization) or { cose } (base64/base64url COSE_Sign)
+ */
+router.post('/signature', async (req, res) => {
+    try {
+        const { jws, cose } = req.body;
+
+        if (!jws && !cose) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required field: jws or cose'
+            });
+        }
+
+        const verificationResult = await applyDocumentStatus(jws ?
+            await encodingService.verifyJws(jws) :
+            await encodingService.verifyCose(cose));
+
+        if (verificationResult.documentId && await db.documents.has(verificationResult.documentId)) {
+            await recordVerification(req, verificationResult.documentId, verificationResult.format, verificationResult);
+        }
+
+        res.json({
+            success: true,
+            message: 'Signature verification completed',
+            data: {
+                documentId: verificationResult.documentId,
+                format: verificationResult.format,
+                verification: verificationResult
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify signature',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/verification/credential
+ * Import and verify a Verifiable Credential exported by this system.
+ * Body: { credential } or the credential itself
+ */
+router.post('/credential', async (req, res) => {
+    try {
+        const credential = req.body.credential || req.body;
+
+        if (!credential || !credential['@context']) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required field: credential'
+            });
+        }
+
+        const verificationResult = await applyDocumentStatus(await credentialService.verifyCredential(credential));
+
+        if (verificationResult.documentId && await db.documents.has(verificationResult.documentId)) {
+            await recordVerification(req, verificationResult.documentId, 'credential', verificationResult);
+        }
+
+        res.json({
+            success: true,
+            message: 'Credential verification completed',
+            data: {
+                credentialId: verificationResult.credentialId,
+                documentId: verificationResult.documentId,
+                verification: verificationResult
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify credential',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/verification/trust-list
+ * Signer keys signed by the system (root) key, for the standalone verifier
+ */
+router.get('/trust-list', async (req, res) => {
+    try {
+        const signedTrustList = await trustListService.getSignedTrustList();
+
+        res.json({
+            success: true,
+            message: 'Trust list retrieved successfully',
+            data: signedTrustList
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve trust list',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/verification/status-list
+ * Revocation status of documents as a W3C BitstringStatusListCredential signed
+ * by the system key. Served bare (not in the usual response envelope) since
+ * credential verifiers dereference the statusListCredential URL directly
+ */
+router.get('/status-list', async (req, res) => {
+    try {
+        const statusList = await statusListService.getSignedStatusList();
+
+        res.json(statusList);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve status list',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/verification/records
+ * List stored verification records (admin). Filters: documentId,
+ * status (active, expired, invalidated), limit, offset
+ */
+router.get('/records', authenticate, authorize(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { documentId, status, limit, offset } = req.query;
+
+        if (status && !Object.values(VerificationRecordService.STATUS).includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid status. Valid statuses: ${Object.values(VerificationRecordService.STATUS).join(', ')}`
+            });
+        }
+
+        const { records, total } = await verificationRecordService.list({ documentId, status, limit, offset });
+
+        res.json({
+            success: true,
+            message: 'Verification records retrieved successfully',
+            data: records,
+            total: total
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve verification records',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/verification/records/:verificationId/extend
+ * Set a new expiry for a verification record (admin). Body: expiresAt
+ * (ISO timestamp), ttlDays, or expiresAt: null to keep it indefinitely
+ */
+router.post('/records/:verificationId/extend', authenticate, authorize(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { verificationId } = req.params;
+        const { expiresAt, ttlDays } = req.body;
+
+        let newExpiry;
+        if (ttlDays !== undefined) {
+            if (!Number.isFinite(ttlDays) || ttlDays <= 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'ttlDays must be a positive number'
+                });
+            }
+            newExpiry = new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000).toISOString();
+        } else if (expiresAt === null) {
+            newExpiry = null;
+        } else if (expiresAt && !isNaN(new Date(expiresAt).getTime())) {
+            if (new Date(expiresAt) <= new Date()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'expiresAt must be in the future'
+                });
+            }
+            newExpiry = expiresAt;
+        } else {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide expiresAt (ISO timestamp or null for no expiry) or ttlDays'
+            });
+        }
+
+        const existing = await verificationRecordService.get(verificationId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Verification record not found'
+            });
+        }
+
+        if (existing.status === VerificationRecordService.STATUS.INVALIDATED) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification record has been invalidated'
+            });
+        }
+
+        const { data, ...record } = await verificationRecordService.extend(verificationId, newExpiry, req.user.id);
+
+        await auditService.record(AuditService.EVENTS.VERIFICATION_RECORD_EXTENDED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'verification', id: verificationId },
+            data: { documentId: record.documentId, previousExpiresAt: existing.expiresAt, expiresAt: record.expiresAt }
+        });
+
+        res.json({
+            success: true,
+            message: 'Verification record extended successfully',
+            data: record
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to extend verification record',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/verification/records/:verificationId/invalidate
+ * Invalidate a verification record so its QR code stops verifying (admin)
+ */
+router.post('/records/:verificationId/invalidate', authenticate, authorize(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { verificationId } = req.params;
+        const { reason } = req.body;
+
+        const existing = await verificationRecordService.get(verificationId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Verification record not found'
+            });
+        }
+
+        if (existing.status === VerificationRecordService.STATUS.INVALIDATED) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification record is already invalidated'
+            });
+        }
+
+        const { data, ...record } = await verificationRecordService.invalidate(verificationId, reason, req.user.id);
+
+        await auditService.record(AuditService.EVENTS.VERIFICATION_RECORD_INVALIDATED, {
+            ...auditService.requestContext(req),
+            subject: { type: 'verification', id: verificationId },
+            data: { documentId: record.documentId, reason: record.invalidationReason }
+        });
+
+        res.json({
+            success: true,
+            message: 'Verification record invalidated successfully',
+            data: record
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to invalidate verification record',
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/verification/:verificationId
  * Get verification data by ID (for URL-based QR codes)
@@ -170,12 +771,12 @@ router.get('/:verificationId', async (req, res) => {
         const { verificationId } = req.params;
 
         // Get stored verification data
-        const storedData = qrCodeService.getStoredVerificationData(verificationId);
+        const storedData = await qrCodeService.getStoredVerificationData(verificationId);
         
         if (!storedData) {
             return res.status(404).json({
                 success: false,
-                message: 'Verification data not found or expired'
+                message: 'Verification data not found, expired or invalidated'
             });
         }
 
@@ -187,7 +788,8 @@ router.get('/:verificationId', async (req, res) => {
                 documentId: storedData.documentId,
                 metadata: storedData.metadata,
                 signatureType: storedData.signatureType,
-                timestamp: storedData.timestamp
+                timestamp: storedData.timestamp,
+                revocation: revocationService.getRevocation(await db.documents.get(storedData.documentId))
             }
         });
     } catch (error) {
@@ -208,45 +810,23 @@ router.post('/document/:documentId', async (req, res) => {
         const { documentId } = req.params;
 
         // Get document
-        if (!global.documentStore || !global.documentStore.has(documentId)) {
+        const document = await db.documents.get(documentId);
+        if (!document) {
             return res.status(404).json({
                 success: false,
                 message: 'Document not found'
             });
         }
 
-        const document = global.documentStore.get(documentId);
-
-        // Check if document is signed
-        if (document.status !== 'signed') {
-            return res.status(400).json({
+        const { verification: verificationResult, status, message } = await verifySignedDocument(document);
+        if (!verificationResult) {
+            return res.status(status).json({
                 success: false,
-                message: 'Document is not signed'
+                message: message
             });
         }
 
-        let verificationResult;
-
-        // Determine verification type
-        if (document.multiSigSessionId) {
-            // Multi-signature verification
-            const session = global.multiSigStore?.get(document.multiSigSessionId);
-            if (!session) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Multi-signature session not found'
-                });
-            }
-            verificationResult = multiSigService.verifyMultiSignature(session, document);
-        } else if (document.signature) {
-            // Single signature verification
-            verificationResult = eddsaService.verifyDocumentSignature(document.signature, document);
-        } else {
-            return res.status(400).json({
-                success: false,
-                message: 'No signature found for document'
-            });
-        }
+        await recordVerification(req, documentId, 'document', verificationResult);
 
         res.json({
             success: true,
@@ -281,7 +861,7 @@ router.get('/report/:verificationId', async (req, res) => {
         const { verificationId } = req.params;
 
         // Get stored verification data
-        const storedData = qrCodeService.getStoredVerificationData(verificationId);
+        const storedData = await qrCodeService.getStoredVerificationData(verificationId);
         
         if (!storedData) {
             return res.status(404).json({
@@ -291,7 +871,7 @@ router.get('/report/:verificationId', async (req, res) => {
         }
 
         // Get document
-        const document = global.documentStore?.get(storedData.documentId);
+        const document = await db.documents.get(storedData.documentId);
         if (!document) {
             return res.status(404).json({
                 success: false,
@@ -302,19 +882,25 @@ router.get('/report/:verificationId', async (req, res) => {
         // Perform verification
         let verificationResult;
         if (storedData.signatureType === 'multi-signature') {
-            const session = global.multiSigStore?.get(storedData.sessionId);
-            if (session) {
-                verificationResult = multiSigService.verifyMultiSignature(session, document);
+            const session = await db.multiSigSessions.get(storedData.signature.sessionId);
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Multi-signature session not found'
+                });
             }
+            verificationResult = await multiSigService.verifyMultiSignature(session, document);
         } else {
             const signature = {
                 documentId: document.id,
                 documentHash: storedData.documentHash,
                 signature: storedData.signature.data,
+                envelope: storedData.signature.envelope,
                 signer: storedData.signature.signers[0]
             };
-            verificationResult = eddsaService.verifyDocumentSignature(signature, document);
+            verificationResult = await eddsaService.verifyDocumentSignature(signature, document);
         }
+        verificationResult = revocationService.applyStatus(document, verificationResult);
 
         // Generate report
         const report = {
@@ -332,7 +918,8 @@ router.get('/report/:verificationId', async (req, res) => {
             },
             verification: verificationResult,
             summary: {
-                status: verificationResult.valid ? 'VALID' : 'INVALID',
+                status: verificationResult.status,
+                revocation: verificationResult.revocation || null,
                 algorithm: storedData.signature?.algorithm || 'EdDSA',
                 signatureType: storedData.signatureType,
                 verificationMethod: 'QR Code Verification'
@@ -386,7 +973,7 @@ router.post('/batch', async (req, res) => {
         for (const documentId of documentIds) {
             try {
                 // Get document
-                const document = global.documentStore?.get(documentId);
+                const document = await db.documents.get(documentId);
                 if (!document) {
                     results.push({
                         documentId: documentId,
@@ -397,30 +984,18 @@ router.post('/batch', async (req, res) => {
                 }
 
                 // Verify document
-                let verificationResult;
-                if (document.multiSigSessionId) {
-                    const session = global.multiSigStore?.get(document.multiSigSessionId);
-                    if (session) {
-                        verificationResult = multiSigService.verifyMultiSignature(session, document);
-                    } else {
-                        results.push({
-                            documentId: documentId,
-                            success: false,
-                            error: 'Multi-signature session not found'
-                        });
-                        continue;
-                    }
-                } else if (document.signature) {
-                    verificationResult = eddsaService.verifyDocumentSignature(document.signature, document);
-                } else {
+                const { verification: verificationResult, message } = await verifySignedDocument(document);
+                if (!verificationResult) {
                     results.push({
                         documentId: documentId,
                         success: false,
-                        error: 'No signature found'
+                        error: message
                     });
                     continue;
                 }
 
+                await recordVerification(req, documentId, 'batch', verificationResult);
+
                 results.push({
                     documentId: documentId,
                     success: true,
@@ -430,7 +1005,9 @@ router.post('/batch', async (req, res) => {
                     },
                     verification: {
                         valid: verificationResult.valid,
+                        status: verificationResult.status,
                         reason: verificationResult.reason,
+                        revocation: verificationResult.revocation || null,
                         verifiedAt: verificationResult.verifiedAt
                     }
                 });
@@ -445,6 +1022,7 @@ router.post('/batch', async (req, res) => {
 
         const validCount = results.filter(r => r.success && r.verification?.valid).length;
         const invalidCount = results.filter(r => r.success && !r.verification?.valid).length;
+        const revokedCount = results.filter(r => r.success && r.verification?.status === 'REVOKED').length;
         const errorCount = results.filter(r => !r.success).length;
 
         res.json({
@@ -454,6 +1032,7 @@ router.post('/batch', async (req, res) => {
                 total: documentIds.length,
                 valid: validCount,
                 invalid: invalidCount,
+                revoked: revokedCount,
                 errors: errorCount,
                 results: results
             }
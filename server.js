@@ -9,6 +9,8 @@ const documentRoutes = require("./routes/documentRoutes");
 const signatureRoutes = require("./routes/signatureRoutes");
 const verificationRoutes = require("./routes/verificationRoutes");
 const keyRoutes = require("./routes/keyRoutes");
+const authRoutes = require("./routes/authRoutes");
+const auditRoutes = require("./routes/auditRoutes");
 
 // Import middleware
 const errorHandler = require("./middleware/errorHandler");
@@ -17,7 +19,13 @@ const rateLimiter = require("./middleware/rateLimiter");
 // Import config
 const config = require("./config/config");
 
+// Import storage
+const database = require("./database");
+const AuthService = require("./services/authService");
+const VerificationRecordService = require("./services/verificationRecordService");
+
 const app = express();
+const verificationRecordService = new VerificationRecordService();
 
 // Security middleware
 app.use(helmet());
@@ -29,7 +37,7 @@ app.use(
 );
 
 // Logging middleware
-app.use(morgan("combined"));
+app.use(morgan("combined", { skip: () => config.NODE_ENV === "test" }));
 
 // Rate limiting - Apply general rate limiter globally
 app.use(rateLimiter.general);
@@ -49,14 +57,17 @@ app.get("/health", (req, res) => {
     message: "EdDSA Multi-Signature Document System is running",
     timestamp: new Date().toISOString(),
     version: "1.0.0",
+    database: database.driver,
   });
 });
 
 // API routes
+app.use("/api/auth", authRoutes);
 app.use("/api/documents", documentRoutes);
 app.use("/api/signatures", signatureRoutes);
 app.use("/api/verification", verificationRoutes);
 app.use("/api/keys", keyRoutes);
+app.use("/api/audit", auditRoutes);
 
 // Root endpoint
 app.get("/", (req, res) => {
@@ -68,10 +79,12 @@ app.get("/", (req, res) => {
     university: "Universitas Muhammadiyah Makassar",
     endpoints: {
       health: "/health",
+      auth: "/api/auth",
       documents: "/api/documents",
       signatures: "/api/signatures",
       verification: "/api/verification",
       keys: "/api/keys",
+      audit: "/api/audit",
     },
   });
 });
@@ -87,37 +100,86 @@ app.use("*", (req, res) => {
 // Error handling middleware
 app.use(errorHandler);
 
-// Start server
+// Start server once storage is ready
 const PORT = process.env.PORT || config.PORT || 3000;
-const server = app.listen(PORT, () => {
-  console.log(`
+let server;
+
+// Tokens signed with a guessable secret could be forged by anyone
+if (!config.JWT_CONFIG.SECRET) {
+  console.error("Failed to start server: JWT_SECRET is not set");
+  process.exit(1);
+}
+
+const start = () => {
+  database
+    .connect()
+    .then((appliedMigrations) => {
+      if (appliedMigrations.length > 0) {
+        console.log(`Applied migrations: ${appliedMigrations.join(", ")}`);
+      }
+
+      return new AuthService().ensureBootstrapAdmin();
+    })
+    .then((admin) => {
+      if (admin) {
+        console.log(`Bootstrap admin account created: ${admin.username}`);
+      }
+
+      // Delete expired verification records in the background
+      verificationRecordService.startSweeper();
+
+      server = app.listen(PORT, () => {
+        console.log(`
     ================================================
     🚀 EdDSA Multi-Signature System Server Started
     ================================================
     📍 Server running on port: ${PORT}
     🌐 Environment: ${process.env.NODE_ENV || "development"}
+    🗄️  Database: ${database.driver}
     📅 Started at: ${new Date().toLocaleString("id-ID")}
     🔗 Health check: http://localhost:${PORT}/health
     📚 API Documentation: http://localhost:${PORT}/
     ================================================
     `);
-});
+      });
+    })
+    .catch((error) => {
+      console.error("Failed to start server:", error.message);
+      process.exit(1);
+    });
+};
 
 // Graceful shutdown
-process.on("SIGTERM", () => {
-  console.log("SIGTERM received. Shutting down gracefully...");
-  server.close(() => {
-    console.log("Process terminated");
-    process.exit(0);
+const shutdown = () => {
+  verificationRecordService.stopSweeper();
+
+  const finish = () => {
+    database.close().finally(() => {
+      console.log("Process terminated");
+      process.exit(0);
+    });
+  };
+
+  if (server) {
+    server.close(finish);
+  } else {
+    finish();
+  }
+};
+
+// Tests require the app without starting the server
+if (require.main === module) {
+  start();
+
+  process.on("SIGTERM", () => {
+    console.log("SIGTERM received. Shutting down gracefully...");
+    shutdown();
   });
-});
 
-process.on("SIGINT", () => {
-  console.log("\nSIGINT received. Shutting down gracefully...");
-  server.close(() => {
-    console.log("Process terminated");
-    process.exit(0);
+  process.on("SIGINT", () => {
+    console.log("\nSIGINT received. Shutting down gracefully...");
+    shutdown();
   });
-});
+}
 
 module.exports = app;
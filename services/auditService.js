@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const SystemKeyService = require('./systemKeyService');
+const { canonicalize } = require('../utils/canonicalJson');
+const db = require('../database');
+const config = require('../config/config');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const AUDIT_EVENTS = {
+    DOCUMENT_CREATED: 'document.created',
+    DOCUMENT_DELETED: 'document.deleted',
+    DOCUMENT_REVOCATION_APPROVED: 'document.revocation_approved',
+    DOCUMENT_REVOKED: 'document.revoked',
+    SESSION_PREPARED: 'session.prepared',
+    SESSION_CANCELLED: 'session.cancelled',
+    SESSION_REJECTED: 'session.rejected',
+    SESSION_REVISION_REQUESTED: 'session.revision_requested',
+    SESSION_EXPIRED: 'session.expired',
+    SESSION_SIGNER_DELEGATED: 'session.signer_delegated',
+    SESSION_COMMENTED: 'session.commented',
+    SIGNATURE_ADDED: 'signature.added',
+    KEY_GENERATED: 'key.generated',
+    KEY_ROTATED: 'key.rotated',
+    KEY_REVOKED: 'key.revoked',
+    DELEGATION_CREATED: 'delegation.created',
+    DELEGATION_REVOKED: 'delegation.revoked',
+    CREDENTIAL_PROOF_ADDED: 'credential.proof_added',
+    VERIFICATION_PERFORMED: 'verification.performed',
+    VERIFICATION_RECORD_EXTENDED: 'verification_record.extended',
+    VERIFICATION_RECORD_INVALIDATED: 'verification_record.invalidated'
+};
+
+// Appends are serialized per process so every entry links to its predecessor
+let appendQueue = Promise.resolve();
+let chainHead = null;
+
+/**
+ * Append-only audit trail. Each entry carries the hash of the previous one,
+ * and the chain head is signed with the system key every
+ * AUDIT_CONFIG.CHECKPOINT_INTERVAL entries, so edits, deletions and
+ * re-written tails are detectable by verifyChain().
+ */
+class AuditService {
+    constructor() {
+        this.config = config.AUDIT_CONFIG;
+        this.systemKeyService = new SystemKeyService();
+    }
+
+    /**
+     * Actor and origin of an HTTP request, for use as record() context
+     * @param {Object} req - Express request (req.user set by authenticate, if any)
+     * @returns {Object} { actor, ip }
+     */
+    requestContext(req) {
+        return {
+            actor: req.user ? { id: req.user.id, username: req.user.username, role: req.user.role } : null,
+            ip: req.ip
+        };
+    }
+
+    /**
+     * Append an event to the audit log
+     * @param {string} type - One of AuditService.EVENTS
+     * @param {Object} context - actor, ip, subject { type, id } and event data
+     * @returns {Promise<Object>} Stored audit entry
+     */
+    record(type, context = {}) {
+        const append = appendQueue.then(() => this._append(type, context));
+        // Keep the queue alive if this append fails
+        appendQueue = append.catch(() => {});
+        return append;
+    }
+
+    /**
+     * Query audit entries (oldest first)
+     * @param {Object} filters - type, actorId, subjectType, subjectId, from, to, limit, offset
+     * @returns {Promise<Object>} { entries, total }
+     */
+    async query(filters = {}) {
+        let entries = filters.subjectId ?
+            await db.auditLog.findBy('subjectId', filters.subjectId) :
+            await db.auditLog.list();
+
+        if (filters.type) {
+            entries = entries.filter(entry => entry.type === filters.type);
+        }
+        if (filters.actorId) {
+            entries = entries.filter(entry => entry.actorId === filters.actorId);
+        }
+        if (filters.subjectType) {
+            entries = entries.filter(entry => entry.subjectType === filters.subjectType);
+        }
+        if (filters.from) {
+            entries = entries.filter(entry => new Date(entry.timestamp) >= new Date(filters.from));
+        }
+        if (filters.to) {
+            entries = entries.filter(entry => new Date(entry.timestamp) <= new Date(filters.to));
+        }
+
+        entries.sort((a, b) => a.seq - b.seq);
+
+        const limit = Math.min(parseInt(filters.limit) || this.config.DEFAULT_PAGE_SIZE, this.config.MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+        return {
+            entries: entries.slice(offset, offset + limit),
+            total: entries.length
+        };
+    }
+
+    /**
+     * Recompute the whole chain and check every signed checkpoint
+     * @returns {Promise<Object>} Integrity report with `valid` and per-entry errors
+     */
+    async verifyChain() {
+        const entries = (await db.auditLog.list()).sort((a, b) => a.seq - b.seq);
+        const checkpoints = (await db.auditCheckpoints.list()).sort((a, b) => a.seq - b.seq);
+        const errors = [];
+
+        let previousHash = GENESIS_HASH;
+        entries.forEach((entry, index) => {
+            if (entry.seq !== index + 1) {
+                errors.push({ seq: entry.seq, error: `Expected sequence ${index + 1}; entries are missing` });
+            }
+            if (entry.previousHash !== previousHash) {
+                errors.push({ seq: entry.seq, error: 'Previous hash does not match the preceding entry' });
+            }
+            if (this.hashEntry(entry) !== entry.hash) {
+                errors.push({ seq: entry.seq, error: 'Entry hash mismatch; entry was modified' });
+            }
+            previousHash = entry.hash;
+        });
+
+        const bySeq = new Map(entries.map(entry => [entry.seq, entry]));
+        let validCheckpoints = 0;
+
+        for (const checkpoint of checkpoints) {
+            const entry = bySeq.get(checkpoint.seq);
+            const signatureCheck = await this.systemKeyService.verify(
+                this._checkpointMessage(checkpoint),
+                checkpoint.signature,
+                checkpoint.keyId
+            );
+
+            if (!signatureCheck.valid) {
+                errors.push({ seq: checkpoint.seq, checkpoint: checkpoint.id, error: signatureCheck.reason });
+            } else if (!entry || entry.hash !== checkpoint.hash) {
+                errors.push({ seq: checkpoint.seq, checkpoint: checkpoint.id, error: 'Signed checkpoint does not match the stored chain' });
+            } else {
+                validCheckpoints++;
+            }
+        }
+
+        const lastCheckpoint = checkpoints[checkpoints.length - 1] || null;
+
+        return {
+            valid: errors.length === 0,
+            totalEntries: entries.length,
+            headHash: entries.length > 0 ? entries[entries.length - 1].hash : GENESIS_HASH,
+            checkpoints: {
+                total: checkpoints.length,
+                valid: validCheckpoints,
+                lastSignedSeq: lastCheckpoint ? lastCheckpoint.seq : null
+            },
+            // Entries after the last checkpoint are only protected by the hash chain
+            unsignedEntries: entries.length - (lastCheckpoint ? lastCheckpoint.seq : 0),
+            errors: errors,
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Sign the current chain head with the system key
+     * @returns {Promise<Object|null>} Stored checkpoint, or null for an empty log
+     */
+    createCheckpoint() {
+        const checkpoint = appendQueue.then(async () => {
+            const head = await this._getHead();
+            return head ? this._signCheckpoint(head) : null;
+        });
+        appendQueue = checkpoint.catch(() => {});
+        return checkpoint;
+    }
+
+    /**
+     * List signed checkpoints (oldest first)
+     * @returns {Promise<Array>} Checkpoints
+     */
+    async listCheckpoints() {
+        return (await db.auditCheckpoints.list()).sort((a, b) => a.seq - b.seq);
+    }
+
+    /**
+     * SHA-256 over the canonical form of an entry without its own hash
+     * @param {Object} entry - Audit entry
+     * @returns {string} Hash as hex string
+     */
+    hashEntry(entry) {
+        const { hash, ...content } = entry;
+        return crypto.createHash('sha256').update(canonicalize(content)).digest('hex');
+    }
+
+    /**
+     * @private
+     */
+    async _append(type, context) {
+        if (!Object.values(AUDIT_EVENTS).includes(type)) {
+            throw new Error(`Unknown audit event type '${type}'`);
+        }
+
+        const subject = context.subject || {};
+
+        // Another process may have appended since our head was cached; reload and retry
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const previous = await this._getHead();
+            const seq = previous ? previous.seq + 1 : 1;
+
+            // Round-trip through JSON so the hash covers exactly what gets stored
+            const entry = JSON.parse(JSON.stringify({
+                id: String(seq).padStart(12, '0'),
+                seq: seq,
+                type: type,
+                timestamp: new Date().toISOString(),
+                actorId: context.actor ? context.actor.id : null,
+                actor: context.actor || null,
+                ip: context.ip || null,
+                subjectType: subject.type || null,
+                subjectId: subject.id || null,
+                data: context.data || {},
+                previousHash: previous ? previous.hash : GENESIS_HASH
+            }));
+            entry.hash = this.hashEntry(entry);
+
+            try {
+                await db.auditLog.insert(entry.id, entry);
+            } catch (error) {
+                if (error.code === 'DUPLICATE_ID') {
+                    chainHead = null;
+                    continue;
+                }
+                throw new Error(`Failed to write audit entry: ${error.message}`);
+            }
+
+            chainHead = entry;
+
+            if (seq % this.config.CHECKPOINT_INTERVAL === 0) {
+                await this._signCheckpoint(entry);
+            }
+
+            return entry;
+        }
+
+        throw new Error('Failed to write audit entry: concurrent writers kept advancing the chain');
+    }
+
+    /**
+     * @private
+     */
+    async _getHead() {
+        if (!chainHead) {
+            const entries = await db.auditLog.list();
+            chainHead = entries.reduce((head, entry) => (!head || entry.seq > head.seq ? entry : head), null);
+        }
+        return chainHead;
+    }
+
+    /**
+     * @private
+     */
+    async _signCheckpoint(entry) {
+        const checkpoint = {
+            id: `checkpoint-${String(entry.seq).padStart(12, '0')}`,
+            seq: entry.seq,
+            hash: entry.hash,
+            createdAt: new Date().toISOString()
+        };
+
+        const { keyId, algorithm, signature } = await this.systemKeyService.sign(this._checkpointMessage(checkpoint));
+        Object.assign(checkpoint, { keyId, algorithm, signature });
+
+        await db.auditCheckpoints.set(checkpoint.id, checkpoint);
+
+        return checkpoint;
+    }
+
+    /**
+     * @private
+     */
+    _checkpointMessage(checkpoint) {
+        return canonicalize({
+            type: 'audit-checkpoint',
+            seq: checkpoint.seq,
+            hash: checkpoint.hash,
+            createdAt: checkpoint.createdAt
+        });
+    }
+}
+
+AuditService.EVENTS = AUDIT_EVENTS;
+
+module.exports = AuditService;
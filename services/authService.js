@@ -0,0 +1,151 @@
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const db = require('../database');
+const config = require('../config/config');
+
+class AuthService {
+    constructor() {
+        this.jwtConfig = config.JWT_CONFIG;
+        this.config = config.AUTH_CONFIG;
+    }
+
+    /**
+     * Create a new user account
+     * @param {Object} userInfo - username, password, name, email, role
+     * @returns {Object} Created user (without password hash)
+     */
+    async createUser(userInfo) {
+        const { username, password, name, email, role } = userInfo;
+
+        const validRoles = Object.values(config.MULTISIG_CONFIG.ROLES);
+        if (!validRoles.includes(role)) {
+            throw new Error(`Invalid role. Valid roles: ${validRoles.join(', ')}`);
+        }
+
+        if (!password || password.length < this.config.PASSWORD_MIN_LENGTH) {
+            throw new Error(`Password must be at least ${this.config.PASSWORD_MIN_LENGTH} characters`);
+        }
+
+        const existing = await db.users.findBy('username', username);
+        if (existing.length > 0) {
+            throw new Error(`Username '${username}' is already taken`);
+        }
+
+        const user = {
+            id: crypto.randomUUID(),
+            username: username,
+            passwordHash: await bcrypt.hash(password, this.config.BCRYPT_ROUNDS),
+            name: name || username,
+            email: email || '',
+            role: role,
+            status: 'active',
+            createdAt: new Date().toISOString()
+        };
+
+        await db.users.set(user.id, user);
+
+        return this.toPublicUser(user);
+    }
+
+    /**
+     * Check credentials and issue an access token
+     * @param {string} username - Username
+     * @param {string} password - Plain text password
+     * @returns {Object|null} Token and user, or null if credentials are invalid
+     */
+    async login(username, password) {
+        const [user] = await db.users.findBy('username', username);
+
+        if (!user || user.status !== 'active') {
+            return null;
+        }
+
+        const passwordMatch = await bcrypt.compare(password, user.passwordHash);
+        if (!passwordMatch) {
+            return null;
+        }
+
+        return {
+            token: this.issueToken(user),
+            tokenType: 'Bearer',
+            expiresIn: this.jwtConfig.EXPIRES_IN,
+            user: this.toPublicUser(user)
+        };
+    }
+
+    /**
+     * Sign a JWT for a user
+     * @param {Object} user - User record
+     * @returns {string} Signed JWT
+     */
+    issueToken(user) {
+        return jwt.sign(
+            { sub: user.id, username: user.username, role: user.role },
+            this.jwtConfig.SECRET,
+            { algorithm: this.jwtConfig.ALGORITHM, expiresIn: this.jwtConfig.EXPIRES_IN }
+        );
+    }
+
+    /**
+     * Verify a JWT and load the user it was issued to
+     * @param {string} token - Bearer token
+     * @returns {Object|null} Public user, or null if the account no longer exists or is inactive
+     * @throws {JsonWebTokenError|TokenExpiredError} When the token itself is invalid
+     */
+    async verifyToken(token) {
+        const payload = jwt.verify(token, this.jwtConfig.SECRET, {
+            algorithms: [this.jwtConfig.ALGORITHM]
+        });
+
+        const user = await db.users.get(payload.sub);
+        if (!user || user.status !== 'active') {
+            return null;
+        }
+
+        return this.toPublicUser(user);
+    }
+
+    /**
+     * Create the initial admin account when no users exist yet
+     * @returns {Object|null} Created admin, or null if nothing was created
+     */
+    async ensureBootstrapAdmin() {
+        const users = await db.users.list();
+        if (users.length > 0) {
+            return null;
+        }
+
+        const admin = this.config.BOOTSTRAP_ADMIN;
+        if (!admin.PASSWORD) {
+            console.warn('No user accounts exist and ADMIN_PASSWORD is not set; bootstrap admin was not created');
+            return null;
+        }
+
+        return this.createUser({
+            username: admin.USERNAME,
+            password: admin.PASSWORD,
+            name: admin.NAME,
+            role: config.MULTISIG_CONFIG.ROLES.ADMIN
+        });
+    }
+
+    /**
+     * Strip secrets from a user record
+     * @param {Object} user - User record
+     * @returns {Object} User safe to return in responses
+     */
+    toPublicUser(user) {
+        return {
+            id: user.id,
+            username: user.username,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            status: user.status,
+            createdAt: user.createdAt
+        };
+    }
+}
+
+module.exports = AuthService;
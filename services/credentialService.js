@@ -0,0 +1,449 @@
+const crypto = require('crypto');
+const nacl = require('tweetnacl');
+const EdDSAService = require('./eddsaService');
+const MultiSignatureService = require('./multiSignatureService');
+const KeyRegistryService = require('./keyRegistryService');
+const { canonicalize } = require('../utils/canonicalJson');
+const { encodeBase58, decodeBase58 } = require('../utils/base58');
+const { evaluatePolicy, describeUnmetPolicy } = require('../utils/signingPolicy');
+const db = require('../database');
+const config = require('../config/config');
+
+const CREDENTIALS_V2_CONTEXT = 'https://www.w3.org/ns/credentials/v2';
+const PROOF_TYPE = 'DataIntegrityProof';
+const PROOF_PURPOSE = 'assertionMethod';
+// Multicodec prefix of an Ed25519 public key (0xed, varint encoded)
+const ED25519_MULTICODEC = Buffer.from([0xed, 0x01]);
+
+/**
+ * Exports signed documents as W3C Verifiable Credentials (VC Data Model 2.0).
+ * The credential describes the document and carries its existing EdDSA
+ * (multi-)signature as evidence; each signer then adds a Data Integrity proof
+ * (eddsa-jcs-2022) over the credential with the same registered key, identified
+ * as a did:key. Proofs form a proof set: each covers the credential alone.
+ */
+class CredentialService {
+    constructor() {
+        this.config = config.CREDENTIAL_CONFIG;
+        this.eddsaService = new EdDSAService();
+        this.multiSigService = new MultiSignatureService();
+        this.keyRegistry = new KeyRegistryService();
+    }
+
+    /**
+     * Load the stored credential of a signed document, issuing it on first use
+     * @param {Object} document - Signed document
+     * @param {Object} signatureData - document.signature or an aggregated multi-signature
+     * @returns {Promise<Object>} Credential record { credential, proofs, ... }
+     */
+    async getOrCreateRecord(document, signatureData) {
+        const existing = await db.credentials.get(document.id);
+        if (existing) {
+            return existing;
+        }
+
+        const record = {
+            id: document.id,
+            documentId: document.id,
+            credential: this.buildCredential(document, signatureData),
+            proofs: [],
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        try {
+            await db.credentials.insert(record.id, record);
+        } catch (error) {
+            // Issued concurrently; both requests build the same credential
+            if (error.code === 'DUPLICATE_ID') {
+                return db.credentials.get(document.id);
+            }
+            throw error;
+        }
+
+        return record;
+    }
+
+    /**
+     * Unsecured credential (no proof) for a signed document
+     * @param {Object} document - Signed document
+     * @param {Object} signatureData - document.signature or an aggregated multi-signature
+     * @returns {Object} Verifiable Credential without proof
+     */
+    buildCredential(document, signatureData) {
+        const metadata = document.metadata || {};
+        const signedMetadata = this.eddsaService.pickSignedMetadata(document);
+        const credential = {
+            '@context': [CREDENTIALS_V2_CONTEXT],
+            id: `urn:uuid:${document.id}`,
+            type: ['VerifiableCredential', this.config.TYPES[document.type] || this.config.DEFAULT_TYPE],
+            name: document.title,
+            issuer: {
+                id: this.config.ISSUER_ID,
+                name: document.issuer
+            },
+            validFrom: document.signedAt || metadata.issueDate,
+            credentialSubject: {
+                name: document.recipient,
+                document: {
+                    id: document.id,
+                    title: document.title,
+                    documentType: document.type,
+                    documentNumber: metadata.documentNumber || null,
+                    issueDate: metadata.issueDate || null,
+                    metadata: signedMetadata,
+                    documentHash: this.eddsaService.computeDocumentHash(document),
+                    metadataHash: this.eddsaService.computeMetadataHash(document),
+                    file: this.eddsaService.pickFileDigest(document)
+                }
+            },
+            evidence: [{
+                type: ['DocumentSignatureEvidence'],
+                signature: this._evidenceSignature(signatureData)
+            }]
+        };
+
+        if (signedMetadata.valid_until) {
+            credential.validUntil = new Date(signedMetadata.valid_until).toISOString();
+        }
+
+        // Documents get a status list index (StatusListService) before their credential is issued
+        if (Number.isInteger(document.statusListIndex)) {
+            credential.credentialStatus = this.credentialStatusFor(document.statusListIndex);
+        }
+
+        return credential;
+    }
+
+    /**
+     * credentialStatus entry pointing at a document's bit in the revocation status list
+     * @param {number} index - Status list index
+     * @returns {Object} BitstringStatusListEntry
+     */
+    credentialStatusFor(index) {
+        return {
+            id: `${this.config.STATUS_LIST_URL}#${index}`,
+            type: 'BitstringStatusListEntry',
+            statusPurpose: 'revocation',
+            statusListIndex: String(index),
+            statusListCredential: this.config.STATUS_LIST_URL
+        };
+    }
+
+    /**
+     * Credential with the record's proof set attached
+     * @param {Object} record - Credential record
+     * @returns {Object} Verifiable Credential
+     */
+    securedCredential(record) {
+        return record.proofs.length > 0 ? { ...record.credential, proof: record.proofs } : record.credential;
+    }
+
+    /**
+     * Signers of the evidence signature and whether each has added a proof
+     * @param {Object} record - Credential record
+     * @returns {Array} { role, name, publicKey, verificationMethod, proved }
+     */
+    listSigners(record) {
+        const proved = new Set(record.proofs.map(proof => proof.verificationMethod));
+
+        return this._evidenceSigners(record.credential).map(signer => {
+            const verificationMethod = this.verificationMethodFor(signer.publicKey);
+            return {
+                role: signer.role,
+                name: signer.name,
+                publicKey: signer.publicKey,
+                verificationMethod: verificationMethod,
+                proved: proved.has(verificationMethod)
+            };
+        });
+    }
+
+    /**
+     * Proof options for a signer, and the bytes they must sign
+     * @param {Object} credential - Unsecured credential
+     * @param {string} publicKey - Signer public key (base64)
+     * @param {string} created - Proof creation time (ISO 8601)
+     * @returns {Object} { proofConfig, hashData } with hashData as base64
+     */
+    createProofPayload(credential, publicKey, created) {
+        const proofConfig = {
+            '@context': credential['@context'],
+            type: PROOF_TYPE,
+            cryptosuite: this.config.CRYPTOSUITE,
+            created: created,
+            verificationMethod: this.verificationMethodFor(publicKey),
+            proofPurpose: PROOF_PURPOSE
+        };
+
+        return {
+            proofConfig: proofConfig,
+            hashData: this.hashData(credential, proofConfig).toString('base64')
+        };
+    }
+
+    /**
+     * Create an eddsa-jcs-2022 proof with a custodial key
+     * @param {Object} credential - Unsecured credential
+     * @param {string} privateKey - Signer private key (base64)
+     * @returns {Object} Data Integrity proof
+     */
+    createProof(credential, privateKey) {
+        const publicKey = this.eddsaService.getPublicKeyFromPrivate(privateKey);
+        const { proofConfig } = this.createProofPayload(credential, publicKey, new Date().toISOString());
+        const signature = nacl.sign.detached(
+            this.hashData(credential, proofConfig),
+            Buffer.from(privateKey, 'base64')
+        );
+
+        return { ...proofConfig, proofValue: `z${encodeBase58(signature)}` };
+    }
+
+    /**
+     * eddsa-jcs-2022 hash data: SHA-256 of the canonical proof options
+     * followed by SHA-256 of the canonical credential
+     * @param {Object} credential - Unsecured credential
+     * @param {Object} proofConfig - Proof without proofValue
+     * @returns {Buffer} 64 bytes to sign
+     */
+    hashData(credential, proofConfig) {
+        return Buffer.concat([
+            crypto.createHash('sha256').update(canonicalize(proofConfig)).digest(),
+            crypto.createHash('sha256').update(canonicalize(credential)).digest()
+        ]);
+    }
+
+    /**
+     * Check a single proof over an unsecured credential, including the
+     * proving key against the key registry at the proof's creation time
+     * @param {Object} credential - Unsecured credential
+     * @param {Object} proof - Data Integrity proof
+     * @returns {Promise<Object>} { valid, reason, verificationMethod, created, keyStatus }
+     */
+    async verifyProof(credential, proof) {
+        const result = {
+            type: proof && proof.type,
+            cryptosuite: proof && proof.cryptosuite,
+            verificationMethod: proof && proof.verificationMethod,
+            created: proof && proof.created
+        };
+        const fail = (reason, extra = {}) => ({ ...result, ...extra, valid: false, reason });
+
+        if (!proof || typeof proof !== 'object') {
+            return fail('Malformed proof');
+        }
+        if (proof.type === 'Ed25519Signature2020') {
+            return fail('Ed25519Signature2020 proofs require RDF Dataset Canonicalization, which this verifier does not support; use eddsa-jcs-2022');
+        }
+        if (proof.type !== PROOF_TYPE || proof.cryptosuite !== this.config.CRYPTOSUITE) {
+            return fail(`Unsupported proof type; expected ${PROOF_TYPE} with ${this.config.CRYPTOSUITE}`);
+        }
+        if (proof.proofPurpose !== PROOF_PURPOSE) {
+            return fail(`Proof purpose must be '${PROOF_PURPOSE}'`);
+        }
+        if (!proof.created || isNaN(Date.parse(proof.created))) {
+            return fail('Proof has no valid creation time');
+        }
+        if (canonicalize(proof['@context']) !== canonicalize(credential['@context'])) {
+            return fail('Proof context does not match the credential');
+        }
+
+        const publicKey = this.publicKeyFromVerificationMethod(proof.verificationMethod);
+        if (!publicKey) {
+            return fail('Verification method is not an Ed25519 did:key');
+        }
+
+        let signatureValid = false;
+        try {
+            const { proofValue, ...proofConfig } = proof;
+            signatureValid = typeof proofValue === 'string' && proofValue.startsWith('z') && nacl.sign.detached.verify(
+                this.hashData(credential, proofConfig),
+                decodeBase58(proofValue.slice(1)),
+                Buffer.from(publicKey, 'base64')
+            );
+        } catch (error) {
+            signatureValid = false;
+        }
+        if (!signatureValid) {
+            return fail('Invalid proof signature', { signatureValid: false });
+        }
+
+        const keyStatus = await this.keyRegistry.resolveSigner({ publicKey: publicKey }, proof.created);
+        if (!keyStatus.trusted) {
+            return fail(keyStatus.reason, { signatureValid: true, keyStatus });
+        }
+
+        return {
+            ...result,
+            valid: true,
+            reason: keyStatus.revoked ? `Proof is valid; ${keyStatus.reason}` : 'Proof is valid',
+            signatureValid: true,
+            keyStatus: keyStatus,
+            publicKey: publicKey
+        };
+    }
+
+    /**
+     * Verify an imported credential: its proof set, that it matches the
+     * credential issued for the document, and the document signatures it
+     * carries as evidence
+     * @param {Object} securedCredential - Verifiable Credential with proof
+     * @returns {Promise<Object>} Verification result
+     */
+    async verifyCredential(securedCredential) {
+        const { proof, ...credential } = securedCredential || {};
+        const subjectDocument = (credential.credentialSubject && credential.credentialSubject.document) || {};
+        const result = {
+            credentialId: credential.id || null,
+            documentId: subjectDocument.id || null,
+            issuer: credential.issuer || null,
+            proofs: [],
+            verifiedAt: new Date().toISOString()
+        };
+        const fail = (reason, extra = {}) => ({ valid: false, reason, ...result, ...extra });
+
+        const contexts = credential['@context'];
+        if (!Array.isArray(contexts) || contexts[0] !== CREDENTIALS_V2_CONTEXT ||
+            !Array.isArray(credential.type) || !credential.type.includes('VerifiableCredential')) {
+            return fail('Not a W3C Verifiable Credential 2.0');
+        }
+
+        const proofs = proof === undefined ? [] : (Array.isArray(proof) ? proof : [proof]);
+        if (proofs.length === 0) {
+            return fail('Credential has no proof');
+        }
+
+        for (const item of proofs) {
+            result.proofs.push(await this.verifyProof(credential, item));
+        }
+
+        // Every proof must come from a signer of the document
+        const signers = this._evidenceSigners(credential);
+        const signerKeys = new Set(signers.map(signer => signer.publicKey));
+        result.proofs = result.proofs.map(item => (item.valid && !signerKeys.has(item.publicKey) ?
+            { ...item, valid: false, reason: 'Proof key did not sign the document' } : item));
+
+        const invalidProof = result.proofs.find(item => !item.valid);
+        if (invalidProof) {
+            return fail(invalidProof.reason);
+        }
+
+        const record = result.documentId ? await db.credentials.get(result.documentId) : null;
+        if (!record) {
+            return fail('Credential was not issued by this system');
+        }
+        if (canonicalize(record.credential) !== canonicalize(credential)) {
+            return fail('Credential does not match the one issued for the document');
+        }
+
+        const evidence = credential.evidence[0].signature;
+        const threshold = evidence.type === 'multi-signature' ? evidence.threshold : 1;
+        const provedKeys = new Set(result.proofs.map(item => item.publicKey));
+        const provedSigners = provedKeys.size;
+        result.signers = { total: signers.length, proved: provedSigners, threshold: threshold };
+        if (evidence.policy) {
+            // Weighted or rule-based sessions: the proving signers must meet the policy themselves
+            const evaluation = evaluatePolicy(evidence.policy,
+                signers.filter(signer => provedKeys.has(signer.publicKey)).map(signer => signer.role));
+            if (!evaluation.met) {
+                return fail(`Credential proofs do not meet the signing policy: ${describeUnmetPolicy(evidence.policy, evaluation)}`);
+            }
+        } else if (provedSigners < threshold) {
+            return fail(`Credential carries proofs from ${provedSigners}/${threshold} required signers`);
+        }
+
+        const document = await db.documents.get(result.documentId);
+        if (!document) {
+            return fail('Document is not registered in this system');
+        }
+
+        const verification = evidence.type === 'multi-signature' ?
+            await this.multiSigService.verifyMultiSignature(this.multiSigService.sessionFromAggregate(evidence), document) :
+            await this.eddsaService.verifyDocumentSignature(evidence, document);
+        result.documentVerification = verification;
+
+        if (!verification.valid) {
+            return fail(verification.reason);
+        }
+
+        return {
+            valid: true,
+            reason: `Valid credential with proofs from ${provedSigners}/${signers.length} signers`,
+            ...result
+        };
+    }
+
+    /**
+     * did:key verification method of an Ed25519 public key
+     * @param {string} publicKey - Public key (base64)
+     * @returns {string} did:key:z6Mk...#z6Mk...
+     */
+    verificationMethodFor(publicKey) {
+        const multibase = `z${encodeBase58(Buffer.concat([ED25519_MULTICODEC, Buffer.from(publicKey, 'base64')]))}`;
+        return `did:key:${multibase}#${multibase}`;
+    }
+
+    /**
+     * Ed25519 public key named by a did:key verification method
+     * @param {string} verificationMethod - did:key URL
+     * @returns {string|null} Public key (base64), or null if not an Ed25519 did:key
+     */
+    publicKeyFromVerificationMethod(verificationMethod) {
+        const match = typeof verificationMethod === 'string' &&
+            verificationMethod.match(/^did:key:(z[1-9A-HJ-NP-Za-km-z]+)#(z[1-9A-HJ-NP-Za-km-z]+)$/);
+        if (!match || match[1] !== match[2]) {
+            return null;
+        }
+
+        const bytes = decodeBase58(match[1].slice(1));
+        if (bytes.length !== ED25519_MULTICODEC.length + this.eddsaService.config.PUBLIC_KEY_LENGTH ||
+            !bytes.subarray(0, ED25519_MULTICODEC.length).equals(ED25519_MULTICODEC)) {
+            return null;
+        }
+
+        return bytes.subarray(ED25519_MULTICODEC.length).toString('base64');
+    }
+
+    /**
+     * Signature data as published in the credential, without internal fields
+     * @private
+     */
+    _evidenceSignature(signatureData) {
+        if (signatureData.type === 'multi-signature') {
+            const { verification, ...aggregated } = signatureData;
+            return aggregated;
+        }
+
+        return {
+            type: 'single',
+            documentId: signatureData.documentId,
+            documentHash: signatureData.documentHash,
+            signature: signatureData.signature,
+            envelope: signatureData.envelope,
+            signer: {
+                role: signatureData.signer.role,
+                name: signatureData.signer.name,
+                keyId: signatureData.signer.keyId,
+                publicKey: signatureData.signer.publicKey
+            },
+            metadata: signatureData.metadata,
+            timestamp: signatureData.timestamp || null
+        };
+    }
+
+    /**
+     * @private
+     */
+    _evidenceSigners(credential) {
+        const evidence = (credential.evidence || [])[0];
+        const signature = evidence && evidence.signature;
+        if (!signature) {
+            return [];
+        }
+        return signature.type === 'multi-signature' ?
+            signature.signatures.map(sig => sig.signer) :
+            [signature.signer];
+    }
+}
+
+module.exports = CredentialService;
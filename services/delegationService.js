@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const EdDSAService = require('./eddsaService');
+const KeyRegistryService = require('./keyRegistryService');
+const { createMandate, serializeMandate, checkDelegation } = require('../utils/delegationMandate');
+const { verifySignature } = require('../utils/signingEnvelope');
+const db = require('../database');
+const config = require('../config/config');
+
+// Delegation IDs are random UUIDs issued by draftMandate (crypto.randomUUID)
+const DELEGATION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+/**
+ * Delegation of signing authority to acting officials (Plh/Plt). The holder
+ * of a key signs a mandate letting another registered key sign as their role,
+ * for the listed document types and a limited period (see
+ * utils/delegationMandate). Signatures made under a mandate carry its
+ * delegationId and verify as "signed by the delegate on behalf of the
+ * delegator" while the mandate, the delegate key and the delegator key were
+ * all valid at signing time.
+ */
+class DelegationService {
+    constructor() {
+        this.config = config.DELEGATION_CONFIG;
+        this.eddsaService = new EdDSAService();
+        this.keyRegistry = new KeyRegistryService();
+    }
+
+    /**
+     * Draft a mandate from the delegator's key and the requested terms
+     * @param {Object} delegatorKey - Stored key record of the delegator
+     * @param {Object} terms - delegateKeyId, documentTypes, validFrom (default now), validUntil, reason
+     * @returns {Promise<Object>} { mandate, message } where message is the exact string to sign
+     * @throws {Error} For invalid terms or an unusable delegate key
+     */
+    async draftMandate(delegatorKey, terms) {
+        const issuedAt = new Date();
+        const delegateKey = await this._assertTerms(delegatorKey, terms, issuedAt);
+
+        const mandate = createMandate({
+            delegationId: crypto.randomUUID(),
+            delegatorKeyId: delegatorKey.keyId,
+            delegateKeyId: delegateKey.keyId,
+            roles: [delegatorKey.signer.role],
+            documentTypes: [...new Set(terms.documentTypes.map(type => type.trim()))],
+            validFrom: terms.validFrom || issuedAt,
+            validUntil: terms.validUntil,
+            reason: terms.reason,
+            issuedAt: issuedAt.toISOString()
+        });
+
+        return {
+            mandate: mandate,
+            message: serializeMandate(mandate)
+        };
+    }
+
+    /**
+     * Sign a drafted mandate with the delegator's custodial key
+     * @param {Object} mandate - Output of draftMandate
+     * @param {string} privateKey - Delegator's private key as base64 string
+     * @returns {string} Base64 Ed25519 signature
+     */
+    signMandate(mandate, privateKey) {
+        return this.eddsaService.sign(serializeMandate(mandate), privateKey).signature;
+    }
+
+    /**
+     * Store a signed mandate. Client-signed mandates are drafted by the server
+     * (draftMandate) and must come back within MANDATE_MAX_AGE_MS of drafting.
+     * @param {Object} delegatorKey - Stored key record of the delegator
+     * @param {Object} mandate - Signed mandate
+     * @param {string} signature - Delegator's signature over serializeMandate(mandate)
+     * @returns {Promise<Object>} Stored delegation
+     * @throws {Error} When the mandate is stale or not signed by the delegator key; with
+     *                 code 'DUPLICATE_ID' when its delegationId is already taken
+     */
+    async register(delegatorKey, mandate, signature) {
+        const age = Date.now() - Date.parse(mandate && mandate.issuedAt);
+        if (!(age >= 0 && age <= this.config.MANDATE_MAX_AGE_MS)) {
+            throw new Error('Mandate issue time is missing or outside the accepted window; request a new mandate payload');
+        }
+
+        if (typeof mandate.delegationId !== 'string' || !DELEGATION_ID_PATTERN.test(mandate.delegationId)) {
+            throw new Error('Mandate delegationId must be the one issued with the mandate payload');
+        }
+
+        // The terms are checked again, so a client cannot widen them after drafting
+        await this._assertTerms(delegatorKey, mandate, new Date(mandate.issuedAt));
+        if (mandate.delegatorKeyId !== delegatorKey.keyId || !Array.isArray(mandate.roles) || mandate.roles.length !== 1 ||
+            mandate.roles[0] !== delegatorKey.signer.role ||
+            new Set(mandate.documentTypes).size !== mandate.documentTypes.length) {
+            throw new Error('Mandate terms were modified after drafting');
+        }
+
+        if (!verifySignature(signature, serializeMandate(mandate), delegatorKey.publicKey)) {
+            throw new Error('Mandate is not signed by the delegator key');
+        }
+
+        const delegation = {
+            delegationId: mandate.delegationId,
+            delegatorKeyId: mandate.delegatorKeyId,
+            delegateKeyId: mandate.delegateKeyId,
+            mandate: createMandate(mandate),
+            signature: signature,
+            status: 'active',
+            createdAt: new Date().toISOString(),
+            revokedAt: null,
+            revocationReason: null
+        };
+
+        try {
+            await db.delegations.insert(delegation.delegationId, delegation);
+        } catch (error) {
+            if (error.code === 'DUPLICATE_ID') {
+                const duplicate = new Error(`Delegation '${delegation.delegationId}' already exists; request a new mandate payload`);
+                duplicate.code = 'DUPLICATE_ID';
+                throw duplicate;
+            }
+            throw error;
+        }
+
+        return delegation;
+    }
+
+    /**
+     * Revoke a mandate; signatures timestamped by a trusted TSA before now stay valid
+     * @param {Object} delegation - Stored delegation
+     * @param {string} reason - Reason for the revocation
+     * @param {Object} user - Revoking user
+     * @returns {Promise<Object>} Updated delegation
+     * @throws {Error} When the mandate is already revoked
+     */
+    async revoke(delegation, reason, user) {
+        if (delegation.status === 'revoked') {
+            throw new Error('Delegation is already revoked');
+        }
+
+        delegation.status = 'revoked';
+        delegation.revokedAt = new Date().toISOString();
+        delegation.revocationReason = reason || 'No reason provided';
+        delegation.revokedBy = user.id;
+        await db.delegations.set(delegation.delegationId, delegation);
+
+        return delegation;
+    }
+
+    /**
+     * Mandates a key has issued and received
+     * @param {string} keyId - Key ID
+     * @returns {Promise<Object>} { issued, received }
+     */
+    async listForKey(keyId) {
+        const byCreation = (a, b) => a.createdAt.localeCompare(b.createdAt);
+        const [issued, received] = await Promise.all([
+            db.delegations.findBy('delegatorKeyId', keyId),
+            db.delegations.findBy('delegateKeyId', keyId)
+        ]);
+
+        return {
+            issued: issued.sort(byCreation).map(delegation => this.describe(delegation)),
+            received: received.sort(byCreation).map(delegation => this.describe(delegation))
+        };
+    }
+
+    /**
+     * Public view of a delegation
+     * @param {Object} delegation - Stored delegation
+     * @returns {Object} Mandate, signature and status; 'expired' once validUntil has passed
+     */
+    describe(delegation) {
+        const expired = delegation.status === 'active' && new Date(delegation.mandate.validUntil) < new Date();
+
+        return {
+            delegationId: delegation.delegationId,
+            mandate: delegation.mandate,
+            signature: delegation.signature,
+            status: expired ? 'expired' : delegation.status,
+            createdAt: delegation.createdAt,
+            revokedAt: delegation.revokedAt,
+            revocationReason: delegation.revocationReason
+        };
+    }
+
+    /**
+     * Check that a stored mandate lets a key sign as a role at a point in time.
+     * The delegator's key must itself have been valid then.
+     * @param {string} delegationId - Delegation ID
+     * @param {Object} use - keyId (delegate key), role, documentType, signedAt and
+     *                       signedAtTrusted (signedAt is attested by a trusted TSA)
+     * @returns {Promise<Object>} { valid, reason, delegator: { keyId, name, role, signerId } }
+     */
+    async checkMandate(delegationId, use) {
+        const delegation = delegationId ? await db.delegations.get(delegationId) : null;
+        if (!delegation) {
+            return { valid: false, reason: 'Delegation not found' };
+        }
+
+        const delegatorKey = await db.keys.get(delegation.delegatorKeyId);
+        if (!delegatorKey) {
+            return { valid: false, reason: 'Delegator key of the mandate is not registered' };
+        }
+
+        const delegator = {
+            keyId: delegatorKey.keyId,
+            name: delegatorKey.signer.name || null,
+            role: delegatorKey.signer.role,
+            signerId: delegatorKey.signer.id || null
+        };
+
+        const delegatorStatus = await this.keyRegistry.resolveSigner(
+            { publicKey: delegatorKey.publicKey, keyId: delegatorKey.keyId },
+            use.signedAt,
+            Boolean(use.signedAtTrusted)
+        );
+        if (!delegatorStatus.trusted) {
+            return { valid: false, reason: `Delegator key: ${delegatorStatus.reason}`, delegator };
+        }
+
+        const check = checkDelegation(delegation, {
+            keyId: delegatorKey.keyId,
+            publicKey: delegatorKey.publicKey,
+            role: delegatorKey.signer.role
+        }, use);
+
+        return { ...check, delegator };
+    }
+
+    /**
+     * Resolve the key of a signature made under a mandate: the delegate key
+     * against the registry (whatever its own role) and the mandate for the
+     * role the signature claims
+     * @param {Object} signer - publicKey and keyId of the delegate key
+     * @param {Object} use - delegationId, role and documentType of the signature
+     * @param {string|null} signedAt - ISO time the signature was made, if known
+     * @param {boolean} [signedAtTrusted=false] - Whether signedAt is attested by a trusted TSA
+     * @returns {Promise<Object>} Key status as KeyRegistryService.resolveSigner, with
+     *                            delegationId and, when trusted, onBehalfOf
+     */
+    async resolveDelegatedSigner(signer, use, signedAt, signedAtTrusted = false) {
+        const keyStatus = await this.keyRegistry.resolveSigner(
+            { publicKey: signer.publicKey, keyId: signer.keyId },
+            signedAt,
+            signedAtTrusted
+        );
+        if (!keyStatus.trusted) {
+            return { ...keyStatus, delegationId: use.delegationId };
+        }
+
+        const mandate = await this.checkMandate(use.delegationId, {
+            keyId: keyStatus.keyId,
+            role: use.role,
+            documentType: use.documentType,
+            signedAt: signedAt || new Date().toISOString(),
+            signedAtTrusted: signedAtTrusted
+        });
+        if (!mandate.valid) {
+            return { ...keyStatus, delegationId: use.delegationId, trusted: false, reason: mandate.reason };
+        }
+
+        return {
+            ...keyStatus,
+            delegationId: use.delegationId,
+            onBehalfOf: mandate.delegator
+        };
+    }
+
+    /**
+     * Check the terms of a mandate and load the delegate key
+     * @private
+     */
+    async _assertTerms(delegatorKey, terms, issuedAt) {
+        const { delegateKeyId, documentTypes, validUntil, reason } = terms;
+        const validFrom = terms.validFrom ? new Date(terms.validFrom) : issuedAt;
+
+        if (!delegateKeyId || delegateKeyId === delegatorKey.keyId) {
+            throw new Error('delegateKeyId must name another key');
+        }
+
+        const delegateKey = await db.keys.get(delegateKeyId);
+        if (!delegateKey) {
+            throw new Error('Delegate key not found');
+        }
+        if (delegateKey.status !== 'active') {
+            throw new Error('Delegate key is not active');
+        }
+        if (delegateKey.ownerId === delegatorKey.ownerId) {
+            throw new Error('Delegate key belongs to the delegator');
+        }
+
+        if (!Array.isArray(documentTypes) || documentTypes.length === 0 ||
+            documentTypes.length > this.config.MAX_DOCUMENT_TYPES ||
+            documentTypes.some(type => typeof type !== 'string' || !type.trim())) {
+            throw new Error(`documentTypes must list 1 to ${this.config.MAX_DOCUMENT_TYPES} document types`);
+        }
+
+        if (isNaN(validFrom.getTime()) || !validUntil || isNaN(new Date(validUntil).getTime())) {
+            throw new Error('validFrom and validUntil must be valid dates');
+        }
+        if (new Date(validUntil) <= validFrom || new Date(validUntil) <= new Date()) {
+            throw new Error('validUntil must be after validFrom and in the future');
+        }
+        if (new Date(validUntil) - Math.max(validFrom.getTime(), issuedAt.getTime()) > this.config.MAX_DURATION_MS) {
+            throw new Error(`A mandate may cover at most ${Math.round(this.config.MAX_DURATION_MS / (24 * 60 * 60 * 1000))} days`);
+        }
+
+        if (reason !== undefined && reason !== null &&
+            (typeof reason !== 'string' || reason.length > this.config.REASON_MAX_LENGTH)) {
+            throw new Error(`reason must be text of at most ${this.config.REASON_MAX_LENGTH} characters`);
+        }
+
+        return delegateKey;
+    }
+}
+
+module.exports = DelegationService;
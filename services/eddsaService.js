@@ -1,10 +1,17 @@
 const nacl = require('tweetnacl');
 const crypto = require('crypto');
+const KeyRegistryService = require('./keyRegistryService');
+const TimestampService = require('./timestampService');
+const { canonicalize } = require('../utils/canonicalJson');
+const { digestBuffer } = require('../utils/fileDigest');
+const { SIGNATURE_VERSION, createSigningEnvelope, serializeEnvelope, verifySignature } = require('../utils/signingEnvelope');
 const config = require('../config/config');
 
 class EdDSAService {
     constructor() {
         this.config = config.EDDSA_CONFIG;
+        this.keyRegistry = new KeyRegistryService();
+        this.timestampService = new TimestampService();
     }
 
     /**
@@ -72,6 +79,156 @@ class EdDSAService {
         }
     }
 
+    /**
+     * Hash of a document's content: the SHA-256 of its uploaded file, or for
+     * documents without a file digest the hash of the content in canonical
+     * (RFC 8785) form, so the result does not depend on key order
+     * @param {Object} document - Document object
+     * @returns {string} SHA-256 hash as hex string
+     */
+    computeDocumentHash(document) {
+        const fileDigest = this.pickFileDigest(document);
+        if (fileDigest) {
+            return fileDigest.sha256;
+        }
+        return this.hashDocument(canonicalize(document.content === undefined ? null : document.content));
+    }
+
+    /**
+     * Hash of a document's descriptive fields, kept apart from the file digest
+     * @param {Object} document - Document object
+     * @returns {string} SHA-256 hash as hex string
+     */
+    computeMetadataHash(document) {
+        return this.hashDocument(canonicalize({
+            id: document.id,
+            title: document.title,
+            type: document.type,
+            recipient: document.recipient,
+            issuer: document.issuer,
+            metadata: document.metadata || null
+        }));
+    }
+
+    /**
+     * Streaming digests of the raw bytes of a document's uploaded file
+     * @param {Object} document - Document object
+     * @returns {Object|null} { sha256, sha512 }, or null when the document has none
+     */
+    pickFileDigest(document) {
+        const digest = document.file && document.file.digest;
+        return digest ? { sha256: digest.sha256, sha512: digest.sha512 } : null;
+    }
+
+    /**
+     * Copy of a document with its file replaced by other bytes, e.g. the copy
+     * a verifier holds, so signatures are checked against those bytes
+     * @param {Object} document - Stored document
+     * @param {Buffer} fileBytes - File bytes to verify
+     * @returns {Object} Document object
+     */
+    documentWithFile(document, fileBytes) {
+        if (this.pickFileDigest(document)) {
+            return { ...document, file: { ...document.file, digest: digestBuffer(fileBytes) } };
+        }
+        // Documents uploaded before file digests carry the file as base64 content
+        return { ...document, content: fileBytes.toString('base64') };
+    }
+
+    /**
+     * Document hash as computed by the given signature version
+     * @param {Object} document - Document object
+     * @param {string} version - Signature/session version ('1.0' if unset)
+     * @returns {string} SHA-256 hash as hex string
+     */
+    documentHashFor(document, version) {
+        if (version === SIGNATURE_VERSION) {
+            return this.computeDocumentHash(document);
+        }
+        return this.hashDocument(JSON.stringify(document.content || document));
+    }
+
+    /**
+     * Document fields bound into a signing envelope
+     * (DOCUMENT_CONFIG.METADATA_FIELDS, from the document or its metadata)
+     * @param {Object} document - Document object
+     * @returns {Object} Field values, null when absent
+     */
+    pickSignedMetadata(document) {
+        const metadata = {};
+        for (const field of config.DOCUMENT_CONFIG.METADATA_FIELDS) {
+            const value = document[field] !== undefined ? document[field] : (document.metadata || {})[field];
+            metadata[field] = value === undefined ? null : value;
+        }
+        return metadata;
+    }
+
+    /**
+     * Build a self-describing signing envelope. The signature covers its
+     * canonical serialization, so the document, its metadata, the signer role,
+     * the session and the signing time cannot be swapped after signing.
+     * @param {Object} binding - documentId, documentHash, metadata, metadataHash, file
+     *                           digests, role, keyId, sessionId, signedAt, for signing
+     *                           challenges nonce and expiresAt, and delegationId
+     * @returns {Object} Signing envelope
+     */
+    createSigningEnvelope(binding) {
+        return createSigningEnvelope(binding);
+    }
+
+    /**
+     * Serialize a signing envelope into the exact string that is signed
+     * @param {Object} envelope - Signing envelope
+     * @returns {string} Canonical JSON
+     */
+    serializeEnvelope(envelope) {
+        return serializeEnvelope(envelope);
+    }
+
+    /**
+     * Check that a signing envelope describes this document as it is now
+     * @param {Object} envelope - Signing envelope from a signature
+     * @param {Object} document - Document being verified
+     * @param {Object} expected - role, keyId and sessionId the signature claims
+     * @returns {Object} { valid, documentHashMatch, reason }
+     */
+    checkEnvelopeBinding(envelope, document, expected = {}) {
+        if (!envelope || envelope.type !== 'signing-envelope' || envelope.version !== SIGNATURE_VERSION) {
+            return { valid: false, documentHashMatch: false, reason: 'Unsupported signing envelope' };
+        }
+
+        if (envelope.documentId !== document.id) {
+            return { valid: false, documentHashMatch: false, reason: 'Signature was made for a different document' };
+        }
+
+        if (envelope.documentHash !== this.computeDocumentHash(document)) {
+            return { valid: false, documentHashMatch: false, reason: 'Document has been modified' };
+        }
+
+        if (envelope.file !== undefined && canonicalize(envelope.file) !== canonicalize(this.pickFileDigest(document))) {
+            return { valid: false, documentHashMatch: false, reason: 'Document file has been modified' };
+        }
+
+        if (canonicalize(envelope.metadata) !== canonicalize(this.pickSignedMetadata(document)) ||
+            (envelope.metadataHash !== undefined && envelope.metadataHash !== this.computeMetadataHash(document))) {
+            return { valid: false, documentHashMatch: true, reason: 'Document metadata has been modified' };
+        }
+
+        if (expected.role && envelope.role !== expected.role) {
+            return { valid: false, documentHashMatch: true, reason: `Signature was made for role '${envelope.role}'` };
+        }
+
+        if (expected.keyId && envelope.keyId !== expected.keyId) {
+            return { valid: false, documentHashMatch: true, reason: `Signature was made with key '${envelope.keyId}'` };
+        }
+
+        if (expected.sessionId !== undefined && envelope.sessionId !== expected.sessionId) {
+            return { valid: false, documentHashMatch: true, reason: 'Signature belongs to a different signing session' };
+        }
+
+        return { valid: true, documentHashMatch: true, reason: 'Signing envelope matches the document' };
+    }
+
     /**
      * Create EdDSA signature
      * @param {string} message - Message to sign (usually document hash)
@@ -106,11 +263,7 @@ class EdDSAService {
      */
     verify(signature, message, publicKey) {
         try {
-            const signatureBytes = Buffer.from(signature, 'base64');
-            const messageBytes = Buffer.from(message, 'utf8');
-            const publicKeyBytes = Buffer.from(publicKey, 'base64');
-            
-            return nacl.sign.detached.verify(messageBytes, signatureBytes, publicKeyBytes);
+            return verifySignature(signature, message, publicKey);
         } catch (error) {
             throw new Error(`Failed to verify signature: ${error.message}`);
         }
@@ -125,25 +278,35 @@ class EdDSAService {
      */
     signDocument(document, privateKey, signerInfo) {
         try {
-            // Create document hash
-            const documentContent = JSON.stringify(document.content || document);
-            const documentHash = this.hashDocument(documentContent);
-            
-            // Create signature
-            const signatureData = this.sign(documentHash, privateKey);
+            const signedAt = new Date().toISOString();
+
+            // Sign a canonical envelope binding the document, its metadata and the signer
+            const envelope = this.createSigningEnvelope({
+                documentId: document.id,
+                documentHash: this.computeDocumentHash(document),
+                metadata: this.pickSignedMetadata(document),
+                metadataHash: this.computeMetadataHash(document),
+                file: this.pickFileDigest(document),
+                role: signerInfo.role,
+                keyId: signerInfo.keyId,
+                sessionId: null,
+                signedAt: signedAt
+            });
+            const signatureData = this.sign(this.serializeEnvelope(envelope), privateKey);
             
             return {
                 documentId: document.id || crypto.randomUUID(),
-                documentHash: documentHash,
+                documentHash: envelope.documentHash,
                 signature: signatureData.signature,
+                envelope: envelope,
                 signer: {
                     ...signerInfo,
                     publicKey: this.getPublicKeyFromPrivate(privateKey)
                 },
                 metadata: {
                     algorithm: 'Ed25519',
-                    signedAt: new Date().toISOString(),
-                    version: '1.0'
+                    signedAt: signedAt,
+                    version: SIGNATURE_VERSION
                 },
                 verification: {
                     verified: false,
@@ -156,41 +319,95 @@ class EdDSAService {
     }
 
     /**
-     * Verify document signature
+     * Verify document signature, including the signer's key against the registry
      * @param {Object} signatureObject - Signature object from signDocument
      * @param {Object} document - Original document
-     * @returns {Object} Verification result with details
+     * @returns {Promise<Object>} Verification result with details
      */
-    verifyDocumentSignature(signatureObject, document) {
+    async verifyDocumentSignature(signatureObject, document) {
         try {
-            // Recreate document hash
-            const documentContent = JSON.stringify(document.content || document);
-            const documentHash = this.hashDocument(documentContent);
-            
-            // Check if document hash matches
-            if (documentHash !== signatureObject.documentHash) {
-                return {
-                    valid: false,
-                    reason: 'Document has been modified',
-                    documentHashMatch: false,
-                    signatureValid: false
-                };
+            const { envelope } = signatureObject;
+            let signer = signatureObject.signer;
+            let signedMessage;
+            let signedAt;
+
+            if (envelope) {
+                // Version 2.0: the envelope must describe this document as it is now
+                const binding = this.checkEnvelopeBinding(envelope, document, {
+                    role: signer.role,
+                    keyId: signer.keyId
+                });
+                if (!binding.valid) {
+                    return {
+                        valid: false,
+                        reason: binding.reason,
+                        documentHashMatch: binding.documentHashMatch,
+                        signatureValid: false
+                    };
+                }
+
+                signedMessage = this.serializeEnvelope(envelope);
+                signedAt = envelope.signedAt;
+                signer = { ...signer, keyId: envelope.keyId };
+            } else {
+                // Version 1.0: signature covers only the legacy document hash
+                const documentHash = this.documentHashFor(document, '1.0');
+                if (documentHash !== signatureObject.documentHash) {
+                    return {
+                        valid: false,
+                        reason: 'Document has been modified',
+                        documentHashMatch: false,
+                        signatureValid: false
+                    };
+                }
+
+                signedMessage = documentHash;
+                signedAt = signatureObject.metadata?.signedAt || null;
             }
             
             // Verify signature
             const isSignatureValid = this.verify(
                 signatureObject.signature,
-                documentHash,
-                signatureObject.signer.publicKey
+                signedMessage,
+                signer.publicKey
             );
-            
+
+            // Prefer the TSA-attested time over the server-reported signedAt
+            const timestampStatus = await this.timestampService.verifySignatureTimestamp(
+                signatureObject.timestamp,
+                signatureObject.signature
+            );
+
+            // Resolve signer against the key registry at signing time
+            const keyStatus = await this.keyRegistry.resolveSigner(
+                signer,
+                timestampStatus.trustedSigningTime || signedAt,
+                Boolean(timestampStatus.trustedSigningTime)
+            );
+            const isValid = isSignatureValid && keyStatus.trusted && timestampStatus.valid !== false;
+
+            let reason = 'Signature is valid';
+            if (!isSignatureValid) {
+                reason = 'Invalid signature';
+            } else if (timestampStatus.valid === false) {
+                reason = timestampStatus.reason;
+            } else if (!keyStatus.trusted) {
+                reason = keyStatus.reason;
+            } else if (keyStatus.revoked) {
+                reason = `Signature is valid; ${keyStatus.reason}`;
+            }
+
             return {
-                valid: isSignatureValid,
-                reason: isSignatureValid ? 'Signature is valid' : 'Invalid signature',
+                valid: isValid,
+                reason: reason,
                 documentHashMatch: true,
                 signatureValid: isSignatureValid,
+                keyStatus: keyStatus,
                 signer: signatureObject.signer,
-                signedAt: signatureObject.metadata.signedAt,
+                signedAt: signedAt,
+                signatureVersion: envelope ? envelope.version : '1.0',
+                trustedSigningTime: timestampStatus.trustedSigningTime,
+                timestamp: timestampStatus,
                 verifiedAt: new Date().toISOString()
             };
         } catch (error) {
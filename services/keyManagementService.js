@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const KeyVault = require('./keyVault');
+const KeyRegistryService = require('./keyRegistryService');
+const db = require('../database');
+const config = require('../config/config');
+
+class KeyManagementService {
+    constructor() {
+        this.config = config.KEY_CONFIG;
+        this.keyVault = new KeyVault();
+        this.keyRegistry = new KeyRegistryService();
+    }
+
+    /**
+     * Encrypt and store a freshly generated key pair
+     * @param {Object} keyPair - Key pair from EdDSAService.generateSignerKeyPair
+     * @param {Object} owner - User the key is bound to
+     * @param {Object} options - passphrase, exportable, and for rotated keys keyId, previousKeyId
+     * @returns {Promise<Object>} Stored key record (private key encrypted)
+     */
+    async storeKeyPair(keyPair, owner, options) {
+        const { privateKey, ...publicPart } = keyPair;
+        // The first key of a signer shares its ID; rotated keys get their own
+        const keyId = options.keyId || keyPair.signer.id;
+        const createdAt = new Date().toISOString();
+
+        const keyData = {
+            keyId: keyId,
+            ...publicPart,
+            encryptedPrivateKey: await this.keyVault.wrap(privateKey, options.passphrase, keyId),
+            ownerId: owner.id,
+            exportable: Boolean(options.exportable),
+            createdAt: createdAt,
+            validFrom: createdAt,
+            validUntil: null,
+            previousKeyId: options.previousKeyId || null,
+            status: 'active'
+        };
+
+        await db.keys.set(keyId, keyData);
+
+        return keyData;
+    }
+
+    /**
+     * Load a key the authenticated user may sign with
+     * @param {string} keyId - Key ID
+     * @param {Object} user - Authenticated user (req.user)
+     * @returns {Promise<Object>} { keyData } on success, otherwise { status, message }
+     */
+    async resolveSignerKey(keyId, user) {
+        const keyData = await db.keys.get(keyId);
+        if (!keyData) {
+            return { status: 404, message: 'Key not found' };
+        }
+
+        if (keyData.ownerId !== user.id) {
+            return { status: 403, message: 'Key is not bound to the authenticated user' };
+        }
+
+        if (keyData.status !== 'active') {
+            return { status: 403, message: 'Key is not active' };
+        }
+
+        const validity = this.keyRegistry.checkValidity(keyData, new Date());
+        if (!validity.valid) {
+            return { status: 403, message: validity.reason };
+        }
+
+        return { keyData };
+    }
+
+    /**
+     * Load and unlock a custodial key for a signing operation performed by the
+     * server. The decrypted key is only held for the duration of the request.
+     * @param {string} keyId - Key ID
+     * @param {Object} user - Authenticated user (req.user)
+     * @param {string} passphrase - Passphrase protecting the key
+     * @returns {Promise<Object>} { keyData, privateKey } on success, otherwise { status, message }
+     */
+    async resolveSigningKey(keyId, user, passphrase) {
+        const resolved = await this.resolveSignerKey(keyId, user);
+        if (!resolved.keyData) {
+            return resolved;
+        }
+
+        const unlocked = await this.unlockPrivateKey(resolved.keyData, passphrase);
+        if (!unlocked.privateKey) {
+            return unlocked;
+        }
+
+        return {
+            keyData: resolved.keyData,
+            privateKey: unlocked.privateKey
+        };
+    }
+
+    /**
+     * Decrypt a key record's private key. Records created before the vault
+     * existed held the key in plaintext; migration 009 discards it, and such
+     * keys are refused until they are rotated.
+     * @param {Object} keyData - Stored key record
+     * @param {string} passphrase - Passphrase protecting the key
+     * @returns {Promise<Object>} { privateKey } on success, otherwise { status, message }
+     */
+    async unlockPrivateKey(keyData, passphrase) {
+        if (!keyData.encryptedPrivateKey) {
+            return { status: 409, message: 'Key has no encrypted private key; rotate it to sign with a new key' };
+        }
+
+        if (!passphrase) {
+            return { status: 400, message: 'Missing required field: passphrase' };
+        }
+
+        try {
+            const privateKey = await this.keyVault.unwrap(keyData.encryptedPrivateKey, passphrase, keyData.keyId);
+            return { privateKey };
+        } catch (error) {
+            return { status: 401, message: error.message };
+        }
+    }
+
+    /**
+     * Re-encrypt a key under a new passphrase
+     * @param {Object} keyData - Stored key record
+     * @param {string} currentPassphrase - Current passphrase
+     * @param {string} newPassphrase - New passphrase
+     * @returns {Promise<Object>} { keyData } on success, otherwise { status, message }
+     */
+    async changePassphrase(keyData, currentPassphrase, newPassphrase) {
+        // Re-encrypt the latest stored key, so concurrent changes cannot leave it under a passphrase nobody set last
+        let result = null;
+        await db.keys.update(keyData.keyId, async current => {
+            const unlocked = await this.unlockPrivateKey(current, currentPassphrase);
+            if (!unlocked.privateKey) {
+                result = unlocked;
+                return null;
+            }
+
+            try {
+                current.encryptedPrivateKey = await this.keyVault.wrap(unlocked.privateKey, newPassphrase, current.keyId);
+            } catch (error) {
+                result = { status: 400, message: error.message };
+                return null;
+            }
+
+            current.passphraseChangedAt = new Date().toISOString();
+            result = { keyData: current };
+            return current;
+        });
+
+        return result;
+    }
+
+    /**
+     * Replace a key with a new key pair for the same signer identity. The old
+     * key stays valid for an overlap period so in-flight signing can finish,
+     * and signatures it made while valid keep verifying afterwards.
+     * @param {Object} oldKey - Stored key record being rotated
+     * @param {Object} keyPair - New key pair from EdDSAService.generateSignerKeyPair
+     * @param {Object} owner - User the new key is bound to
+     * @param {Object} options - passphrase, exportable, overlapDays, reason, rotatedBy
+     * @returns {Promise<Object>} { keyData, previousKey } on success, otherwise { status, message }
+     */
+    async rotateKey(oldKey, keyPair, owner, options) {
+        const overlapDays = options.overlapDays === undefined ?
+            this.config.ROTATION_OVERLAP_DAYS :
+            Number(options.overlapDays);
+        if (!Number.isFinite(overlapDays) || overlapDays < 0 || overlapDays > this.config.MAX_ROTATION_OVERLAP_DAYS) {
+            return {
+                status: 400,
+                message: `overlapDays must be between 0 and ${this.config.MAX_ROTATION_OVERLAP_DAYS}`
+            };
+        }
+
+        // Keep the signer identity; the person holding it may change
+        keyPair.signer = {
+            ...keyPair.signer,
+            id: oldKey.signer.id
+        };
+
+        // Rotate the latest stored key while it is locked, so it is rotated (or revoked) only once
+        let result = null;
+        await db.keys.update(oldKey.keyId, async current => {
+            if (current.status !== 'active') {
+                result = { status: 400, message: 'Only active keys can be rotated' };
+                return null;
+            }
+
+            if (current.rotatedTo) {
+                result = { status: 400, message: `Key has already been rotated to '${current.rotatedTo}'` };
+                return null;
+            }
+
+            let keyData;
+            try {
+                keyData = await this.storeKeyPair(keyPair, owner, {
+                    passphrase: options.passphrase,
+                    exportable: options.exportable,
+                    keyId: crypto.randomUUID(),
+                    previousKeyId: current.keyId
+                });
+            } catch (error) {
+                result = { status: 400, message: error.message };
+                return null;
+            }
+
+            const rotatedAt = new Date(keyData.validFrom);
+            current.validUntil = new Date(rotatedAt.getTime() + overlapDays * 24 * 60 * 60 * 1000).toISOString();
+            current.rotatedTo = keyData.keyId;
+            current.rotatedAt = rotatedAt.toISOString();
+            current.rotatedBy = options.rotatedBy || null;
+            current.rotationReason = options.reason || 'Scheduled rotation';
+            result = { keyData, previousKey: current };
+            return current;
+        });
+
+        return result;
+    }
+
+    /**
+     * Check whether a key's private half may be exported to its owner
+     * @param {Object} keyData - Stored key record
+     * @param {Object} user - Authenticated user (req.user)
+     * @returns {Object} { allowed } or { allowed: false, status, message }
+     */
+    checkExportPolicy(keyData, user) {
+        if (!this.config.ALLOW_PRIVATE_KEY_EXPORT) {
+            return { allowed: false, status: 403, message: 'Private key export is disabled by policy' };
+        }
+
+        if (keyData.ownerId !== user.id) {
+            return { allowed: false, status: 403, message: 'Only the key owner can export the private key' };
+        }
+
+        if (!keyData.exportable) {
+            return { allowed: false, status: 403, message: 'Key was not generated as exportable' };
+        }
+
+        if (keyData.status !== 'active') {
+            return { allowed: false, status: 400, message: 'Key is not active' };
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Public view of a stored key record
+     * @param {Object} keyData - Stored key record
+     * @returns {Object} Key information without private material
+     */
+    toPublicKey(keyData) {
+        return {
+            keyId: keyData.keyId,
+            publicKey: keyData.publicKey,
+            signer: keyData.signer,
+            ownerId: keyData.ownerId,
+            metadata: keyData.metadata,
+            status: keyData.status,
+            exportable: Boolean(keyData.exportable),
+            createdAt: keyData.createdAt,
+            validFrom: keyData.validFrom || keyData.createdAt,
+            validUntil: keyData.validUntil || null,
+            previousKeyId: keyData.previousKeyId || null,
+            rotatedTo: keyData.rotatedTo || null,
+            rotatedAt: keyData.rotatedAt || null
+        };
+    }
+}
+
+module.exports = KeyManagementService;
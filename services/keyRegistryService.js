@@ -0,0 +1,119 @@
+const { checkKeyValidity } = require('../utils/keyValidity');
+const db = require('../database');
+
+/**
+ * Resolves signer public keys against the key registry (db.keys) so that
+ * verification never trusts a public key just because it is embedded in a
+ * signature object or QR payload.
+ */
+class KeyRegistryService {
+    /**
+     * Check a signer's public key against the registry at signing time
+     * @param {Object} signer - Signer info from the signature (publicKey, role, keyId)
+     * @param {string|null} signedAt - ISO time the signature was made, if known
+     * @param {boolean} [signedAtTrusted=false] - Whether signedAt is attested by a trusted TSA
+     *                                            rather than asserted by the signature itself
+     * @returns {Promise<Object>} Key status with `trusted` and a human readable `reason`
+     */
+    async resolveSigner(signer, signedAt, signedAtTrusted = false) {
+        const publicKey = signer && signer.publicKey;
+        if (!publicKey) {
+            return {
+                registered: false,
+                trusted: false,
+                reason: 'Signature does not carry a public key'
+            };
+        }
+
+        const [keyData] = await db.keys.findBy('publicKey', publicKey);
+        if (!keyData) {
+            return {
+                registered: false,
+                trusted: false,
+                reason: 'Signer public key is not registered'
+            };
+        }
+
+        const status = {
+            registered: true,
+            keyId: keyData.keyId,
+            role: keyData.signer.role,
+            name: keyData.signer.name,
+            signerId: keyData.signer.id,
+            status: keyData.status,
+            validFrom: keyData.validFrom || keyData.createdAt,
+            validUntil: keyData.validUntil || null,
+            rotatedTo: keyData.rotatedTo || null,
+            revoked: keyData.status === 'revoked',
+            revokedAt: keyData.revokedAt || null,
+            revocationReason: keyData.revocationReason || null,
+            revokedBeforeSigning: false,
+            trusted: true,
+            reason: 'Signer key is registered and active'
+        };
+
+        if (signer.keyId && signer.keyId !== keyData.keyId) {
+            return {
+                ...status,
+                trusted: false,
+                reason: `Signature claims key '${signer.keyId}' but the public key belongs to '${keyData.keyId}'`
+            };
+        }
+
+        if (signer.role && signer.role !== keyData.signer.role) {
+            return {
+                ...status,
+                trusted: false,
+                reason: `Signature claims role '${signer.role}' but the key is registered for '${keyData.signer.role}'`
+            };
+        }
+
+        if (signedAt) {
+            const validity = this.checkValidity(keyData, signedAt);
+            status.validAt = validity.valid;
+            if (!validity.valid) {
+                return {
+                    ...status,
+                    trusted: false,
+                    reason: validity.reason
+                };
+            }
+        } else if (!this.checkValidity(keyData, new Date()).valid) {
+            // Without a signing time only a currently valid key can be trusted
+            return {
+                ...status,
+                trusted: false,
+                reason: 'Signing time is unknown and the signer key is no longer valid'
+            };
+        }
+
+        if (status.revoked) {
+            // A self-asserted signedAt can be backdated by whoever holds the revoked key,
+            // so only a trusted timestamp can show the signature predates the revocation
+            status.revokedBeforeSigning = !signedAt || !signedAtTrusted || new Date(keyData.revokedAt) <= new Date(signedAt);
+
+            if (status.revokedBeforeSigning) {
+                status.trusted = false;
+                status.reason = signedAt && signedAtTrusted ?
+                    `Signer key was revoked on ${keyData.revokedAt} before signing: ${status.revocationReason}` :
+                    `Signer key was revoked on ${keyData.revokedAt} and no trusted timestamp shows the signature predates it: ${status.revocationReason}`;
+            } else {
+                status.reason = `Signer key was revoked on ${keyData.revokedAt} after signing: ${status.revocationReason}`;
+            }
+        }
+
+        return status;
+    }
+
+    /**
+     * Check whether a key was within its validity period at a point in time
+     * @param {Object} keyData - Stored key record
+     * @param {string|Date} time - Time to check (e.g. the signature's signedAt)
+     * @returns {Object} { valid, reason }
+     */
+    checkValidity(keyData, time) {
+        return checkKeyValidity(keyData, time);
+    }
+}
+
+module.exports = KeyRegistryService;
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('../config/config');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Encrypts signer private keys at rest. Each key is wrapped with AES-256-GCM
+ * under a key derived from the signer's passphrase with scrypt, and the key ID
+ * is bound in as additional authenticated data so a wrapped blob cannot be
+ * moved onto another key record.
+ */
+class KeyVault {
+    constructor() {
+        this.config = config.KEY_VAULT_CONFIG;
+    }
+
+    /**
+     * Encrypt a private key with a passphrase
+     * @param {string} privateKey - Private key as base64 string
+     * @param {string} passphrase - Signer passphrase
+     * @param {string} keyId - Key ID bound as additional authenticated data
+     * @returns {Promise<Object>} Wrapped key (all binary fields base64)
+     */
+    async wrap(privateKey, passphrase, keyId) {
+        this.validatePassphrase(passphrase);
+
+        const salt = crypto.randomBytes(16);
+        const kdfParams = {
+            N: this.config.SCRYPT_N,
+            r: this.config.SCRYPT_R,
+            p: this.config.SCRYPT_P
+        };
+        const wrappingKey = await this._deriveKey(passphrase, salt, kdfParams);
+        const plaintext = Buffer.from(privateKey, 'base64');
+
+        try {
+            const iv = crypto.randomBytes(12);
+            const cipher = crypto.createCipheriv('aes-256-gcm', wrappingKey, iv);
+            cipher.setAAD(Buffer.from(keyId, 'utf8'));
+            const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+            return {
+                version: 1,
+                kdf: 'scrypt',
+                kdfParams: {
+                    ...kdfParams,
+                    salt: salt.toString('base64')
+                },
+                cipher: 'aes-256-gcm',
+                iv: iv.toString('base64'),
+                ciphertext: ciphertext.toString('base64'),
+                authTag: cipher.getAuthTag().toString('base64'),
+                wrappedAt: new Date().toISOString()
+            };
+        } finally {
+            wrappingKey.fill(0);
+            plaintext.fill(0);
+        }
+    }
+
+    /**
+     * Decrypt a wrapped private key
+     * @param {Object} wrapped - Wrapped key from wrap()
+     * @param {string} passphrase - Signer passphrase
+     * @param {string} keyId - Key ID the blob was bound to
+     * @returns {Promise<string>} Private key as base64 string
+     * @throws {Error} When the passphrase is wrong or the blob was tampered with
+     */
+    async unwrap(wrapped, passphrase, keyId) {
+        if (!wrapped || wrapped.version !== 1 || wrapped.cipher !== 'aes-256-gcm') {
+            throw new Error('Unsupported wrapped key format');
+        }
+
+        const wrappingKey = await this._deriveKey(
+            passphrase || '',
+            Buffer.from(wrapped.kdfParams.salt, 'base64'),
+            wrapped.kdfParams
+        );
+
+        try {
+            const decipher = crypto.createDecipheriv(
+                'aes-256-gcm',
+                wrappingKey,
+                Buffer.from(wrapped.iv, 'base64')
+            );
+            decipher.setAAD(Buffer.from(keyId, 'utf8'));
+            decipher.setAuthTag(Buffer.from(wrapped.authTag, 'base64'));
+
+            const plaintext = Buffer.concat([
+                decipher.update(Buffer.from(wrapped.ciphertext, 'base64')),
+                decipher.final()
+            ]);
+            const privateKey = plaintext.toString('base64');
+            plaintext.fill(0);
+
+            return privateKey;
+        } catch (error) {
+            throw new Error('Invalid passphrase or corrupted key');
+        } finally {
+            wrappingKey.fill(0);
+        }
+    }
+
+    /**
+     * Re-encrypt a wrapped key under a new passphrase
+     * @param {Object} wrapped - Wrapped key from wrap()
+     * @param {string} currentPassphrase - Current passphrase
+     * @param {string} newPassphrase - New passphrase
+     * @param {string} keyId - Key ID the blob is bound to
+     * @returns {Promise<Object>} Newly wrapped key
+     */
+    async rewrap(wrapped, currentPassphrase, newPassphrase, keyId) {
+        this.validatePassphrase(newPassphrase);
+
+        const privateKey = await this.unwrap(wrapped, currentPassphrase, keyId);
+        return this.wrap(privateKey, newPassphrase, keyId);
+    }
+
+    /**
+     * Enforce minimum passphrase strength
+     * @param {string} passphrase - Passphrase to check
+     * @throws {Error} When the passphrase is too short
+     */
+    validatePassphrase(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < this.config.PASSPHRASE_MIN_LENGTH) {
+            throw new Error(`Passphrase must be at least ${this.config.PASSPHRASE_MIN_LENGTH} characters`);
+        }
+    }
+
+    /**
+     * Derive the AES wrapping key from a passphrase
+     * @private
+     */
+    _deriveKey(passphrase, salt, params) {
+        return scrypt(passphrase.normalize('NFKC'), salt, 32, {
+            N: params.N,
+            r: params.r,
+            p: params.p,
+            // scrypt needs 128 * N * r bytes; leave headroom over Node's 32 MiB default
+            maxmem: 256 * params.N * params.r
+        });
+    }
+}
+
+module.exports = KeyVault;
@@ -1,10 +1,59 @@
 const crypto = require('crypto');
 const EdDSAService = require('./eddsaService');
+const DelegationService = require('./delegationService');
+const {
+    normalizePolicy,
+    isCountPolicy,
+    parseRule,
+    ruleConditions,
+    evaluatePolicy,
+    describeUnmetPolicy
+} = require('../utils/signingPolicy');
 const config = require('../config/config');
 
+const SESSION_STATUS = {
+    PENDING: 'pending',
+    COMPLETED: 'completed',
+    REJECTED: 'rejected',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired',
+    REVISION_REQUESTED: 'revision_requested'
+};
+
+// Codes on errors for signatures a session refuses, so callers can tell them from failures
+const REFUSALS = {
+    INVALID: 'SIGNATURE_INVALID',
+    CONFLICT: 'SIGNATURE_CONFLICT'
+};
+
+/**
+ * Create an error for a refused signature
+ * @private
+ */
+function refusal(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Session field holding the time a session reached each closing status
+const CLOSED_AT_FIELDS = {
+    [SESSION_STATUS.REJECTED]: 'rejectedAt',
+    [SESSION_STATUS.CANCELLED]: 'cancelledAt',
+    [SESSION_STATUS.EXPIRED]: 'expiredAt',
+    [SESSION_STATUS.REVISION_REQUESTED]: 'revisionRequestedAt'
+};
+
+/**
+ * Multi-signature sessions. A session is pending until its signing policy is
+ * met (completed) or it is closed: rejected or sent back for revision by a
+ * signer, cancelled by an admin, or expired. Closed sessions accept no more
+ * signatures and keep a timeline of everything that happened to them.
+ */
 class MultiSignatureService {
     constructor() {
         this.eddsaService = new EdDSAService();
+        this.delegationService = new DelegationService();
         this.config = config.MULTISIG_CONFIG;
     }
 
@@ -13,31 +62,47 @@ class MultiSignatureService {
      * @param {Object} document - Document to be signed
      * @param {Array} requiredSigners - Array of required signer roles/info
      * @param {number} threshold - Minimum signatures required (optional)
+     * @param {Object} workflow - Signing order and required roles (optional, see buildWorkflow)
+     * @param {Object} policy - Weights, required roles and rule (optional, see buildPolicy)
      * @returns {Object} Multi-signature session object
      */
-    initializeMultiSigSession(document, requiredSigners, threshold = null) {
+    initializeMultiSigSession(document, requiredSigners, threshold = null, workflow = null, policy = null) {
         try {
             const sessionId = crypto.randomUUID();
-            const documentHash = this.eddsaService.hashDocument(
-                JSON.stringify(document.content || document)
-            );
+            const sessionThreshold = threshold || Math.min(this.config.DEFAULT_THRESHOLD, requiredSigners.length);
+            const sessionWorkflow = this.buildWorkflow(requiredSigners, workflow);
+            const sessionPolicy = this.buildPolicy(requiredSigners, sessionThreshold, workflow, policy);
 
             const session = {
                 sessionId: sessionId,
+                version: '2.0',
                 documentId: document.id || crypto.randomUUID(),
-                documentHash: documentHash,
+                documentHash: this.eddsaService.computeDocumentHash(document),
+                // Snapshot of the metadata and file digests every signer's envelope binds
+                documentMetadata: this.eddsaService.pickSignedMetadata(document),
+                metadataHash: this.eddsaService.computeMetadataHash(document),
+                fileDigest: this.eddsaService.pickFileDigest(document),
+                // Signers are identified by signerId; several may share a role
                 requiredSigners: requiredSigners.map(signer => ({
+                    signerId: crypto.randomUUID(),
                     role: signer.role,
                     name: signer.name,
                     email: signer.email,
-                    required: signer.required !== false, // Default to required
+                    // Only this key may sign for the signer when set
+                    keyId: signer.keyId || null,
+                    // Required signers must sign whatever the threshold
+                    required: this._isRequiredSigner(signer, workflow, policy),
+                    stage: sessionWorkflow.stages.find(stage => stage.roles.includes(signer.role)).name,
                     status: 'pending'
                 })),
-                threshold: threshold || Math.min(this.config.DEFAULT_THRESHOLD, requiredSigners.length),
+                threshold: sessionThreshold,
+                policy: sessionPolicy,
+                workflow: sessionWorkflow,
                 signatures: [],
-                status: 'pending',
+                status: SESSION_STATUS.PENDING,
                 createdAt: new Date().toISOString(),
-                expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), // 7 days
+                expiresAt: new Date(Date.now() + this.config.SESSION_TTL_MS).toISOString(),
+                timeline: [],
                 metadata: {
                     totalSigners: requiredSigners.length,
                     signedCount: 0,
@@ -52,101 +117,714 @@ class MultiSignatureService {
     }
 
     /**
-     * Add signature to multi-signature session
+     * Normalize the workflow of a new session. Stages sign in order; the roles
+     * within a stage sign in parallel, and a stage is complete once
+     * minSignatures of them (default: all) and its required roles have signed.
+     * Without stages every signer is in a single stage.
+     * @param {Array} signers - Signers as passed to initializeMultiSigSession
+     * @param {Object} workflow - { stages: [[role, ...] | { name, roles, minSignatures }, ...],
+     *                            requiredRoles } or { ordered: true, requiredRoles } for one
+     *                            stage per signer in MULTISIG_CONFIG.ROLE_HIERARCHY order;
+     *                            requiredRoles go to the session policy
+     * @returns {Object} { ordered, stages: [{ name, roles, minSignatures }] }
+     */
+    buildWorkflow(signers, workflow = null) {
+        const roles = [...new Set(signers.map(signer => signer.role))];
+        // A stage holds every signer of its roles
+        const signersOf = stageRoles => signers.filter(signer => stageRoles.includes(signer.role)).length;
+        let stages;
+
+        if (workflow && Array.isArray(workflow.stages)) {
+            stages = workflow.stages.map((stage, index) => {
+                const stageRoles = Array.isArray(stage) ? stage : stage.roles;
+                return {
+                    name: (!Array.isArray(stage) && stage.name) || `stage-${index + 1}`,
+                    roles: stageRoles,
+                    minSignatures: (!Array.isArray(stage) && stage.minSignatures) || signersOf(stageRoles)
+                };
+            });
+        } else if (workflow && workflow.ordered) {
+            // Roles outside the hierarchy sign last
+            const rank = role => {
+                const index = this.config.ROLE_HIERARCHY.indexOf(role);
+                return index === -1 ? this.config.ROLE_HIERARCHY.length : index;
+            };
+            stages = [...roles]
+                .sort((a, b) => rank(a) - rank(b))
+                .map(role => ({ name: role, roles: [role], minSignatures: signersOf([role]) }));
+        } else {
+            stages = [{ name: 'stage-1', roles: roles, minSignatures: signers.length }];
+        }
+
+        return {
+            ordered: stages.length > 1,
+            stages: stages
+        };
+    }
+
+    /**
+     * Signing policy of a new session (see utils/signingPolicy). The threshold
+     * is weighted once roles have weights; required roles come from
+     * policy.requiredRoles, workflow.requiredRoles and signers with required: true,
+     * once per required signer.
+     * @param {Array} signers - Signers as passed to initializeMultiSigSession
+     * @param {number} threshold - Session threshold
+     * @param {Object} workflow - Workflow definition (optional)
+     * @param {Object} policy - { weights: { role: weight }, requiredRoles, rule } (optional)
+     * @returns {Object} { threshold, weights, requiredRoles, rule }
+     */
+    buildPolicy(signers, threshold, workflow = null, policy = null) {
+        return normalizePolicy({
+            threshold: threshold,
+            weights: policy && policy.weights,
+            requiredRoles: signers
+                .filter(signer => this._isRequiredSigner(signer, workflow, policy))
+                .map(signer => signer.role),
+            rule: policy && policy.rule
+        });
+    }
+
+    /**
+     * Find a signer of a session by signer ID, by the key it is bound to, or by
+     * a role held by no other signer (sessions prepared before signer IDs)
+     * @param {Object} session - Multi-signature session
+     * @param {string} signerRef - Signer ID, key ID or role
+     * @returns {Object|null} Required signer entry
+     */
+    findSigner(session, signerRef) {
+        const bySigner = session.requiredSigners.find(signer => signer.signerId && signer.signerId === signerRef) ||
+            session.requiredSigners.find(signer => signer.keyId && signer.keyId === signerRef);
+        if (bySigner) {
+            return bySigner;
+        }
+
+        const byRole = session.requiredSigners.filter(signer => signer.role === signerRef);
+        return byRole.length === 1 ? byRole[0] : null;
+    }
+
+    /**
+     * Whether a role may sign now: every stage before its own must be complete
      * @param {Object} session - Multi-signature session
      * @param {string} signerRole - Role of the signer
-     * @param {string} privateKey - Signer's private key
-     * @param {Object} signerInfo - Signer information
+     * @returns {Object} { allowed, reason }
+     */
+    checkWorkflowOrder(session, signerRole) {
+        // Sessions prepared before workflows accept signatures in any order
+        if (!session.workflow) {
+            return { allowed: true, reason: null };
+        }
+
+        const stages = this._stageProgress(session);
+        const index = stages.findIndex(stage => stage.roles.includes(signerRole));
+        const waiting = stages.slice(0, Math.max(index, 0)).find(stage => !stage.complete);
+        if (waiting) {
+            return {
+                allowed: false,
+                reason: `Signer role '${signerRole}' must wait for stage '${waiting.name}' (${waiting.roles.join(', ')}) to complete`
+            };
+        }
+
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Issue a signing payload (challenge) for a signer. The signer signs the
+     * serialized payload with their own key and submits only the signature.
+     * @param {Object} session - Multi-signature session (challenge is recorded on it)
+     * @param {string} signerRef - Signer ID (or key ID / unique role, see findSigner)
+     * @param {string} keyId - Registered key the signer will sign with
+     * @param {Object} onBehalfOf - { delegationId, keyId, name, role } of a checked mandate
+     *                              and its delegator when the key signs as a delegate (optional)
+     * @returns {Object} Payload and the exact message to sign
+     * @throws {Error} With a MultiSignatureService.REFUSALS code when the signer cannot sign
+     */
+    createSigningPayload(session, signerRef, keyId, onBehalfOf = null) {
+        try {
+            const requiredSigner = this._assertSignable(session, signerRef, keyId, onBehalfOf && onBehalfOf.keyId);
+            const signerRole = requiredSigner.role;
+
+            if (onBehalfOf && session.version !== '2.0') {
+                throw refusal('Sessions prepared before signing envelopes cannot be signed under a mandate', REFUSALS.INVALID);
+            }
+
+            const issuedAt = new Date();
+            const nonce = crypto.randomBytes(16).toString('base64url');
+            const expiresAt = new Date(issuedAt.getTime() + this.config.SIGNING_PAYLOAD_TTL_MS).toISOString();
+
+            // Sessions prepared before signing envelopes keep the 1.0 payload
+            const payload = session.version === '2.0' ?
+                this.eddsaService.createSigningEnvelope({
+                    documentId: session.documentId,
+                    documentHash: session.documentHash,
+                    metadata: session.documentMetadata,
+                    metadataHash: session.metadataHash,
+                    file: session.fileDigest,
+                    role: signerRole,
+                    keyId: keyId,
+                    sessionId: session.sessionId,
+                    signedAt: issuedAt.toISOString(),
+                    nonce: nonce,
+                    expiresAt: expiresAt,
+                    delegationId: onBehalfOf ? onBehalfOf.delegationId : null
+                }) :
+                {
+                    type: 'multisig-signing-payload',
+                    version: '1.0',
+                    sessionId: session.sessionId,
+                    documentId: session.documentId,
+                    documentHash: session.documentHash,
+                    role: signerRole,
+                    keyId: keyId,
+                    nonce: nonce,
+                    issuedAt: issuedAt.toISOString(),
+                    expiresAt: expiresAt
+                };
+            const message = this.serializeSigningPayload(payload);
+
+            session.challenges = (session.challenges || []).filter(
+                challenge => !challenge.used && new Date(challenge.expiresAt) > issuedAt
+            );
+            session.challenges.push({
+                nonce: payload.nonce,
+                signerId: this._signerIdOf(requiredSigner),
+                role: signerRole,
+                keyId: keyId,
+                delegationId: onBehalfOf ? onBehalfOf.delegationId : null,
+                issuedAt: issuedAt.toISOString(),
+                expiresAt: payload.expiresAt,
+                messageHash: this.eddsaService.hashDocument(message),
+                used: false
+            });
+
+            return {
+                payload: payload,
+                message: message,
+                encoding: 'utf8',
+                algorithm: 'Ed25519'
+            };
+        } catch (error) {
+            throw refusal(`Failed to create signing payload: ${error.message}`, error.code);
+        }
+    }
+
+    /**
+     * Serialize a signing payload into the exact string that is signed
+     * @param {Object} payload - Signing payload
+     * @returns {string} Message to sign
+     */
+    serializeSigningPayload(payload) {
+        if (payload.version === '2.0') {
+            return this.eddsaService.serializeEnvelope(payload);
+        }
+
+        return JSON.stringify({
+            type: payload.type,
+            version: payload.version,
+            sessionId: payload.sessionId,
+            documentId: payload.documentId,
+            documentHash: payload.documentHash,
+            role: payload.role,
+            keyId: payload.keyId,
+            nonce: payload.nonce,
+            issuedAt: payload.issuedAt,
+            expiresAt: payload.expiresAt
+        });
+    }
+
+    /**
+     * Add an externally produced signature to a multi-signature session
+     * @param {Object} session - Multi-signature session
+     * @param {string} signerRef - Signer ID (or key ID / unique role, see findSigner)
+     * @param {Object} signed - { payload, signature } where signature is a detached
+     *                          base64 Ed25519 signature over the serialized payload
+     * @param {Object} signerInfo - Signer information; publicKey must be the registered key.
+     *                              Delegates add onBehalfOf: { delegationId, keyId, name, role }
+     *                              of the checked mandate and its delegator
      * @returns {Object} Updated session with new signature
+     * @throws {Error} With code REFUSALS.INVALID for a payload or signature that does not check
+     *                 out, REFUSALS.CONFLICT when the signer, key or session can no longer sign
      */
-    addSignature(session, signerRole, privateKey, signerInfo) {
+    addSignature(session, signerRef, signed, signerInfo) {
         try {
-            // Check if session is still valid
-            if (session.status === 'completed') {
-                throw new Error('Multi-signature session is already completed');
+            const { onBehalfOf = null, ...signerFields } = signerInfo;
+            const requiredSigner = this._assertSignable(session, signerRef, signerInfo.keyId, onBehalfOf && onBehalfOf.keyId);
+            const signerRole = requiredSigner.role;
+            const signerId = this._signerIdOf(requiredSigner);
+            const { payload, signature } = signed;
+
+            // A user holds at most one signer of a session, whatever keys they have
+            if (signerInfo.userId && session.signatures.some(s => s.signer.userId === signerInfo.userId)) {
+                throw refusal('You have already signed this document for another signer', REFUSALS.CONFLICT);
             }
 
-            if (new Date() > new Date(session.expiresAt)) {
-                throw new Error('Multi-signature session has expired');
+            // Payload must be one we issued for this session, signer and key
+            if (!payload || payload.sessionId !== session.sessionId ||
+                payload.documentHash !== session.documentHash || payload.role !== signerRole) {
+                throw refusal('Signing payload does not match this session', REFUSALS.INVALID);
             }
 
-            // Check if signer is required for this document
-            const requiredSigner = session.requiredSigners.find(s => s.role === signerRole);
-            if (!requiredSigner) {
-                throw new Error(`Signer role '${signerRole}' is not required for this document`);
+            if (payload.keyId !== signerInfo.keyId) {
+                throw refusal('Signing payload was issued for a different key', REFUSALS.INVALID);
             }
 
-            // Check if this signer has already signed
-            const existingSignature = session.signatures.find(s => s.signer.role === signerRole);
-            if (existingSignature) {
-                throw new Error(`Signer with role '${signerRole}' has already signed this document`);
+            const challenge = (session.challenges || []).find(c => c.nonce === payload.nonce);
+            if (!challenge || challenge.used || (challenge.signerId || challenge.role) !== signerId ||
+                challenge.keyId !== payload.keyId) {
+                throw refusal('Unknown or already used signing payload', REFUSALS.INVALID);
             }
 
-            // Create signature
-            const signatureData = this.eddsaService.sign(session.documentHash, privateKey);
-            const publicKey = this.eddsaService.getPublicKeyFromPrivate(privateKey);
+            if (new Date() > new Date(challenge.expiresAt)) {
+                throw refusal('Signing payload has expired', REFUSALS.INVALID);
+            }
 
-            // Verify signature before adding
+            // A payload issued under a mandate is only accepted under that mandate
+            if ((challenge.delegationId || null) !== (onBehalfOf ? onBehalfOf.delegationId : null) ||
+                (payload.delegationId || null) !== (challenge.delegationId || null)) {
+                throw refusal('Signing payload was issued under a different delegation', REFUSALS.INVALID);
+            }
+
+            // Every field of the payload is bound, not only the ones checked above
+            const message = this.serializeSigningPayload(payload);
+            if (challenge.messageHash && this.eddsaService.hashDocument(message) !== challenge.messageHash) {
+                throw refusal('Signing payload was modified after it was issued', REFUSALS.INVALID);
+            }
+
+            // Verify signature against the registered public key
             const isValid = this.eddsaService.verify(
-                signatureData.signature,
-                session.documentHash,
-                publicKey
+                signature,
+                message,
+                signerInfo.publicKey
             );
 
             if (!isValid) {
-                throw new Error('Generated signature is invalid');
+                throw refusal('Signature does not verify against the registered public key', REFUSALS.INVALID);
             }
 
+            challenge.used = true;
+
             // Add signature to session
             const newSignature = {
                 signatureId: crypto.randomUUID(),
-                signature: signatureData.signature,
+                signature: signature,
                 signer: {
-                    ...signerInfo,
-                    role: signerRole,
-                    publicKey: publicKey
+                    ...signerFields,
+                    signerId: requiredSigner.signerId,
+                    role: signerRole
                 },
-                signedAt: new Date().toISOString(),
+                payload: payload,
+                // 2.0 envelopes carry the signing time under the signature
+                signedAt: payload.version === '2.0' ? payload.signedAt : new Date().toISOString(),
                 documentHash: session.documentHash,
                 valid: true
             };
 
+            if (onBehalfOf) {
+                newSignature.signer.onBehalfOf = onBehalfOf;
+            }
+
             session.signatures.push(newSignature);
 
             // Update signer status
             requiredSigner.status = 'signed';
             requiredSigner.signedAt = newSignature.signedAt;
+            this.recordEvent(session, 'signed', {
+                actor: { id: signerInfo.userId },
+                signer: requiredSigner,
+                keyId: signerInfo.keyId,
+                onBehalfOf: onBehalfOf ? onBehalfOf.keyId : undefined
+            });
 
             // Update session metadata
             session.metadata.signedCount = session.signatures.length;
             session.metadata.pendingCount = session.requiredSigners.filter(s => s.status === 'pending').length;
 
-            // Check if threshold is met
-            if (session.signatures.length >= session.threshold) {
-                session.status = 'completed';
+            // Check if the signing policy (threshold, required roles, rule) is met and every required signer has signed
+            if (evaluatePolicy(this._policyOf(session), session.signatures.map(s => s.signer.role)).met &&
+                this._pendingRequiredSigners(session).length === 0) {
+                session.status = SESSION_STATUS.COMPLETED;
                 session.completedAt = new Date().toISOString();
+                this.recordEvent(session, 'completed', {});
             }
 
             session.lastUpdated = new Date().toISOString();
 
             return session;
         } catch (error) {
-            throw new Error(`Failed to add signature: ${error.message}`);
+            throw refusal(`Failed to add signature: ${error.message}`, error.code);
         }
     }
 
     /**
-     * Verify all signatures in multi-signature session
+     * Why a session no longer accepts signatures
+     * @param {Object} session - Multi-signature session
+     * @returns {string|null} Reason, or null while the session is open
+     */
+    getClosedReason(session) {
+        const reason = session.statusReason ? `: ${session.statusReason}` : '';
+
+        switch (session.status) {
+            case SESSION_STATUS.COMPLETED:
+                return 'Multi-signature session is already completed';
+            case SESSION_STATUS.REJECTED:
+                return `Multi-signature session was rejected${reason}`;
+            case SESSION_STATUS.CANCELLED:
+                return `Multi-signature session was cancelled${reason}`;
+            case SESSION_STATUS.REVISION_REQUESTED:
+                return `Document was sent back for revision${reason}`;
+            case SESSION_STATUS.EXPIRED:
+                return 'Multi-signature session has expired';
+            default:
+                return new Date() > new Date(session.expiresAt) ? 'Multi-signature session has expired' : null;
+        }
+    }
+
+    /**
+     * Close a pending session whose signing deadline has passed
+     * @param {Object} session - Multi-signature session (updated in place)
+     * @returns {boolean} True if the session was expired now and must be saved
+     */
+    expireIfDue(session) {
+        if (session.status !== SESSION_STATUS.PENDING || new Date() <= new Date(session.expiresAt)) {
+            return false;
+        }
+
+        this._close(session, SESSION_STATUS.EXPIRED, { reason: `Signing deadline ${session.expiresAt} passed` });
+        return true;
+    }
+
+    /**
+     * Reject the document on behalf of a pending signer; the session accepts no more signatures
+     * @param {Object} session - Multi-signature session (updated in place)
+     * @param {string} signerRef - Signer ID (or key ID / unique role, see findSigner)
+     * @param {string} reason - Why the signer rejects the document
+     * @param {Object} actor - Acting user
+     * @returns {Object} Updated session
+     */
+    rejectSession(session, signerRef, reason, actor) {
+        const signer = this._assertActingSigner(session, signerRef, reason);
+        this._close(session, SESSION_STATUS.REJECTED, { actor, signer, reason: reason.trim() });
+        return session;
+    }
+
+    /**
+     * Send the document back for revision on behalf of a pending signer. The
+     * signatures collected so far are invalidated, since the revised document
+     * has to be signed again in a new session.
+     * @param {Object} session - Multi-signature session (updated in place)
+     * @param {string} signerRef - Signer ID (or key ID / unique role, see findSigner)
+     * @param {string} reason - What has to be revised
+     * @param {Object} actor - Acting user
+     * @returns {Object} Updated session
+     */
+    requestRevision(session, signerRef, reason, actor) {
+        const signer = this._assertActingSigner(session, signerRef, reason);
+        const now = new Date().toISOString();
+
+        session.signatures.forEach(signature => {
+            signature.valid = false;
+            signature.invalidatedAt = now;
+            signature.invalidationReason = 'Revision requested';
+        });
+        session.requiredSigners.filter(s => s.status === 'signed').forEach(s => {
+            s.status = 'invalidated';
+        });
+
+        this._close(session, SESSION_STATUS.REVISION_REQUESTED, { actor, signer, reason: reason.trim() });
+        return session;
+    }
+
+    /**
+     * Cancel a pending session
+     * @param {Object} session - Multi-signature session (updated in place)
+     * @param {string} reason - Why the session is cancelled (optional)
+     * @param {Object} actor - Acting user
+     * @returns {Object} Updated session
+     */
+    cancelSession(session, reason, actor) {
+        if (session.status === SESSION_STATUS.COMPLETED) {
+            throw new Error('Cannot cancel completed session');
+        }
+        if (session.status !== SESSION_STATUS.PENDING) {
+            throw new Error(this.getClosedReason(session));
+        }
+
+        this._close(session, SESSION_STATUS.CANCELLED, { actor, reason: reason || null });
+        return session;
+    }
+
+    /**
+     * Hand a pending signer over to another key of the same role; only that
+     * key may sign for the signer afterwards
+     * @param {Object} session - Multi-signature session (updated in place)
+     * @param {string} signerRef - Signer ID (or key ID / unique role, see findSigner)
+     * @param {Object} delegateKey - Registered key record of the delegate
+     * @param {string} reason - Why the signer delegates (optional)
+     * @param {Object} actor - Acting user, who holds the signer's key
+     * @param {string} keyId - Key the acting user holds for the signer
+     * @returns {Object} The updated signer entry
+     */
+    delegateSigner(session, signerRef, delegateKey, reason, actor, keyId) {
+        const signer = this._assertActingSigner(session, signerRef);
+
+        // The signer may have been handed over already since the caller's key was checked
+        if (signer.keyId && signer.keyId !== keyId) {
+            throw new Error(`Signer '${this._signerIdOf(signer)}' is bound to key '${signer.keyId}'`);
+        }
+
+        if (delegateKey.signer.role !== signer.role) {
+            throw new Error(`Delegate key is registered for role '${delegateKey.signer.role}', not '${signer.role}'`);
+        }
+        if (delegateKey.keyId === keyId || delegateKey.ownerId === actor.id) {
+            throw new Error('Cannot delegate to your own key');
+        }
+        if (session.requiredSigners.some(s => s !== signer && s.keyId === delegateKey.keyId) ||
+            session.signatures.some(s => s.signer.keyId === delegateKey.keyId)) {
+            throw new Error('Delegate key already signs for another signer of this session');
+        }
+
+        const now = new Date().toISOString();
+        signer.keyId = delegateKey.keyId;
+        signer.delegatedFrom = {
+            keyId: keyId,
+            userId: actor.id,
+            delegatedAt: now,
+            reason: reason || null
+        };
+        this.recordEvent(session, 'delegated', { actor, signer, reason, keyId: delegateKey.keyId }, now);
+        session.lastUpdated = now;
+
+        return signer;
+    }
+
+    /**
+     * Add a comment to a session's timeline
+     * @param {Object} session - Multi-signature session (updated in place)
+     * @param {string} comment - Comment text
+     * @param {Object} actor - Acting user
+     * @param {Object} signer - Required signer the actor comments as (optional)
+     * @returns {Object} Timeline entry
+     */
+    addComment(session, comment, actor, signer = null) {
+        this._assertText(comment, 'Comment');
+        return this.recordEvent(session, 'commented', { actor, signer, comment: comment.trim() });
+    }
+
+    /**
+     * Append an entry to a session's timeline; sessions prepared before timelines start one
+     * @param {Object} session - Multi-signature session (updated in place)
+     * @param {string} type - prepared, signed, completed, delegated, commented or a closing status
+     * @param {Object} details - actor, signer and any fields to record (reason, comment, keyId)
+     * @param {string} at - Time of the event (default: now)
+     * @returns {Object} Timeline entry
+     */
+    recordEvent(session, type, { actor = null, signer = null, ...details }, at = new Date().toISOString()) {
+        const entry = {
+            type: type,
+            at: at,
+            actor: actor && actor.id ? { userId: actor.id, username: actor.username || null } : null,
+            signerId: signer ? signer.signerId || null : null,
+            role: signer ? signer.role : null
+        };
+        Object.entries(details).forEach(([field, value]) => {
+            if (value !== undefined && value !== null) {
+                entry[field] = value;
+            }
+        });
+
+        session.timeline = session.timeline || [];
+        session.timeline.push(entry);
+        return entry;
+    }
+
+    /**
+     * Check that a pending signer of an open session may act on it
+     * @private
+     */
+    _assertActingSigner(session, signerRef, reason) {
+        const closedReason = this.getClosedReason(session);
+        if (closedReason) {
+            throw new Error(closedReason);
+        }
+
+        const signer = this.findSigner(session, signerRef);
+        if (!signer) {
+            throw new Error(`Signer '${signerRef}' is not required for this document`);
+        }
+        if (session.signatures.some(s => this._signerIdOf(s.signer) === this._signerIdOf(signer))) {
+            throw new Error(`Signer '${this._signerIdOf(signer)}' has already signed this document`);
+        }
+        if (reason !== undefined) {
+            this._assertText(reason, 'Reason');
+        }
+
+        return signer;
+    }
+
+    /**
+     * @private
+     */
+    _assertText(text, label) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new Error(`${label} is required`);
+        }
+        if (text.length > this.config.COMMENT_MAX_LENGTH) {
+            throw new Error(`${label} must be at most ${this.config.COMMENT_MAX_LENGTH} characters`);
+        }
+    }
+
+    /**
+     * Move a pending session to a closing status
+     * @private
+     */
+    _close(session, status, { actor = null, signer = null, reason = null }) {
+        const now = new Date().toISOString();
+        session.status = status;
+        session[CLOSED_AT_FIELDS[status]] = now;
+        session.statusReason = reason;
+        this.recordEvent(session, status, { actor, signer, reason }, now);
+        session.lastUpdated = now;
+    }
+
+    /**
+     * Check that a session can still accept a signature for a signer
+     * @param {Object} session - Multi-signature session
+     * @param {string} signerRef - Signer ID (or key ID / unique role, see findSigner)
+     * @param {string} keyId - Key the signer signs with
+     * @param {string|null} delegatorKeyId - Key whose holder the signer acts for under a mandate
+     * @returns {Object} The required signer entry
+     * @private
+     */
+    _assertSignable(session, signerRef, keyId, delegatorKeyId = null) {
+        // Check if session is still open
+        const closedReason = this.getClosedReason(session);
+        if (closedReason) {
+            throw refusal(closedReason, REFUSALS.CONFLICT);
+        }
+
+        // Check if signer is required for this document
+        const requiredSigner = this.findSigner(session, signerRef);
+        if (!requiredSigner) {
+            throw refusal(session.requiredSigners.some(s => s.role === signerRef) ?
+                `Several signers have role '${signerRef}'; sign with a signer ID` :
+                `Signer '${signerRef}' is not required for this document`, REFUSALS.INVALID);
+        }
+        const signerId = this._signerIdOf(requiredSigner);
+
+        // Check if this signer has already signed
+        const existingSignature = session.signatures.find(s => this._signerIdOf(s.signer) === signerId);
+        if (existingSignature) {
+            throw refusal(`Signer '${signerId}' (${requiredSigner.role}) has already signed this document`, REFUSALS.CONFLICT);
+        }
+
+        // A delegate stands in for the bound key's holder
+        if (requiredSigner.keyId && (delegatorKeyId || keyId) !== requiredSigner.keyId) {
+            throw refusal(`Signer '${signerId}' must sign with key '${requiredSigner.keyId}'`, REFUSALS.INVALID);
+        }
+
+        // One key fills one signer, so a signer cannot count twice; nor can a delegator and their delegates
+        if (session.signatures.some(s => s.signer.keyId && s.signer.keyId === keyId)) {
+            throw refusal('This key has already signed this document', REFUSALS.CONFLICT);
+        }
+        if (session.signatures.some(s => this._actingKeyOf(s.signer) === (delegatorKeyId || keyId))) {
+            throw refusal(`Key '${delegatorKeyId || keyId}' has already signed this document, directly or through a delegate`, REFUSALS.CONFLICT);
+        }
+
+        const order = this.checkWorkflowOrder(session, requiredSigner.role);
+        if (!order.allowed) {
+            throw refusal(order.reason, REFUSALS.CONFLICT);
+        }
+
+        return requiredSigner;
+    }
+
+    /**
+     * Key whose authority a signature carries: the delegator's for signatures made under a mandate
+     * @private
+     */
+    _actingKeyOf(signer) {
+        return signer.onBehalfOf ? signer.onBehalfOf.keyId : signer.keyId;
+    }
+
+    /**
+     * Workflow stages with the roles signed so far and whether each is complete
+     * @private
+     */
+    _stageProgress(session) {
+        const signedIds = session.signatures.map(s => this._signerIdOf(s.signer));
+
+        return session.workflow.stages.map(stage => {
+            const signers = session.requiredSigners.filter(signer => stage.roles.includes(signer.role));
+            const signed = signers.filter(signer => signedIds.includes(this._signerIdOf(signer)));
+            const requiredPending = signers.filter(signer => signer.required && !signed.includes(signer));
+            return {
+                ...stage,
+                signed: signed.map(signer => signer.role),
+                complete: signed.length >= stage.minSignatures && requiredPending.length === 0
+            };
+        });
+    }
+
+    /**
+     * Required signers that have not signed yet
+     * @private
+     */
+    _pendingRequiredSigners(session) {
+        const signedIds = session.signatures.map(s => this._signerIdOf(s.signer));
+        return session.requiredSigners.filter(signer => signer.required && !signedIds.includes(this._signerIdOf(signer)));
+    }
+
+    /**
+     * Whether a signer passed to prepare-signing must sign whatever the threshold
+     * @private
+     */
+    _isRequiredSigner(signer, workflow, policy) {
+        const listedRequired = [
+            ...((policy && policy.requiredRoles) || []),
+            ...((workflow && workflow.requiredRoles) || [])
+        ];
+        return signer.required === true || listedRequired.includes(signer.role);
+    }
+
+    /**
+     * Sessions prepared before signer IDs identify signers by their (unique) role
+     * @private
+     */
+    _signerIdOf(signer) {
+        return signer.signerId || signer.role;
+    }
+
+    /**
+     * Policy of a session; sessions prepared before policies count signatures against the threshold
+     * @private
+     */
+    _policyOf(session) {
+        return session.policy || normalizePolicy({
+            threshold: session.threshold,
+            requiredRoles: session.workflow ? session.workflow.requiredRoles : []
+        });
+    }
+
+    /**
+     * Verify all signatures in multi-signature session. Each signer's public key
+     * must be registered and not revoked before the signature was made.
      * @param {Object} session - Multi-signature session
      * @param {Object} document - Original document
-     * @returns {Object} Verification result
+     * @returns {Promise<Object>} Verification result
      */
-    verifyMultiSignature(session, document) {
+    async verifyMultiSignature(session, document) {
         try {
             const results = [];
-            const documentHash = this.eddsaService.hashDocument(
-                JSON.stringify(document.content || document)
-            );
+            const documentHash = this.eddsaService.documentHashFor(document, session.version);
+
+            // Rejected, cancelled and revised sessions never produce a valid document
+            if (session.status && CLOSED_AT_FIELDS[session.status]) {
+                return {
+                    valid: false,
+                    reason: this.getClosedReason(session),
+                    signatureResults: [],
+                    sessionStatus: session.status
+                };
+            }
 
             // Check if document hash matches session
             if (documentHash !== session.documentHash) {
@@ -161,18 +839,98 @@ class MultiSignatureService {
             // Verify each signature
             for (const signature of session.signatures) {
                 try {
-                    const isValid = this.eddsaService.verify(
+                    let signedMessage = session.documentHash;
+
+                    // Signatures over a signing payload must bind this session's document and role
+                    if (signature.payload && signature.payload.version === '2.0') {
+                        const binding = this.eddsaService.checkEnvelopeBinding(signature.payload, document, {
+                            role: signature.signer.role,
+                            keyId: signature.signer.keyId,
+                            sessionId: session.sessionId
+                        });
+                        if (!binding.valid) {
+                            results.push({
+                                signatureId: signature.signatureId,
+                                signer: signature.signer,
+                                valid: false,
+                                signedAt: signature.signedAt,
+                                reason: binding.reason
+                            });
+                            continue;
+                        }
+                        signedMessage = this.serializeSigningPayload(signature.payload);
+                    } else if (signature.payload) {
+                        if (signature.payload.documentHash !== session.documentHash ||
+                            signature.payload.role !== signature.signer.role) {
+                            results.push({
+                                signatureId: signature.signatureId,
+                                signer: signature.signer,
+                                valid: false,
+                                signedAt: signature.signedAt,
+                                reason: 'Signing payload does not match document or role'
+                            });
+                            continue;
+                        }
+                        signedMessage = this.serializeSigningPayload(signature.payload);
+                    }
+
+                    const isSignatureValid = this.eddsaService.verify(
                         signature.signature,
-                        session.documentHash,
+                        signedMessage,
                         signature.signer.publicKey
                     );
 
+                    const timestampStatus = await this.eddsaService.timestampService.verifySignatureTimestamp(
+                        signature.timestamp,
+                        signature.signature
+                    );
+
+                    // The envelope's keyId, signedAt and delegationId are covered by the signature
+                    const envelope = signature.payload && signature.payload.version === '2.0' ? signature.payload : null;
+                    const signingTime = timestampStatus.trustedSigningTime || (envelope ? envelope.signedAt : signature.signedAt);
+                    // A delegate's key holds another role; the mandate must cover the one signed for
+                    const keyStatus = envelope && envelope.delegationId ?
+                        await this.delegationService.resolveDelegatedSigner(
+                            { publicKey: signature.signer.publicKey, keyId: envelope.keyId },
+                            { delegationId: envelope.delegationId, role: envelope.role, documentType: envelope.metadata.type },
+                            signingTime,
+                            Boolean(timestampStatus.trustedSigningTime)
+                        ) :
+                        await this.eddsaService.keyRegistry.resolveSigner(
+                            envelope ? { ...signature.signer, keyId: envelope.keyId } : signature.signer,
+                            signingTime,
+                            Boolean(timestampStatus.trustedSigningTime)
+                        );
+                    const isValid = isSignatureValid && keyStatus.trusted && timestampStatus.valid !== false;
+
+                    let reason = 'Valid signature';
+                    if (!isSignatureValid) {
+                        reason = 'Invalid signature';
+                    } else if (timestampStatus.valid === false) {
+                        reason = timestampStatus.reason;
+                    } else if (!keyStatus.trusted) {
+                        reason = keyStatus.reason;
+                    } else if (keyStatus.onBehalfOf) {
+                        reason = `Valid signature by ${keyStatus.name} on behalf of ${keyStatus.onBehalfOf.name} (${envelope.role})`;
+                        if (keyStatus.revoked) {
+                            reason = `${reason}; ${keyStatus.reason}`;
+                        }
+                    } else if (keyStatus.revoked) {
+                        reason = `Valid signature; ${keyStatus.reason}`;
+                    }
+
                     results.push({
                         signatureId: signature.signatureId,
                         signer: signature.signer,
                         valid: isValid,
+                        signatureValid: isSignatureValid,
+                        keyStatus: keyStatus,
+                        // Delegator of a mandate the signature was made under, once the mandate checked out
+                        onBehalfOf: keyStatus.onBehalfOf || null,
                         signedAt: signature.signedAt,
-                        reason: isValid ? 'Valid signature' : 'Invalid signature'
+                        trustedSigningTime: timestampStatus.trustedSigningTime,
+                        timestamp: timestampStatus,
+                        reason: reason
                     });
                 } catch (error) {
                     results.push({
@@ -184,21 +942,42 @@ class MultiSignatureService {
                 }
             }
 
-            const validSignatures = results.filter(r => r.valid).length;
-            const isThresholdMet = validSignatures >= session.threshold;
+            // Each signer key counts once, however often its signature appears; delegates count as their delegator
+            const countedKeys = new Set();
+            const validRoles = [];
+            results.filter(r => r.valid).forEach(result => {
+                const key = result.onBehalfOf ? result.onBehalfOf.keyId : (result.signer.keyId || result.signer.publicKey);
+                if (!countedKeys.has(key)) {
+                    countedKeys.add(key);
+                    validRoles.push(result.signer.role);
+                }
+            });
+
+            const validSignatures = validRoles.length;
+            const policy = this._policyOf(session);
+            const evaluation = evaluatePolicy(policy, validRoles);
+
+            let reason = describeUnmetPolicy(policy, evaluation);
+            if (!reason) {
+                reason = Object.keys(policy.weights).length > 0 ?
+                    `Valid multi-signature with signature weight ${evaluation.weight}/${policy.threshold}` :
+                    `Valid multi-signature with ${validSignatures}/${session.threshold} required signatures`;
+            }
 
             return {
-                valid: isThresholdMet,
+                valid: evaluation.met,
                 documentHashMatch: true,
                 threshold: session.threshold,
+                policy: policy,
+                signatureWeight: evaluation.weight,
+                missingRequiredRoles: evaluation.missingRequiredRoles,
+                ruleMet: evaluation.ruleMet,
                 totalSignatures: session.signatures.length,
                 validSignatures: validSignatures,
                 signatureResults: results,
                 sessionStatus: session.status,
                 verifiedAt: new Date().toISOString(),
-                reason: isThresholdMet ? 
-                    `Valid multi-signature with ${validSignatures}/${session.threshold} required signatures` :
-                    `Insufficient valid signatures: ${validSignatures}/${session.threshold}`
+                reason: reason
             };
         } catch (error) {
             throw new Error(`Failed to verify multi-signature: ${error.message}`);
@@ -212,7 +991,29 @@ class MultiSignatureService {
      */
     getSigningProgress(session) {
         const signedRoles = session.signatures.map(s => s.signer.role);
-        const pendingSigners = session.requiredSigners.filter(s => !signedRoles.includes(s.role));
+        const signedIds = session.signatures.map(s => this._signerIdOf(s.signer));
+        const pendingSigners = session.requiredSigners.filter(s => !signedIds.includes(this._signerIdOf(s)));
+        const pendingRequiredSigners = this._pendingRequiredSigners(session);
+        const policy = this._policyOf(session);
+        const evaluation = evaluatePolicy(policy, signedRoles);
+
+        let workflow = null;
+        if (session.workflow) {
+            const stages = this._stageProgress(session);
+            const currentStage = stages.find(stage => !stage.complete);
+            workflow = {
+                ordered: session.workflow.ordered,
+                currentStage: currentStage ? currentStage.name : null,
+                stages: stages.map(stage => ({
+                    name: stage.name,
+                    roles: stage.roles,
+                    minSignatures: stage.minSignatures,
+                    signed: stage.signed,
+                    status: stage.complete ? 'completed' :
+                        (this.checkWorkflowOrder(session, stage.roles[0]).allowed ? 'active' : 'waiting')
+                }))
+            };
+        }
 
         return {
             sessionId: session.sessionId,
@@ -221,24 +1022,46 @@ class MultiSignatureService {
                 signed: session.signatures.length,
                 total: session.requiredSigners.length,
                 threshold: session.threshold,
-                percentage: Math.round((session.signatures.length / session.threshold) * 100)
+                weight: evaluation.weight,
+                // Reaching the threshold is not enough while required signers or the rule are pending
+                percentage: session.status === 'completed' ? 100 : Math.min(
+                    Math.round((evaluation.weight / session.threshold) * 100),
+                    evaluation.met && pendingRequiredSigners.length === 0 ? 100 : 99
+                )
+            },
+            policy: {
+                ...policy,
+                pendingRequiredRoles: pendingRequiredSigners.map(signer => signer.role),
+                ruleMet: evaluation.ruleMet,
+                met: evaluation.met
             },
+            workflow: workflow,
             signers: {
                 signed: session.signatures.map(s => ({
+                    signerId: s.signer.signerId || null,
                     role: s.signer.role,
                     name: s.signer.name,
-                    signedAt: s.signedAt
+                    onBehalfOf: s.signer.onBehalfOf || null,
+                    signedAt: s.signedAt,
+                    invalidatedAt: s.invalidatedAt || null
                 })),
                 pending: pendingSigners.map(s => ({
+                    signerId: s.signerId || null,
                     role: s.role,
                     name: s.name,
-                    required: s.required
+                    keyId: s.keyId || null,
+                    required: s.required,
+                    stage: s.stage || null,
+                    delegatedFrom: s.delegatedFrom || null,
+                    canSignNow: !this.getClosedReason(session) && this.checkWorkflowOrder(session, s.role).allowed
                 }))
             },
             timeInfo: {
                 createdAt: session.createdAt,
                 expiresAt: session.expiresAt,
                 completedAt: session.completedAt || null,
+                closedAt: CLOSED_AT_FIELDS[session.status] ? session[CLOSED_AT_FIELDS[session.status]] : null,
+                statusReason: session.statusReason || null,
                 isExpired: new Date() > new Date(session.expiresAt)
             }
         };
@@ -262,20 +1085,30 @@ class MultiSignatureService {
                 sessionId: session.sessionId,
                 documentId: session.documentId,
                 documentHash: session.documentHash,
+                metadataHash: session.metadataHash,
+                fileDigest: session.fileDigest,
                 threshold: session.threshold,
+                // Carried only when a plain count of signatures against the threshold is not enough
+                policy: session.policy && !isCountPolicy(session.policy) ? session.policy : undefined,
                 signatures: session.signatures.map(sig => ({
                     signer: {
                         role: sig.signer.role,
                         name: sig.signer.name,
-                        publicKey: sig.signer.publicKey
+                        publicKey: sig.signer.publicKey,
+                        // Informational; verifiers check the mandate named by the envelope's delegationId
+                        onBehalfOf: sig.signer.onBehalfOf
                     },
                     signature: sig.signature,
-                    signedAt: sig.signedAt
+                    payload: sig.payload,
+                    signedAt: sig.signedAt,
+                    timestamp: sig.timestamp || null,
+                    // JWS/COSE signatures, absent for signers who did not produce them
+                    encodings: sig.encodings
                 })),
                 metadata: {
                     totalSigners: session.signatures.length,
                     completedAt: session.completedAt,
-                    version: '1.0'
+                    version: session.version || '1.0'
                 },
                 verification: {
                     verified: false,
@@ -289,13 +1122,165 @@ class MultiSignatureService {
         }
     }
 
+    /**
+     * Check a workflow definition against the signer roles
+     * @private
+     */
+    _validateWorkflow(roles, workflow) {
+        const errors = [];
+
+        if (typeof workflow !== 'object' || Array.isArray(workflow)) {
+            return ['Workflow must be an object with stages or ordered: true'];
+        }
+
+        if (workflow.stages !== undefined) {
+            if (!Array.isArray(workflow.stages) || workflow.stages.length === 0) {
+                return ['Workflow stages must be a non-empty array'];
+            }
+
+            const staged = [];
+            const uniqueRoles = [...new Set(roles)];
+            workflow.stages.forEach((stage, index) => {
+                const stageRoles = Array.isArray(stage) ? stage : stage && stage.roles;
+                if (!Array.isArray(stageRoles) || stageRoles.length === 0) {
+                    errors.push(`Stage ${index + 1} must list at least one role`);
+                    return;
+                }
+                stageRoles.filter(role => !roles.includes(role)).forEach(role => {
+                    errors.push(`Stage ${index + 1} lists role '${role}' which is not a signer`);
+                });
+                staged.push(...stageRoles);
+
+                const minSignatures = Array.isArray(stage) ? undefined : stage.minSignatures;
+                const stageSigners = roles.filter(role => stageRoles.includes(role)).length;
+                if (minSignatures !== undefined &&
+                    (!Number.isInteger(minSignatures) || minSignatures < 1 || minSignatures > stageSigners)) {
+                    errors.push(`Stage ${index + 1} minSignatures must be between 1 and ${stageSigners}`);
+                }
+            });
+
+            const repeated = staged.filter((role, index) => staged.indexOf(role) !== index);
+            if (repeated.length > 0) {
+                errors.push(`Roles appear in more than one stage: ${[...new Set(repeated)].join(', ')}`);
+            }
+            const unstaged = uniqueRoles.filter(role => !staged.includes(role));
+            if (unstaged.length > 0) {
+                errors.push(`Signers missing from the workflow stages: ${unstaged.join(', ')}`);
+            }
+        }
+
+        if (workflow.requiredRoles !== undefined) {
+            if (!Array.isArray(workflow.requiredRoles)) {
+                errors.push('Workflow requiredRoles must be an array');
+            } else {
+                workflow.requiredRoles.filter(role => !roles.includes(role)).forEach(role => {
+                    errors.push(`Required role '${role}' is not a signer`);
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check a signing policy against the signer roles
+     * @private
+     */
+    _validatePolicy(roles, policy) {
+        const errors = [];
+
+        if (typeof policy !== 'object' || Array.isArray(policy)) {
+            return ['Policy must be an object with weights, requiredRoles or rule'];
+        }
+
+        if (policy.weights !== undefined) {
+            if (typeof policy.weights !== 'object' || policy.weights === null || Array.isArray(policy.weights)) {
+                errors.push('Policy weights must map roles to weights');
+            } else {
+                Object.entries(policy.weights).forEach(([role, weight]) => {
+                    if (!roles.includes(role)) {
+                        errors.push(`Weighted role '${role}' is not a signer`);
+                    }
+                    if (!Number.isInteger(weight) || weight < 1) {
+                        errors.push(`Weight of role '${role}' must be a positive integer`);
+                    }
+                });
+            }
+        }
+
+        if (policy.requiredRoles !== undefined) {
+            if (!Array.isArray(policy.requiredRoles)) {
+                errors.push('Policy requiredRoles must be an array');
+            } else {
+                policy.requiredRoles.filter(role => !roles.includes(role)).forEach(role => {
+                    errors.push(`Required role '${role}' is not a signer`);
+                });
+            }
+        }
+
+        if (policy.rule !== undefined && policy.rule !== null) {
+            let tree;
+            try {
+                tree = parseRule(policy.rule);
+            } catch (error) {
+                return [...errors, error.message];
+            }
+
+            ruleConditions(tree).forEach(({ role, count }) => {
+                const available = roles.filter(signerRole => signerRole === role).length;
+                if (available === 0) {
+                    errors.push(`Rule refers to role '${role}' which is not a signer`);
+                } else if (count > available) {
+                    errors.push(`Rule asks for ${count} '${role}' signatures but only ${available} signer(s) have that role`);
+                }
+            });
+
+            // The rule must hold once every signer has signed
+            const allSigned = normalizePolicy({ threshold: 0, rule: policy.rule });
+            if (errors.length === 0 && !evaluatePolicy(allSigned, roles).ruleMet) {
+                errors.push('Rule cannot be satisfied by the signers');
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Session object for verifyMultiSignature from an aggregated signature
+     * carried outside the system (signed PDF, credential evidence)
+     * @param {Object} aggregated - Output of createAggregatedSignature
+     * @returns {Object} Completed session
+     */
+    sessionFromAggregate(aggregated) {
+        return {
+            sessionId: aggregated.sessionId,
+            version: aggregated.metadata ? aggregated.metadata.version : '1.0',
+            documentId: aggregated.documentId,
+            documentHash: aggregated.documentHash,
+            threshold: aggregated.threshold,
+            policy: aggregated.policy,
+            signatures: aggregated.signatures.map(sig => ({
+                signatureId: crypto.randomUUID(),
+                signature: sig.signature,
+                signer: sig.signer,
+                payload: sig.payload,
+                signedAt: sig.signedAt,
+                timestamp: sig.timestamp,
+                documentHash: aggregated.documentHash
+            })),
+            status: 'completed'
+        };
+    }
+
     /**
      * Validate multi-signature configuration
      * @param {Array} signers - Array of signers
      * @param {number} threshold - Signature threshold
+     * @param {Object} workflow - Workflow definition (optional, see buildWorkflow)
+     * @param {Object} policy - Signing policy (optional, see buildPolicy)
      * @returns {Object} Validation result
      */
-    validateMultiSigConfig(signers, threshold) {
+    validateMultiSigConfig(signers, threshold, workflow = null, policy = null) {
         const errors = [];
 
         if (!Array.isArray(signers) || signers.length === 0) {
@@ -310,15 +1295,29 @@ class MultiSignatureService {
             errors.push(`Minimum threshold is ${this.config.MIN_SIGNERS}`);
         }
 
-        if (threshold > signers.length) {
-            errors.push('Threshold cannot exceed number of signers');
+        // With weights the threshold is met by signature weight rather than by count
+        const weights = (policy && policy.weights) || {};
+        const totalWeight = signers.reduce((sum, signer) => sum + (weights[signer.role] || 1), 0);
+        if (threshold > totalWeight) {
+            errors.push(Object.keys(weights).length > 0 ?
+                'Threshold cannot exceed the total signer weight' :
+                'Threshold cannot exceed number of signers');
         }
 
-        // Check for duplicate roles
+        // Several signers may share a role, but a key can only fill one signer
         const roles = signers.map(s => s.role);
-        const duplicateRoles = roles.filter((role, index) => roles.indexOf(role) !== index);
-        if (duplicateRoles.length > 0) {
-            errors.push(`Duplicate signer roles found: ${duplicateRoles.join(', ')}`);
+        const keyIds = signers.map(s => s.keyId).filter(Boolean);
+        const duplicateKeys = keyIds.filter((keyId, index) => keyIds.indexOf(keyId) !== index);
+        if (duplicateKeys.length > 0) {
+            errors.push(`Keys bound to more than one signer: ${[...new Set(duplicateKeys)].join(', ')}`);
+        }
+
+        if (workflow !== null && workflow !== undefined) {
+            errors.push(...this._validateWorkflow(roles, workflow));
+        }
+
+        if (policy !== null && policy !== undefined) {
+            errors.push(...this._validatePolicy(roles, policy));
         }
 
         return {
@@ -328,4 +1327,7 @@ class MultiSignatureService {
     }
 }
 
-module.exports = MultiSignatureService;
\ No newline at end of file
+MultiSignatureService.STATUS = SESSION_STATUS;
+MultiSignatureService.REFUSALS = REFUSALS;
+
+module.exports = MultiSignatureService;
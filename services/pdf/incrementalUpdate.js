@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const { PDFName, PDFRef, PDFHexString } = require('pdf-lib');
+
+/**
+ * Appends changed and new objects to a PDF as an incremental update
+ * (ISO 32000-1, 7.5.6), so the original bytes stay untouched and anything
+ * signed over them remains verifiable. Objects are pdf-lib objects from the
+ * loaded document's context, or pre-serialized bytes for objects that are
+ * patched after writing (e.g. signature dictionaries).
+ */
+class PdfIncrementalUpdate {
+    /**
+     * @param {Buffer} pdfBytes - Original PDF
+     * @param {PDFDocument} pdfDoc - The same PDF loaded with pdf-lib
+     */
+    constructor(pdfBytes, pdfDoc) {
+        this.pdfBytes = pdfBytes;
+        this.context = pdfDoc.context;
+        this.objects = new Map();
+    }
+
+    /**
+     * Add a new indirect object
+     * @param {PDFObject|Buffer|string} object - Object or its serialized form
+     * @returns {PDFRef} Reference to the new object
+     */
+    register(object) {
+        const ref = this.context.nextRef();
+        this.update(ref, object);
+        return ref;
+    }
+
+    /**
+     * Write a new revision of an existing indirect object
+     * @param {PDFRef} ref - Object reference
+     * @param {PDFObject|Buffer|string} object - Object or its serialized form
+     */
+    update(ref, object) {
+        this.objects.set(ref.tag, { ref, object });
+    }
+
+    /**
+     * Serialize the original PDF followed by the update section
+     * @returns {Buffer} Updated PDF
+     */
+    build() {
+        const prevXref = this._findStartXref();
+        const useXrefStream = !this.pdfBytes.subarray(prevXref, prevXref + 4).equals(Buffer.from('xref'));
+
+        const chunks = [this.pdfBytes];
+        let offset = this.pdfBytes.length;
+
+        // Objects must start on a new line
+        const last = this.pdfBytes[this.pdfBytes.length - 1];
+        if (last !== 0x0a && last !== 0x0d) {
+            chunks.push(Buffer.from('\n'));
+            offset += 1;
+        }
+
+        const entries = [];
+        for (const { ref, object } of this.objects.values()) {
+            const bytes = Buffer.concat([
+                Buffer.from(`${ref.objectNumber} ${ref.generationNumber} obj\n`, 'latin1'),
+                this._serialize(object),
+                Buffer.from('\nendobj\n', 'latin1')
+            ]);
+            entries.push({ ref, offset });
+            chunks.push(bytes);
+            offset += bytes.length;
+        }
+
+        const trailer = this._trailer(prevXref);
+
+        if (useXrefStream) {
+            // Files with cross-reference streams must be updated with one
+            const xrefRef = this.context.nextRef();
+            entries.push({ ref: xrefRef, offset });
+            trailer.set(PDFName.of('Size'), this.context.obj(this.context.largestObjectNumber + 1));
+            chunks.push(this._xrefStream(xrefRef, entries, trailer));
+        } else {
+            trailer.set(PDFName.of('Size'), this.context.obj(this.context.largestObjectNumber + 1));
+            chunks.push(Buffer.from(`${this._xrefTable(entries)}trailer\n`, 'latin1'));
+            chunks.push(this._serialize(trailer));
+            chunks.push(Buffer.from('\n', 'latin1'));
+        }
+
+        chunks.push(Buffer.from(`startxref\n${offset}\n%%EOF\n`, 'latin1'));
+
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Offset of the cross-reference section of the last revision
+     * @private
+     */
+    _findStartXref() {
+        const tail = this.pdfBytes.subarray(Math.max(0, this.pdfBytes.length - 1024)).toString('latin1');
+        const match = tail.match(/startxref\s+(\d+)\s+%%EOF\s*$/);
+        if (!match) {
+            throw new Error('PDF has no startxref; cannot append an incremental update');
+        }
+        return parseInt(match[1]);
+    }
+
+    /**
+     * Trailer entries carried over from the last revision
+     * @private
+     */
+    _trailer(prevXref) {
+        const { Root, Info, ID } = this.context.trailerInfo;
+        const firstId = ID && ID.get ? ID.get(0) : null;
+
+        return this.context.obj({
+            Root: Root,
+            Info: Info,
+            // The first identifier is permanent; the second changes with every revision
+            ID: [
+                firstId || PDFHexString.of(crypto.randomBytes(16).toString('hex')),
+                PDFHexString.of(crypto.randomBytes(16).toString('hex'))
+            ],
+            Prev: prevXref
+        });
+    }
+
+    /**
+     * @private
+     */
+    _xrefTable(entries) {
+        let table = 'xref\n';
+        for (const section of this._subsections(entries)) {
+            table += `${section[0].ref.objectNumber} ${section.length}\n`;
+            for (const { ref, offset } of section) {
+                table += `${String(offset).padStart(10, '0')} ${String(ref.generationNumber).padStart(5, '0')} n \n`;
+            }
+        }
+        return table;
+    }
+
+    /**
+     * @private
+     */
+    _xrefStream(xrefRef, entries, trailer) {
+        const index = [];
+        const rows = [];
+
+        for (const section of this._subsections(entries)) {
+            index.push(section[0].ref.objectNumber, section.length);
+            for (const { ref, offset } of section) {
+                const row = Buffer.alloc(7);
+                row.writeUInt8(1, 0);
+                row.writeUInt32BE(offset, 1);
+                row.writeUInt16BE(ref.generationNumber, 5);
+                rows.push(row);
+            }
+        }
+
+        const dict = trailer.clone(this.context);
+        dict.set(PDFName.of('Type'), PDFName.of('XRef'));
+        dict.set(PDFName.of('W'), this.context.obj([1, 4, 2]));
+        dict.set(PDFName.of('Index'), this.context.obj(index));
+
+        const stream = this.context.stream(Buffer.concat(rows), {});
+        for (const [key, value] of dict.entries()) {
+            stream.dict.set(key, value);
+        }
+
+        return Buffer.concat([
+            Buffer.from(`${xrefRef.objectNumber} 0 obj\n`, 'latin1'),
+            this._serialize(stream),
+            Buffer.from('\nendobj\n', 'latin1')
+        ]);
+    }
+
+    /**
+     * Group entries into runs of consecutive object numbers
+     * @private
+     */
+    _subsections(entries) {
+        const sorted = [...entries].sort((a, b) => a.ref.objectNumber - b.ref.objectNumber);
+        const sections = [];
+
+        for (const entry of sorted) {
+            const current = sections[sections.length - 1];
+            if (current && current[current.length - 1].ref.objectNumber + 1 === entry.ref.objectNumber) {
+                current.push(entry);
+            } else {
+                sections.push([entry]);
+            }
+        }
+
+        return sections;
+    }
+
+    /**
+     * @private
+     */
+    _serialize(object) {
+        if (Buffer.isBuffer(object)) {
+            return object;
+        }
+        if (typeof object === 'string') {
+            return Buffer.from(object, 'latin1');
+        }
+        if (object instanceof PDFRef) {
+            throw new Error('Indirect objects cannot be references');
+        }
+
+        const bytes = new Uint8Array(object.sizeInBytes());
+        object.copyBytesInto(bytes, 0);
+        return Buffer.from(bytes);
+    }
+}
+
+module.exports = PdfIncrementalUpdate;
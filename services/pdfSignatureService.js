@@ -0,0 +1,411 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { PDFDocument, PDFName, PDFArray, PDFDict, PDFRef, PDFString } = require('pdf-lib');
+const PdfIncrementalUpdate = require('./pdf/incrementalUpdate');
+const EdDSAService = require('./eddsaService');
+const MultiSignatureService = require('./multiSignatureService');
+const SystemKeyService = require('./systemKeyService');
+const { canonicalize } = require('../utils/canonicalJson');
+const db = require('../database');
+const config = require('../config/config');
+
+const CONTAINER_TYPE = 'pdf-signature-container';
+const CONTAINER_VERSION = '1.0';
+const BYTE_RANGE_PLACEHOLDER = '[0 ********** ********** **********]';
+// Room in /Contents for the byte range, digest and system seal
+const CONTENTS_RESERVE = 512;
+
+/**
+ * Writes document signatures into the PDF itself. The signed PDF is the
+ * original file plus an incremental update holding a signature field whose
+ * /Contents carries the Ed25519 (multi-)signature data, and a vector QR stamp
+ * on a chosen page. The update is sealed with the system key over its
+ * /ByteRange, while the signers' envelopes keep covering the original bytes,
+ * which remain the first revision of the file.
+ */
+class PdfSignatureService {
+    constructor() {
+        this.config = config.PDF_SIGNATURE_CONFIG;
+        this.eddsaService = new EdDSAService();
+        this.multiSigService = new MultiSignatureService();
+        this.systemKeyService = new SystemKeyService();
+    }
+
+    /**
+     * Produce a signed PDF
+     * @param {Buffer} pdfBytes - Original PDF (the signed document content)
+     * @param {Object} signatureData - document.signature or an aggregated multi-signature
+     * @param {Object} options - documentId, qrData, page (1-based) and position
+     * @returns {Promise<Object>} { pdf } on success, or { status, message }
+     */
+    async signPdf(pdfBytes, signatureData, options) {
+        let pdfDoc;
+        try {
+            pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+        } catch (error) {
+            return { status: 400, message: `Cannot read PDF: ${error.message}` };
+        }
+
+        const pageCount = pdfDoc.getPageCount();
+        const pageNumber = options.page || 1;
+        if (pageNumber > pageCount) {
+            return { status: 400, message: `Page ${pageNumber} does not exist; the PDF has ${pageCount} page(s)` };
+        }
+
+        const page = pdfDoc.getPage(pageNumber - 1);
+        const update = new PdfIncrementalUpdate(pdfBytes, pdfDoc);
+        const signedAt = new Date();
+
+        const container = {
+            type: CONTAINER_TYPE,
+            version: CONTAINER_VERSION,
+            documentId: options.documentId,
+            baseRevision: {
+                length: pdfBytes.length,
+                hashAlgorithm: 'sha256',
+                hash: crypto.createHash('sha256').update(pdfBytes).digest('hex')
+            },
+            signature: signatureData,
+            qr: {
+                page: pageNumber,
+                position: options.position || this.config.DEFAULT_POSITION,
+                data: options.qrData
+            },
+            sealedAt: signedAt.toISOString()
+        };
+
+        // Sized for the unsealed container; byte range, digest and seal fit in the reserve
+        const contentsLength = 2 * (Buffer.byteLength(JSON.stringify(container)) + CONTENTS_RESERVE);
+        const sigRef = update.register(this._signatureDictionary(signedAt, contentsLength));
+
+        this._stampQR(update, pdfDoc, page, container.qr);
+        this._addSignatureField(update, pdfDoc, page, sigRef);
+
+        const pdf = update.build();
+
+        // Fill in /ByteRange, then seal everything outside /Contents
+        const byteRangeStart = pdf.lastIndexOf(`/ByteRange ${BYTE_RANGE_PLACEHOLDER}`);
+        const contentsStart = pdf.indexOf('/Contents <', byteRangeStart) + '/Contents '.length;
+        const contentsEnd = contentsStart + contentsLength + 2;
+        const byteRange = [0, contentsStart, contentsEnd, pdf.length - contentsEnd];
+
+        const byteRangeString = `[${byteRange.join(' ')}`.padEnd(BYTE_RANGE_PLACEHOLDER.length - 1, ' ') + ']';
+        pdf.write(byteRangeString, byteRangeStart + '/ByteRange '.length, 'latin1');
+
+        container.byteRange = byteRange;
+        container.digest = {
+            algorithm: 'sha256',
+            value: this._digestByteRange(pdf, byteRange)
+        };
+        const { keyId, algorithm, signature } = await this.systemKeyService.sign(canonicalize(container));
+        container.seal = { keyId, algorithm, signature };
+
+        const contents = Buffer.from(JSON.stringify(container), 'utf8').toString('hex');
+        if (contents.length > contentsLength) {
+            throw new Error('Signature container does not fit the reserved /Contents space');
+        }
+        pdf.write(contents.padEnd(contentsLength, '0'), contentsStart + 1, 'latin1');
+
+        return { pdf };
+    }
+
+    /**
+     * Extract and verify the signatures embedded in a PDF
+     * @param {Buffer} pdfBytes - Uploaded PDF
+     * @returns {Promise<Object>} Verification result with one entry per signature field
+     */
+    async verifyPdf(pdfBytes) {
+        const signatures = [];
+
+        for (const extracted of this.extractSignatures(pdfBytes)) {
+            signatures.push(extracted.container ?
+                await this._verifyContainer(pdfBytes, extracted) :
+                { ...extracted, valid: false });
+        }
+
+        const supported = signatures.filter(signature => signature.supported);
+        const latest = supported[supported.length - 1];
+
+        let valid = false;
+        let reason;
+        if (signatures.length === 0) {
+            reason = 'PDF contains no signatures';
+        } else if (!latest) {
+            reason = 'PDF contains no signatures produced by this system';
+        } else if (supported.some(signature => !signature.valid)) {
+            reason = supported.find(signature => !signature.valid).reason;
+        } else if (!latest.coversWholeDocument) {
+            reason = 'PDF was modified after it was signed';
+        } else {
+            valid = true;
+            reason = latest.reason;
+        }
+
+        return {
+            valid: valid,
+            reason: reason,
+            documentId: latest ? latest.documentId : null,
+            signatures: signatures,
+            verifiedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Locate signature dictionaries by their /ByteRange and decode /Contents
+     * @param {Buffer} pdfBytes - PDF bytes
+     * @returns {Array} { byteRange, coversWholeDocument, supported, container, reason }
+     */
+    extractSignatures(pdfBytes) {
+        const text = pdfBytes.toString('latin1');
+        const pattern = /\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g;
+        const results = [];
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const byteRange = match.slice(1, 5).map(Number);
+            const entry = {
+                byteRange: byteRange,
+                coversWholeDocument: byteRange[2] + byteRange[3] === pdfBytes.length,
+                supported: false,
+                container: null
+            };
+
+            if (byteRange[0] !== 0 || byteRange[1] >= byteRange[2] || byteRange[2] + byteRange[3] > pdfBytes.length) {
+                results.push({ ...entry, reason: 'Malformed /ByteRange' });
+                continue;
+            }
+
+            // The gap between the two ranges must be exactly the /Contents hex string
+            const gap = text.slice(byteRange[1], byteRange[2]);
+            if (!/^<[0-9a-fA-F]*>$/.test(gap)) {
+                results.push({ ...entry, reason: '/ByteRange does not exclude exactly the signature /Contents' });
+                continue;
+            }
+
+            try {
+                const raw = Buffer.from(gap.slice(1, -1), 'hex');
+                let end = raw.length;
+                while (end > 0 && raw[end - 1] === 0) end--;
+
+                const container = JSON.parse(raw.subarray(0, end).toString('utf8'));
+                if (container.type !== CONTAINER_TYPE) {
+                    throw new Error('unknown container');
+                }
+                results.push({ ...entry, supported: true, container: container });
+            } catch (error) {
+                results.push({ ...entry, reason: 'Signature format is not supported by this verifier' });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Check a container's seal and byte range, then the document signatures
+     * against the original revision it carries
+     * @private
+     */
+    async _verifyContainer(pdfBytes, extracted) {
+        const { container, byteRange } = extracted;
+        const { seal, ...sealed } = container;
+        const result = {
+            byteRange: byteRange,
+            coversWholeDocument: extracted.coversWholeDocument,
+            supported: true,
+            documentId: container.documentId,
+            signatureType: container.signature && container.signature.type === 'multi-signature' ? 'multi-signature' : 'single',
+            sealedAt: container.sealedAt,
+            seal: seal ? { keyId: seal.keyId, algorithm: seal.algorithm } : null,
+            qr: container.qr ? { page: container.qr.page, position: container.qr.position } : null
+        };
+        const fail = (reason, extra = {}) => ({ ...result, ...extra, valid: false, reason });
+
+        if (String(container.byteRange) !== String(byteRange)) {
+            return fail('Signed /ByteRange does not match the signature dictionary');
+        }
+        if (!container.digest || this._digestByteRange(pdfBytes, byteRange) !== container.digest.value) {
+            return fail('PDF bytes covered by the signature have been modified');
+        }
+
+        const sealCheck = seal ?
+            await this.systemKeyService.verify(canonicalize(sealed), seal.signature, seal.keyId) :
+            { valid: false, reason: 'Signature container is not sealed' };
+        if (!sealCheck.valid) {
+            return fail(sealCheck.reason);
+        }
+
+        // The first revision is the document the signers signed
+        const { length, hash } = container.baseRevision || {};
+        const baseRevision = pdfBytes.subarray(0, length);
+        if (!length || length > byteRange[1] ||
+            crypto.createHash('sha256').update(baseRevision).digest('hex') !== hash) {
+            return fail('Original document revision does not match the signed PDF');
+        }
+
+        const stored = await db.documents.get(container.documentId);
+        if (!stored) {
+            return fail('Document is not registered in this system');
+        }
+
+        const document = this.eddsaService.documentWithFile(stored, baseRevision);
+        const verification = result.signatureType === 'multi-signature' ?
+            await this.multiSigService.verifyMultiSignature(this.multiSigService.sessionFromAggregate(container.signature), document) :
+            await this.eddsaService.verifyDocumentSignature(container.signature, document);
+
+        return {
+            ...result,
+            valid: verification.valid,
+            reason: verification.reason,
+            verification: verification
+        };
+    }
+
+    /**
+     * Signature dictionary with fixed-width placeholders for /ByteRange and /Contents
+     * @private
+     */
+    _signatureDictionary(signedAt, contentsLength) {
+        const pdfDate = signedAt.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+        return [
+            '<<',
+            '/Type /Sig',
+            `/Filter /${this.config.FILTER}`,
+            `/SubFilter /${this.config.SUB_FILTER}`,
+            `/M ${PDFString.of(`D:${pdfDate}Z`).toString()}`,
+            `/Reason ${PDFString.of(this.config.REASON).toString()}`,
+            `/ByteRange ${BYTE_RANGE_PLACEHOLDER}`,
+            `/Contents <${'0'.repeat(contentsLength)}>`,
+            '>>'
+        ].join('\n');
+    }
+
+    /**
+     * Draw the verification QR as filled rectangles in a new content stream
+     * @private
+     */
+    _stampQR(update, pdfDoc, page, qr) {
+        const context = pdfDoc.context;
+        const { modules } = QRCode.create(qr.data, { errorCorrectionLevel: config.QR_CONFIG.ERROR_CORRECTION_LEVEL });
+
+        const quietZone = config.QR_CONFIG.MARGIN;
+        const size = this.config.QR_SIZE;
+        const margin = this.config.QR_MARGIN;
+        const cell = size / (modules.size + 2 * quietZone);
+        const box = page.getCropBox();
+
+        const left = qr.position.endsWith('left') ? box.x + margin : box.x + box.width - margin - size;
+        const bottom = qr.position.startsWith('bottom') ? box.y + margin : box.y + box.height - margin - size;
+        const top = bottom + size;
+        const n = value => Number(value.toFixed(3));
+
+        const ops = ['1 1 1 rg', `${n(left)} ${n(bottom)} ${n(size)} ${n(size)} re f`, '0 0 0 rg'];
+        for (let row = 0; row < modules.size; row++) {
+            for (let col = 0; col < modules.size; col++) {
+                if (modules.get(row, col)) {
+                    const x = left + (col + quietZone) * cell;
+                    const y = top - (row + quietZone + 1) * cell;
+                    ops.push(`${n(x)} ${n(y)} ${n(cell)} ${n(cell)} re`);
+                }
+            }
+        }
+        ops.push('f');
+
+        const node = page.node;
+        const existing = node.get(PDFName.of('Contents'));
+        const contents = [];
+
+        if (existing) {
+            // Isolate the existing content so its graphics state cannot shift the stamp
+            contents.push(update.register(context.stream('q')));
+            const resolved = existing instanceof PDFRef ? context.lookup(existing) : existing;
+            if (resolved instanceof PDFArray) {
+                contents.push(...resolved.asArray());
+            } else {
+                contents.push(existing);
+            }
+            ops.unshift('Q', 'q');
+        } else {
+            ops.unshift('q');
+        }
+        ops.push('Q');
+
+        contents.push(update.register(context.flateStream(ops.join('\n'))));
+        node.set(PDFName.of('Contents'), context.obj(contents));
+        update.update(page.ref, node);
+    }
+
+    /**
+     * Attach an invisible signature widget to the page and the AcroForm
+     * @private
+     */
+    _addSignatureField(update, pdfDoc, page, sigRef) {
+        const context = pdfDoc.context;
+        const catalogRef = context.trailerInfo.Root;
+        const catalog = pdfDoc.catalog;
+
+        const fieldRef = context.nextRef();
+
+        let acroForm = catalog.get(PDFName.of('AcroForm'));
+        let acroFormRef = catalogRef;
+        if (acroForm instanceof PDFRef) {
+            acroFormRef = acroForm;
+            acroForm = context.lookup(acroForm);
+        } else if (!(acroForm instanceof PDFDict)) {
+            acroForm = context.obj({});
+            catalog.set(PDFName.of('AcroForm'), acroForm);
+        }
+
+        const fields = this._appendToArray(update, context, acroForm, 'Fields', fieldRef);
+        acroForm.set(PDFName.of('SigFlags'), context.obj(3));
+        update.update(acroFormRef, acroFormRef === catalogRef ? catalog : acroForm);
+
+        update.update(fieldRef, context.obj({
+            Type: 'Annot',
+            Subtype: 'Widget',
+            FT: 'Sig',
+            T: PDFString.of(`${this.config.FIELD_NAME}${fields}`),
+            V: sigRef,
+            P: page.ref,
+            Rect: [0, 0, 0, 0],
+            F: 132 // Print | Locked
+        }));
+
+        this._appendToArray(update, context, page.node, 'Annots', fieldRef);
+        update.update(page.ref, page.node);
+    }
+
+    /**
+     * Append a reference to an array entry of a dictionary, rewriting the
+     * array object when it is indirect
+     * @returns {number} New array length
+     * @private
+     */
+    _appendToArray(update, context, dict, key, ref) {
+        const existing = dict.get(PDFName.of(key));
+
+        if (existing instanceof PDFRef) {
+            const array = context.lookup(existing);
+            array.push(ref);
+            update.update(existing, array);
+            return array.size();
+        }
+
+        const array = existing instanceof PDFArray ? existing : context.obj([]);
+        array.push(ref);
+        dict.set(PDFName.of(key), array);
+        return array.size();
+    }
+
+    /**
+     * @private
+     */
+    _digestByteRange(pdfBytes, byteRange) {
+        return crypto.createHash('sha256')
+            .update(pdfBytes.subarray(byteRange[0], byteRange[0] + byteRange[1]))
+            .update(pdfBytes.subarray(byteRange[2], byteRange[2] + byteRange[3]))
+            .digest('hex');
+    }
+}
+
+module.exports = PdfSignatureService;
@@ -0,0 +1,100 @@
+const zlib = require('zlib');
+const cbor = require('../../utils/cbor');
+const { encodeBase45, decodeBase45 } = require('../../utils/base45');
+const { serializeEnvelope } = require('../../utils/signingEnvelope');
+const { PAYLOAD_VERSION, packSignatures, unpackSignatures } = require('../../utils/compactPayload');
+const config = require('../../config/config');
+
+// Decompressed payloads larger than this are rejected rather than inflated
+const MAX_INFLATED_BYTES = 64 * 1024;
+
+/**
+ * Compact QR payload carrying the EdDSA signatures of a document, in the
+ * style of the EU Digital COVID Certificate: CBOR, zlib, then base45 behind a
+ * versioned prefix (e.g. "DS1:"). See utils/compactPayload.js for the layout;
+ * the signatures verify against the registered keys without a server lookup.
+ */
+class CompactQRPayload {
+    constructor() {
+        this.config = config.QR_CONFIG;
+        this.prefixPattern = new RegExp(`^${this.config.COMPACT_PREFIX}(\\d+):`);
+    }
+
+    /**
+     * Whether QR data is a compact payload (of any version)
+     * @param {string} qrData - QR code data string
+     * @returns {boolean}
+     */
+    matches(qrData) {
+        return this.prefixPattern.test(qrData);
+    }
+
+    /**
+     * Pack a document's signatures into compact QR data
+     * @param {Object} signatureData - Single signature or aggregated multi-signature
+     * @returns {string|null} QR data, or null when the signatures predate signing
+     *                        envelopes or cannot be represented exactly
+     */
+    encode(signatureData) {
+        try {
+            const body = packSignatures(signatureData);
+            if (!body) {
+                return null;
+            }
+
+            const encoded = cbor.encode(body);
+
+            // Only hand out payloads that rebuild every envelope byte for byte; this
+            // also rejects signers whose envelopes disagree on the shared fields
+            const originals = signatureData.signatures ?
+                signatureData.signatures.map(sig => sig.payload) : [signatureData.envelope];
+            const { envelopes } = unpackSignatures(cbor.decode(encoded));
+            const exact = envelopes.every((envelope, index) =>
+                serializeEnvelope(envelope) === serializeEnvelope(originals[index])
+            );
+
+            if (!exact) {
+                return null;
+            }
+
+            return `${this.config.COMPACT_PREFIX}${PAYLOAD_VERSION}:` +
+                encodeBase45(zlib.deflateSync(encoded, { level: zlib.constants.Z_BEST_COMPRESSION }));
+        } catch (error) {
+            // e.g. metadata values CBOR cannot carry (floats)
+            return null;
+        }
+    }
+
+    /**
+     * Unpack compact QR data
+     * @param {string} qrData - QR code data string
+     * @returns {Object} { version, documentId, metadata, signatureData } where signatureData
+     *                   has the shape of a stored single or aggregated multi-signature and
+     *                   signers carry keyId instead of publicKey
+     */
+    decode(qrData) {
+        const match = qrData.match(this.prefixPattern);
+        if (!match) {
+            throw new Error('Not a compact QR payload');
+        }
+
+        const version = Number(match[1]);
+        if (version !== PAYLOAD_VERSION) {
+            throw new Error(`Unsupported compact QR payload version ${version}`);
+        }
+
+        const compressed = decodeBase45(qrData.slice(match[0].length));
+        const { documentId, metadata, signatureData } = unpackSignatures(
+            cbor.decode(zlib.inflateSync(compressed, { maxOutputLength: MAX_INFLATED_BYTES }))
+        );
+
+        return {
+            version: version,
+            documentId: documentId,
+            metadata: metadata,
+            signatureData: signatureData
+        };
+    }
+}
+
+module.exports = CompactQRPayload;
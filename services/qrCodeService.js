@@ -1,19 +1,81 @@
 const QRCode = require('qrcode');
 const crypto = require('crypto');
+const SignatureEncodingService = require('./signatureEncodingService');
+const CompactQRPayload = require('./qr/compactPayload');
+const SystemKeyService = require('./systemKeyService');
+const VerificationRecordService = require('./verificationRecordService');
+const { canonicalize } = require('../utils/canonicalJson');
 const config = require('../config/config');
 
 class QRCodeService {
     constructor() {
         this.config = config.QR_CONFIG;
+        this.encodingService = new SignatureEncodingService();
+        this.compactPayload = new CompactQRPayload();
+        this.systemKeyService = new SystemKeyService();
+        this.verificationRecordService = new VerificationRecordService();
+    }
+
+    /**
+     * Sign a JSON QR payload with the system (institution) key, so QR codes
+     * pointing at forged verification IDs or other URLs can be told apart
+     * @param {Object} payload - QR payload
+     * @returns {Promise<Object>} Payload with `proof` over its canonical JSON (RFC 8785)
+     */
+    async signPayload(payload) {
+        const { keyId, algorithm, signature } = await this.systemKeyService.sign(canonicalize(payload));
+        return {
+            ...payload,
+            proof: { keyId, algorithm, signature }
+        };
+    }
+
+    /**
+     * Check the institution signature on a parsed JSON QR payload
+     * @param {Object} parsedData - Parsed QR payload including `proof`
+     * @returns {Promise<Object>} { valid, reason }
+     */
+    async verifyPayloadSignature(parsedData) {
+        const { proof, ...payload } = parsedData;
+
+        if (!proof) {
+            return this.config.ALLOW_UNSIGNED_PAYLOADS ?
+                { valid: true, reason: 'Unsigned QR payload accepted (QR_ALLOW_UNSIGNED)' } :
+                { valid: false, reason: 'QR payload is not signed by the institution' };
+        }
+
+        if (proof.algorithm !== 'Ed25519' || typeof proof.keyId !== 'string' || typeof proof.signature !== 'string') {
+            return { valid: false, reason: 'Malformed QR payload signature' };
+        }
+
+        try {
+            const result = await this.systemKeyService.verify(canonicalize(payload), proof.signature, proof.keyId);
+            return result.valid ? result : { valid: false, reason: `QR payload signature does not check out: ${result.reason}` };
+        } catch (error) {
+            return { valid: false, reason: 'Malformed QR payload signature' };
+        }
+    }
+
+    /**
+     * Compact QR data for a document's signatures, if they fit in one QR code
+     * @param {Object} signatureData - Single signature or aggregated multi-signature
+     * @returns {string|null} QR data, or null when the signatures cannot be packed
+     */
+    encodeCompact(signatureData) {
+        const qrData = this.compactPayload.encode(signatureData);
+        return qrData && qrData.length <= this.config.COMPACT_MAX_LENGTH ? qrData : null;
     }
 
     /**
      * Generate QR Code for document verification
      * @param {Object} signatureData - Signature data to embed
      * @param {Object} documentMetadata - Document metadata
+     * @param {Object} options - format: 'json' (default; compact when the JSON payload is
+     *                           too large), 'compact' for the CBOR/base45 payload or
+     *                           'cose' for a COSE_Sign payload
      * @returns {Object} QR code data and image
      */
-    async generateDocumentQR(signatureData, documentMetadata) {
+    async generateDocumentQR(signatureData, documentMetadata, options = {}) {
         try {
             // Create verification payload
             const verificationPayload = {
@@ -32,6 +94,11 @@ class QRCodeService {
                 },
                 signature: {
                     algorithm: signatureData.algorithm,
+                    version: signatureData.version || signatureData.metadata?.version || '1.0',
+                    envelope: signatureData.envelope,
+                    sessionId: signatureData.sessionId,
+                    threshold: signatureData.threshold,
+                    policy: signatureData.policy,
                     data: signatureData.signatures || signatureData.signature,
                     signers: signatureData.signers || [{
                         role: signatureData.signer?.role,
@@ -42,13 +109,25 @@ class QRCodeService {
             };
 
             // Compress payload if too large
-            const payloadString = JSON.stringify(verificationPayload);
+            const payloadString = JSON.stringify(await this.signPayload(verificationPayload));
+            const compact = options.format === 'compact' || (options.format !== 'cose' && payloadString.length > 2000) ?
+                this.encodeCompact(signatureData) : null;
+            let format = options.format === 'cose' ? 'cose' : 'json';
             let qrData;
 
-            if (payloadString.length > 2000) { // QR code size limit
+            if (options.format === 'cose') {
+                // Signatures as COSE_Sign, checkable offline with the signers' public keys
+                qrData = this.config.COSE_PREFIX + this.encodingService.toCose(signatureData).toString('base64url');
+            } else if (compact) {
+                // Signatures packed with key IDs, checkable offline with the registered keys
+                qrData = compact;
+                format = 'compact';
+            } else if (options.format === 'compact') {
+                throw new Error('Signatures cannot be packed into a compact QR payload');
+            } else if (payloadString.length > 2000) { // QR code size limit
                 // Create verification URL instead of embedding full data
                 const verificationId = crypto.randomUUID();
-                qrData = JSON.stringify({
+                qrData = JSON.stringify(await this.signPayload({
                     type: 'verification_url',
                     verificationId: verificationId,
                     url: `/api/verification/${verificationId}`,
@@ -58,10 +137,10 @@ class QRCodeService {
                         signatureCount: Array.isArray(signatureData.signatures) ? 
                             signatureData.signatures.length : 1
                     }
-                });
+                }));
 
-                // Store full payload separately (in practice, save to database)
-                this._storeVerificationData(verificationId, verificationPayload);
+                // Store full payload separately
+                await this._storeVerificationData(verificationId, verificationPayload);
             } else {
                 qrData = payloadString;
             }
@@ -83,8 +162,9 @@ class QRCodeService {
                 qrImage: qrImage,
                 qrData: qrData,
                 payload: verificationPayload,
-                size: payloadString.length,
-                compressed: payloadString.length > 2000
+                format: format,
+                size: format === 'json' ? payloadString.length : qrData.length,
+                compressed: format !== 'cose' && payloadString.length > 2000
             };
         } catch (error) {
             throw new Error(`Failed to generate QR code: ${error.message}`);
@@ -101,6 +181,7 @@ class QRCodeService {
         try {
             const aggregatedSignature = {
                 type: 'multi-signature',
+                version: multiSigSession.version || '1.0',
                 sessionId: multiSigSession.sessionId,
                 documentId: multiSigSession.documentId,
                 documentHash: multiSigSession.documentHash,
@@ -112,6 +193,7 @@ class QRCodeService {
                         publicKey: sig.signer.publicKey
                     },
                     signature: sig.signature,
+                    payload: sig.payload,
                     signedAt: sig.signedAt
                 }))
             };
@@ -123,14 +205,33 @@ class QRCodeService {
     }
 
     /**
-     * Parse QR code data
+     * Parse QR code data. JSON payloads must carry a valid institution signature
      * @param {string} qrData - QR code data string
-     * @returns {Object} Parsed verification data
+     * @returns {Promise<Object>} Parsed verification data
      */
-    parseQRData(qrData) {
+    async parseQRData(qrData) {
         try {
+            if (this.compactPayload.matches(qrData)) {
+                return {
+                    type: 'compact_verification',
+                    ...this.compactPayload.decode(qrData)
+                };
+            }
+
+            if (qrData.startsWith(this.config.COSE_PREFIX)) {
+                return {
+                    type: 'cose_verification',
+                    cose: Buffer.from(qrData.slice(this.config.COSE_PREFIX.length), 'base64url')
+                };
+            }
+
             const parsedData = JSON.parse(qrData);
 
+            const signatureCheck = await this.verifyPayloadSignature(parsedData);
+            if (!signatureCheck.valid) {
+                throw new Error(signatureCheck.reason);
+            }
+
             if (parsedData.type === 'verification_url') {
                 return {
                     type: 'url_verification',
@@ -148,6 +249,25 @@ class QRCodeService {
                 };
             }
 
+            if (parsedData.type === 'signing_request') {
+                return {
+                    type: 'signing_request',
+                    sessionId: parsedData.sessionId,
+                    signerRole: parsedData.signerRole,
+                    url: parsedData.url
+                };
+            }
+
+            if (parsedData.type === 'verification_report') {
+                return {
+                    type: 'verification_report',
+                    documentId: parsedData.documentId,
+                    valid: parsedData.valid,
+                    verifiedAt: parsedData.verifiedAt,
+                    reportUrl: parsedData.reportUrl
+                };
+            }
+
             throw new Error('Unknown QR code format');
         } catch (error) {
             throw new Error(`Failed to parse QR data: ${error.message}`);
@@ -157,18 +277,21 @@ class QRCodeService {
     /**
      * Generate QR code for signing request
      * @param {string} sessionId - Multi-signature session ID
-     * @param {string} signerRole - Role of the signer
+     * @param {Object} signer - Required signer entry of the session (signerId, role)
      * @returns {Object} QR code for signing
      */
-    async generateSigningQR(sessionId, signerRole) {
+    async generateSigningQR(sessionId, signer) {
         try {
-            const signingData = {
+            // Sessions prepared before signer IDs address signers by role
+            const signerId = signer.signerId || signer.role;
+            const signingData = await this.signPayload({
                 type: 'signing_request',
                 sessionId: sessionId,
-                signerRole: signerRole,
-                url: `/api/signatures/sign/${sessionId}/${signerRole}`,
+                signerId: signerId,
+                signerRole: signer.role,
+                url: `/api/signatures/multi/${sessionId}/${signerId}`,
                 timestamp: new Date().toISOString()
-            };
+            });
 
             const qrImage = await QRCode.toDataURL(JSON.stringify(signingData), {
                 errorCorrectionLevel: this.config.ERROR_CORRECTION_LEVEL,
@@ -190,11 +313,20 @@ class QRCodeService {
     }
 
     /**
-     * Validate QR code data integrity
+     * Validate QR code data integrity, including the institution signature of JSON payloads
      * @param {string} qrData - QR code data
-     * @returns {Object} Validation result
+     * @returns {Promise<Object>} Validation result
      */
-    validateQRData(qrData) {
+    async validateQRData(qrData) {
+        if (this.compactPayload.matches(qrData)) {
+            try {
+                this.compactPayload.decode(qrData);
+                return { valid: true, errors: [], type: 'compact_verification' };
+            } catch (error) {
+                return { valid: false, errors: [error.message], type: 'compact_verification' };
+            }
+        }
+
         try {
             const parsed = JSON.parse(qrData);
             const errors = [];
@@ -223,6 +355,11 @@ class QRCodeService {
                 }
             }
 
+            const signatureCheck = await this.verifyPayloadSignature(parsed);
+            if (!signatureCheck.valid) {
+                errors.push(signatureCheck.reason);
+            }
+
             return {
                 valid: errors.length === 0,
                 errors: errors,
@@ -244,7 +381,7 @@ class QRCodeService {
      */
     async generateVerificationReportQR(verificationResult) {
         try {
-            const reportData = {
+            const reportData = await this.signPayload({
                 type: 'verification_report',
                 documentId: verificationResult.documentId,
                 valid: verificationResult.valid,
@@ -255,7 +392,7 @@ class QRCodeService {
                     algorithm: verificationResult.algorithm
                 },
                 reportUrl: `/api/verification/report/${verificationResult.verificationId}`
-            };
+            });
 
             const qrImage = await QRCode.toDataURL(JSON.stringify(reportData), {
                 errorCorrectionLevel: this.config.ERROR_CORRECTION_LEVEL,
@@ -277,46 +414,22 @@ class QRCodeService {
     }
 
     /**
-     * Store verification data (placeholder for database storage)
+     * Store verification data
      * @param {string} verificationId - Verification ID
      * @param {Object} data - Data to store
      * @private
      */
-    _storeVerificationData(verificationId, data) {
-        // In a real implementation, this would store to a database
-        // For now, we'll use a simple in-memory store
-        if (!global.verificationStore) {
-            global.verificationStore = new Map();
-        }
-        global.verificationStore.set(verificationId, {
-            data: data,
-            createdAt: new Date().toISOString(),
-            expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString() // 30 days
-        });
+    async _storeVerificationData(verificationId, data) {
+        await this.verificationRecordService.create(verificationId, data);
     }
 
     /**
      * Retrieve stored verification data
      * @param {string} verificationId - Verification ID
-     * @returns {Object|null} Stored data or null if not found
+     * @returns {Promise<Object|null>} Stored data or null if not found, expired or invalidated
      */
-    getStoredVerificationData(verificationId) {
-        if (!global.verificationStore) {
-            return null;
-        }
-
-        const stored = global.verificationStore.get(verificationId);
-        if (!stored) {
-            return null;
-        }
-
-        // Check if expired
-        if (new Date() > new Date(stored.expiresAt)) {
-            global.verificationStore.delete(verificationId);
-            return null;
-        }
-
-        return stored.data;
+    async getStoredVerificationData(verificationId) {
+        return this.verificationRecordService.getActiveData(verificationId);
     }
 
     /**
@@ -330,6 +443,8 @@ class QRCodeService {
             supportedTypes: [
                 'document_verification',
                 'verification_url',
+                'cose_sign',
+                'compact_signature',
                 'signing_request',
                 'verification_report'
             ]
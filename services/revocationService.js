@@ -0,0 +1,158 @@
+const StatusListService = require('./statusListService');
+const db = require('../database');
+const config = require('../config/config');
+
+// Codes on errors for approvals the document refuses, so callers can tell them from failures
+const REFUSALS = {
+    INVALID: 'REVOCATION_INVALID',
+    CONFLICT: 'REVOCATION_CONFLICT'
+};
+
+/**
+ * Create an error for a refused approval
+ * @private
+ */
+function refusal(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Revocation of signed documents. A revocation is requested with a reason
+ * and takes effect once REVOCATION_CONFIG.REQUIRED_APPROVALS distinct users
+ * holding one of APPROVER_ROLES have approved it; the document then has
+ * status 'revoked', its bit is set in the status list, and every
+ * verification reports it as REVOKED whatever its signatures say.
+ */
+class RevocationService {
+    constructor() {
+        this.config = config.REVOCATION_CONFIG;
+        this.statusListService = new StatusListService();
+    }
+
+    /**
+     * Whether a user may approve revocations
+     * @param {Object} user - Authenticated user
+     * @returns {boolean}
+     */
+    canApprove(user) {
+        return this.config.APPROVER_ROLES.includes(user.role);
+    }
+
+    /**
+     * Request the revocation of a signed document, or approve the pending request.
+     * Checked and recorded on the latest stored document while it is locked, so
+     * approvers approving at the same time all count.
+     * @param {string} documentId - Signed document's ID
+     * @param {string} reason - Reason; required for a new request
+     * @param {Object} user - Approving user
+     * @returns {Promise<Object>} { document, revoked, remainingApprovals }
+     * @throws {Error} With code REFUSALS.INVALID when the document is not signed or no reason is
+     *                 given, REFUSALS.CONFLICT when the user already approved
+     */
+    async approve(documentId, reason, user) {
+        const now = new Date().toISOString();
+        let remainingApprovals = null;
+
+        const document = await db.documents.update(documentId, async current => {
+            if (!current || current.status !== 'signed') {
+                throw refusal(current && current.status === 'revoked' ?
+                    'Document is already revoked' : 'Only signed documents can be revoked', REFUSALS.INVALID);
+            }
+
+            let revocation = current.revocation;
+            if (!revocation) {
+                if (!reason) {
+                    throw refusal('Missing required field: reason', REFUSALS.INVALID);
+                }
+                revocation = {
+                    status: 'pending',
+                    reason: reason,
+                    requestedBy: user.id,
+                    requestedAt: now,
+                    approvals: []
+                };
+            }
+
+            if (revocation.approvals.some(approval => approval.userId === user.id)) {
+                throw refusal('You have already approved this revocation', REFUSALS.CONFLICT);
+            }
+
+            revocation.approvals.push({
+                userId: user.id,
+                username: user.username,
+                role: user.role,
+                approvedAt: now
+            });
+
+            remainingApprovals = Math.max(this.config.REQUIRED_APPROVALS - revocation.approvals.length, 0);
+            if (remainingApprovals === 0) {
+                revocation.status = 'revoked';
+                revocation.revokedAt = now;
+                current.status = 'revoked';
+                if (!Number.isInteger(current.statusListIndex)) {
+                    current.statusListIndex = await this.statusListService.claimIndex(current.id);
+                }
+            }
+
+            current.revocation = revocation;
+            current.updatedAt = now;
+            return current;
+        });
+
+        return {
+            document: document,
+            revoked: remainingApprovals === 0,
+            remainingApprovals: remainingApprovals
+        };
+    }
+
+    /**
+     * Public view of a document's revocation
+     * @param {Object} document - Document
+     * @returns {Object|null} { reason, revokedAt, approvedBy } or null when not revoked
+     */
+    getRevocation(document) {
+        if (!document || document.status !== 'revoked' || !document.revocation) {
+            return null;
+        }
+
+        return {
+            reason: document.revocation.reason,
+            revokedAt: document.revocation.revokedAt,
+            approvedBy: document.revocation.approvals.map(approval => ({
+                username: approval.username,
+                role: approval.role,
+                approvedAt: approval.approvedAt
+            }))
+        };
+    }
+
+    /**
+     * Fold a document's revocation into a verification result
+     * @param {Object} document - Verified document (null if unknown)
+     * @param {Object} result - Signature verification result
+     * @returns {Object} Result with status VALID, INVALID or REVOKED; revoked documents
+     *                   are invalid and keep the signature outcome as signaturesValid
+     */
+    applyStatus(document, result) {
+        const revocation = this.getRevocation(document);
+        if (!revocation) {
+            return { ...result, status: result.valid ? 'VALID' : 'INVALID' };
+        }
+
+        return {
+            ...result,
+            valid: false,
+            status: 'REVOKED',
+            reason: `Document was revoked on ${revocation.revokedAt}: ${revocation.reason}`,
+            signaturesValid: result.valid,
+            revocation: revocation
+        };
+    }
+}
+
+RevocationService.REFUSALS = REFUSALS;
+
+module.exports = RevocationService;
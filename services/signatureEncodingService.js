@@ -0,0 +1,608 @@
+const nacl = require('tweetnacl');
+const EdDSAService = require('./eddsaService');
+const KeyRegistryService = require('./keyRegistryService');
+const DelegationService = require('./delegationService');
+const { canonicalize } = require('../utils/canonicalJson');
+const { isCountPolicy, evaluatePolicy, describeUnmetPolicy } = require('../utils/signingPolicy');
+const cbor = require('../utils/cbor');
+const db = require('../database');
+
+const STATEMENT_TYPE = 'document-signature-statement';
+const STATEMENT_VERSION = '1.0';
+const JWS_ALGORITHM = 'EdDSA';
+// COSE header labels and values (RFC 9052 / RFC 9053)
+const COSE_SIGN_TAG = 98;
+const COSE_HEADER = { ALG: 1, CONTENT_TYPE: 3, KID: 4 };
+const COSE_ALG_EDDSA = -8;
+
+/**
+ * Standard encodings of document signatures: JWS (RFC 7515, general JSON
+ * serialization) and COSE_Sign (RFC 9052, CBOR). Both carry the same payload,
+ * a canonical statement binding the document, its file and metadata hashes and
+ * the signing session, and one signature per signer whose protected header
+ * names the key (`kid`), role and signing time, and for acting officials the
+ * mandate (`delegationId`) they sign under. Signers produce these
+ * signatures alongside their EdDSA envelope signature, so the encodings can be
+ * checked with any JOSE/COSE library given the signer's registered public key.
+ */
+class SignatureEncodingService {
+    constructor() {
+        this.eddsaService = new EdDSAService();
+        this.keyRegistry = new KeyRegistryService();
+        this.delegationService = new DelegationService();
+    }
+
+    /**
+     * Statement signed by every signer of a multi-signature session
+     * @param {Object} session - Multi-signature session
+     * @returns {Object|null} Statement, or null for sessions prepared before file digests
+     */
+    statementForSession(session) {
+        if (session.version !== '2.0' || session.metadataHash === undefined) {
+            return null;
+        }
+        return this.createStatement({
+            documentId: session.documentId,
+            documentHash: session.documentHash,
+            metadataHash: session.metadataHash,
+            file: session.fileDigest,
+            sessionId: session.sessionId,
+            threshold: session.threshold,
+            policy: session.policy && !isCountPolicy(session.policy) ? session.policy : null
+        });
+    }
+
+    /**
+     * Statement for a single signature or an aggregated multi-signature
+     * @param {Object} signatureData - document.signature or output of createAggregatedSignature
+     * @returns {Object|null} Statement, or null when the signatures predate the encodings
+     */
+    statementFor(signatureData) {
+        if (signatureData.type === 'multi-signature') {
+            return this.statementForSession({ version: signatureData.metadata.version, ...signatureData });
+        }
+
+        const { envelope } = signatureData;
+        if (!envelope || envelope.metadataHash === undefined) {
+            return null;
+        }
+        return this.createStatement({
+            documentId: envelope.documentId,
+            documentHash: envelope.documentHash,
+            metadataHash: envelope.metadataHash,
+            file: envelope.file,
+            sessionId: null,
+            threshold: 1
+        });
+    }
+
+    /**
+     * @param {Object} binding - documentId, documentHash, metadataHash, file, sessionId, threshold
+     *                           and the session policy when a count against the threshold is not enough
+     * @returns {Object} Statement
+     */
+    createStatement(binding) {
+        const statement = {
+            type: STATEMENT_TYPE,
+            version: STATEMENT_VERSION,
+            documentId: binding.documentId,
+            documentHash: binding.documentHash,
+            metadataHash: binding.metadataHash,
+            file: binding.file || null,
+            sessionId: binding.sessionId || null,
+            threshold: binding.threshold
+        };
+        // Statements of count-only sessions stay as they were before policies
+        if (binding.policy) {
+            statement.policy = binding.policy;
+        }
+        return statement;
+    }
+
+    /**
+     * Exact bytes a signer signs for each encoding (for client-side signing)
+     * @param {Object} statement - Statement
+     * @param {Object} signer - keyId, role, signedAt and delegationId of a mandate (optional)
+     * @returns {Object} { jws: { protected, signingInput }, cose: { protected, toBeSigned } };
+     *                   signingInput is a string, protected values and toBeSigned are base64url
+     */
+    signingInputs(statement, signer) {
+        const payload = this._payload(statement);
+        const jwsProtected = this._jwsProtected(signer);
+        const coseProtected = this._coseProtected(signer);
+
+        return {
+            jws: {
+                protected: jwsProtected,
+                signingInput: `${jwsProtected}.${payload.toString('base64url')}`
+            },
+            cose: {
+                protected: coseProtected.toString('base64url'),
+                toBeSigned: this._coseToBeSigned(coseProtected, payload).toString('base64url')
+            }
+        };
+    }
+
+    /**
+     * Sign both encodings with a custodial key
+     * @param {Object} statement - Statement
+     * @param {Object} signer - keyId, role, signedAt and delegationId of a mandate (optional)
+     * @param {string} privateKey - Private key as base64 string
+     * @returns {Object} { jws: { protected, signature }, cose: { protected, signature } }
+     */
+    sign(statement, signer, privateKey) {
+        const inputs = this.signingInputs(statement, signer);
+        const secretKey = Buffer.from(privateKey, 'base64');
+        const detached = message => Buffer.from(nacl.sign.detached(message, secretKey)).toString('base64url');
+
+        return {
+            jws: {
+                protected: inputs.jws.protected,
+                signature: detached(Buffer.from(inputs.jws.signingInput, 'ascii'))
+            },
+            cose: {
+                protected: inputs.cose.protected,
+                signature: detached(Buffer.from(inputs.cose.toBeSigned, 'base64url'))
+            }
+        };
+    }
+
+    /**
+     * Check client-produced encoding signatures before they are stored
+     * @param {Object} statement - Statement
+     * @param {Object} signer - keyId, role, signedAt and delegationId of a mandate (optional)
+     * @param {Object} signatures - { jws, cose } detached signatures (base64 or base64url)
+     * @param {string} publicKey - Registered public key (base64)
+     * @returns {Object} { encodings } on success, otherwise { message }
+     */
+    acceptSignatures(statement, signer, signatures, publicKey) {
+        if (!signatures || typeof signatures.jws !== 'string' || typeof signatures.cose !== 'string') {
+            return { message: 'encodings must contain jws and cose signatures' };
+        }
+
+        const inputs = this.signingInputs(statement, signer);
+        const key = Buffer.from(publicKey, 'base64');
+        const check = (message, signature) => {
+            const bytes = Buffer.from(signature, 'base64');
+            return bytes.length === nacl.sign.signatureLength && nacl.sign.detached.verify(message, bytes, key);
+        };
+
+        if (!check(Buffer.from(inputs.jws.signingInput, 'ascii'), signatures.jws)) {
+            return { message: 'JWS signature does not verify against the registered public key' };
+        }
+        if (!check(Buffer.from(inputs.cose.toBeSigned, 'base64url'), signatures.cose)) {
+            return { message: 'COSE signature does not verify against the registered public key' };
+        }
+
+        return {
+            encodings: {
+                jws: { protected: inputs.jws.protected, signature: Buffer.from(signatures.jws, 'base64').toString('base64url') },
+                cose: { protected: inputs.cose.protected, signature: Buffer.from(signatures.cose, 'base64').toString('base64url') }
+            }
+        };
+    }
+
+    /**
+     * Whether any signer of the signature data produced JWS/COSE signatures
+     * @param {Object} signatureData - document.signature or an aggregated multi-signature
+     * @returns {boolean} True when toJws/toCose can encode it
+     */
+    canEncode(signatureData) {
+        const signatures = signatureData.type === 'multi-signature' ? signatureData.signatures : [signatureData];
+        return this.statementFor(signatureData) !== null && signatures.some(sig => sig.encodings);
+    }
+
+    /**
+     * JWS general JSON serialization of a document's signatures
+     * @param {Object} signatureData - document.signature or an aggregated multi-signature
+     * @returns {Object} { payload, signatures: [{ protected, header: { jwk }, signature }] }
+     */
+    toJws(signatureData) {
+        const { statement, entries } = this._encodable(signatureData);
+
+        return {
+            payload: this._payload(statement).toString('base64url'),
+            signatures: entries.map(({ signer, encodings }) => ({
+                protected: encodings.jws.protected,
+                header: {
+                    jwk: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(signer.publicKey, 'base64').toString('base64url') }
+                },
+                signature: encodings.jws.signature
+            }))
+        };
+    }
+
+    /**
+     * Tagged COSE_Sign structure of a document's signatures
+     * @param {Object} signatureData - document.signature or an aggregated multi-signature
+     * @returns {Buffer} CBOR bytes
+     */
+    toCose(signatureData) {
+        const { statement, entries } = this._encodable(signatureData);
+
+        return cbor.encode(new cbor.Tagged(COSE_SIGN_TAG, [
+            this._coseBodyProtected(),
+            new Map(),
+            this._payload(statement),
+            entries.map(({ encodings }) => [
+                Buffer.from(encodings.cose.protected, 'base64url'),
+                new Map(),
+                Buffer.from(encodings.cose.signature, 'base64url')
+            ])
+        ]));
+    }
+
+    /**
+     * Verify a JWS (general, flattened or compact serialization)
+     * @param {Object|string} jws - JWS
+     * @returns {Promise<Object>} Verification result
+     */
+    async verifyJws(jws) {
+        let parsed;
+        try {
+            parsed = this._parseJws(jws);
+        } catch (error) {
+            return this._failure('jws', `Malformed JWS: ${error.message}`);
+        }
+        return this._verifyParsed('jws', parsed);
+    }
+
+    /**
+     * Verify a COSE_Sign structure
+     * @param {Buffer|string} cose - CBOR bytes, or their base64/base64url encoding
+     * @returns {Promise<Object>} Verification result
+     */
+    async verifyCose(cose) {
+        let parsed;
+        try {
+            parsed = this._parseCose(Buffer.isBuffer(cose) ? cose : Buffer.from(cose, 'base64'));
+        } catch (error) {
+            return this._failure('cose', `Malformed COSE_Sign: ${error.message}`);
+        }
+        return this._verifyParsed('cose', parsed);
+    }
+
+    /**
+     * Check every signature, the signer keys against the registry and the
+     * statement against the registered document
+     * @private
+     */
+    async _verifyParsed(format, parsed) {
+        let statement;
+        try {
+            statement = JSON.parse(parsed.payload.toString('utf8'));
+        } catch (error) {
+            statement = null;
+        }
+        if (!statement || statement.type !== STATEMENT_TYPE || statement.version !== STATEMENT_VERSION ||
+            typeof statement.documentId !== 'string') {
+            return this._failure(format, 'Payload is not a document signature statement');
+        }
+
+        const document = await db.documents.get(statement.documentId);
+        const binding = await this._checkBinding(statement, document);
+
+        const signatures = [];
+        const documentType = document ? this.eddsaService.pickSignedMetadata(document).type : null;
+        for (const { header, signingInput, signature } of parsed.signatures) {
+            const checked = await this._verifySignature(header, signingInput, signature, documentType);
+            signatures.push(checked.valid && binding.roles && !binding.roles.includes(checked.role) ?
+                { ...checked, valid: false, reason: `Role '${checked.role}' is not a signer of this session` } :
+                checked);
+        }
+
+        // Each signer key counts once; several signers may share a role, and delegates count as their delegator
+        const validKeys = new Map(signatures.filter(sig => sig.valid).map(sig => [
+            sig.onBehalfOf ? sig.onBehalfOf.keyId : sig.keyId,
+            sig.role
+        ]));
+        const validRoles = [...validKeys.values()];
+        const result = {
+            format: format,
+            documentId: statement.documentId,
+            statement: statement,
+            threshold: statement.threshold,
+            validSignatures: validRoles.length,
+            totalSignatures: signatures.length,
+            signatures: signatures,
+            verifiedAt: new Date().toISOString()
+        };
+
+        if (!binding.valid) {
+            return { valid: false, reason: binding.reason, ...result };
+        }
+
+        if (statement.policy) {
+            const evaluation = evaluatePolicy(statement.policy, validRoles);
+            result.signatureWeight = evaluation.weight;
+            if (!evaluation.met) {
+                return { valid: false, reason: describeUnmetPolicy(statement.policy, evaluation), ...result };
+            }
+        } else if (validRoles.length < statement.threshold) {
+            const invalid = signatures.find(sig => !sig.valid);
+            return {
+                valid: false,
+                reason: invalid && statement.threshold === 1 ? invalid.reason :
+                    `Insufficient valid signatures: ${validRoles.length}/${statement.threshold}`,
+                ...result
+            };
+        }
+
+        return {
+            valid: true,
+            reason: statement.policy ?
+                `Valid ${format.toUpperCase()} signature meeting the signing policy (weight ${result.signatureWeight}/${statement.threshold})` :
+                `Valid ${format.toUpperCase()} signature with ${validRoles.length}/${statement.threshold} required signatures`,
+            ...result
+        };
+    }
+
+    /**
+     * @private
+     */
+    async _verifySignature(header, signingInput, signature, documentType) {
+        const result = {
+            keyId: header.kid || null,
+            role: header.role || null,
+            signedAt: header.signedAt || null
+        };
+        if (header.delegationId) {
+            result.delegationId = header.delegationId;
+        }
+
+        if (header.alg !== JWS_ALGORITHM && header.alg !== COSE_ALG_EDDSA) {
+            return { ...result, valid: false, reason: `Unsupported algorithm '${header.alg}'` };
+        }
+
+        const keyData = header.kid ? await db.keys.get(header.kid) : null;
+        if (!keyData) {
+            return { ...result, valid: false, reason: 'Signer key is not registered' };
+        }
+
+        const signatureValid = signature.length === nacl.sign.signatureLength && nacl.sign.detached.verify(
+            signingInput,
+            signature,
+            Buffer.from(keyData.publicKey, 'base64')
+        );
+        if (!signatureValid) {
+            return { ...result, valid: false, signatureValid: false, reason: 'Invalid signature' };
+        }
+
+        // Delegates sign as a role their key does not hold, under the mandate named in the header
+        const keyStatus = header.delegationId ?
+            await this.delegationService.resolveDelegatedSigner(
+                { publicKey: keyData.publicKey, keyId: header.kid },
+                { delegationId: header.delegationId, role: header.role, documentType: documentType },
+                header.signedAt || null
+            ) :
+            await this.keyRegistry.resolveSigner(
+                { publicKey: keyData.publicKey, keyId: header.kid, role: header.role },
+                header.signedAt || null
+            );
+
+        let reason = keyStatus.trusted && !keyStatus.revoked ? 'Signature is valid' : keyStatus.reason;
+        if (keyStatus.trusted && keyStatus.onBehalfOf) {
+            result.onBehalfOf = keyStatus.onBehalfOf;
+            reason = `Signature by ${keyStatus.name} on behalf of ${keyStatus.onBehalfOf.name} (${header.role}) is valid`;
+        }
+
+        return {
+            ...result,
+            valid: keyStatus.trusted,
+            signatureValid: true,
+            keyStatus: keyStatus,
+            reason: reason
+        };
+    }
+
+    /**
+     * Statement must describe the registered document as it is now, and
+     * carry the threshold and policy of its signing session
+     * @private
+     */
+    async _checkBinding(statement, document) {
+        if (!document) {
+            return { valid: false, reason: 'Document is not registered in this system' };
+        }
+        if (statement.documentHash !== this.eddsaService.computeDocumentHash(document)) {
+            return { valid: false, reason: 'Document has been modified' };
+        }
+        if (canonicalize(statement.file) !== canonicalize(this.eddsaService.pickFileDigest(document))) {
+            return { valid: false, reason: 'Document file has been modified' };
+        }
+        if (statement.metadataHash !== this.eddsaService.computeMetadataHash(document)) {
+            return { valid: false, reason: 'Document metadata has been modified' };
+        }
+        if (statement.sessionId !== (document.multiSigSessionId || null)) {
+            return { valid: false, reason: 'Signatures belong to a different signing session' };
+        }
+
+        if (!statement.sessionId) {
+            return statement.threshold === 1 ?
+                { valid: true, roles: null } :
+                { valid: false, reason: 'Single signature statement must have threshold 1' };
+        }
+
+        const session = await db.multiSigSessions.get(statement.sessionId);
+        if (!session) {
+            return { valid: false, reason: 'Multi-signature session not found' };
+        }
+        if (statement.threshold !== session.threshold) {
+            return { valid: false, reason: 'Statement threshold does not match the signing session' };
+        }
+        const sessionPolicy = session.policy && !isCountPolicy(session.policy) ? session.policy : null;
+        if (canonicalize(statement.policy || null) !== canonicalize(sessionPolicy)) {
+            return { valid: false, reason: 'Statement policy does not match the signing session' };
+        }
+        return { valid: true, roles: session.requiredSigners.map(signer => signer.role) };
+    }
+
+    /**
+     * @private
+     */
+    _parseJws(input) {
+        const jws = typeof input === 'string' && !input.trim().startsWith('{') ?
+            this._fromCompact(input.trim()) :
+            (typeof input === 'string' ? JSON.parse(input) : input);
+
+        const signatures = jws.signatures || [{ protected: jws.protected, header: jws.header, signature: jws.signature }];
+        if (typeof jws.payload !== 'string' || !Array.isArray(signatures) || signatures.length === 0) {
+            throw new Error('payload and signatures are required');
+        }
+
+        return {
+            payload: Buffer.from(jws.payload, 'base64url'),
+            signatures: signatures.map(entry => {
+                if (typeof entry.protected !== 'string' || typeof entry.signature !== 'string') {
+                    throw new Error('every signature needs a protected header');
+                }
+                return {
+                    // Only integrity-protected header parameters are trusted
+                    header: JSON.parse(Buffer.from(entry.protected, 'base64url').toString('utf8')),
+                    signingInput: Buffer.from(`${entry.protected}.${jws.payload}`, 'ascii'),
+                    signature: Buffer.from(entry.signature, 'base64url')
+                };
+            })
+        };
+    }
+
+    /**
+     * @private
+     */
+    _fromCompact(compact) {
+        const parts = compact.split('.');
+        if (parts.length !== 3) {
+            throw new Error('compact serialization must have three parts');
+        }
+        return { protected: parts[0], payload: parts[1], signature: parts[2] };
+    }
+
+    /**
+     * @private
+     */
+    _parseCose(bytes) {
+        let structure = cbor.decode(bytes);
+        if (structure instanceof cbor.Tagged) {
+            if (structure.tag !== COSE_SIGN_TAG) {
+                throw new Error(`expected tag ${COSE_SIGN_TAG} (COSE_Sign)`);
+            }
+            structure = structure.value;
+        }
+
+        const [bodyProtected, , payload, signatures] = Array.isArray(structure) ? structure : [];
+        if (structure.length !== 4 || !Buffer.isBuffer(bodyProtected) || !Buffer.isBuffer(payload) ||
+            !Array.isArray(signatures) || signatures.length === 0) {
+            throw new Error('expected [protected, unprotected, payload, signatures]');
+        }
+
+        return {
+            payload: payload,
+            signatures: signatures.map(entry => {
+                const [signProtected, , signature] = Array.isArray(entry) ? entry : [];
+                if (!Buffer.isBuffer(signProtected) || !Buffer.isBuffer(signature)) {
+                    throw new Error('expected COSE_Signature [protected, unprotected, signature]');
+                }
+
+                const header = signProtected.length > 0 ? cbor.decode(signProtected) : new Map();
+                const kid = header.get(COSE_HEADER.KID);
+                return {
+                    header: {
+                        alg: header.get(COSE_HEADER.ALG),
+                        kid: Buffer.isBuffer(kid) ? kid.toString('utf8') : null,
+                        role: header.get('role'),
+                        signedAt: header.get('signedAt'),
+                        delegationId: header.get('delegationId')
+                    },
+                    signingInput: this._coseToBeSigned(signProtected, payload, bodyProtected),
+                    signature: signature
+                };
+            })
+        };
+    }
+
+    /**
+     * Encodings can only be assembled for signers that produced them
+     * @private
+     */
+    _encodable(signatureData) {
+        if (!this.canEncode(signatureData)) {
+            throw new Error('Signatures were made before JWS/COSE encodings were available');
+        }
+
+        const signatures = signatureData.type === 'multi-signature' ? signatureData.signatures : [signatureData];
+        return {
+            statement: this.statementFor(signatureData),
+            entries: signatures.filter(sig => sig.encodings)
+        };
+    }
+
+    /**
+     * @private
+     */
+    _payload(statement) {
+        return Buffer.from(canonicalize(statement), 'utf8');
+    }
+
+    /**
+     * @private
+     */
+    _jwsProtected(signer) {
+        const header = {
+            alg: JWS_ALGORITHM,
+            kid: signer.keyId,
+            role: signer.role,
+            signedAt: signer.signedAt
+        };
+        if (signer.delegationId) {
+            header.delegationId = signer.delegationId;
+        }
+        return Buffer.from(canonicalize(header), 'utf8').toString('base64url');
+    }
+
+    /**
+     * @private
+     */
+    _coseProtected(signer) {
+        const header = new Map([
+            [COSE_HEADER.ALG, COSE_ALG_EDDSA],
+            [COSE_HEADER.KID, Buffer.from(signer.keyId, 'utf8')],
+            ['role', signer.role],
+            ['signedAt', signer.signedAt]
+        ]);
+        if (signer.delegationId) {
+            header.set('delegationId', signer.delegationId);
+        }
+        return cbor.encode(header);
+    }
+
+    /**
+     * @private
+     */
+    _coseBodyProtected() {
+        return cbor.encode(new Map([[COSE_HEADER.CONTENT_TYPE, 'application/json']]));
+    }
+
+    /**
+     * Sig_structure for COSE_Sign (RFC 9052, 4.4)
+     * @private
+     */
+    _coseToBeSigned(signProtected, payload, bodyProtected = this._coseBodyProtected()) {
+        return cbor.encode(['Signature', bodyProtected, signProtected, Buffer.alloc(0), payload]);
+    }
+
+    /**
+     * @private
+     */
+    _failure(format, reason) {
+        return {
+            valid: false,
+            reason: reason,
+            format: format,
+            documentId: null,
+            signatures: [],
+            verifiedAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = SignatureEncodingService;
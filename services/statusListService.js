@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const SystemKeyService = require('./systemKeyService');
+const CredentialService = require('./credentialService');
+const { encodeBase58 } = require('../utils/base58');
+const db = require('../database');
+const config = require('../config/config');
+
+const STATUS_PURPOSE = 'revocation';
+// Attempts at claiming a free random index before giving up
+const MAX_ALLOCATION_ATTEMPTS = 32;
+
+/**
+ * Revocation status of signed documents as a W3C Bitstring Status List
+ * (https://www.w3.org/TR/vc-bitstring-status-list/). Each document claims a
+ * random bit when it is first exported as a credential or revoked (see
+ * CredentialService for the credentialStatus entry); the list is published as
+ * a BitstringStatusListCredential with an eddsa-jcs-2022 proof by the system key.
+ */
+class StatusListService {
+    constructor() {
+        this.config = config.REVOCATION_CONFIG;
+        this.url = config.CREDENTIAL_CONFIG.STATUS_LIST_URL;
+        this.systemKeyService = new SystemKeyService();
+        this.credentialService = new CredentialService();
+    }
+
+    /**
+     * Status list index of a document, claiming one (and saving the document) on first use.
+     * Indexes are random so neighbouring bits say nothing about related documents.
+     * @param {Object} document - Document record; statusListIndex is set on it
+     * @returns {Promise<number>} Status list index
+     */
+    async ensureIndex(document) {
+        if (Number.isInteger(document.statusListIndex)) {
+            return document.statusListIndex;
+        }
+
+        // Claim on the latest stored document, so concurrent requests keep one index and each other's changes
+        const updated = await db.documents.update(document.id, async current => {
+            if (!current || Number.isInteger(current.statusListIndex)) {
+                return null;
+            }
+            current.statusListIndex = await this.claimIndex(current.id);
+            return current;
+        });
+        if (!updated) {
+            throw new Error(`Document '${document.id}' not found`);
+        }
+
+        document.statusListIndex = updated.statusListIndex;
+        return document.statusListIndex;
+    }
+
+    /**
+     * Claim a free status list index for a document without saving the document;
+     * for callers already updating it
+     * @param {string} documentId - Document ID
+     * @returns {Promise<number>} Claimed index
+     */
+    async claimIndex(documentId) {
+        for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt++) {
+            const index = crypto.randomInt(this.config.STATUS_LIST_LENGTH);
+            try {
+                await db.statusListEntries.insert(String(index), {
+                    index: index,
+                    documentId: documentId,
+                    allocatedAt: new Date().toISOString()
+                });
+            } catch (error) {
+                if (error.code === 'DUPLICATE_ID') {
+                    continue;
+                }
+                throw error;
+            }
+            return index;
+        }
+
+        throw new Error('Status list is full; increase REVOCATION_CONFIG.STATUS_LIST_LENGTH');
+    }
+
+    /**
+     * Build the status list credential with a bit set for every revoked document
+     * @returns {Promise<Object>} Unsecured BitstringStatusListCredential
+     */
+    async buildStatusList() {
+        const bits = Buffer.alloc(this.config.STATUS_LIST_LENGTH / 8);
+        for (const document of await db.documents.findBy('status', 'revoked')) {
+            if (Number.isInteger(document.statusListIndex)) {
+                // Index 0 is the most significant bit of the first byte
+                bits[document.statusListIndex >> 3] |= 0x80 >> (document.statusListIndex & 7);
+            }
+        }
+
+        const validFrom = new Date();
+        return {
+            '@context': ['https://www.w3.org/ns/credentials/v2'],
+            id: this.url,
+            type: ['VerifiableCredential', 'BitstringStatusListCredential'],
+            issuer: config.CREDENTIAL_CONFIG.ISSUER_ID,
+            validFrom: validFrom.toISOString(),
+            validUntil: new Date(validFrom.getTime() + this.config.STATUS_LIST_VALIDITY_MS).toISOString(),
+            credentialSubject: {
+                id: `${this.url}#list`,
+                type: 'BitstringStatusList',
+                statusPurpose: STATUS_PURPOSE,
+                // Multibase base64url (no padding) of the GZIP-compressed bitstring
+                encodedList: `u${zlib.gzipSync(bits).toString('base64url')}`
+            }
+        };
+    }
+
+    /**
+     * Build the status list and add an eddsa-jcs-2022 proof by the system key
+     * @returns {Promise<Object>} BitstringStatusListCredential with proof
+     */
+    async getSignedStatusList() {
+        const credential = await this.buildStatusList();
+        const { publicKey } = await this.systemKeyService.getActivePublicKey();
+        const { proofConfig, hashData } = this.credentialService.createProofPayload(
+            credential, publicKey, credential.validFrom
+        );
+        const { signature } = await this.systemKeyService.sign(Buffer.from(hashData, 'base64'));
+
+        return {
+            ...credential,
+            proof: { ...proofConfig, proofValue: `z${encodeBase58(Buffer.from(signature, 'base64'))}` }
+        };
+    }
+}
+
+module.exports = StatusListService;
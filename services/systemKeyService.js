@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const nacl = require('tweetnacl');
+const KeyVault = require('./keyVault');
+const db = require('../database');
+const config = require('../config/config');
+
+// Shared by every instance so the process signs with a single system key
+let activeKeyPromise = null;
+
+/**
+ * Ed25519 key the server signs its own statements with (audit checkpoints
+ * and similar). The private key is wrapped with SYSTEM_KEY_PASSPHRASE; when
+ * no passphrase is configured a per-process key is used and only its public
+ * half is stored, so earlier signatures stay verifiable after a restart; the
+ * key of the previous run is then retired.
+ */
+class SystemKeyService {
+    constructor() {
+        this.config = config.SYSTEM_KEY_CONFIG;
+        this.keyVault = new KeyVault();
+    }
+
+    /**
+     * Sign a message with the active system key
+     * @param {string|Buffer} message - Message to sign (strings as UTF-8)
+     * @returns {Promise<Object>} { keyId, publicKey, algorithm, signature }
+     */
+    async sign(message) {
+        const key = await this._getActiveKey();
+        const signature = nacl.sign.detached(
+            Buffer.from(message, 'utf8'),
+            Buffer.from(key.privateKey, 'base64')
+        );
+
+        return {
+            keyId: key.keyId,
+            publicKey: key.publicKey,
+            algorithm: 'Ed25519',
+            signature: Buffer.from(signature).toString('base64')
+        };
+    }
+
+    /**
+     * Public half of the active system key, e.g. to name it in a proof before signing
+     * @returns {Promise<Object>} { keyId, publicKey, algorithm }
+     */
+    async getActivePublicKey() {
+        const key = await this._getActiveKey();
+        return {
+            keyId: key.keyId,
+            publicKey: key.publicKey,
+            algorithm: 'Ed25519'
+        };
+    }
+
+    /**
+     * Verify a signature made by a system key
+     * @param {string} message - Signed message
+     * @param {string} signature - Signature as base64 string
+     * @param {string} keyId - System key ID the signature claims
+     * @returns {Promise<Object>} { valid, reason }
+     */
+    async verify(message, signature, keyId) {
+        const keyData = await db.systemKeys.get(keyId);
+        if (!keyData) {
+            return { valid: false, reason: `Unknown system key '${keyId}'` };
+        }
+
+        const isValid = nacl.sign.detached.verify(
+            Buffer.from(message, 'utf8'),
+            Buffer.from(signature, 'base64'),
+            Buffer.from(keyData.publicKey, 'base64')
+        );
+        if (!isValid) {
+            return { valid: false, reason: 'Invalid system signature' };
+        }
+
+        return { valid: true, reason: 'Valid system signature' };
+    }
+
+    /**
+     * Public view of all system keys, e.g. for publishing to verifiers
+     * @returns {Promise<Array>} System keys without private material
+     */
+    async listPublicKeys() {
+        return (await db.systemKeys.list()).map(keyData => ({
+            keyId: keyData.keyId,
+            publicKey: keyData.publicKey,
+            algorithm: 'Ed25519',
+            ephemeral: Boolean(keyData.ephemeral),
+            status: keyData.status,
+            createdAt: keyData.createdAt,
+            retiredAt: keyData.retiredAt || null
+        }));
+    }
+
+    /**
+     * Load (or create on first use) the key this process signs with
+     * @private
+     */
+    _getActiveKey() {
+        if (!activeKeyPromise) {
+            activeKeyPromise = this._loadOrCreateKey().catch(error => {
+                activeKeyPromise = null;
+                throw new Error(`Failed to load system key: ${error.message}`);
+            });
+        }
+        return activeKeyPromise;
+    }
+
+    /**
+     * @private
+     */
+    async _loadOrCreateKey() {
+        const passphrase = this.config.PASSPHRASE;
+
+        if (passphrase) {
+            const stored = (await db.systemKeys.findBy('status', 'active'))
+                .find(keyData => keyData.encryptedPrivateKey);
+
+            if (stored) {
+                const privateKey = await this.keyVault.unwrap(stored.encryptedPrivateKey, passphrase, stored.keyId);
+                return { keyId: stored.keyId, publicKey: stored.publicKey, privateKey };
+            }
+        }
+
+        const keyPair = nacl.sign.keyPair();
+        const publicKey = Buffer.from(keyPair.publicKey).toString('base64');
+        const privateKey = Buffer.from(keyPair.secretKey).toString('base64');
+        const keyId = `system-${crypto.randomUUID()}`;
+
+        await db.systemKeys.set(keyId, {
+            keyId: keyId,
+            purpose: 'system',
+            publicKey: publicKey,
+            encryptedPrivateKey: passphrase ? await this.keyVault.wrap(privateKey, passphrase, keyId) : null,
+            ephemeral: !passphrase,
+            createdAt: new Date().toISOString(),
+            status: 'active'
+        });
+
+        // Per-process keys of earlier runs can no longer sign; their public halves stay for verification
+        await this._retireEphemeralKeys(keyId);
+
+        if (!passphrase) {
+            console.warn('SYSTEM_KEY_PASSPHRASE is not set; using a per-process system signing key');
+        }
+
+        return { keyId, publicKey, privateKey };
+    }
+
+    /**
+     * Mark every active per-process key other than the current one as retired
+     * @private
+     */
+    async _retireEphemeralKeys(currentKeyId) {
+        const retiredAt = new Date().toISOString();
+        const previous = (await db.systemKeys.findBy('status', 'active'))
+            .filter(keyData => keyData.ephemeral && keyData.keyId !== currentKeyId);
+
+        for (const keyData of previous) {
+            await db.systemKeys.update(keyData.keyId, current => {
+                if (!current || current.status !== 'active') {
+                    return null;
+                }
+                current.status = 'retired';
+                current.retiredAt = retiredAt;
+                return current;
+            });
+        }
+    }
+}
+
+module.exports = SystemKeyService;
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const LocalTsa = require('./tsa/localTsa');
+const Rfc3161Client = require('./tsa/rfc3161Client');
+const config = require('../config/config');
+
+/**
+ * Create the TSA client selected by config.TIMESTAMP_CONFIG.PROVIDER
+ * @param {string} provider - local | rfc3161
+ * @param {Object} tsaConfig - config.TIMESTAMP_CONFIG block
+ * @returns {Object} TSA client
+ */
+function createClient(provider, tsaConfig) {
+    switch (provider) {
+        case 'local':
+            return new LocalTsa();
+        case 'rfc3161':
+            return new Rfc3161Client(tsaConfig);
+        default:
+            throw new Error(`Unsupported timestamp provider '${provider}'`);
+    }
+}
+
+/**
+ * Obtains trusted timestamp tokens over signature values so the signing time
+ * is attested by a TSA rather than taken from the server clock. Tokens are
+ * verified with the client that issued them, whatever provider is active now.
+ */
+class TimestampService {
+    constructor() {
+        this.config = config.TIMESTAMP_CONFIG;
+        this.clients = {};
+    }
+
+    /**
+     * Timestamp a signature value
+     * @param {string} signature - Signature as base64 string
+     * @returns {Promise<Object>} { timestamp } with the token, or { timestamp: null, error }
+     *   when timestamping is disabled or failed and TIMESTAMP_CONFIG.REQUIRED is off
+     * @throws {Error} When the TSA fails and timestamps are required
+     */
+    async timestampSignature(signature) {
+        if (this.config.PROVIDER === 'none') {
+            return { timestamp: null, error: null };
+        }
+
+        try {
+            const client = this._getClient(this.config.PROVIDER);
+            const timestamp = await client.requestToken(
+                this._imprint(signature, this.config.HASH_ALGORITHM),
+                this.config.HASH_ALGORITHM
+            );
+            return { timestamp, error: null };
+        } catch (error) {
+            if (this.config.REQUIRED) {
+                throw new Error(`Failed to obtain timestamp: ${error.message}`);
+            }
+            console.warn('Signature stored without timestamp:', error.message);
+            return { timestamp: null, error: error.message };
+        }
+    }
+
+    /**
+     * Verify the timestamp stored with a signature
+     * @param {Object|null} timestamp - Token from timestampSignature
+     * @param {string} signature - Signature as base64 string the token should cover
+     * @returns {Promise<Object>} { present, valid, trustedSigningTime, provider, reason }
+     */
+    async verifySignatureTimestamp(timestamp, signature) {
+        if (!timestamp) {
+            return {
+                present: false,
+                valid: null,
+                trustedSigningTime: null,
+                reason: 'No timestamp token; signing time is as reported by the server'
+            };
+        }
+
+        try {
+            const client = this._getClient(timestamp.provider);
+            const result = await client.verifyToken(
+                timestamp,
+                this._imprint(signature, timestamp.messageImprint.hashAlgorithm)
+            );
+
+            return {
+                present: true,
+                valid: result.valid,
+                trustedSigningTime: result.valid && result.trustedTsa ? result.genTime : null,
+                genTime: result.genTime,
+                provider: timestamp.provider,
+                tsa: result.tsa || null,
+                trustedTsa: Boolean(result.trustedTsa),
+                reason: result.reason
+            };
+        } catch (error) {
+            return {
+                present: true,
+                valid: false,
+                trustedSigningTime: null,
+                provider: timestamp.provider,
+                reason: `Timestamp verification error: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * @private
+     */
+    _getClient(provider) {
+        if (!this.clients[provider]) {
+            this.clients[provider] = createClient(provider, this.config);
+        }
+        return this.clients[provider];
+    }
+
+    /**
+     * Message imprint of a signature: digest over the raw signature bytes
+     * @private
+     */
+    _imprint(signature, hashAlgorithm) {
+        return crypto.createHash(hashAlgorithm).update(Buffer.from(signature, 'base64')).digest();
+    }
+}
+
+module.exports = TimestampService;
@@ -0,0 +1,91 @@
+const SystemKeyService = require('./systemKeyService');
+const { canonicalize } = require('../utils/canonicalJson');
+const db = require('../database');
+const config = require('../config/config');
+
+const TRUST_LIST_TYPE = 'signer-trust-list';
+const TRUST_LIST_VERSION = '1.0';
+
+/**
+ * Publishes the institution's signer keys as a trust list signed by the
+ * system (root) key, so the standalone verifier can check QR codes without
+ * reaching this server. Revoked and rotated keys stay on the list with their
+ * validity and revocation times, as signatures made before those still verify.
+ * Revoked documents are listed too, since QR codes carry no status list index,
+ * and so are the signed mandates of acting officials (Plh/Plt), revoked or not.
+ */
+class TrustListService {
+    constructor() {
+        this.config = config.TRUST_LIST_CONFIG;
+        this.systemKeyService = new SystemKeyService();
+    }
+
+    /**
+     * Build the current trust list
+     * @returns {Promise<Object>} Unsigned trust list
+     */
+    async buildTrustList() {
+        const issuedAt = new Date();
+        const keys = (await db.keys.list())
+            .sort((a, b) => a.keyId.localeCompare(b.keyId))
+            .map(keyData => ({
+                keyId: keyData.keyId,
+                publicKey: keyData.publicKey,
+                algorithm: 'Ed25519',
+                role: keyData.signer.role,
+                name: keyData.signer.name || null,
+                signerId: keyData.signer.id || null,
+                status: keyData.status,
+                validFrom: keyData.validFrom || keyData.createdAt,
+                validUntil: keyData.validUntil || null,
+                revokedAt: keyData.revokedAt || null,
+                revocationReason: keyData.revocationReason || null
+            }));
+
+        const revokedDocuments = (await db.documents.findBy('status', 'revoked'))
+            .sort((a, b) => a.id.localeCompare(b.id))
+            .map(document => ({
+                documentId: document.id,
+                revokedAt: document.revocation ? document.revocation.revokedAt : null,
+                reason: document.revocation ? document.revocation.reason : null
+            }));
+
+        const delegations = (await db.delegations.list())
+            .sort((a, b) => a.delegationId.localeCompare(b.delegationId))
+            .map(delegation => ({
+                delegationId: delegation.delegationId,
+                mandate: delegation.mandate,
+                signature: delegation.signature,
+                status: delegation.status,
+                revokedAt: delegation.revokedAt || null,
+                revocationReason: delegation.revocationReason || null
+            }));
+
+        return {
+            type: TRUST_LIST_TYPE,
+            version: TRUST_LIST_VERSION,
+            issuer: config.CREDENTIAL_CONFIG.ISSUER_ID,
+            issuedAt: issuedAt.toISOString(),
+            nextUpdate: new Date(issuedAt.getTime() + this.config.VALIDITY_MS).toISOString(),
+            keys: keys,
+            revokedDocuments: revokedDocuments,
+            delegations: delegations
+        };
+    }
+
+    /**
+     * Build the trust list and sign its canonical JSON (RFC 8785) with the system key
+     * @returns {Promise<Object>} { trustList, proof: { keyId, publicKey, algorithm, signature } }
+     */
+    async getSignedTrustList() {
+        const trustList = await this.buildTrustList();
+        const proof = await this.systemKeyService.sign(canonicalize(trustList));
+
+        return {
+            trustList: trustList,
+            proof: proof
+        };
+    }
+}
+
+module.exports = TrustListService;
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const SystemKeyService = require('../systemKeyService');
+
+/**
+ * Built-in time-stamping authority for offline deployments and tests. Tokens
+ * follow the RFC 3161 TSTInfo fields but are JSON signed with the system key
+ * instead of CMS, so they are only as trustworthy as this server's clock.
+ */
+class LocalTsa {
+    constructor() {
+        this.name = 'local';
+        this.systemKeyService = new SystemKeyService();
+    }
+
+    /**
+     * Issue a timestamp token over a message imprint
+     * @param {Buffer} hashedMessage - Digest of the data being timestamped
+     * @param {string} hashAlgorithm - Digest algorithm (e.g. sha256)
+     * @returns {Promise<Object>} Timestamp token
+     */
+    async requestToken(hashedMessage, hashAlgorithm) {
+        const tstInfo = {
+            version: 1,
+            policy: 'local',
+            messageImprint: {
+                hashAlgorithm: hashAlgorithm,
+                hashedMessage: hashedMessage.toString('hex')
+            },
+            serialNumber: crypto.randomBytes(16).toString('hex'),
+            genTime: new Date().toISOString()
+        };
+
+        const { keyId, signature } = await this.systemKeyService.sign(this._serialize(tstInfo));
+
+        return {
+            provider: this.name,
+            ...tstInfo,
+            tsa: keyId,
+            signature: signature
+        };
+    }
+
+    /**
+     * Check a token's signature and message imprint
+     * @param {Object} token - Token from requestToken
+     * @param {Buffer} hashedMessage - Digest the token must cover
+     * @returns {Promise<Object>} { valid, genTime, reason }
+     */
+    async verifyToken(token, hashedMessage) {
+        if (token.messageImprint.hashedMessage !== hashedMessage.toString('hex')) {
+            return { valid: false, genTime: null, reason: 'Timestamp token does not cover this signature' };
+        }
+
+        const check = await this.systemKeyService.verify(this._serialize(token), token.signature, token.tsa);
+        if (!check.valid) {
+            return { valid: false, genTime: null, reason: `Invalid timestamp token: ${check.reason}` };
+        }
+
+        return {
+            valid: true,
+            genTime: token.genTime,
+            tsa: token.tsa,
+            trustedTsa: true,
+            reason: 'Timestamp issued by the local TSA'
+        };
+    }
+
+    /**
+     * Fixed field order so the signed bytes do not depend on storage
+     * @private
+     */
+    _serialize(token) {
+        return JSON.stringify({
+            version: token.version,
+            policy: token.policy,
+            messageImprint: {
+                hashAlgorithm: token.messageImprint.hashAlgorithm,
+                hashedMessage: token.messageImprint.hashedMessage
+            },
+            serialNumber: token.serialNumber,
+            genTime: token.genTime
+        });
+    }
+}
+
+module.exports = LocalTsa;
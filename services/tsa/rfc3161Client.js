@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const forge = require('node-forge');
+
+const { asn1 } = forge;
+
+const HASH_OIDS = {
+    sha1: '1.3.14.3.2.26',
+    sha256: '2.16.840.1.101.3.4.2.1',
+    sha384: '2.16.840.1.101.3.4.2.2',
+    sha512: '2.16.840.1.101.3.4.2.3'
+};
+const HASH_BY_OID = Object.fromEntries(Object.entries(HASH_OIDS).map(([name, oid]) => [oid, name]));
+
+const OID_SIGNED_DATA = '1.2.840.113549.1.7.2';
+const OID_TST_INFO = '1.2.840.113549.1.9.16.1.4';
+const OID_MESSAGE_DIGEST = '1.2.840.113549.1.9.4';
+const OID_KP_TIME_STAMPING = '1.3.6.1.5.5.7.3.8';
+
+const fromDer = buffer => asn1.fromDer(forge.util.createBuffer(buffer.toString('binary')));
+const toDer = node => Buffer.from(asn1.toDer(node).getBytes(), 'binary');
+const readOid = node => asn1.derToOid(node.value);
+const isContext = (node, tag) => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === tag;
+
+// OCTET STRINGs may arrive BER-constructed from some TSAs
+const readOctets = node => (node.constructed ?
+    Buffer.concat(node.value.map(readOctets)) :
+    Buffer.from(node.value, 'binary'));
+
+/**
+ * RFC 3161 Time-Stamp Protocol client. Sends a TimeStampReq over HTTP and
+ * keeps the DER TimeStampToken (CMS SignedData over TSTInfo) so it can be
+ * re-verified later without contacting the TSA.
+ */
+class Rfc3161Client {
+    /**
+     * @param {Object} tsaConfig - config.TIMESTAMP_CONFIG block
+     */
+    constructor(tsaConfig) {
+        this.name = 'rfc3161';
+        this.config = tsaConfig;
+        this.trustAnchors = null;
+    }
+
+    /**
+     * Request a timestamp token from the configured TSA
+     * @param {Buffer} hashedMessage - Digest of the data being timestamped
+     * @param {string} hashAlgorithm - Digest algorithm (sha256, sha384, sha512)
+     * @returns {Promise<Object>} Timestamp token with the decoded TSTInfo fields
+     */
+    async requestToken(hashedMessage, hashAlgorithm) {
+        if (!this.config.TSA_URL) {
+            throw new Error('TSA_URL is not configured');
+        }
+
+        // Positive 64-bit nonce with no leading zero byte
+        const nonce = crypto.randomBytes(8);
+        nonce[0] = (nonce[0] & 0x7f) | 0x01;
+
+        const response = await fetch(this.config.TSA_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/timestamp-query',
+                Accept: 'application/timestamp-reply'
+            },
+            body: this._encodeRequest(hashedMessage, hashAlgorithm, nonce),
+            signal: AbortSignal.timeout(this.config.TIMEOUT_MS)
+        });
+
+        if (!response.ok) {
+            throw new Error(`TSA responded with HTTP ${response.status}`);
+        }
+
+        const tokenDer = this._decodeResponse(Buffer.from(await response.arrayBuffer()));
+        const { tstInfo } = this._parseToken(tokenDer);
+
+        if (!tstInfo.hashedMessage.equals(hashedMessage) || tstInfo.hashAlgorithm !== hashAlgorithm) {
+            throw new Error('TSA response does not cover the requested message imprint');
+        }
+        if (!tstInfo.nonce || !tstInfo.nonce.equals(nonce)) {
+            throw new Error('TSA response nonce does not match the request');
+        }
+
+        return {
+            provider: this.name,
+            tsaUrl: this.config.TSA_URL,
+            token: tokenDer.toString('base64'),
+            policy: tstInfo.policy,
+            serialNumber: tstInfo.serialNumber,
+            genTime: tstInfo.genTime,
+            messageImprint: {
+                hashAlgorithm: hashAlgorithm,
+                hashedMessage: hashedMessage.toString('hex')
+            }
+        };
+    }
+
+    /**
+     * Verify a stored token: message imprint, CMS signature and, when
+     * TSA_CA_CERT is configured, that the signing certificate chains to it
+     * @param {Object} token - Token from requestToken
+     * @param {Buffer} hashedMessage - Digest the token must cover
+     * @returns {Promise<Object>} { valid, genTime, trustedTsa, tsa, reason }
+     */
+    async verifyToken(token, hashedMessage) {
+        let parsed;
+        try {
+            parsed = this._parseToken(Buffer.from(token.token, 'base64'));
+        } catch (error) {
+            return { valid: false, genTime: null, reason: `Malformed timestamp token: ${error.message}` };
+        }
+
+        const { tstInfo } = parsed;
+        if (!tstInfo.hashedMessage.equals(hashedMessage)) {
+            return { valid: false, genTime: null, reason: 'Timestamp token does not cover this signature' };
+        }
+
+        const signer = this._verifySignedData(parsed);
+        if (!signer.valid) {
+            return { valid: false, genTime: null, reason: `Invalid timestamp token: ${signer.reason}` };
+        }
+
+        const trust = this._checkTrust(signer.certificate, tstInfo.genTime);
+
+        return {
+            valid: true,
+            genTime: tstInfo.genTime,
+            tsa: signer.certificate.subject,
+            trustedTsa: trust.trusted,
+            reason: trust.trusted ?
+                `Timestamp issued by trusted TSA (${signer.certificate.subject.replace(/\n/g, ', ')})` :
+                trust.reason
+        };
+    }
+
+    /**
+     * DER TimeStampReq { version 1, messageImprint, nonce, certReq TRUE }
+     * @private
+     */
+    _encodeRequest(hashedMessage, hashAlgorithm, nonce) {
+        const oid = HASH_OIDS[hashAlgorithm];
+        if (!oid) {
+            throw new Error(`Unsupported hash algorithm '${hashAlgorithm}'`);
+        }
+
+        const request = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes()),
+                    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+                ]),
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, hashedMessage.toString('binary'))
+            ]),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, nonce.toString('binary')),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BOOLEAN, false, String.fromCharCode(0xff))
+        ]);
+
+        return toDer(request);
+    }
+
+    /**
+     * Extract the TimeStampToken from a TimeStampResp
+     * @private
+     */
+    _decodeResponse(der) {
+        const response = fromDer(der);
+        const statusInfo = response.value[0];
+        const status = asn1.derToInteger(statusInfo.value[0].value);
+
+        // 0 = granted, 1 = grantedWithMods
+        if (status !== 0 && status !== 1) {
+            const statusText = statusInfo.value[1] ?
+                ` (${statusInfo.value[1].value.map(text => text.value).join('; ')})` :
+                '';
+            throw new Error(`TSA rejected the request with status ${status}${statusText}`);
+        }
+
+        if (!response.value[1]) {
+            throw new Error('TSA response does not contain a timestamp token');
+        }
+
+        return toDer(response.value[1]);
+    }
+
+    /**
+     * Split a TimeStampToken (ContentInfo/SignedData) into its parts
+     * @private
+     */
+    _parseToken(der) {
+        const contentInfo = fromDer(der);
+        if (readOid(contentInfo.value[0]) !== OID_SIGNED_DATA) {
+            throw new Error('Token is not CMS SignedData');
+        }
+
+        const signedData = contentInfo.value[1].value[0].value;
+        const encapContentInfo = signedData[2];
+        if (readOid(encapContentInfo.value[0]) !== OID_TST_INFO) {
+            throw new Error('Token does not encapsulate TSTInfo');
+        }
+
+        const eContent = readOctets(encapContentInfo.value[1].value[0]);
+        const certificates = signedData.find(node => isContext(node, 0));
+        const signerInfos = signedData[signedData.length - 1].value;
+
+        return {
+            eContent: eContent,
+            tstInfo: this._parseTstInfo(fromDer(eContent)),
+            certificates: certificates ? certificates.value : [],
+            signerInfo: signerInfos[0]
+        };
+    }
+
+    /**
+     * @private
+     */
+    _parseTstInfo(node) {
+        const [, policy, messageImprint, serialNumber, genTime, ...optional] = node.value;
+        const nonce = optional.find(field =>
+            field.tagClass === asn1.Class.UNIVERSAL && field.type === asn1.Type.INTEGER
+        );
+
+        return {
+            policy: readOid(policy),
+            hashAlgorithm: HASH_BY_OID[readOid(messageImprint.value[0].value[0])] || null,
+            hashedMessage: readOctets(messageImprint.value[1]),
+            serialNumber: Buffer.from(serialNumber.value, 'binary').toString('hex'),
+            genTime: asn1.generalizedTimeToDate(genTime.value).toISOString(),
+            nonce: nonce ? Buffer.from(nonce.value, 'binary') : null
+        };
+    }
+
+    /**
+     * Check the SignerInfo: messageDigest attribute over TSTInfo and the
+     * signature over the DER signed attributes
+     * @private
+     */
+    _verifySignedData({ eContent, certificates, signerInfo }) {
+        const fields = signerInfo.value;
+        const digestAlgorithm = HASH_BY_OID[readOid(fields[2].value[0])];
+        const signedAttrs = fields.find(node => isContext(node, 0));
+        const signature = fields.slice(4).find(node =>
+            node.tagClass === asn1.Class.UNIVERSAL && node.type === asn1.Type.OCTETSTRING
+        );
+
+        if (!digestAlgorithm || !signedAttrs || !signature) {
+            return { valid: false, reason: 'Unsupported SignerInfo' };
+        }
+
+        const messageDigest = signedAttrs.value.find(attr => readOid(attr.value[0]) === OID_MESSAGE_DIGEST);
+        const expectedDigest = crypto.createHash(digestAlgorithm).update(eContent).digest();
+        if (!messageDigest || !readOctets(messageDigest.value[1].value[0]).equals(expectedDigest)) {
+            return { valid: false, reason: 'TSTInfo digest does not match the signed attributes' };
+        }
+
+        // Signed attributes are signed as an explicit SET OF, not the [0] IMPLICIT tag
+        const signedBytes = toDer(signedAttrs);
+        signedBytes[0] = 0x31;
+        const signatureBytes = readOctets(signature);
+
+        for (const certificateNode of certificates) {
+            let certificate;
+            try {
+                certificate = new crypto.X509Certificate(toDer(certificateNode));
+            } catch (error) {
+                continue;
+            }
+
+            try {
+                if (crypto.verify(digestAlgorithm, signedBytes, certificate.publicKey, signatureBytes)) {
+                    return { valid: true, certificate: certificate };
+                }
+            } catch (error) {
+                // Not this certificate's key type; try the next one
+            }
+        }
+
+        return { valid: false, reason: 'Signature does not verify against any certificate in the token' };
+    }
+
+    /**
+     * @private
+     */
+    _checkTrust(certificate, genTime) {
+        const at = new Date(genTime);
+        if (at < new Date(certificate.validFrom) || at > new Date(certificate.validTo)) {
+            return { trusted: false, reason: 'TSA certificate was not valid at the timestamp time' };
+        }
+
+        if (certificate.keyUsage && !certificate.keyUsage.includes(OID_KP_TIME_STAMPING)) {
+            return { trusted: false, reason: 'TSA certificate is not authorized for time stamping' };
+        }
+
+        const anchors = this._getTrustAnchors();
+        if (anchors.length === 0) {
+            return { trusted: false, reason: 'Timestamp signature is valid but no TSA certificate is pinned (TSA_CA_CERT)' };
+        }
+
+        const trusted = anchors.some(anchor =>
+            anchor.fingerprint256 === certificate.fingerprint256 ||
+            (certificate.checkIssued(anchor) && certificate.verify(anchor.publicKey))
+        );
+
+        return trusted ?
+            { trusted: true } :
+            { trusted: false, reason: 'TSA certificate is not issued by a trusted TSA CA' };
+    }
+
+    /**
+     * Load TSA_CA_CERT (PEM, may hold several certificates) once
+     * @private
+     */
+    _getTrustAnchors() {
+        if (!this.trustAnchors) {
+            const pem = this.config.TSA_CA_CERT ? fs.readFileSync(this.config.TSA_CA_CERT, 'utf8') : '';
+            this.trustAnchors = (pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [])
+                .map(block => new crypto.X509Certificate(block));
+        }
+        return this.trustAnchors;
+    }
+}
+
+module.exports = Rfc3161Client;
@@ -0,0 +1,219 @@
+const db = require('../database');
+const config = require('../config/config');
+
+const RECORD_STATUS = {
+    ACTIVE: 'active',
+    EXPIRED: 'expired',
+    INVALIDATED: 'invalidated'
+};
+
+// One sweeper per process, however many service instances exist
+let sweepTimer = null;
+
+/**
+ * Durable records behind verification_url QR codes. Records live until
+ * their expiresAt (VERIFICATION_RECORD_CONFIG.TTL_MS, none by default) and are
+ * then deleted by the background sweeper; admins can extend or invalidate
+ * them. Invalidated records are kept so the ID cannot be reused.
+ */
+class VerificationRecordService {
+    constructor() {
+        this.config = config.VERIFICATION_RECORD_CONFIG;
+    }
+
+    /**
+     * Store the payload of a new verification ID
+     * @param {string} verificationId - Verification ID
+     * @param {Object} data - Verification payload
+     * @returns {Promise<Object>} Stored record
+     */
+    async create(verificationId, data) {
+        const now = new Date();
+        const record = {
+            verificationId: verificationId,
+            documentId: data.documentId || null,
+            data: data,
+            status: RECORD_STATUS.ACTIVE,
+            createdAt: now.toISOString(),
+            expiresAt: this.config.TTL_MS > 0 ? new Date(now.getTime() + this.config.TTL_MS).toISOString() : null
+        };
+
+        return db.verifications.insert(verificationId, record);
+    }
+
+    /**
+     * Get a record with its effective status
+     * @param {string} verificationId - Verification ID
+     * @returns {Promise<Object|null>} Record or null if not found
+     */
+    async get(verificationId) {
+        const record = await db.verifications.get(verificationId);
+        return record ? this._withStatus(record) : null;
+    }
+
+    /**
+     * Get the payload of a record that is neither expired nor invalidated
+     * @param {string} verificationId - Verification ID
+     * @returns {Promise<Object|null>} Verification payload or null
+     */
+    async getActiveData(verificationId) {
+        const record = await this.get(verificationId);
+        return record && record.status === RECORD_STATUS.ACTIVE ? record.data : null;
+    }
+
+    /**
+     * List records (oldest first) without their payloads
+     * @param {Object} filters - documentId, status, limit, offset
+     * @returns {Promise<Object>} { records, total }
+     */
+    async list(filters = {}) {
+        let records = filters.documentId ?
+            await db.verifications.findBy('documentId', filters.documentId) :
+            await db.verifications.list();
+
+        records = records.map(record => this._withStatus(record));
+        if (filters.status) {
+            records = records.filter(record => record.status === filters.status);
+        }
+
+        records.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        const limit = Math.min(parseInt(filters.limit) || this.config.DEFAULT_PAGE_SIZE, this.config.MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+        return {
+            records: records.slice(offset, offset + limit).map(({ data, ...summary }) => summary),
+            total: records.length
+        };
+    }
+
+    /**
+     * Move the expiry of a record; an expired record that has not been swept yet becomes active again
+     * @param {string} verificationId - Verification ID
+     * @param {string|null} expiresAt - New expiry (ISO timestamp), or null for no expiry
+     * @param {string} actorId - ID of the admin extending the record
+     * @returns {Promise<Object>} Updated record
+     */
+    async extend(verificationId, expiresAt, actorId) {
+        const updated = await db.verifications.update(verificationId, record => {
+            this._assertUpdatable(record);
+
+            if (expiresAt !== null && new Date(expiresAt) <= new Date()) {
+                throw new Error('New expiry must be in the future');
+            }
+
+            record.expiresAt = expiresAt === null ? null : new Date(expiresAt).toISOString();
+            record.extendedAt = new Date().toISOString();
+            record.extendedBy = actorId;
+            return record;
+        });
+
+        return this._withStatus(updated);
+    }
+
+    /**
+     * Invalidate a record so its QR code no longer verifies
+     * @param {string} verificationId - Verification ID
+     * @param {string} reason - Reason for invalidation
+     * @param {string} actorId - ID of the admin invalidating the record
+     * @returns {Promise<Object>} Updated record
+     */
+    async invalidate(verificationId, reason, actorId) {
+        const updated = await db.verifications.update(verificationId, record => {
+            this._assertUpdatable(record);
+
+            record.status = RECORD_STATUS.INVALIDATED;
+            record.invalidatedAt = new Date().toISOString();
+            record.invalidatedBy = actorId;
+            record.invalidationReason = reason || 'No reason provided';
+            return record;
+        });
+
+        return this._withStatus(updated);
+    }
+
+    /**
+     * Delete records past their expiry
+     * @returns {Promise<number>} Number of records deleted
+     */
+    async sweep() {
+        const now = new Date();
+        let deleted = 0;
+
+        const isSweepable = record => record.status !== RECORD_STATUS.INVALIDATED && this._isExpired(record, now);
+
+        for (const record of await db.verifications.list()) {
+            // Checked again on the locked record, which an admin may have extended meanwhile
+            if (isSweepable(record) && await db.verifications.deleteIf(record.verificationId, isSweepable)) {
+                deleted++;
+            }
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Run sweep() every VERIFICATION_RECORD_CONFIG.SWEEP_INTERVAL_MS until stopSweeper()
+     */
+    startSweeper() {
+        if (sweepTimer) {
+            return;
+        }
+
+        sweepTimer = setInterval(() => {
+            this.sweep()
+                .then(deleted => {
+                    if (deleted > 0) {
+                        console.log(`Deleted ${deleted} expired verification record(s)`);
+                    }
+                })
+                .catch(error => console.error('Verification record sweep failed:', error.message));
+        }, this.config.SWEEP_INTERVAL_MS);
+
+        // Do not keep the process alive just for the sweeper
+        sweepTimer.unref();
+    }
+
+    /**
+     * Stop the background sweeper
+     */
+    stopSweeper() {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+    }
+
+    /**
+     * @private
+     */
+    _assertUpdatable(record) {
+        if (!record) {
+            throw new Error('Verification record not found');
+        }
+        if (record.status === RECORD_STATUS.INVALIDATED) {
+            throw new Error('Verification record has been invalidated');
+        }
+    }
+
+    /**
+     * @private
+     */
+    _isExpired(record, now = new Date()) {
+        return Boolean(record.expiresAt) && now > new Date(record.expiresAt);
+    }
+
+    /**
+     * Records stored before statuses were tracked count as active until they expire
+     * @private
+     */
+    _withStatus(record) {
+        let status = record.status || RECORD_STATUS.ACTIVE;
+        if (status === RECORD_STATUS.ACTIVE && this._isExpired(record)) {
+            status = RECORD_STATUS.EXPIRED;
+        }
+        return { ...record, documentId: record.documentId || record.data?.documentId || null, status: status };
+    }
+}
+
+VerificationRecordService.STATUS = RECORD_STATUS;
+
+module.exports = VerificationRecordService;
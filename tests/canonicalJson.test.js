@@ -0,0 +1,61 @@
+const { canonicalize } = require('../utils/canonicalJson');
+const EdDSAService = require('../services/eddsaService');
+
+describe('canonicalize', () => {
+    test('sorts object keys by UTF-16 code units', () => {
+        // Sorting example from RFC 8785 section 3.2.3
+        const members = [
+            ['\r', 'Carriage Return'],
+            ['1', 'One'],
+            ['\u0080', 'Control'],
+            ['ö', 'Latin Small Letter O With Diaeresis'],
+            ['€', 'Euro Sign'],
+            ['😀', 'Emoji: Grinning Face'],
+            ['דּ', 'Hebrew Letter Dalet With Dagesh']
+        ];
+        const shuffled = Object.fromEntries([...members].reverse());
+
+        expect(canonicalize(shuffled)).toBe(
+            `{${members.map(([key, value]) => `${JSON.stringify(key)}:${JSON.stringify(value)}`).join(',')}}`
+        );
+    });
+
+    test('gives the same text whatever the key order', () => {
+        const a = { b: 1, a: { d: [1, { f: true, e: null }], c: 'x' } };
+        const b = { a: { c: 'x', d: [1, { e: null, f: true }] }, b: 1 };
+
+        expect(canonicalize(a)).toBe('{"a":{"c":"x","d":[1,{"e":null,"f":true}]},"b":1}');
+        expect(canonicalize(b)).toBe(canonicalize(a));
+    });
+
+    test('formats numbers as ECMAScript does', () => {
+        expect(canonicalize([1e21, 1e-7, -0, 0.1 + 0.2, 100, 4.5])).toBe('[1e+21,1e-7,0,0.30000000000000004,100,4.5]');
+    });
+
+    test('follows JSON.stringify for undefined members, array holes and toJSON', () => {
+        const value = { a: undefined, b: [undefined, 1], c: new Date('2025-01-01T00:00:00Z'), d: () => 1 };
+
+        expect(canonicalize(value)).toBe('{"b":[null,1],"c":"2025-01-01T00:00:00.000Z"}');
+    });
+
+    test('rejects values JSON cannot represent faithfully', () => {
+        expect(() => canonicalize(NaN)).toThrow('non-finite');
+        expect(() => canonicalize({ a: Infinity })).toThrow('non-finite');
+        expect(() => canonicalize('\ud800')).toThrow('lone surrogates');
+        expect(() => canonicalize({ ['a\udc00']: 1 })).toThrow('lone surrogates');
+        expect(() => canonicalize(10n)).toThrow('bigint');
+    });
+
+    test('accepts surrogate pairs', () => {
+        expect(canonicalize('😀')).toBe('"😀"');
+    });
+});
+
+describe('EdDSAService.computeDocumentHash', () => {
+    test('does not depend on the key order of the content', () => {
+        const eddsaService = new EdDSAService();
+
+        expect(eddsaService.computeDocumentHash({ content: { nim: '105841102021', ipk: 3.75 } }))
+            .toBe(eddsaService.computeDocumentHash({ content: { ipk: 3.75, nim: '105841102021' } }));
+    });
+});
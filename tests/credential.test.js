@@ -0,0 +1,67 @@
+const {
+    request,
+    app,
+    start,
+    auth,
+    loginAdmin,
+    createSigner,
+    createDocument,
+    prepareSigning,
+    signMulti
+} = require('./helpers');
+
+describe('POST /api/documents/:id/credential/proofs', () => {
+    let admin;
+    let kaprodi;
+    let dekan;
+
+    beforeAll(async () => {
+        await start();
+        admin = await loginAdmin();
+        kaprodi = await createSigner(admin, 'kaprodi');
+        dekan = await createSigner(admin, 'dekan');
+    });
+
+    const createSignedDocument = async () => {
+        const documentId = await createDocument(admin);
+        const sessionId = await prepareSigning(admin, documentId, {
+            signers: [{ role: 'kaprodi' }, { role: 'dekan' }],
+            threshold: 2
+        });
+        await signMulti(kaprodi, sessionId, 'kaprodi');
+        const signed = await signMulti(dekan, sessionId, 'dekan');
+        expect(signed.body.data.sessionStatus).toBe('completed');
+        return documentId;
+    };
+
+    const addProof = (signer, documentId) =>
+        request(app).post(`/api/documents/${documentId}/credential/proofs`).set(auth(signer.token))
+            .send({ keyId: signer.keyId, passphrase: signer.passphrase });
+
+    const exportCredential = async documentId =>
+        (await request(app).get(`/api/documents/${documentId}/credential`).set(auth(admin))).body.data;
+
+    test('keeps the proofs of signers proving at the same time', async () => {
+        const documentId = await createSignedDocument();
+
+        const responses = await Promise.all([addProof(kaprodi, documentId), addProof(dekan, documentId)]);
+        expect(responses.map(response => response.status)).toEqual([200, 200]);
+
+        const { credential, complete } = await exportCredential(documentId);
+        expect(credential.proof).toHaveLength(2);
+        expect(complete).toBe(true);
+
+        const verification = await request(app).post('/api/verification/credential').send(credential);
+        expect(verification.body.data.verification.valid).toBe(true);
+    });
+
+    test('adds one proof when a key proves twice at the same time', async () => {
+        const documentId = await createSignedDocument();
+
+        const responses = await Promise.all([addProof(kaprodi, documentId), addProof(kaprodi, documentId)]);
+        expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+
+        const { credential } = await exportCredential(documentId);
+        expect([credential.proof].flat()).toHaveLength(1);
+    });
+});
@@ -0,0 +1,169 @@
+const {
+    request,
+    app,
+    start,
+    auth,
+    loginAdmin,
+    createSigner,
+    createDocument,
+    prepareSigning,
+    signMulti
+} = require('./helpers');
+const db = require('../database');
+const EdDSAService = require('../services/eddsaService');
+const KeyManagementService = require('../services/keyManagementService');
+const { serializeMandate } = require('../utils/delegationMandate');
+
+describe('signing delegation (Plh/Plt)', () => {
+    const validUntil = () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+
+    let admin;
+    let dekan;
+    let wakilDekan;
+    let kaprodi;
+
+    beforeAll(async () => {
+        await start();
+        admin = await loginAdmin();
+        dekan = await createSigner(admin, 'dekan', 'Dekan');
+        wakilDekan = await createSigner(admin, 'dosen', 'Wakil Dekan');
+        kaprodi = await createSigner(admin, 'kaprodi');
+    });
+
+    const grantMandate = async (terms = {}) => {
+        const response = await request(app).post(`/api/keys/${dekan.keyId}/delegations`).set(auth(dekan.token)).send({
+            passphrase: dekan.passphrase,
+            delegateKeyId: wakilDekan.keyId,
+            documentTypes: ['ijazah'],
+            validUntil: validUntil(),
+            reason: 'Plh Dekan selama dinas luar',
+            ...terms
+        });
+        expect(response.status).toBe(201);
+        return response.body.data.delegationId;
+    };
+
+    const dekanSession = async (fields = {}) => {
+        const documentId = await createDocument(admin, fields);
+        const sessionId = await prepareSigning(admin, documentId, { signers: [{ role: 'dekan' }], threshold: 1 });
+        return { documentId, sessionId };
+    };
+
+    describe('registering mandates', () => {
+        let privateKey;
+        let draft;
+
+        beforeAll(async () => {
+            const keyData = await db.keys.get(dekan.keyId);
+            ({ privateKey } = await new KeyManagementService().unlockPrivateKey(keyData, dekan.passphrase));
+
+            const response = await request(app).post(`/api/keys/${dekan.keyId}/delegations/payload`).set(auth(dekan.token))
+                .send({ delegateKeyId: wakilDekan.keyId, documentTypes: ['transkrip'], validUntil: validUntil() });
+            expect(response.status).toBe(200);
+            draft = response.body.data;
+        });
+
+        const register = (mandate, signature) =>
+            request(app).post(`/api/keys/${dekan.keyId}/delegations`).set(auth(dekan.token)).send({ mandate, signature });
+
+        const sign = message => new EdDSAService().sign(message, privateKey).signature;
+
+        test('refuses terms widened after drafting', async () => {
+            const widened = { ...draft.mandate, documentTypes: ['transkrip', 'ijazah'] };
+
+            const response = await register(widened, sign(draft.message));
+            expect(response.status).toBe(400);
+        });
+
+        test('refuses a delegationId the server did not issue', async () => {
+            const chosen = { ...draft.mandate, delegationId: 'plh-dekan-2026' };
+
+            const response = await register(chosen, sign(serializeMandate(chosen)));
+            expect(response.status).toBe(400);
+        });
+
+        test('stores a client-signed mandate once', async () => {
+            const signature = sign(draft.message);
+
+            const stored = await register(draft.mandate, signature);
+            expect(stored.status).toBe(201);
+            expect(stored.body.data.status).toBe('active');
+
+            const duplicate = await register(draft.mandate, signature);
+            expect(duplicate.status).toBe(409);
+        });
+
+        test('refuses a mandate to the delegator itself', async () => {
+            const response = await request(app).post(`/api/keys/${dekan.keyId}/delegations`).set(auth(dekan.token)).send({
+                passphrase: dekan.passphrase,
+                delegateKeyId: dekan.keyId,
+                documentTypes: ['ijazah'],
+                validUntil: validUntil()
+            });
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('signing under a mandate', () => {
+        test('lets the delegate sign on behalf of the delegator', async () => {
+            const delegationId = await grantMandate();
+            const { documentId, sessionId } = await dekanSession();
+
+            const signed = await signMulti(wakilDekan, sessionId, 'dekan', { delegationId });
+            expect(signed.status).toBe(200);
+            expect(signed.body.data.onBehalfOf.keyId).toBe(dekan.keyId);
+            expect(signed.body.data.sessionStatus).toBe('completed');
+
+            const verification = (await request(app).post(`/api/verification/document/${documentId}`)).body.data.verification;
+            expect(verification.valid).toBe(true);
+            expect(verification.signatureResults[0].reason).toBe('Valid signature by Wakil Dekan on behalf of Dekan (dekan)');
+        });
+
+        test('refuses the delegate without a mandate', async () => {
+            const { sessionId } = await dekanSession();
+
+            const response = await signMulti(wakilDekan, sessionId, 'dekan');
+            expect(response.status).toBe(403);
+        });
+
+        test('refuses document types the mandate does not cover', async () => {
+            const delegationId = await grantMandate();
+            const { sessionId } = await dekanSession({ type: 'transkrip' });
+
+            const response = await signMulti(wakilDekan, sessionId, 'dekan', { delegationId });
+            expect(response.status).toBe(403);
+            expect(response.body.message).toBe("Mandate does not cover documents of type 'transkrip'");
+        });
+
+        test('refuses keys the mandate was not issued to', async () => {
+            const delegationId = await grantMandate();
+            const { sessionId } = await dekanSession();
+
+            const response = await signMulti(kaprodi, sessionId, 'dekan', { delegationId });
+            expect(response.status).toBe(403);
+        });
+
+        test('keeps earlier signatures valid after the mandate is revoked', async () => {
+            const delegationId = await grantMandate();
+            const earlier = await dekanSession();
+            expect((await signMulti(wakilDekan, earlier.sessionId, 'dekan', { delegationId })).status).toBe(200);
+
+            const byDelegate = await request(app).post(`/api/keys/delegations/${delegationId}/revoke`)
+                .set(auth(wakilDekan.token)).send({ reason: 'Dekan kembali' });
+            expect(byDelegate.status).toBe(403);
+
+            const revoked = await request(app).post(`/api/keys/delegations/${delegationId}/revoke`)
+                .set(auth(dekan.token)).send({ reason: 'Dekan kembali' });
+            expect(revoked.status).toBe(200);
+            expect(revoked.body.data.status).toBe('revoked');
+
+            const later = await dekanSession();
+            const refused = await signMulti(wakilDekan, later.sessionId, 'dekan', { delegationId });
+            expect(refused.status).toBe(403);
+
+            // The signing time is attested by the TSA, so it provably predates the revocation
+            const verification = await request(app).post(`/api/verification/document/${earlier.documentId}`);
+            expect(verification.body.data.verification.valid).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,108 @@
+const {
+    request,
+    app,
+    start,
+    auth,
+    loginAdmin,
+    createSigner,
+    createDocument,
+    prepareSigning,
+    signMulti
+} = require('./helpers');
+
+describe('POST /api/documents/:id/revoke', () => {
+    let admin;
+    let dosen;
+    let dekan;
+    let rektor;
+
+    beforeAll(async () => {
+        await start();
+        admin = await loginAdmin();
+        dosen = await createSigner(admin, 'dosen');
+        dekan = await createSigner(admin, 'dekan');
+        rektor = await createSigner(admin, 'rektor');
+    });
+
+    const createSignedDocument = async () => {
+        const documentId = await createDocument(admin);
+        const sessionId = await prepareSigning(admin, documentId, { signers: [{ role: 'dekan' }], threshold: 1 });
+        const signed = await signMulti(dekan, sessionId, 'dekan');
+        expect(signed.body.data.sessionStatus).toBe('completed');
+        return documentId;
+    };
+
+    const revoke = (token, documentId, body = {}) =>
+        request(app).post(`/api/documents/${documentId}/revoke`).set(auth(token)).send(body);
+
+    const verifyDocument = async documentId => {
+        const response = await request(app).post(`/api/verification/document/${documentId}`);
+        return response.body.data.verification;
+    };
+
+    test('revokes a document only after two different authorised approvers', async () => {
+        const documentId = await createSignedDocument();
+
+        const requested = await revoke(admin, documentId, { reason: 'Plagiarisme skripsi' });
+        expect(requested.status).toBe(200);
+        expect(requested.body.data.status).toBe('signed');
+        expect((await verifyDocument(documentId)).valid).toBe(true);
+
+        const repeated = await revoke(admin, documentId);
+        expect(repeated.status).toBe(409);
+
+        const approved = await revoke(dekan.token, documentId);
+        expect(approved.status).toBe(200);
+        expect(approved.body.data.status).toBe('revoked');
+
+        const verification = await verifyDocument(documentId);
+        expect(verification.valid).toBe(false);
+        expect(verification.status).toBe('REVOKED');
+        expect(verification.revocation.reason).toBe('Plagiarisme skripsi');
+        expect(verification.signaturesValid).toBe(true);
+
+        const again = await revoke(rektor.token, documentId);
+        expect(again.status).toBe(400);
+    });
+
+    test('counts approvals given at the same time', async () => {
+        const documentId = await createSignedDocument();
+
+        const responses = await Promise.all([
+            revoke(admin, documentId, { reason: 'Plagiarisme skripsi' }),
+            revoke(dekan.token, documentId, { reason: 'Plagiarisme skripsi' })
+        ]);
+        expect(responses.map(response => response.status)).toEqual([200, 200]);
+
+        const verification = await verifyDocument(documentId);
+        expect(verification.status).toBe('REVOKED');
+        expect(verification.revocation.approvedBy).toHaveLength(2);
+    });
+
+    test('needs a reason to request a revocation', async () => {
+        const documentId = await createSignedDocument();
+
+        const response = await revoke(admin, documentId);
+        expect(response.status).toBe(400);
+    });
+
+    test('refuses approvals from roles that may not revoke', async () => {
+        const documentId = await createSignedDocument();
+
+        const response = await revoke(dosen.token, documentId, { reason: 'Kesalahan administrasi' });
+        expect(response.status).toBe(403);
+        expect((await verifyDocument(documentId)).valid).toBe(true);
+    });
+
+    test('reports revoked documents in batch verification and the trust list', async () => {
+        const documentId = await createSignedDocument();
+        await revoke(rektor.token, documentId, { reason: 'Kesalahan administrasi' });
+        await revoke(dekan.token, documentId);
+
+        const batch = await request(app).post('/api/verification/batch').send({ documentIds: [documentId] });
+        expect(batch.body.data.results[0].verification.status).toBe('REVOKED');
+
+        const trustList = await request(app).get('/api/verification/trust-list');
+        expect(trustList.body.data.trustList.revokedDocuments.map(entry => entry.documentId)).toContain(documentId);
+    });
+});
@@ -0,0 +1,58 @@
+const {
+    request,
+    app,
+    start,
+    auth,
+    loginAdmin,
+    createSigner,
+    createDocument,
+    prepareSigning,
+    signMulti
+} = require('./helpers');
+
+describe('PUT and DELETE /api/documents/:id', () => {
+    let admin;
+    let dekan;
+
+    beforeAll(async () => {
+        await start();
+        admin = await loginAdmin();
+        dekan = await createSigner(admin, 'dekan');
+    });
+
+    const getDocument = async documentId =>
+        (await request(app).get(`/api/documents/${documentId}`).set(auth(admin))).body.data;
+
+    test('changes and deletes drafts', async () => {
+        const documentId = await createDocument(admin);
+
+        const updated = await request(app).put(`/api/documents/${documentId}`).set(auth(admin)).send({ recipient: 'Ani' });
+        expect(updated.status).toBe(200);
+        expect((await getDocument(documentId)).recipient).toBe('Ani');
+
+        const deleted = await request(app).delete(`/api/documents/${documentId}`).set(auth(admin));
+        expect(deleted.status).toBe(200);
+        expect((await request(app).get(`/api/documents/${documentId}`).set(auth(admin))).status).toBe(404);
+    });
+
+    test('leaves documents waiting on a signing session alone', async () => {
+        const documentId = await createDocument(admin);
+        const sessionId = await prepareSigning(admin, documentId, { signers: [{ role: 'dekan' }], threshold: 1 });
+
+        const updated = await request(app).put(`/api/documents/${documentId}`).set(auth(admin)).send({ recipient: 'Ani' });
+        expect(updated.status).toBe(400);
+
+        const deleted = await request(app).delete(`/api/documents/${documentId}`).set(auth(admin));
+        expect(deleted.status).toBe(400);
+
+        const document = await getDocument(documentId);
+        expect(document.status).toBe('pending_signatures');
+        expect(document.recipient).toBe('Budi');
+
+        const signed = await signMulti(dekan, sessionId, 'dekan');
+        expect(signed.body.data.sessionStatus).toBe('completed');
+
+        const verification = await request(app).post(`/api/verification/document/${documentId}`);
+        expect(verification.body.data.verification.valid).toBe(true);
+    });
+});
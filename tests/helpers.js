@@ -0,0 +1,87 @@
+const request = require('supertest');
+const app = require('../server');
+const database = require('../database');
+const AuthService = require('../services/authService');
+
+let ready = null;
+
+// Connect the store and create the bootstrap admin, once per test file
+const start = () => {
+    if (!ready) {
+        ready = database.connect().then(() => new AuthService().ensureBootstrapAdmin());
+    }
+    return ready;
+};
+
+const auth = token => ({ Authorization: `Bearer ${token}` });
+
+const login = async (username, password) => {
+    const response = await request(app).post('/api/auth/login').send({ username, password });
+    if (response.status !== 200) {
+        throw new Error(`Login as ${username} failed: ${response.body.message}`);
+    }
+    return response.body.data.token;
+};
+
+const loginAdmin = () => login(process.env.ADMIN_USERNAME, process.env.ADMIN_PASSWORD);
+
+// Create a user holding the role, logged in, with a custodial key for that role
+const createSigner = async (adminToken, role, name = `Dr ${role}`) => {
+    const username = `${role}-${Math.random().toString(36).slice(2, 8)}`;
+    const user = await request(app).post('/api/auth/users').set(auth(adminToken))
+        .send({ username, password: 'password-123', role, name });
+    if (user.status !== 201) {
+        throw new Error(`Creating ${role} failed: ${user.body.message}`);
+    }
+
+    const token = await login(username, 'password-123');
+    const passphrase = `${username}-passphrase`;
+    const key = await request(app).post('/api/keys/generate').set(auth(token))
+        .send({ signerInfo: { role, name }, passphrase });
+    if (key.status !== 201) {
+        throw new Error(`Generating a key for ${role} failed: ${key.body.message}`);
+    }
+
+    return { userId: user.body.data.id, token, keyId: key.body.data.keyId, passphrase };
+};
+
+const createDocument = async (adminToken, fields = {}) => {
+    const response = await request(app).post('/api/documents').set(auth(adminToken)).send({
+        title: 'Ijazah Sarjana',
+        type: 'ijazah',
+        recipient: 'Budi',
+        content: 'Ijazah Sarjana Teknik Informatika',
+        ...fields
+    });
+    if (response.status !== 201) {
+        throw new Error(`Creating a document failed: ${response.body.message}`);
+    }
+    return response.body.data.id;
+};
+
+const prepareSigning = async (adminToken, documentId, body) => {
+    const response = await request(app).post(`/api/documents/${documentId}/prepare-signing`)
+        .set(auth(adminToken)).send(body);
+    if (response.status !== 200) {
+        throw new Error(`Preparing signing failed: ${response.body.message}`);
+    }
+    return response.body.data.sessionId;
+};
+
+// Custodial signature of a signer slot in a multi-signature session
+const signMulti = (signer, sessionId, signerId, extra = {}) =>
+    request(app).post(`/api/signatures/multi/${sessionId}/${signerId}`).set(auth(signer.token))
+        .send({ keyId: signer.keyId, passphrase: signer.passphrase, ...extra });
+
+module.exports = {
+    request,
+    app,
+    start,
+    auth,
+    login,
+    loginAdmin,
+    createSigner,
+    createDocument,
+    prepareSigning,
+    signMulti
+};
@@ -0,0 +1,58 @@
+const {
+    request,
+    app,
+    start,
+    auth,
+    loginAdmin,
+    createSigner
+} = require('./helpers');
+const db = require('../database');
+const KeyManagementService = require('../services/keyManagementService');
+
+describe('changing keys at the same time', () => {
+    let admin;
+
+    beforeAll(async () => {
+        await start();
+        admin = await loginAdmin();
+    });
+
+    test('rotates a key once', async () => {
+        const kaprodi = await createSigner(admin, 'kaprodi');
+        const rotate = () => request(app).post(`/api/keys/${kaprodi.keyId}/rotate`).set(auth(kaprodi.token))
+            .send({ passphrase: 'rotated-passphrase-123' });
+
+        const responses = await Promise.all([rotate(), rotate()]);
+        expect(responses.map(response => response.status).sort()).toEqual([201, 400]);
+
+        const successor = responses.find(response => response.status === 201).body.data.key.keyId;
+        expect((await db.keys.get(kaprodi.keyId)).rotatedTo).toBe(successor);
+        expect((await db.keys.findBy('previousKeyId', kaprodi.keyId))).toHaveLength(1);
+    });
+
+    test('revokes a key once', async () => {
+        const dosen = await createSigner(admin, 'dosen');
+        const revoke = reason => request(app).post(`/api/keys/${dosen.keyId}/revoke`).set(auth(dosen.token))
+            .send({ reason });
+
+        const responses = await Promise.all([revoke('Lost laptop'), revoke('Left the faculty')]);
+        expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+
+        const winner = responses.find(response => response.status === 200).body.data.reason;
+        expect((await db.keys.get(dosen.keyId)).revocationReason).toBe(winner);
+    });
+
+    test('leaves a key under the passphrase of the change that succeeded', async () => {
+        const dekan = await createSigner(admin, 'dekan');
+        const change = newPassphrase => request(app).post(`/api/keys/${dekan.keyId}/passphrase`).set(auth(dekan.token))
+            .send({ currentPassphrase: dekan.passphrase, newPassphrase });
+
+        const passphrases = ['first-new-passphrase', 'second-new-passphrase'];
+        const responses = await Promise.all(passphrases.map(change));
+        expect(responses.map(response => response.status).sort()).toEqual([200, 401]);
+
+        const winner = passphrases[responses.findIndex(response => response.status === 200)];
+        const unlocked = await new KeyManagementService().unlockPrivateKey(await db.keys.get(dekan.keyId), winner);
+        expect(unlocked.privateKey).toBeDefined();
+    });
+});
@@ -0,0 +1,139 @@
+const {
+    request,
+    app,
+    start,
+    auth,
+    loginAdmin,
+    createSigner,
+    createDocument,
+    prepareSigning,
+    signMulti
+} = require('./helpers');
+const db = require('../database');
+const EdDSAService = require('../services/eddsaService');
+const KeyManagementService = require('../services/keyManagementService');
+
+describe('POST /api/signatures/multi/:sessionId/:signerId', () => {
+    let admin;
+    let pembimbing1;
+    let pembimbing2;
+    let kaprodi;
+    let dekan;
+
+    beforeAll(async () => {
+        await start();
+        admin = await loginAdmin();
+        pembimbing1 = await createSigner(admin, 'dosen', 'Pembimbing 1');
+        pembimbing2 = await createSigner(admin, 'dosen', 'Pembimbing 2');
+        kaprodi = await createSigner(admin, 'kaprodi');
+        dekan = await createSigner(admin, 'dekan');
+    });
+
+    const getSession = async sessionId => {
+        const response = await request(app).get(`/api/signatures/session/${sessionId}`).set(auth(admin));
+        return response.body.data;
+    };
+
+    test('keeps every signature when signers of a stage sign at the same time', async () => {
+        const documentId = await createDocument(admin);
+        const sessionId = await prepareSigning(admin, documentId, {
+            signers: [
+                { role: 'dosen', name: 'Pembimbing 1', keyId: pembimbing1.keyId },
+                { role: 'dosen', name: 'Pembimbing 2', keyId: pembimbing2.keyId },
+                { role: 'kaprodi' },
+                { role: 'dekan' }
+            ],
+            threshold: 4,
+            workflow: { stages: [{ name: 'prodi', roles: ['dosen', 'kaprodi'] }, ['dekan']] }
+        });
+
+        const pending = (await getSession(sessionId)).progress.signers.pending;
+        const slotOf = keyId => pending.find(signer => signer.keyId === keyId).signerId;
+
+        const responses = await Promise.all([
+            signMulti(pembimbing1, sessionId, slotOf(pembimbing1.keyId)),
+            signMulti(pembimbing2, sessionId, slotOf(pembimbing2.keyId)),
+            signMulti(kaprodi, sessionId, 'kaprodi')
+        ]);
+        expect(responses.map(response => response.status)).toEqual([200, 200, 200]);
+
+        let session = await getSession(sessionId);
+        expect(session.progress.signers.signed).toHaveLength(3);
+        expect(session.status).toBe('pending');
+
+        const last = await signMulti(dekan, sessionId, 'dekan');
+        expect(last.status).toBe(200);
+        expect(last.body.data.sessionStatus).toBe('completed');
+
+        session = await getSession(sessionId);
+        expect(session.progress.signers.signed).toHaveLength(4);
+
+        const verification = await request(app).post(`/api/verification/document/${documentId}`);
+        expect(verification.body.data.verification.valid).toBe(true);
+    });
+
+    test('completes a session once when the last signers sign at the same time', async () => {
+        const documentId = await createDocument(admin);
+        const sessionId = await prepareSigning(admin, documentId, {
+            signers: [{ role: 'kaprodi' }, { role: 'dekan' }],
+            threshold: 2
+        });
+
+        const responses = await Promise.all([
+            signMulti(kaprodi, sessionId, 'kaprodi'),
+            signMulti(dekan, sessionId, 'dekan')
+        ]);
+        expect(responses.map(response => response.status)).toEqual([200, 200]);
+        expect(responses.map(response => response.body.data.sessionStatus).sort()).toEqual(['completed', 'pending']);
+
+        const session = await getSession(sessionId);
+        expect(session.status).toBe('completed');
+        expect(session.progress.signers.signed).toHaveLength(2);
+
+        const document = await request(app).get(`/api/documents/${documentId}`).set(auth(admin));
+        expect(document.body.data.status).toBe('signed');
+    });
+
+    test('accepts only one of two simultaneous signatures for the same signer', async () => {
+        const documentId = await createDocument(admin);
+        const sessionId = await prepareSigning(admin, documentId, {
+            signers: [{ role: 'kaprodi' }, { role: 'dekan' }],
+            threshold: 2
+        });
+
+        const responses = await Promise.all([
+            signMulti(kaprodi, sessionId, 'kaprodi'),
+            signMulti(kaprodi, sessionId, 'kaprodi')
+        ]);
+        expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+
+        const session = await getSession(sessionId);
+        expect(session.progress.signers.signed).toHaveLength(1);
+    });
+
+    test('answers 400 for a client signature that does not verify and 409 for a replayed one', async () => {
+        const documentId = await createDocument(admin);
+        const sessionId = await prepareSigning(admin, documentId, {
+            signers: [{ role: 'kaprodi' }, { role: 'dekan' }],
+            threshold: 2
+        });
+
+        const keyData = await db.keys.get(kaprodi.keyId);
+        const { privateKey } = await new KeyManagementService().unlockPrivateKey(keyData, kaprodi.passphrase);
+        const issue = async () => (await request(app).get(`/api/signatures/multi/${sessionId}/kaprodi/payload`)
+            .query({ keyId: kaprodi.keyId }).set(auth(kaprodi.token))).body.data;
+        const submit = (payload, signature) => request(app).post(`/api/signatures/multi/${sessionId}/kaprodi`)
+            .set(auth(kaprodi.token)).send({ keyId: kaprodi.keyId, payload, signature });
+
+        const first = await issue();
+        const forged = await submit(first.payload, new EdDSAService().sign('something else', privateKey).signature);
+        expect(forged.status).toBe(400);
+
+        const second = await issue();
+        const signature = new EdDSAService().sign(second.message, privateKey).signature;
+        expect((await submit(second.payload, signature)).status).toBe(200);
+
+        const replayed = await submit(second.payload, signature);
+        expect(replayed.status).toBe(409);
+    });
+});
@@ -0,0 +1,6 @@
+// Every test file runs against a fresh in-memory store with a known bootstrap admin
+process.env.NODE_ENV = 'test';
+process.env.DB_DRIVER = 'memory';
+process.env.ADMIN_USERNAME = 'admin';
+process.env.ADMIN_PASSWORD = 'admin-password-123';
+process.env.SYSTEM_KEY_PASSPHRASE = 'system-key-passphrase-for-tests';
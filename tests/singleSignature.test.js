@@ -0,0 +1,53 @@
+const {
+    request,
+    app,
+    start,
+    auth,
+    loginAdmin,
+    createSigner,
+    createDocument
+} = require('./helpers');
+
+describe('POST /api/signatures/single', () => {
+    let admin;
+    let dosen;
+    let dekan;
+
+    beforeAll(async () => {
+        await start();
+        admin = await loginAdmin();
+        dosen = await createSigner(admin, 'dosen');
+        dekan = await createSigner(admin, 'dekan');
+    });
+
+    const signSingle = (signer, documentId) =>
+        request(app).post('/api/signatures/single').set(auth(signer.token))
+            .send({ documentId, keyId: signer.keyId, passphrase: signer.passphrase });
+
+    test('lets a role configured for the document type sign it alone', async () => {
+        const documentId = await createDocument(admin);
+
+        const response = await signSingle(dekan, documentId);
+        expect(response.status).toBe(200);
+
+        const verification = await request(app).post(`/api/verification/document/${documentId}`);
+        expect(verification.body.data.verification.valid).toBe(true);
+    });
+
+    test('refuses roles not configured for the document type', async () => {
+        const documentId = await createDocument(admin);
+
+        const response = await signSingle(dosen, documentId);
+        expect(response.status).toBe(403);
+
+        const document = await request(app).get(`/api/documents/${documentId}`).set(auth(admin));
+        expect(document.body.data.status).toBe('draft');
+    });
+
+    test('refuses document types without single signers', async () => {
+        const documentId = await createDocument(admin, { type: 'memo' });
+
+        const response = await signSingle(dekan, documentId);
+        expect(response.status).toBe(403);
+    });
+});
@@ -0,0 +1,37 @@
+const nacl = require('tweetnacl');
+const { start } = require('./helpers');
+const db = require('../database');
+const config = require('../config/config');
+const SystemKeyService = require('../services/systemKeyService');
+
+describe('SystemKeyService without SYSTEM_KEY_PASSPHRASE', () => {
+    const passphrase = config.SYSTEM_KEY_CONFIG.PASSPHRASE;
+
+    beforeAll(async () => {
+        await start();
+        config.SYSTEM_KEY_CONFIG.PASSPHRASE = undefined;
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        config.SYSTEM_KEY_CONFIG.PASSPHRASE = passphrase;
+        console.warn.mockRestore();
+    });
+
+    test('retires the per-process key of the previous run', async () => {
+        // Each load stands for a process start
+        const first = await new SystemKeyService()._loadOrCreateKey();
+        const second = await new SystemKeyService()._loadOrCreateKey();
+
+        const active = (await db.systemKeys.findBy('status', 'active')).filter(keyData => keyData.ephemeral);
+        expect(active.map(keyData => keyData.keyId)).toEqual([second.keyId]);
+
+        const retired = await db.systemKeys.get(first.keyId);
+        expect(retired.status).toBe('retired');
+
+        const message = 'checkpoint';
+        const signature = Buffer.from(nacl.sign.detached(Buffer.from(message), Buffer.from(first.privateKey, 'base64')))
+            .toString('base64');
+        expect((await new SystemKeyService().verify(message, signature, first.keyId)).valid).toBe(true);
+    });
+});
@@ -0,0 +1,99 @@
+const {
+    request,
+    app,
+    start,
+    loginAdmin,
+    createSigner,
+    createDocument,
+    prepareSigning,
+    signMulti
+} = require('./helpers');
+const db = require('../database');
+const QRCodeService = require('../services/qrCodeService');
+
+describe('POST /api/verification/qr', () => {
+    let admin;
+    let kaprodi;
+    let dekan;
+
+    beforeAll(async () => {
+        await start();
+        admin = await loginAdmin();
+        kaprodi = await createSigner(admin, 'kaprodi');
+        dekan = await createSigner(admin, 'dekan');
+    });
+
+    // JSON QR payload of a multi-signature document, signed by the institution like generateDocumentQR does
+    const embeddedQR = async (session, signature) => JSON.stringify(await new QRCodeService().signPayload({
+        type: 'document_verification',
+        version: '1.0',
+        documentId: session.documentId,
+        documentHash: session.documentHash,
+        signatureType: 'multi-signature',
+        timestamp: new Date().toISOString(),
+        metadata: { title: 'Ijazah Sarjana' },
+        signature: {
+            version: session.version,
+            sessionId: session.sessionId,
+            data: session.signatures.map(sig => ({
+                signature: sig.signature,
+                signer: sig.signer,
+                payload: sig.payload,
+                signedAt: sig.signedAt
+            })),
+            ...signature
+        }
+    }));
+
+    test('checks embedded multi-signatures against the stored session threshold', async () => {
+        const documentId = await createDocument(admin);
+        const sessionId = await prepareSigning(admin, documentId, {
+            signers: [{ role: 'kaprodi' }, { role: 'dekan' }],
+            threshold: 2
+        });
+        await signMulti(kaprodi, sessionId, 'kaprodi');
+        await signMulti(dekan, sessionId, 'dekan');
+        const session = await db.multiSigSessions.get(sessionId);
+
+        const full = await request(app).post('/api/verification/qr').send({ qrData: await embeddedQR(session, {}) });
+        expect(full.body.data.verification.valid).toBe(true);
+
+        const partial = { ...session, signatures: session.signatures.slice(0, 1) };
+        const lowered = await embeddedQR(partial, { threshold: 1, policy: { threshold: 1 } });
+
+        const response = await request(app).post('/api/verification/qr').send({ qrData: lowered });
+        expect(response.status).toBe(200);
+        expect(response.body.data.verification.valid).toBe(false);
+        expect(response.body.data.verification.threshold).toBe(2);
+    });
+});
+
+describe('POST /api/verification/document/:documentId and /batch', () => {
+    let admin;
+    let dekan;
+
+    beforeAll(async () => {
+        await start();
+        admin = await loginAdmin();
+        dekan = await createSigner(admin, 'dekan');
+    });
+
+    test('agree on documents that are still being signed', async () => {
+        const signedId = await createDocument(admin);
+        const signedSession = await prepareSigning(admin, signedId, { signers: [{ role: 'dekan' }], threshold: 1 });
+        await signMulti(dekan, signedSession, 'dekan');
+
+        const pendingId = await createDocument(admin);
+        await prepareSigning(admin, pendingId, { signers: [{ role: 'dekan' }], threshold: 1 });
+
+        const single = await request(app).post(`/api/verification/document/${pendingId}`);
+        expect(single.status).toBe(400);
+        expect(single.body.message).toBe('Document is not signed');
+
+        const batch = await request(app).post('/api/verification/batch').send({ documentIds: [signedId, pendingId] });
+        const [signed, pending] = batch.body.data.results;
+        expect(signed.verification.status).toBe('VALID');
+        expect(pending.success).toBe(false);
+        expect(pending.error).toBe('Document is not signed');
+    });
+});
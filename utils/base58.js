@@ -0,0 +1,71 @@
+/**
+ * Base58 with the Bitcoin alphabet (base58btc), as used by multibase 'z'
+ * values in did:key identifiers and Data Integrity proofs.
+ */
+
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const INDEX = new Map([...ALPHABET].map((char, index) => [char, index]));
+
+/**
+ * Encode bytes as base58btc
+ * @param {Buffer|Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base58 string
+ */
+function encodeBase58(bytes) {
+    const digits = [];
+
+    for (const byte of bytes) {
+        let carry = byte;
+        for (let i = 0; i < digits.length; i++) {
+            carry += digits[i] << 8;
+            digits[i] = carry % 58;
+            carry = Math.floor(carry / 58);
+        }
+        while (carry > 0) {
+            digits.push(carry % 58);
+            carry = Math.floor(carry / 58);
+        }
+    }
+
+    // Each leading zero byte is written as a leading '1'
+    let prefix = '';
+    for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+        prefix += ALPHABET[0];
+    }
+
+    return prefix + digits.reverse().map(digit => ALPHABET[digit]).join('');
+}
+
+/**
+ * Decode a base58btc string
+ * @param {string} text - Base58 string
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeBase58(text) {
+    const bytes = [];
+
+    for (const char of text) {
+        let carry = INDEX.get(char);
+        if (carry === undefined) {
+            throw new Error(`Invalid base58 character '${char}'`);
+        }
+        for (let i = 0; i < bytes.length; i++) {
+            carry += bytes[i] * 58;
+            bytes[i] = carry & 0xff;
+            carry >>= 8;
+        }
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+
+    let zeros = 0;
+    while (zeros < text.length && text[zeros] === ALPHABET[0]) {
+        zeros++;
+    }
+
+    return Buffer.concat([Buffer.alloc(zeros), Buffer.from(bytes.reverse())]);
+}
+
+module.exports = { encodeBase58, decodeBase58 };
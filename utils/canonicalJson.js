@@ -0,0 +1,60 @@
+/**
+ * JSON Canonicalization Scheme (RFC 8785). Produces one byte-exact
+ * serialization per JSON value: object keys sorted by UTF-16 code units,
+ * no whitespace, ECMAScript number formatting and JSON string escaping.
+ * Use it for anything that is hashed or signed.
+ */
+
+// String.prototype.isWellFormed needs Node 20; the verifier also runs on Node 18
+const LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+/**
+ * Serialize a JSON value canonically
+ * @param {*} value - JSON-compatible value (objects, arrays, strings, finite numbers, booleans, null)
+ * @returns {string} Canonical JSON text
+ * @throws {Error} For values JSON cannot represent faithfully
+ */
+function canonicalize(value) {
+    if (value === null || typeof value === 'boolean') {
+        return JSON.stringify(value);
+    }
+
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            throw new Error('Cannot canonicalize a non-finite number');
+        }
+        // Number-to-string in ECMAScript is the format RFC 8785 mandates
+        return JSON.stringify(value);
+    }
+
+    if (typeof value === 'string') {
+        if (LONE_SURROGATE.test(value)) {
+            throw new Error('Cannot canonicalize a string with lone surrogates');
+        }
+        return JSON.stringify(value);
+    }
+
+    if (Array.isArray(value)) {
+        // Like JSON.stringify, holes and undefined become null
+        return `[${Array.from(value, item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+    }
+
+    if (typeof value === 'object') {
+        if (typeof value.toJSON === 'function') {
+            return canonicalize(value.toJSON());
+        }
+
+        const members = Object.keys(value)
+            .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+            .sort()
+            .map(key => `${canonicalize(key)}:${canonicalize(value[key])}`);
+
+        return `{${members.join(',')}}`;
+    }
+
+    throw new Error(`Cannot canonicalize a value of type ${typeof value}`);
+}
+
+module.exports = {
+    canonicalize
+};
@@ -0,0 +1,183 @@
+/**
+ * Minimal CBOR (RFC 8949) codec for COSE structures. Encoding is
+ * deterministic (shortest-form integers and lengths, map keys sorted by their
+ * encoded bytes, §4.2.1) so the same value always yields the same bytes.
+ * Supported: unsigned/negative integers, byte and text strings, arrays, maps,
+ * tags, false/true/null/undefined. Floats and indefinite lengths are rejected.
+ */
+
+const MAJOR = {
+    UNSIGNED: 0,
+    NEGATIVE: 1,
+    BYTES: 2,
+    TEXT: 3,
+    ARRAY: 4,
+    MAP: 5,
+    TAG: 6,
+    SIMPLE: 7
+};
+
+const SIMPLE_VALUES = { 20: false, 21: true, 22: null, 23: undefined };
+
+/**
+ * A tagged CBOR data item, e.g. new Tagged(98, coseSign) for COSE_Sign
+ */
+class Tagged {
+    constructor(tag, value) {
+        this.tag = tag;
+        this.value = value;
+    }
+}
+
+/**
+ * Encode a value as CBOR
+ * @param {*} value - Buffer, string, integer, boolean, null, undefined, Array, Map, plain object or Tagged
+ * @returns {Buffer} CBOR bytes
+ */
+function encode(value) {
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+        return Buffer.concat([head(MAJOR.BYTES, value.length), Buffer.from(value)]);
+    }
+    if (typeof value === 'string') {
+        const bytes = Buffer.from(value, 'utf8');
+        return Buffer.concat([head(MAJOR.TEXT, bytes.length), bytes]);
+    }
+    if (typeof value === 'number') {
+        if (!Number.isSafeInteger(value)) {
+            throw new Error('CBOR encoder only supports safe integers');
+        }
+        return value >= 0 ? head(MAJOR.UNSIGNED, value) : head(MAJOR.NEGATIVE, -1 - value);
+    }
+    if (value === false || value === true || value === null || value === undefined) {
+        const simple = { false: 20, true: 21, null: 22, undefined: 23 }[String(value)];
+        return Buffer.from([(MAJOR.SIMPLE << 5) | simple]);
+    }
+    if (Array.isArray(value)) {
+        return Buffer.concat([head(MAJOR.ARRAY, value.length), ...value.map(encode)]);
+    }
+    if (value instanceof Tagged) {
+        return Buffer.concat([head(MAJOR.TAG, value.tag), encode(value.value)]);
+    }
+
+    const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+    const encoded = entries
+        .map(([key, item]) => [encode(key), encode(item)])
+        .sort((a, b) => Buffer.compare(a[0], b[0]));
+    return Buffer.concat([head(MAJOR.MAP, entries.length), ...encoded.flat()]);
+}
+
+/**
+ * Decode a single CBOR data item that spans the whole input
+ * @param {Buffer} bytes - CBOR bytes
+ * @returns {*} Decoded value; maps decode to Map, byte strings to Buffer, tags to Tagged
+ */
+function decode(bytes) {
+    const buffer = Buffer.from(bytes);
+    const { value, offset } = decodeItem(buffer, 0);
+    if (offset !== buffer.length) {
+        throw new Error('Unexpected trailing bytes after CBOR data item');
+    }
+    return value;
+}
+
+function head(major, length) {
+    if (length < 24) {
+        return Buffer.from([(major << 5) | length]);
+    }
+    if (length < 0x100) {
+        return Buffer.from([(major << 5) | 24, length]);
+    }
+    if (length < 0x10000) {
+        const buffer = Buffer.alloc(3);
+        buffer[0] = (major << 5) | 25;
+        buffer.writeUInt16BE(length, 1);
+        return buffer;
+    }
+    if (length < 0x100000000) {
+        const buffer = Buffer.alloc(5);
+        buffer[0] = (major << 5) | 26;
+        buffer.writeUInt32BE(length, 1);
+        return buffer;
+    }
+    const buffer = Buffer.alloc(9);
+    buffer[0] = (major << 5) | 27;
+    buffer.writeBigUInt64BE(BigInt(length), 1);
+    return buffer;
+}
+
+function decodeItem(buffer, offset) {
+    if (offset >= buffer.length) {
+        throw new Error('Truncated CBOR data');
+    }
+
+    const initial = buffer[offset];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+    let position = offset + 1;
+    let argument;
+
+    if (info < 24) {
+        argument = info;
+    } else if (info <= 27) {
+        const size = 1 << (info - 24);
+        if (position + size > buffer.length) {
+            throw new Error('Truncated CBOR data');
+        }
+        argument = size === 8 ? Number(buffer.readBigUInt64BE(position)) : buffer.readUIntBE(position, size);
+        if (!Number.isSafeInteger(argument)) {
+            throw new Error('CBOR integer is too large');
+        }
+        position += size;
+    } else {
+        throw new Error('Indefinite-length and reserved CBOR items are not supported');
+    }
+
+    switch (major) {
+        case MAJOR.UNSIGNED:
+            return { value: argument, offset: position };
+        case MAJOR.NEGATIVE:
+            return { value: -1 - argument, offset: position };
+        case MAJOR.BYTES:
+        case MAJOR.TEXT: {
+            if (position + argument > buffer.length) {
+                throw new Error('Truncated CBOR data');
+            }
+            const slice = buffer.subarray(position, position + argument);
+            return {
+                value: major === MAJOR.BYTES ? Buffer.from(slice) : slice.toString('utf8'),
+                offset: position + argument
+            };
+        }
+        case MAJOR.ARRAY: {
+            const items = [];
+            for (let i = 0; i < argument; i++) {
+                const item = decodeItem(buffer, position);
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        case MAJOR.MAP: {
+            const map = new Map();
+            for (let i = 0; i < argument; i++) {
+                const key = decodeItem(buffer, position);
+                const item = decodeItem(buffer, key.offset);
+                map.set(key.value, item.value);
+                position = item.offset;
+            }
+            return { value: map, offset: position };
+        }
+        case MAJOR.TAG: {
+            const item = decodeItem(buffer, position);
+            return { value: new Tagged(argument, item.value), offset: item.offset };
+        }
+        default: {
+            if (!(info in SIMPLE_VALUES)) {
+                throw new Error('Unsupported CBOR simple value or float');
+            }
+            return { value: SIMPLE_VALUES[info], offset: position };
+        }
+    }
+}
+
+module.exports = { encode, decode, Tagged };
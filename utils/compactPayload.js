@@ -0,0 +1,255 @@
+/**
+ * Packing of document signatures for compact QR payloads, without any server
+ * state so the standalone verifier (verifier/) can unpack them too. Only what
+ * cannot be recomputed is stored: the fields shared by every signing envelope
+ * once, then per signer the key ID (instead of the public key), role, signing
+ * time, challenge nonce and the raw 64-byte signature. Hashes and UUIDs travel
+ * as bytes and times as epoch milliseconds; unpacking rebuilds each signer's
+ * envelope exactly.
+ *
+ * Version 1 layout (CBOR array):
+ *   [documentId, documentHash, metadata, metadataHash, [sha256, sha512] | null,
+ *    sessionId | null, threshold,
+ *    [[keyId, role, signedAt, signature, (nonce, expiresAt, (delegationId))], ...],
+ *    (policy)]
+ * metadataHash and the file digests are CBOR undefined for envelopes signed
+ * before they were bound. The session's signing policy (utils/signingPolicy)
+ * follows only when a count of signatures against the threshold is not enough.
+ * Signers acting under a mandate (utils/delegationMandate) add its ID.
+ */
+
+const { createSigningEnvelope } = require('./signingEnvelope');
+const { normalizePolicy } = require('./signingPolicy');
+
+const PAYLOAD_VERSION = 1;
+const SIGNATURE_LENGTH = 64;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const HEX_PATTERN = /^(?:[0-9a-f]{2})+$/;
+
+/**
+ * Pack the signatures of a document into a payload body
+ * @param {Object} signatureData - Single signature or aggregated multi-signature
+ * @returns {Array|null} Body to CBOR-encode, or null when the signatures predate
+ *                       signing envelopes or a signer has no key ID
+ */
+function packSignatures(signatureData) {
+    const signed = signatureData.signatures ?
+        signatureData.signatures.map(sig => ({ envelope: sig.payload, signature: sig.signature })) :
+        [{ envelope: signatureData.envelope, signature: signatureData.signature }];
+
+    // Signers are named by key ID, so every envelope must carry one; a delegationId follows the nonce
+    if (signed.length === 0 || signed.some(({ envelope }) =>
+        !envelope || envelope.type !== 'signing-envelope' || !envelope.keyId ||
+        (envelope.delegationId && !envelope.nonce))) {
+        return null;
+    }
+
+    const signatures = signed.map(({ signature }) => Buffer.from(signature || '', 'base64'));
+    if (signatures.some(signature => signature.length !== SIGNATURE_LENGTH)) {
+        return null;
+    }
+
+    const { envelope } = signed[0];
+    const body = [
+        packId(envelope.documentId),
+        packHex(envelope.documentHash),
+        envelope.metadata,
+        packHex(envelope.metadataHash),
+        envelope.file ? [packHex(envelope.file.sha256), packHex(envelope.file.sha512)] : envelope.file,
+        packId(envelope.sessionId),
+        signatureData.signatures ? signatureData.threshold : 1,
+        signed.map((entry, index) => {
+            const signer = [
+                packId(entry.envelope.keyId),
+                entry.envelope.role,
+                packTime(entry.envelope.signedAt),
+                signatures[index]
+            ];
+            if (entry.envelope.nonce) {
+                signer.push(packNonce(entry.envelope.nonce), packTime(entry.envelope.expiresAt));
+            }
+            if (entry.envelope.delegationId) {
+                signer.push(packId(entry.envelope.delegationId));
+            }
+            return signer;
+        })
+    ];
+    if (signatureData.signatures && signatureData.policy) {
+        body.push(signatureData.policy);
+    }
+    return body;
+}
+
+/**
+ * Unpack a decoded payload body
+ * @param {Array} body - CBOR-decoded body
+ * @returns {Object} { documentId, metadata, envelopes, signatureData } where signatureData
+ *                   has the shape of a stored single or aggregated multi-signature and
+ *                   signers carry keyId instead of publicKey
+ * @throws {Error} For malformed bodies
+ */
+function unpackSignatures(body) {
+    if (!Array.isArray(body) || (body.length !== 8 && body.length !== 9) ||
+        !Array.isArray(body[7]) || body[7].length === 0) {
+        throw new Error('Malformed compact QR payload');
+    }
+
+    const [documentId, documentHash, metadata, metadataHash, file, sessionId, threshold, signers, packedPolicy] = body;
+    if (!Number.isInteger(threshold) || threshold < 1) {
+        throw new Error('Malformed compact QR payload threshold');
+    }
+    const policy = body.length === 9 ? unpackPolicy(packedPolicy, threshold) : undefined;
+
+    const shared = {
+        documentId: unpackId(documentId),
+        documentHash: unpackHex(documentHash),
+        metadata: toPlain(metadata),
+        metadataHash: unpackHex(metadataHash),
+        file: Array.isArray(file) ? { sha256: unpackHex(file[0]), sha512: unpackHex(file[1]) } : file,
+        sessionId: unpackId(sessionId)
+    };
+
+    const signatures = [];
+    const envelopes = signers.map(signer => {
+        if (!Array.isArray(signer) || ![4, 6, 7].includes(signer.length) ||
+            !Buffer.isBuffer(signer[3]) || signer[3].length !== SIGNATURE_LENGTH) {
+            throw new Error('Malformed compact QR signer');
+        }
+        signatures.push(signer[3].toString('base64'));
+
+        return createSigningEnvelope({
+            ...shared,
+            role: signer[1],
+            keyId: unpackId(signer[0]),
+            signedAt: unpackTime(signer[2]),
+            nonce: signer.length >= 6 ? unpackNonce(signer[4]) : undefined,
+            expiresAt: signer.length >= 6 ? unpackTime(signer[5]) : undefined,
+            delegationId: signer.length === 7 ? unpackId(signer[6]) : undefined
+        });
+    });
+
+    // Several signers may share a role, but each key signs once
+    const keyIds = envelopes.map(envelope => envelope.keyId);
+    if (new Set(keyIds).size !== keyIds.length) {
+        throw new Error('Compact QR payload lists a signer key more than once');
+    }
+
+    const [envelope] = envelopes;
+    let signatureData;
+    if (shared.sessionId) {
+        signatureData = {
+            type: 'multi-signature',
+            algorithm: 'EdDSA-Multi',
+            sessionId: shared.sessionId,
+            documentId: shared.documentId,
+            documentHash: shared.documentHash,
+            metadataHash: shared.metadataHash,
+            fileDigest: shared.file,
+            threshold: threshold,
+            policy: policy,
+            signatures: envelopes.map((item, index) => ({
+                signer: { role: item.role, keyId: item.keyId },
+                signature: signatures[index],
+                payload: item,
+                signedAt: item.signedAt,
+                timestamp: null
+            })),
+            metadata: {
+                totalSigners: envelopes.length,
+                version: envelope.version
+            }
+        };
+    } else {
+        if (envelopes.length !== 1 || threshold !== 1 || policy) {
+            throw new Error('Malformed compact QR payload');
+        }
+        signatureData = {
+            documentId: shared.documentId,
+            documentHash: shared.documentHash,
+            signature: signatures[0],
+            envelope: envelope,
+            signer: { role: envelope.role, keyId: envelope.keyId },
+            metadata: {
+                algorithm: envelope.algorithm,
+                signedAt: envelope.signedAt,
+                version: envelope.version
+            }
+        };
+    }
+
+    return {
+        documentId: shared.documentId,
+        metadata: envelope.metadata,
+        envelopes: envelopes,
+        signatureData: signatureData
+    };
+}
+
+// UUIDs travel as their 16 bytes
+function packId(value) {
+    return typeof value === 'string' && UUID_PATTERN.test(value) ? Buffer.from(value.replace(/-/g, ''), 'hex') : value;
+}
+
+function unpackId(value) {
+    if (!Buffer.isBuffer(value)) {
+        return value;
+    }
+    const hex = value.toString('hex');
+    return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join('-');
+}
+
+// Lowercase hex digests travel as bytes
+function packHex(value) {
+    return typeof value === 'string' && HEX_PATTERN.test(value) ? Buffer.from(value, 'hex') : value;
+}
+
+function unpackHex(value) {
+    return Buffer.isBuffer(value) ? value.toString('hex') : value;
+}
+
+// ISO 8601 times travel as epoch milliseconds
+function packTime(value) {
+    const time = Date.parse(value);
+    return !Number.isNaN(time) && new Date(time).toISOString() === value ? time : value;
+}
+
+function unpackTime(value) {
+    return typeof value === 'number' ? new Date(value).toISOString() : value;
+}
+
+// base64url nonces travel as bytes
+function packNonce(value) {
+    const bytes = Buffer.from(value, 'base64url');
+    return bytes.toString('base64url') === value ? bytes : value;
+}
+
+function unpackNonce(value) {
+    return Buffer.isBuffer(value) ? value.toString('base64url') : value;
+}
+
+// The policy must state the payload's threshold and have the shape normalizePolicy produces
+function unpackPolicy(value, threshold) {
+    const policy = toPlain(value);
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy) || policy.threshold !== threshold ||
+        !policy.weights || typeof policy.weights !== 'object' || Array.isArray(policy.weights) ||
+        !Array.isArray(policy.requiredRoles) || (policy.rule !== null && typeof policy.rule !== 'string')) {
+        throw new Error('Malformed compact QR payload policy');
+    }
+    return normalizePolicy(policy);
+}
+
+// CBOR maps decode to Map; envelopes hold plain JSON values
+function toPlain(value) {
+    if (value instanceof Map) {
+        return Object.fromEntries([...value.entries()].map(([key, item]) => [String(key), toPlain(item)]));
+    }
+    if (Array.isArray(value)) {
+        return value.map(toPlain);
+    }
+    if (Buffer.isBuffer(value)) {
+        throw new Error('Unexpected byte string in compact QR metadata');
+    }
+    return value;
+}
+
+module.exports = { PAYLOAD_VERSION, packSignatures, unpackSignatures };
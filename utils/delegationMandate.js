@@ -0,0 +1,114 @@
+/**
+ * Signing mandates of acting officials (Plh/Plt), without any server state so
+ * the standalone verifier (verifier/) can check them too. A mandate lets the
+ * delegate key sign as the delegator's role for documents of the listed types
+ * between validFrom and validUntil; the delegator signs its canonical JSON
+ * (RFC 8785) with their own key:
+ *
+ *   { type: 'signing-mandate', version: '1.0', delegationId, delegatorKeyId,
+ *     delegateKeyId, roles: ['dekan'], documentTypes: ['ijazah'],
+ *     validFrom, validUntil, reason, issuedAt }
+ *
+ * Delegations are stored and published as { delegationId, mandate, signature,
+ * status, revokedAt, revocationReason }; revocation is not part of the signed
+ * mandate, so the issuer's records (or its signed trust list) decide it.
+ */
+
+const { canonicalize } = require('./canonicalJson');
+const { verifySignature } = require('./signingEnvelope');
+
+const MANDATE_TYPE = 'signing-mandate';
+const MANDATE_VERSION = '1.0';
+
+/**
+ * Build a mandate from its terms
+ * @param {Object} terms - delegationId, delegatorKeyId, delegateKeyId, roles, documentTypes,
+ *                         validFrom, validUntil, reason, issuedAt
+ * @returns {Object} Mandate
+ */
+function createMandate(terms) {
+    return {
+        type: MANDATE_TYPE,
+        version: MANDATE_VERSION,
+        delegationId: terms.delegationId,
+        delegatorKeyId: terms.delegatorKeyId,
+        delegateKeyId: terms.delegateKeyId,
+        roles: [...terms.roles],
+        documentTypes: [...terms.documentTypes],
+        validFrom: new Date(terms.validFrom).toISOString(),
+        validUntil: new Date(terms.validUntil).toISOString(),
+        reason: terms.reason || null,
+        issuedAt: terms.issuedAt
+    };
+}
+
+/**
+ * Serialize a mandate into the exact string the delegator signs
+ * @param {Object} mandate - Mandate
+ * @returns {string} Canonical JSON
+ */
+function serializeMandate(mandate) {
+    return canonicalize(createMandate(mandate));
+}
+
+/**
+ * Check that a delegation covers one signature
+ * @param {Object} delegation - { mandate, signature, revokedAt, revocationReason }
+ * @param {Object} delegatorKey - keyId, publicKey and role of the delegator's key
+ * @param {Object} use - keyId, role and documentType of the signature, its signedAt and
+ *                       signedAtTrusted (signedAt is attested by a trusted TSA)
+ * @returns {Object} { valid, reason }
+ */
+function checkDelegation(delegation, delegatorKey, use) {
+    const mandate = delegation && delegation.mandate;
+    if (!mandate || mandate.type !== MANDATE_TYPE || mandate.version !== MANDATE_VERSION) {
+        return { valid: false, reason: 'Unsupported signing mandate' };
+    }
+
+    if (!delegatorKey || mandate.delegatorKeyId !== delegatorKey.keyId) {
+        return { valid: false, reason: 'Delegator key of the mandate is not registered' };
+    }
+
+    let signatureValid = false;
+    try {
+        signatureValid = verifySignature(delegation.signature, serializeMandate(mandate), delegatorKey.publicKey);
+    } catch (error) {
+        signatureValid = false;
+    }
+    if (!signatureValid) {
+        return { valid: false, reason: 'Mandate is not signed by the delegator key' };
+    }
+
+    // A key holds one role, and only that role can be delegated
+    if (mandate.roles.some(role => role !== delegatorKey.role)) {
+        return { valid: false, reason: `Mandate delegates roles the delegator (${delegatorKey.role}) does not hold` };
+    }
+
+    if (mandate.delegateKeyId !== use.keyId) {
+        return { valid: false, reason: `Mandate was issued to key '${mandate.delegateKeyId}'` };
+    }
+
+    if (!mandate.roles.includes(use.role)) {
+        return { valid: false, reason: `Mandate does not cover role '${use.role}'` };
+    }
+
+    if (!mandate.documentTypes.includes(use.documentType)) {
+        return { valid: false, reason: `Mandate does not cover documents of type '${use.documentType}'` };
+    }
+
+    // Signatures made before the mandate was issued are not covered, whatever its validFrom says
+    const signedAt = new Date(use.signedAt);
+    const start = Math.max(new Date(mandate.validFrom).getTime(), new Date(mandate.issuedAt).getTime());
+    if (!(signedAt.getTime() >= start) || signedAt > new Date(mandate.validUntil)) {
+        return { valid: false, reason: `Mandate is valid from ${mandate.validFrom} until ${mandate.validUntil}, not at ${use.signedAt}` };
+    }
+
+    // A self-asserted signedAt could be backdated to before the revocation
+    if (delegation.revokedAt && (!use.signedAtTrusted || new Date(delegation.revokedAt) <= signedAt)) {
+        return { valid: false, reason: `Mandate was revoked on ${delegation.revokedAt}: ${delegation.revocationReason}` };
+    }
+
+    return { valid: true, reason: 'Mandate covers the signature' };
+}
+
+module.exports = { MANDATE_TYPE, MANDATE_VERSION, createMandate, serializeMandate, checkDelegation };
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Digests of raw file bytes. Files are read as a stream so large uploads are
+ * never held in memory, and the result is reproducible by anyone holding a
+ * copy of the file (e.g. `sha256sum`).
+ */
+
+const DEFAULT_ALGORITHMS = ['sha256', 'sha512'];
+
+/**
+ * Digest a file on disk in a single streaming pass
+ * @param {string} filePath - Path of the file
+ * @param {Array<string>} algorithms - Hash algorithms to compute
+ * @returns {Promise<Object>} Hex digests keyed by algorithm, e.g. { sha256, sha512 }
+ */
+function digestFile(filePath, algorithms = DEFAULT_ALGORITHMS) {
+    return new Promise((resolve, reject) => {
+        const hashes = algorithms.map(algorithm => crypto.createHash(algorithm));
+        const stream = fs.createReadStream(filePath);
+
+        stream.on('data', chunk => hashes.forEach(hash => hash.update(chunk)));
+        stream.on('error', error => reject(new Error(`Failed to digest file: ${error.message}`)));
+        stream.on('end', () => resolve(toDigests(algorithms, hashes)));
+    });
+}
+
+/**
+ * Digest bytes already in memory (e.g. a verification upload)
+ * @param {Buffer} buffer - File bytes
+ * @param {Array<string>} algorithms - Hash algorithms to compute
+ * @returns {Object} Hex digests keyed by algorithm, e.g. { sha256, sha512 }
+ */
+function digestBuffer(buffer, algorithms = DEFAULT_ALGORITHMS) {
+    const hashes = algorithms.map(algorithm => crypto.createHash(algorithm).update(buffer));
+    return toDigests(algorithms, hashes);
+}
+
+function toDigests(algorithms, hashes) {
+    const digests = {};
+    algorithms.forEach((algorithm, index) => {
+        digests[algorithm] = hashes[index].digest('hex');
+    });
+    return digests;
+}
+
+module.exports = { digestFile, digestBuffer };
@@ -0,0 +1,27 @@
+/**
+ * Validity period of a signer key, shared by the key registry and the
+ * standalone verifier (which reads the same fields from the trust list).
+ */
+
+/**
+ * Check whether a key was within its validity period at a point in time
+ * @param {Object} keyData - Key record or trust list entry (validFrom/createdAt, validUntil)
+ * @param {string|Date} time - Time to check (e.g. the signature's signedAt)
+ * @returns {Object} { valid, reason }
+ */
+function checkKeyValidity(keyData, time) {
+    const at = new Date(time);
+    const validFrom = keyData.validFrom || keyData.createdAt;
+
+    if (validFrom && at < new Date(validFrom)) {
+        return { valid: false, reason: `Signer key was not yet valid at ${at.toISOString()} (valid from ${validFrom})` };
+    }
+
+    if (keyData.validUntil && at > new Date(keyData.validUntil)) {
+        return { valid: false, reason: `Signer key was no longer valid at ${at.toISOString()} (valid until ${keyData.validUntil})` };
+    }
+
+    return { valid: true, reason: 'Signer key was within its validity period' };
+}
+
+module.exports = { checkKeyValidity };
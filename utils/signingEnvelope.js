@@ -0,0 +1,84 @@
+/**
+ * Signing envelopes and Ed25519 signature checks without any server state,
+ * shared by EdDSAService and the standalone verifier (verifier/).
+ */
+
+const nacl = require('tweetnacl');
+const { canonicalize } = require('./canonicalJson');
+
+// Signatures from version 2.0 on cover a canonical signing envelope;
+// 1.0 signatures cover only the hash of JSON.stringify(document.content)
+const SIGNATURE_VERSION = '2.0';
+
+/**
+ * Build a self-describing signing envelope. The signature covers its
+ * canonical serialization, so the document, its metadata, the signer role,
+ * the session and the signing time cannot be swapped after signing.
+ * @param {Object} binding - documentId, documentHash, metadata, metadataHash, file
+ *                           digests, role, keyId, sessionId, signedAt, for signing
+ *                           challenges nonce and expiresAt, and for delegates signing
+ *                           on behalf of the role's holder the mandate's delegationId
+ * @returns {Object} Signing envelope
+ */
+function createSigningEnvelope(binding) {
+    const envelope = {
+        type: 'signing-envelope',
+        version: SIGNATURE_VERSION,
+        algorithm: 'Ed25519',
+        canonicalization: 'RFC8785',
+        hashAlgorithm: 'sha256',
+        documentId: binding.documentId,
+        documentHash: binding.documentHash,
+        metadata: binding.metadata,
+        role: binding.role,
+        keyId: binding.keyId || null,
+        sessionId: binding.sessionId || null,
+        signedAt: binding.signedAt
+    };
+
+    // Absent from envelopes of sessions prepared before file digests
+    if (binding.metadataHash !== undefined) {
+        envelope.metadataHash = binding.metadataHash;
+    }
+    if (binding.file !== undefined) {
+        envelope.file = binding.file;
+    }
+
+    if (binding.nonce) {
+        envelope.nonce = binding.nonce;
+        envelope.expiresAt = binding.expiresAt;
+    }
+
+    // The key signs as `role` under a mandate rather than holding the role itself
+    if (binding.delegationId) {
+        envelope.delegationId = binding.delegationId;
+    }
+
+    return envelope;
+}
+
+/**
+ * Serialize a signing envelope into the exact string that is signed
+ * @param {Object} envelope - Signing envelope
+ * @returns {string} Canonical JSON
+ */
+function serializeEnvelope(envelope) {
+    return canonicalize(envelope);
+}
+
+/**
+ * Verify a detached Ed25519 signature over a UTF-8 message
+ * @param {string} signature - Signature as base64 string
+ * @param {string} message - Signed message
+ * @param {string} publicKey - Public key as base64 string
+ * @returns {boolean} Verification result
+ */
+function verifySignature(signature, message, publicKey) {
+    return nacl.sign.detached.verify(
+        Buffer.from(message, 'utf8'),
+        Buffer.from(signature, 'base64'),
+        Buffer.from(publicKey, 'base64')
+    );
+}
+
+module.exports = { SIGNATURE_VERSION, createSigningEnvelope, serializeEnvelope, verifySignature };
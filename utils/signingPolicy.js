@@ -0,0 +1,186 @@
+/**
+ * Signing policies of multi-signature sessions, without any server state so
+ * the standalone verifier (verifier/) can evaluate them too. A policy is met
+ * when the weighted valid signatures reach the threshold, every required role
+ * has signed and the rule, if any, holds:
+ *
+ *   { threshold: 3, weights: { rektor: 2 }, requiredRoles: ['dekan'],
+ *     rule: 'dekan AND (kaprodi OR 2 dosen)' }
+ *
+ * Rules combine roles with AND, OR and parentheses; AND binds tighter than OR,
+ * and a count before a role asks for that many signatures of the role.
+ * Roles without a weight count once. A role listed n times in requiredRoles
+ * needs n signatures, one per required signer holding it.
+ */
+
+const ROLE_PATTERN = /^[a-z][a-z0-9_-]*$/i;
+
+/**
+ * Policy with defaults filled in, in the form stored on sessions and carried by QR codes
+ * @param {Object} policy - threshold, weights, requiredRoles, rule
+ * @returns {Object} { threshold, weights, requiredRoles, rule }
+ */
+function normalizePolicy(policy) {
+    const weights = {};
+    Object.keys(policy.weights || {}).sort().forEach(role => {
+        if (policy.weights[role] !== 1) {
+            weights[role] = policy.weights[role];
+        }
+    });
+
+    return {
+        threshold: policy.threshold,
+        weights: weights,
+        requiredRoles: [...(policy.requiredRoles || [])],
+        rule: policy.rule ? String(policy.rule).trim() : null
+    };
+}
+
+/**
+ * Whether a policy is a plain M-of-N count, which formats that only carry a threshold express fully
+ * @param {Object} policy - Normalized policy
+ * @returns {boolean}
+ */
+function isCountPolicy(policy) {
+    return Object.keys(policy.weights).length === 0 && policy.requiredRoles.length === 0 && !policy.rule;
+}
+
+/**
+ * Parse a rule such as "dekan AND (kaprodi OR 2 dosen)"
+ * @param {string} rule - Rule text
+ * @returns {Object} Tree of { and: [...] }, { or: [...] } and { role, count } nodes
+ * @throws {Error} For malformed rules
+ */
+function parseRule(rule) {
+    const tokens = String(rule).match(/\(|\)|[^\s()]+/g) || [];
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOperator = (token, operator) => typeof token === 'string' && token.toUpperCase() === operator;
+
+    const parseAny = () => {
+        const terms = [parseAll()];
+        while (isOperator(peek(), 'OR')) {
+            position++;
+            terms.push(parseAll());
+        }
+        return terms.length === 1 ? terms[0] : { or: terms };
+    };
+
+    const parseAll = () => {
+        const terms = [parseTerm()];
+        while (isOperator(peek(), 'AND')) {
+            position++;
+            terms.push(parseTerm());
+        }
+        return terms.length === 1 ? terms[0] : { and: terms };
+    };
+
+    const parseTerm = () => {
+        const token = tokens[position++];
+        if (token === '(') {
+            const group = parseAny();
+            if (tokens[position++] !== ')') {
+                throw new Error('Invalid signing rule: missing closing parenthesis');
+            }
+            return group;
+        }
+
+        let count = 1;
+        let role = token;
+        if (/^\d+$/.test(token || '')) {
+            count = Number(token);
+            role = tokens[position++];
+        }
+        if (!role || !ROLE_PATTERN.test(role) || isOperator(role, 'AND') || isOperator(role, 'OR')) {
+            throw new Error(`Invalid signing rule: expected a role, found '${role || 'end of rule'}'`);
+        }
+        if (count < 1) {
+            throw new Error(`Invalid signing rule: count for '${role}' must be at least 1`);
+        }
+        return { role: role, count: count };
+    };
+
+    const tree = parseAny();
+    if (position !== tokens.length) {
+        throw new Error(`Invalid signing rule: unexpected '${tokens[position]}'`);
+    }
+    return tree;
+}
+
+/**
+ * Role conditions of a parsed rule
+ * @param {Object} tree - Output of parseRule
+ * @returns {Array} [{ role, count }, ...]
+ */
+function ruleConditions(tree) {
+    if (tree.role) {
+        return [tree];
+    }
+    return (tree.and || tree.or).flatMap(ruleConditions);
+}
+
+/**
+ * Evaluate a policy against the roles of the valid signatures
+ * @param {Object} policy - Normalized policy
+ * @param {Array<string>} roles - Role of each valid signature
+ * @returns {Object} { met, weight, threshold, missingRequiredRoles, ruleMet }
+ */
+function evaluatePolicy(policy, roles) {
+    const counts = {};
+    roles.forEach(role => {
+        counts[role] = (counts[role] || 0) + 1;
+    });
+
+    const needed = {};
+    policy.requiredRoles.forEach(role => {
+        needed[role] = (needed[role] || 0) + 1;
+    });
+
+    const weight = roles.reduce((sum, role) => sum + (policy.weights[role] || 1), 0);
+    const missingRequiredRoles = Object.keys(needed).filter(role => (counts[role] || 0) < needed[role]);
+    const ruleMet = policy.rule ? evaluateRule(parseRule(policy.rule), counts) : true;
+
+    return {
+        met: weight >= policy.threshold && missingRequiredRoles.length === 0 && ruleMet,
+        weight: weight,
+        threshold: policy.threshold,
+        missingRequiredRoles: missingRequiredRoles,
+        ruleMet: ruleMet
+    };
+}
+
+/**
+ * @private
+ */
+function evaluateRule(tree, counts) {
+    if (tree.role) {
+        return (counts[tree.role] || 0) >= tree.count;
+    }
+    return tree.and ?
+        tree.and.every(term => evaluateRule(term, counts)) :
+        tree.or.some(term => evaluateRule(term, counts));
+}
+
+/**
+ * Reason a policy is not met, for verification results
+ * @param {Object} policy - Normalized policy
+ * @param {Object} evaluation - Output of evaluatePolicy
+ * @returns {string|null} Reason, or null when the policy is met
+ */
+function describeUnmetPolicy(policy, evaluation) {
+    if (evaluation.weight < policy.threshold) {
+        return Object.keys(policy.weights).length > 0 ?
+            `Insufficient valid signature weight: ${evaluation.weight}/${policy.threshold}` :
+            `Insufficient valid signatures: ${evaluation.weight}/${policy.threshold}`;
+    }
+    if (evaluation.missingRequiredRoles.length > 0) {
+        return `Missing valid signatures of required signers: ${evaluation.missingRequiredRoles.join(', ')}`;
+    }
+    if (!evaluation.ruleMet) {
+        return `Signing rule not satisfied: ${policy.rule}`;
+    }
+    return null;
+}
+
+module.exports = { normalizePolicy, isCountPolicy, parseRule, ruleConditions, evaluatePolicy, describeUnmetPolicy };
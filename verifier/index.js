@@ -0,0 +1,433 @@
+/**
+ * Standalone verifier for document QR codes. It checks the signatures in a
+ * QR code against a trust list published by the issuing server
+ * (GET /api/verification/trust-list) and needs neither that server nor its
+ * database, so third parties can verify documents offline.
+ *
+ * Runs in Node.js 18+ and in browsers. Besides tweetnacl and the shared
+ * helpers in utils/ it only uses web-standard APIs (DecompressionStream,
+ * crypto.subtle); browser bundles need a `Buffer` polyfill, which browserify
+ * includes and webpack provides through the `buffer` package.
+ *
+ *   const { verifyQR } = require('./verifier');
+ *   const result = await verifyQR(qrData, signedTrustList, { rootPublicKey });
+ */
+
+const cbor = require('../utils/cbor');
+const { decodeBase45 } = require('../utils/base45');
+const { canonicalize } = require('../utils/canonicalJson');
+const { checkKeyValidity } = require('../utils/keyValidity');
+const { checkDelegation } = require('../utils/delegationMandate');
+const { evaluatePolicy, describeUnmetPolicy } = require('../utils/signingPolicy');
+const { SIGNATURE_VERSION, serializeEnvelope, verifySignature } = require('../utils/signingEnvelope');
+const { PAYLOAD_VERSION, unpackSignatures } = require('../utils/compactPayload');
+
+const TRUST_LIST_TYPE = 'signer-trust-list';
+// QR_CONFIG.COMPACT_PREFIX and COSE_PREFIX of the issuing server
+const DEFAULT_COMPACT_PREFIX = 'DS';
+const COSE_PREFIX = 'COSE:';
+// Decompressed payloads larger than this are rejected rather than inflated
+const MAX_INFLATED_BYTES = 64 * 1024;
+
+/**
+ * Check a signed trust list against the root public key the verifier trusts
+ * @param {Object} signedTrustList - { trustList, proof } as served by the issuer
+ * @param {string} rootPublicKey - Pinned system (root) public key, base64
+ * @param {Object} options - now (Date, default current time), allowExpired
+ * @returns {Object} { valid, reason, trustList }
+ */
+function verifyTrustList(signedTrustList, rootPublicKey, options = {}) {
+    const { trustList, proof } = signedTrustList || {};
+
+    if (!trustList || trustList.type !== TRUST_LIST_TYPE || !Array.isArray(trustList.keys) || !proof) {
+        return { valid: false, reason: 'Not a signed trust list' };
+    }
+
+    if (!rootPublicKey) {
+        return { valid: false, reason: 'A root public key is required to check the trust list' };
+    }
+
+    // The key embedded in the proof is only a hint; the pinned root key decides
+    if (proof.publicKey && proof.publicKey !== rootPublicKey) {
+        return { valid: false, reason: 'Trust list is signed by a different root key' };
+    }
+
+    let signatureValid = false;
+    try {
+        signatureValid = verifySignature(proof.signature, canonicalize(trustList), rootPublicKey);
+    } catch (error) {
+        signatureValid = false;
+    }
+    if (!signatureValid) {
+        return { valid: false, reason: 'Invalid trust list signature' };
+    }
+
+    const now = options.now || new Date();
+    if (!options.allowExpired && trustList.nextUpdate && now > new Date(trustList.nextUpdate)) {
+        return { valid: false, reason: `Trust list expired on ${trustList.nextUpdate}; fetch a current one` };
+    }
+
+    return { valid: true, reason: 'Trust list is signed by the root key', trustList: trustList };
+}
+
+/**
+ * Verify the signatures in a document QR code
+ * @param {string} qrData - Scanned QR code data (compact "DS1:..." or embedded JSON)
+ * @param {Object} signedTrustList - { trustList, proof } as served by the issuer
+ * @param {Object} options - rootPublicKey (required), now, allowExpired,
+ *                           allowUnsigned to accept JSON payloads printed before they were signed,
+ *                           fileSha256 (hex) or file (bytes) of the copy at hand,
+ *                           minSignatures to require more signatures than the QR states,
+ *                           compactPrefix when the issuer changed QR_CONFIG.COMPACT_PREFIX
+ * @returns {Promise<Object>} Verification result with per-signature details; documents on
+ *                            the trust list's revokedDocuments are invalid with status REVOKED
+ */
+async function verifyQR(qrData, signedTrustList, options = {}) {
+    const trust = verifyTrustList(signedTrustList, options.rootPublicKey, options);
+    if (!trust.valid) {
+        return { valid: false, reason: `Trust list: ${trust.reason}` };
+    }
+
+    let parsed;
+    try {
+        parsed = await parseQR(String(qrData), options);
+    } catch (error) {
+        return { valid: false, reason: error.message };
+    }
+
+    const keys = new Map(trust.trustList.keys.map(key => [key.keyId, key]));
+    const delegations = new Map((trust.trustList.delegations || []).map(delegation => [delegation.delegationId, delegation]));
+    const signatureResults = parsed.entries.map(entry => verifyEntry(entry, keys, delegations, parsed));
+
+    // Each signer counts once, however often they appear in the QR code; keys of the
+    // same registered signer (e.g. before and after a rotation) count as one, and
+    // delegates count as the signer they act for
+    const validSigners = new Map();
+    signatureResults.filter(result => result.valid).forEach(result => {
+        const keyId = result.onBehalfOf ? result.onBehalfOf.keyId : result.signer.keyId;
+        const key = keys.get(keyId);
+        const identity = (key && key.signerId) || keyId;
+        if (!validSigners.has(identity)) {
+            validSigners.set(identity, result.signer.role);
+        }
+    });
+    const validRoles = [...validSigners.values()];
+    const threshold = Math.max(parsed.threshold, options.minSignatures || 1);
+    // Weighted or rule-based sessions state their policy next to the threshold
+    const evaluation = parsed.policy ? evaluatePolicy(parsed.policy, validRoles) : null;
+    const policyReason = evaluation ? describeUnmetPolicy(parsed.policy, evaluation) : null;
+    const fileMatch = await matchFile(parsed, options);
+    const revocation = (trust.trustList.revokedDocuments || [])
+        .find(item => item.documentId === parsed.documentId) || null;
+    const valid = !revocation && fileMatch !== false && !policyReason &&
+        (evaluation ? validRoles.length >= (options.minSignatures || 1) : validRoles.length >= threshold);
+
+    let reason;
+    if (revocation) {
+        reason = `Document was revoked on ${revocation.revokedAt}: ${revocation.reason}`;
+    } else if (fileMatch === false) {
+        reason = 'File does not match the signed document';
+    } else if (policyReason) {
+        reason = policyReason;
+    } else if (valid) {
+        reason = evaluation ?
+            `Valid signatures meeting the signing policy (weight ${evaluation.weight}/${parsed.policy.threshold})` :
+            `Valid signatures: ${validRoles.length}/${threshold} required`;
+    } else {
+        reason = `Insufficient valid signatures: ${validRoles.length}/${threshold}`;
+    }
+
+    return {
+        valid: valid,
+        status: revocation ? 'REVOKED' : (valid ? 'VALID' : 'INVALID'),
+        reason: reason,
+        revocation: revocation,
+        format: parsed.format,
+        documentId: parsed.documentId,
+        documentHash: parsed.documentHash,
+        document: parsed.metadata,
+        file: parsed.file || null,
+        fileMatch: fileMatch,
+        sessionId: parsed.sessionId,
+        // Stated by the QR code; they are not covered by the signatures
+        threshold: threshold,
+        policy: parsed.policy || null,
+        signatureWeight: evaluation ? evaluation.weight : validRoles.length,
+        totalSignatures: signatureResults.length,
+        validSignatures: validRoles.length,
+        signatureResults: signatureResults,
+        trustList: {
+            issuer: trust.trustList.issuer,
+            issuedAt: trust.trustList.issuedAt,
+            nextUpdate: trust.trustList.nextUpdate
+        },
+        verifiedAt: (options.now || new Date()).toISOString()
+    };
+}
+
+/**
+ * Signing envelopes and signatures of a QR code, whatever its format
+ * @private
+ */
+async function parseQR(qrData, options) {
+    const compact = qrData.match(new RegExp(`^${options.compactPrefix || DEFAULT_COMPACT_PREFIX}(\\d+):`));
+    if (compact) {
+        if (Number(compact[1]) !== PAYLOAD_VERSION) {
+            throw new Error(`Unsupported compact QR payload version ${compact[1]}`);
+        }
+        const body = cbor.decode(await inflate(decodeBase45(qrData.slice(compact[0].length))));
+        const { envelopes, signatureData } = unpackSignatures(body);
+        const signatures = signatureData.signatures || [signatureData];
+        return describe('compact', envelopes.map((envelope, index) => ({
+            envelope: envelope,
+            signature: signatures[index].signature
+        })), signatureData.threshold || 1, signatureData.policy);
+    }
+
+    if (qrData.startsWith(COSE_PREFIX)) {
+        throw new Error('COSE QR codes are checked with a COSE library and the keys of the trust list');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(qrData);
+    } catch (error) {
+        throw new Error('Unknown QR code format');
+    }
+
+    // JSON payloads are signed by the system key, the same root key as the trust list
+    const { proof, ...unsigned } = payload;
+    if (proof) {
+        let proofValid = false;
+        try {
+            proofValid = verifySignature(proof.signature, canonicalize(unsigned), options.rootPublicKey);
+        } catch (error) {
+            proofValid = false;
+        }
+        if (!proofValid) {
+            throw new Error('QR payload is not signed by the root key');
+        }
+    } else if (!options.allowUnsigned) {
+        throw new Error('QR payload is not signed by the institution');
+    }
+
+    if (payload.type === 'verification_url') {
+        throw new Error('QR code refers to verification data stored by the issuer; verify it online');
+    }
+    if (payload.type !== 'document_verification' || !payload.signature) {
+        throw new Error('Unknown QR code format');
+    }
+    if (payload.signature.version !== SIGNATURE_VERSION) {
+        throw new Error(`Signatures of version ${payload.signature.version || '1.0'} need the document and cannot be verified offline`);
+    }
+
+    const { signature } = payload;
+    if (payload.signatureType === 'multi-signature') {
+        return describe('json', (signature.data || []).map(sig => ({
+            envelope: sig.payload,
+            signature: sig.signature
+        })), signature.threshold, signature.policy);
+    }
+    return describe('json', [{ envelope: signature.envelope, signature: signature.data }], 1);
+}
+
+/**
+ * Document the signatures claim to cover, taken from the first envelope
+ * @private
+ */
+function describe(format, entries, threshold, policy) {
+    const [first] = entries;
+    if (!first || !first.envelope || !Number.isInteger(threshold) || threshold < 1 ||
+        (policy && policy.threshold !== threshold)) {
+        throw new Error('Malformed QR code payload');
+    }
+
+    return {
+        format: format,
+        entries: entries,
+        threshold: threshold,
+        policy: policy || null,
+        documentId: first.envelope.documentId,
+        documentHash: first.envelope.documentHash,
+        metadata: first.envelope.metadata,
+        file: first.envelope.file,
+        sessionId: first.envelope.sessionId
+    };
+}
+
+/**
+ * Check one signature and its key against the trust list, and for delegates
+ * the mandate they signed under
+ * @private
+ */
+function verifyEntry(entry, keys, delegations, parsed) {
+    const { envelope } = entry;
+    const result = {
+        signer: { role: envelope && envelope.role, keyId: envelope && envelope.keyId },
+        signedAt: envelope && envelope.signedAt,
+        valid: false,
+        signatureValid: false
+    };
+
+    if (!envelope || envelope.type !== 'signing-envelope' || envelope.version !== SIGNATURE_VERSION) {
+        return { ...result, reason: 'Unsupported signing envelope' };
+    }
+
+    if (envelope.documentId !== parsed.documentId || envelope.documentHash !== parsed.documentHash ||
+        envelope.sessionId !== parsed.sessionId ||
+        canonicalize(envelope.metadata) !== canonicalize(parsed.metadata)) {
+        return { ...result, reason: 'Signature was made for a different document or session' };
+    }
+
+    const key = keys.get(envelope.keyId);
+    if (!key) {
+        return { ...result, reason: 'Signer key is not on the trust list' };
+    }
+    result.signer.name = key.name;
+
+    // Delegates sign as a role their key does not hold; the mandate is checked below
+    if (!envelope.delegationId && key.role !== envelope.role) {
+        return { ...result, reason: `Signature claims role '${envelope.role}' but the key is registered for '${key.role}'` };
+    }
+
+    try {
+        result.signatureValid = verifySignature(entry.signature, serializeEnvelope(envelope), key.publicKey);
+    } catch (error) {
+        result.signatureValid = false;
+    }
+    if (!result.signatureValid) {
+        return { ...result, reason: 'Invalid signature' };
+    }
+
+    result.keyStatus = resolveKey(key, envelope.signedAt);
+    result.valid = result.keyStatus.trusted;
+    result.reason = result.valid ? 'Valid signature' : result.keyStatus.reason;
+
+    if (result.valid && envelope.delegationId) {
+        const mandate = checkMandate(envelope, keys, delegations);
+        result.delegationId = envelope.delegationId;
+        if (!mandate.valid) {
+            return { ...result, valid: false, reason: mandate.reason };
+        }
+        result.onBehalfOf = mandate.delegator;
+        result.reason = `Valid signature by ${key.name} on behalf of ${mandate.delegator.name} (${envelope.role})`;
+    }
+
+    return result;
+}
+
+/**
+ * Check the mandate a delegate signed under against the trust list: the
+ * delegator's key must have been valid at signing time and the mandate must
+ * cover the delegate key, role, document type and signing time
+ * @private
+ */
+function checkMandate(envelope, keys, delegations) {
+    const delegation = delegations.get(envelope.delegationId);
+    if (!delegation) {
+        return { valid: false, reason: 'Mandate is not on the trust list' };
+    }
+
+    const delegatorKey = keys.get(delegation.mandate && delegation.mandate.delegatorKeyId);
+    if (!delegatorKey) {
+        return { valid: false, reason: 'Delegator key is not on the trust list' };
+    }
+
+    const delegatorStatus = resolveKey(delegatorKey, envelope.signedAt);
+    if (!delegatorStatus.trusted) {
+        return { valid: false, reason: `Delegator key: ${delegatorStatus.reason}` };
+    }
+
+    const check = checkDelegation(delegation, delegatorKey, {
+        keyId: envelope.keyId,
+        role: envelope.role,
+        documentType: envelope.metadata && envelope.metadata.type,
+        signedAt: envelope.signedAt
+    });
+    if (!check.valid) {
+        return check;
+    }
+
+    return {
+        valid: true,
+        delegator: { keyId: delegatorKey.keyId, name: delegatorKey.name, role: delegatorKey.role }
+    };
+}
+
+/**
+ * Status of a trust list key at signing time, as the server's key registry reports it
+ * @private
+ */
+function resolveKey(key, signedAt) {
+    const status = {
+        keyId: key.keyId,
+        role: key.role,
+        status: key.status,
+        validFrom: key.validFrom,
+        validUntil: key.validUntil,
+        revoked: key.status === 'revoked',
+        revokedAt: key.revokedAt,
+        revocationReason: key.revocationReason,
+        trusted: true,
+        reason: 'Signer key is on the trust list'
+    };
+
+    const validity = checkKeyValidity(key, signedAt);
+    if (!validity.valid) {
+        return { ...status, trusted: false, reason: validity.reason };
+    }
+
+    // Compact signatures carry no TSA token, so their signedAt is only what the key
+    // holder asserted and cannot show the signature predates a revocation
+    if (status.revoked) {
+        return { ...status, trusted: false, reason: `Signer key was revoked on ${key.revokedAt} and no trusted timestamp shows the signature predates it: ${key.revocationReason}` };
+    }
+
+    return status;
+}
+
+/**
+ * Compare the copy of the file at hand with the signed SHA-256 digest
+ * @private
+ * @returns {Promise<boolean|null>} null when no file was given or none was signed
+ */
+async function matchFile(parsed, options) {
+    const signed = parsed.file && parsed.file.sha256;
+    if (!signed || (!options.fileSha256 && !options.file)) {
+        return null;
+    }
+
+    let digest = options.fileSha256;
+    if (!digest) {
+        const hash = await globalThis.crypto.subtle.digest('SHA-256', options.file);
+        digest = Buffer.from(hash).toString('hex');
+    }
+    return digest.toLowerCase() === signed;
+}
+
+/**
+ * zlib inflate with the web-standard DecompressionStream
+ * @private
+ */
+async function inflate(bytes) {
+    const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate')).getReader();
+    const chunks = [];
+    let length = 0;
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        length += value.length;
+        if (length > MAX_INFLATED_BYTES) {
+            await reader.cancel();
+            throw new Error('Compact QR payload is too large');
+        }
+        chunks.push(value);
+    }
+
+    return Buffer.concat(chunks);
+}
+
+module.exports = { verifyQR, verifyTrustList };